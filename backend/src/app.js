@@ -1,7 +1,11 @@
+const dotenv = require('dotenv');
+
+// Load env vars before any config module reads them
+dotenv.config();
+
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const dotenv = require('dotenv');
 const http = require('http');
 const socketIo = require('socket.io');
 const { connectDB } = require('./config/database');
@@ -9,9 +13,6 @@ const socketManager = require('./socket/socketManager');
 const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
 
-// Load env vars
-dotenv.config();
-
 // Initialize express app
 const app = express();
 const server = http.createServer(app);
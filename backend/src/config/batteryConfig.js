@@ -0,0 +1,20 @@
+/**
+ * Battery pack inventory settings
+ */
+const batteryConfig = {
+    // Packs are due for retirement at this many charge cycles or below this health, whichever comes first
+    retireCycleCount: parseInt(process.env.BATTERY_RETIRE_CYCLES) || 300,
+    retireHealth: parseFloat(process.env.BATTERY_RETIRE_HEALTH) || 80,
+
+    // Packs count as near retirement from this share of their cycles, or within this much health of it
+    nearRetirementRatio: 0.9,
+    nearRetirementHealth: 5,
+
+    // Charge level from which a pack on the shelf is ready to fly
+    readyChargeLevel: 90,
+
+    // Charge range packs are kept at in long-term storage
+    storageChargeRange: [40, 60]
+  };
+
+  module.exports = batteryConfig;
@@ -0,0 +1,21 @@
+/**
+ * Planned versus flown track analysis settings
+ */
+const deviationConfig = {
+    // Distance from the planned path beyond which the drone counts as off route, in meters
+    crossTrackTolerance: parseFloat(process.env.DEVIATION_TOLERANCE) || 10,
+
+    // Distance within which a waypoint counts as reached, in meters
+    waypointRadius: parseFloat(process.env.DEVIATION_WAYPOINT_RADIUS) || 5,
+
+    // Spacing of the points checked along the planned path for coverage gaps, in meters
+    coverageSpacing: 5,
+
+    // Shortest stretch of unflown path reported as a gap, in meters
+    minGapLength: 20,
+
+    // Shortest time off route reported as an off-route segment, in seconds
+    minOffRouteDuration: 3
+  };
+
+  module.exports = deviationConfig;
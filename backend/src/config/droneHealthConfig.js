@@ -0,0 +1,40 @@
+const batteryConfig = require('./batteryConfig');
+
+/**
+ * Predictive maintenance alert settings
+ */
+const droneHealthConfig = {
+    // Flights between services before the drone is flagged, warned about from warningRatio of it
+    flightsBetweenService: parseInt(process.env.HEALTH_FLIGHTS_BETWEEN_SERVICE) || 100,
+
+    // Charge cycles a battery is rated for, warned about from warningRatio of it
+    batteryCycleLimit: parseInt(process.env.HEALTH_BATTERY_CYCLE_LIMIT) || batteryConfig.retireCycleCount,
+
+    // Share of a limit at which a warning is raised
+    warningRatio: 0.9,
+
+    // Battery capacity, as a percentage of the original, below which it is flagged
+    batteryCapacityWarning: 85,
+    batteryCapacityCritical: 80,
+
+    // Battery used per minute is compared between the older and newer half of the last flights
+    drainTrend: {
+      flights: 10,
+      minFlights: 6,
+      minDuration: 2, // in minutes, shorter flights say little about consumption
+      warningIncrease: 15, // percentage rise of the newer half over the older one
+      criticalIncrease: 30
+    },
+
+    // Flight log entries that point to a fault of the drone rather than of the flight plan or pilot
+    faultCodes: ['LINK_LOST', 'LOW_BATTERY'],
+
+    // Faults and failed flights over the last flights before the drone is flagged
+    faults: {
+      flights: 10,
+      warning: 2,
+      critical: 4
+    }
+  };
+
+  module.exports = droneHealthConfig;
@@ -0,0 +1,18 @@
+/**
+ * Geofence enforcement settings
+ */
+const geofenceConfig = {
+    // Distance kept from the edges of a no-fly zone when rerouting around it, in meters
+    buffer: parseFloat(process.env.GEOFENCE_BUFFER) || 10,
+
+    // Margin around a route when looking up the zones near it, in degrees
+    searchMargin: 0.05,
+
+    // Largest accepted airspace file, as an express body size limit
+    importLimit: process.env.GEOFENCE_IMPORT_LIMIT || '10mb',
+
+    // Angle between the points of imported circles and arcs, in degrees
+    arcStep: 5
+  };
+
+  module.exports = geofenceConfig;
@@ -0,0 +1,19 @@
+/**
+ * Maintenance schedule settings
+ */
+const maintenanceConfig = {
+    // Flight hours between scheduled maintenance, for drones without their own interval
+    intervalFlightHours: parseFloat(process.env.MAINTENANCE_INTERVAL_HOURS) || 50,
+
+    // Days between scheduled maintenance, for drones without their own interval
+    intervalDays: parseInt(process.env.MAINTENANCE_INTERVAL_DAYS) || 90,
+
+    // Maintenance counts as due soon within this many flight hours or days
+    dueSoonFlightHours: 5,
+    dueSoonDays: 7,
+
+    // Record types that restart the maintenance interval once completed
+    intervalTypes: ['routine', 'inspection']
+  };
+
+  module.exports = maintenanceConfig;
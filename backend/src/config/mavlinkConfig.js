@@ -0,0 +1,27 @@
+/**
+ * MAVLink telemetry gateway settings
+ */
+const mavlinkConfig = {
+    // The gateway only listens when turned on
+    enabled: process.env.MAVLINK_ENABLED === 'true',
+
+    // Address the UDP and TCP listeners bind to
+    host: process.env.MAVLINK_HOST || '0.0.0.0',
+
+    // UDP port vehicles and ground stations forward to, 0 turns UDP off
+    udpPort: process.env.MAVLINK_UDP_PORT !== undefined ? parseInt(process.env.MAVLINK_UDP_PORT) : 14550,
+
+    // TCP port for links that connect instead, 0 turns TCP off
+    tcpPort: process.env.MAVLINK_TCP_PORT !== undefined ? parseInt(process.env.MAVLINK_TCP_PORT) : 5760,
+
+    // Shortest time between stored positions of a drone, in milliseconds
+    positionInterval: 1000,
+
+    // A drone without heartbeats for this long has lost its link, in milliseconds
+    linkTimeout: 5000,
+
+    // How long a system ID lookup is reused before asking the database again, in milliseconds
+    droneCacheTime: 30000
+  };
+
+  module.exports = mavlinkConfig;
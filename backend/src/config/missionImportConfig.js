@@ -0,0 +1,18 @@
+/**
+ * Mission import settings
+ */
+const missionImportConfig = {
+    // Largest accepted mission file, as an express body size limit
+    uploadLimit: process.env.MISSION_IMPORT_LIMIT || '20mb',
+
+    // Largest KML document read from a KMZ archive once inflated, in bytes
+    maxKmlSize: parseInt(process.env.MISSION_IMPORT_MAX_KML_SIZE) || 50 * 1024 * 1024,
+
+    // Most waypoints an imported mission may have
+    maxWaypoints: parseInt(process.env.MISSION_IMPORT_MAX_WAYPOINTS) || 2000,
+
+    // Recorded tracks are simplified to stay within this distance of the original line, in meters
+    trackTolerance: 2
+  };
+
+  module.exports = missionImportConfig;
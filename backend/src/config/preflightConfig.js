@@ -0,0 +1,28 @@
+/**
+ * Pre-flight feasibility check settings
+ */
+const preflightConfig = {
+    // Battery (percentage) that must be left on landing
+    reserveBatteryLevel: parseFloat(process.env.PREFLIGHT_RESERVE_PERCENT) || 20,
+
+    // Warn when the landing battery is within this many percent of the reserve
+    batteryWarningMargin: 10,
+
+    // Warn when a value reaches this fraction of the drone limit
+    limitWarningRatio: 0.9,
+
+    // Warn when wind reaches this fraction of the drone wind resistance
+    windWarningRatio: 0.75,
+
+    // Vertical speeds used to time climbs and descents, in m/s
+    climbRate: 3,
+    descentRate: 2,
+
+    // Extra hover time per photo or video action, in seconds
+    actionDuration: {
+      takePhoto: 2,
+      recordVideo: 10
+    }
+  };
+
+  module.exports = preflightConfig;
@@ -0,0 +1,24 @@
+/**
+ * Flight simulator configuration settings
+ */
+const simulatorConfig = {
+    // Disable when missions are flown by real hardware
+    enabled: process.env.SIMULATOR_ENABLED !== 'false',
+
+    // Real time between simulation steps, in milliseconds
+    tickInterval: parseInt(process.env.SIMULATOR_TICK_MS) || 1000,
+
+    // Simulated seconds per real second, raise it to speed up demos
+    timeScale: parseFloat(process.env.SIMULATOR_TIME_SCALE) || 1,
+
+    // Battery level (percentage) at which the drone gives up and returns home
+    returnHomeBatteryLevel: 15,
+
+    // Fallbacks for drones registered without specifications
+    defaults: {
+      maxFlightTime: 25, // in minutes
+      maxRange: 5000 // in meters
+    }
+  };
+
+  module.exports = simulatorConfig;
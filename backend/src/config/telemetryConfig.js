@@ -0,0 +1,30 @@
+/**
+ * Telemetry history settings
+ */
+const telemetryConfig = {
+    // Samples are written in batches of up to this many
+    batchSize: 500,
+
+    // Longest time a sample waits for its batch to be written, in milliseconds
+    flushInterval: 2000,
+
+    // Samples are kept as received for this many days, then downsampled
+    rawRetentionDays: parseInt(process.env.TELEMETRY_RAW_RETENTION_DAYS) || 7,
+
+    // Seconds of flight each downsampled sample stands for
+    downsampleResolution: 10,
+
+    // Downsampled samples are kept for this many days
+    retentionDays: parseInt(process.env.TELEMETRY_RETENTION_DAYS) || 365,
+
+    // How often old samples are downsampled, in milliseconds
+    downsampleInterval: 60 * 60 * 1000,
+
+    // History queries return at most this many samples, coarsening the resolution to fit
+    maxPoints: 2000,
+
+    // Range of a drone history query without a start, in minutes
+    defaultRange: 60
+  };
+
+  module.exports = telemetryConfig;
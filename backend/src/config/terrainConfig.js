@@ -0,0 +1,25 @@
+/**
+ * Terrain model (DEM) and terrain-following settings
+ */
+const terrainConfig = {
+    // Largest accepted upload, as an express body size limit
+    uploadLimit: process.env.TERRAIN_UPLOAD_LIMIT || '100mb',
+
+    // Grids with more cells are downsampled (keeping the highest point of each block)
+    maxCells: parseInt(process.env.TERRAIN_MAX_CELLS) || 2000000,
+
+    // Default minimum height above the terrain anywhere along the route, in meters
+    minClearance: 10,
+
+    // How far the flown line may drift from the target height above ground before
+    // an intermediate waypoint is added, in meters
+    tolerance: 3,
+
+    // Longest distance between terrain samples along a leg, in meters
+    sampleSpacing: 10,
+
+    // Number of points in an elevation profile
+    profileSamples: 300
+  };
+
+  module.exports = terrainConfig;
@@ -3,6 +3,9 @@ const Survey = require('../models/Survey');
 const Drone = require('../models/Drone');
 const User = require('../models/User');
 
+// Sorties of a split mission are counted through their parent, which carries their combined statistics
+const TOP_LEVEL_MISSIONS = { parentMission: null };
+
 /**
  * Get dashboard analytics summary
  * @route GET /api/analytics/dashboard
@@ -12,7 +15,7 @@ exports.getDashboardAnalytics = async (req, res) => {
     // Get counts
     const dronesCount = await Drone.countDocuments();
     const surveysCount = await Survey.countDocuments();
-    const missionsCount = await Mission.countDocuments();
+    const missionsCount = await Mission.countDocuments(TOP_LEVEL_MISSIONS);
     const usersCount = await User.countDocuments();
     
     // Get active drones (status is 'active' or 'flying')
@@ -22,6 +25,7 @@ exports.getDashboardAnalytics = async (req, res) => {
     
     // Get missions by status
     const missionStatusCounts = await Mission.aggregate([
+      { $match: TOP_LEVEL_MISSIONS },
       { $group: { _id: "$status", count: { $sum: 1 } } }
     ]);
     
@@ -36,13 +40,14 @@ exports.getDashboardAnalytics = async (req, res) => {
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     
     const recentMissionsCount = await Mission.countDocuments({
+      ...TOP_LEVEL_MISSIONS,
       createdAt: { $gte: thirtyDaysAgo }
     });
     
     // Get mission success rate
-    const completedMissionsCount = await Mission.countDocuments({ status: 'completed' });
-    const failedMissionsCount = await Mission.countDocuments({ status: 'failed' });
-    const abortedMissionsCount = await Mission.countDocuments({ status: 'aborted' });
+    const completedMissionsCount = await Mission.countDocuments({ ...TOP_LEVEL_MISSIONS, status: 'completed' });
+    const failedMissionsCount = await Mission.countDocuments({ ...TOP_LEVEL_MISSIONS, status: 'failed' });
+    const abortedMissionsCount = await Mission.countDocuments({ ...TOP_LEVEL_MISSIONS, status: 'aborted' });
     
     const totalFinishedMissions = completedMissionsCount + failedMissionsCount + abortedMissionsCount;
     const successRate = totalFinishedMissions > 0
@@ -61,7 +66,7 @@ exports.getDashboardAnalytics = async (req, res) => {
     }, {});
     
     // Get recently completed missions
-    const recentCompletedMissions = await Mission.find({ status: 'completed' })
+    const recentCompletedMissions = await Mission.find({ ...TOP_LEVEL_MISSIONS, status: 'completed' })
       .sort({ completedAt: -1 })
       .limit(5)
       .populate('drone', 'name model')
@@ -75,6 +80,7 @@ exports.getDashboardAnalytics = async (req, res) => {
     const missionsPerDay = await Mission.aggregate([
       {
         $match: {
+          ...TOP_LEVEL_MISSIONS,
           createdAt: { $gte: sevenDaysAgo }
         }
       },
@@ -107,6 +113,7 @@ exports.getDashboardAnalytics = async (req, res) => {
     const flightTimeResult = await Mission.aggregate([
       {
         $match: {
+          ...TOP_LEVEL_MISSIONS,
           status: 'completed',
           actualStartTime: { $exists: true },
           completedAt: { $exists: true }
@@ -138,6 +145,7 @@ exports.getDashboardAnalytics = async (req, res) => {
     const distanceResult = await Mission.aggregate([
       {
         $match: {
+          ...TOP_LEVEL_MISSIONS,
           status: 'completed',
           'statistics.distance': { $exists: true }
         }
@@ -158,6 +166,7 @@ exports.getDashboardAnalytics = async (req, res) => {
     const areaResult = await Mission.aggregate([
       {
         $match: {
+          ...TOP_LEVEL_MISSIONS,
           status: 'completed',
           'statistics.areaCovered': { $exists: true }
         }
@@ -215,6 +224,7 @@ exports.getMissionAnalytics = async (req, res) => {
   try {
     // Get missions by pattern type
     const patternData = await Mission.aggregate([
+      { $match: TOP_LEVEL_MISSIONS },
       { $group: { _id: "$pattern", count: { $sum: 1 } } },
       { $sort: { count: -1 } }
     ]);
@@ -223,6 +233,7 @@ exports.getMissionAnalytics = async (req, res) => {
     const durationByDroneModel = await Mission.aggregate([
       {
         $match: {
+          ...TOP_LEVEL_MISSIONS,
           status: 'completed',
           actualStartTime: { $exists: true },
           completedAt: { $exists: true }
@@ -260,6 +271,7 @@ exports.getMissionAnalytics = async (req, res) => {
 
     // Get missions by month
     const monthlyMissions = await Mission.aggregate([
+      { $match: TOP_LEVEL_MISSIONS },
       {
         $group: {
           _id: { 
@@ -287,6 +299,7 @@ exports.getMissionAnalytics = async (req, res) => {
     const avgStats = await Mission.aggregate([
       {
         $match: {
+          ...TOP_LEVEL_MISSIONS,
           altitude: { $exists: true, $ne: null },
           speed: { $exists: true, $ne: null }
         }
@@ -309,6 +322,7 @@ exports.getMissionAnalytics = async (req, res) => {
     const missionStatusByMonth = await Mission.aggregate([
       {
         $match: {
+          ...TOP_LEVEL_MISSIONS,
           status: { $in: ['completed', 'failed', 'aborted'] }
         }
       },
@@ -346,6 +360,7 @@ exports.getMissionAnalytics = async (req, res) => {
     const flightTimeDistribution = await Mission.aggregate([
       {
         $match: {
+          ...TOP_LEVEL_MISSIONS,
           status: 'completed',
           actualStartTime: { $exists: true },
           completedAt: { $exists: true }
@@ -443,6 +458,7 @@ exports.getDroneAnalytics = async (req, res) => {
     const activeDrones = await Mission.aggregate([
       {
         $match: {
+          ...TOP_LEVEL_MISSIONS,
           drone: { $exists: true },
           status: 'completed'
         }
@@ -682,7 +698,19 @@ exports.getSurveyAnalytics = async (req, res) => {
       {
         $project: {
           name: 1,
-          totalMissions: { $size: "$missions" },
+          missionDetails: {
+            $filter: {
+              input: "$missionDetails",
+              as: "mission",
+              cond: { $eq: [{ $ifNull: ["$$mission.parentMission", null] }, null] }
+            }
+          }
+        }
+      },
+      {
+        $project: {
+          name: 1,
+          totalMissions: { $size: "$missionDetails" },
           completedMissions: {
             $size: {
               $filter: {
@@ -836,6 +864,7 @@ exports.getUserAnalytics = async (req, res) => {
     const topMissionCreators = await Mission.aggregate([
       {
         $match: {
+          ...TOP_LEVEL_MISSIONS,
           createdBy: { $exists: true }
         }
       },
@@ -0,0 +1,233 @@
+const Battery = require('../models/Battery');
+const Drone = require('../models/Drone');
+const { emitDroneUpdate } = require('../utils/socketEvents');
+const {
+  getRetirementStatus,
+  assignBattery,
+  unassignBattery,
+  retireBattery,
+  getChargeRotation
+} = require('../services/batteryService');
+
+// Battery fields that can be set when creating or updating a pack
+const EDITABLE_FIELDS = ['serialNumber', 'model', 'capacity', 'cycleCount', 'health', 'chargeLevel', 'storageState', 'notes'];
+
+// Helper to pick the editable fields of a request body, checking they fit where the pack is
+const readFields = async (req, battery) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+  });
+
+  if (fields.storageState === 'in-use') {
+    throw new Error('Fit the battery pack to a drone to put it in use');
+  }
+  if (battery && battery.drone && (fields.storageState || fields.chargeLevel !== undefined)) {
+    throw new Error('Take the battery pack off its drone before changing its charge or storage');
+  }
+
+  if (fields.serialNumber && (!battery || fields.serialNumber !== battery.serialNumber)) {
+    const existing = await Battery.findOne({ serialNumber: fields.serialNumber }).select('_id');
+    if (existing) {
+      throw new Error('A battery pack with this serial number already exists');
+    }
+  }
+  return fields;
+};
+
+// Helper to add the retirement status to a pack
+const withRetirement = (battery) => ({ ...battery.toObject(), retirement: getRetirementStatus(battery) });
+
+// Helper to find a pack of the user's organization
+const findBattery = (req) => Battery.findOne({ _id: req.params.id, organization: req.user.organization });
+
+// Helper to find the drone a pack is fitted to
+const findFittedDrone = (battery) => (battery.drone ? Drone.findById(battery.drone) : null);
+
+/**
+ * Get the battery packs of the user's organization
+ * @route GET /api/batteries?status=&storageState=&drone=&page=&limit=
+ */
+exports.getBatteries = async (req, res) => {
+  try {
+    const filter = { organization: req.user.organization };
+    ['status', 'storageState', 'drone'].forEach(field => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const batteries = await Battery.find(filter)
+      .populate('drone', 'name serialNumber status')
+      .sort({ serialNumber: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Battery.countDocuments(filter);
+
+    res.status(200).json({
+      batteries: batteries.map(withRetirement),
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get the charge rotation, the packs in service healthiest first by where they are
+ * @route GET /api/batteries/rotation
+ */
+exports.getChargeRotation = async (req, res) => {
+  try {
+    res.status(200).json(await getChargeRotation(req.user.organization));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a single battery pack
+ * @route GET /api/batteries/:id
+ */
+exports.getBatteryById = async (req, res) => {
+  try {
+    const battery = await findBattery(req)
+      .populate('drone', 'name serialNumber status')
+      .populate('createdBy', 'name');
+    if (!battery) {
+      return res.status(404).json({ message: 'Battery pack not found' });
+    }
+
+    res.status(200).json(withRetirement(battery));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Add a battery pack to the inventory
+ * @route POST /api/batteries
+ */
+exports.createBattery = async (req, res) => {
+  try {
+    const fields = await readFields(req);
+    if (!fields.serialNumber) {
+      return res.status(400).json({ message: 'Serial number is required' });
+    }
+
+    const battery = await Battery.create({
+      ...fields,
+      organization: req.user.organization,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json(withRetirement(battery));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Update a battery pack, for example after a capacity test or charging
+ * @route PUT /api/batteries/:id
+ */
+exports.updateBattery = async (req, res) => {
+  try {
+    const battery = await findBattery(req);
+    if (!battery) {
+      return res.status(404).json({ message: 'Battery pack not found' });
+    }
+    if (battery.status === 'retired') {
+      return res.status(400).json({ message: 'Retired battery packs cannot be changed' });
+    }
+
+    battery.set(await readFields(req, battery));
+    await battery.save();
+
+    res.status(200).json(withRetirement(battery));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Fit a battery pack to a drone, the pack fitted to it before goes back on the shelf
+ * @route POST /api/batteries/:id/assign
+ */
+exports.assignBattery = async (req, res) => {
+  try {
+    if (!req.body.drone) {
+      return res.status(400).json({ message: 'Drone is required' });
+    }
+
+    const battery = await findBattery(req);
+    if (!battery) {
+      return res.status(404).json({ message: 'Battery pack not found' });
+    }
+
+    const drone = await Drone.findOne({ _id: req.body.drone, organization: req.user.organization });
+    if (!drone) {
+      return res.status(404).json({ message: 'Drone not found' });
+    }
+
+    const previousDrone = await findFittedDrone(battery);
+    const { replaced } = await assignBattery(battery, drone, previousDrone);
+    emitDroneUpdate(drone._id.toString(), { batteryLevel: drone.batteryLevel });
+
+    res.status(200).json({
+      battery: withRetirement(battery),
+      replaced: replaced ? withRetirement(replaced) : null,
+      droneBatteryLevel: drone.batteryLevel
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Take a battery pack off its drone
+ * @route POST /api/batteries/:id/unassign
+ */
+exports.unassignBattery = async (req, res) => {
+  try {
+    const battery = await findBattery(req);
+    if (!battery) {
+      return res.status(404).json({ message: 'Battery pack not found' });
+    }
+    if (!battery.drone) {
+      return res.status(400).json({ message: 'Battery pack is not fitted to a drone' });
+    }
+
+    await unassignBattery(battery, await findFittedDrone(battery));
+
+    res.status(200).json(withRetirement(battery));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Retire a battery pack, with the reason it was taken out of service
+ * @route POST /api/batteries/:id/retire
+ */
+exports.retireBattery = async (req, res) => {
+  try {
+    const battery = await findBattery(req);
+    if (!battery) {
+      return res.status(404).json({ message: 'Battery pack not found' });
+    }
+
+    await retireBattery(battery, await findFittedDrone(battery), req.body.reason);
+
+    res.status(200).json(withRetirement(battery));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
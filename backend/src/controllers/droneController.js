@@ -1,6 +1,28 @@
 const Drone = require('../models/Drone');
 const asyncHandler = require('../utils/asyncHandler');
 const { emitDroneUpdate } = require('../utils/socketEvents');
+const flightSimulator = require('../services/flightSimulator');
+const mavlinkGateway = require('../services/mavlinkGateway');
+const { getTelemetryHistory } = require('../services/telemetryService');
+const { refreshDroneHealth, getFleetHealth } = require('../services/droneHealthService');
+const { releaseDroneBatteries } = require('../services/batteryService');
+
+// Helper to check a MAVLink system ID given for a drone, empty values clear it
+// Returns an error message, or null when the ID can be used
+const checkSystemId = async (systemId, droneId) => {
+  if (systemId === undefined || systemId === null || systemId === '') return null;
+
+  const id = Number(systemId);
+  if (!Number.isInteger(id) || id < 1 || id > 255) {
+    return 'MAVLink system ID must be a whole number between 1 and 255';
+  }
+
+  const existingDrone = await Drone.findOne({ mavlinkSystemId: id });
+  if (existingDrone && (!droneId || existingDrone._id.toString() !== droneId.toString())) {
+    return 'A drone with this MAVLink system ID already exists';
+  }
+  return null;
+};
 
 /**
  * Get all drones
@@ -64,6 +86,7 @@ exports.createDrone = asyncHandler(async (req, res) => {
       name,
       model,
       serialNumber,
+      mavlinkSystemId,
       status,
       batteryLevel,
       organization,
@@ -87,12 +110,17 @@ exports.createDrone = asyncHandler(async (req, res) => {
       return res.status(400).json({ message: 'A drone with this serial number already exists' });
     }
 
+    const systemIdError = await checkSystemId(mavlinkSystemId);
+    if (systemIdError) {
+      return res.status(400).json({ message: systemIdError });
+    }
 
     // Create drone with properly structured data
     const drone = new Drone({
       name,
       model,
       serialNumber,
+      mavlinkSystemId: mavlinkSystemId === '' || mavlinkSystemId === null ? undefined : mavlinkSystemId,
       // Make sure status is a valid enum value
       status: status || 'idle', // Default to 'idle' if not provided
       batteryLevel: batteryLevel || 100,
@@ -151,11 +179,23 @@ exports.updateDrone = asyncHandler(async (req, res) => {
     }
   }
 
+  const { mavlinkSystemId, ...changes } = req.body;
+  const systemIdError = await checkSystemId(mavlinkSystemId, drone._id);
+  if (systemIdError) {
+    return res.status(400).json({ message: systemIdError });
+  }
+
+  // An empty system ID unlinks the drone from MAVLink telemetry
+  const systemIdUpdate = mavlinkSystemId === '' || mavlinkSystemId === null
+    ? { $unset: { mavlinkSystemId: 1 } }
+    : mavlinkSystemId !== undefined ? { mavlinkSystemId: Number(mavlinkSystemId) } : {};
+
   // Update fields
   const updatedDrone = await Drone.findByIdAndUpdate(
     req.params.id,
     { 
-      ...req.body,
+      ...changes,
+      ...systemIdUpdate,
       updatedBy: req.user.id,
       updatedAt: Date.now()
     },
@@ -190,6 +230,8 @@ exports.deleteDrone = asyncHandler(async (req, res) => {
     });
   }
 
+  // Its battery packs go back on the shelf
+  await releaseDroneBatteries(drone);
   await drone.remove();
   res.json({ message: 'Drone deleted successfully' });
 });
@@ -215,11 +257,6 @@ exports.updateDroneStatus = asyncHandler(async (req, res) => {
   drone.status = status;
   drone.updatedAt = Date.now();
   drone.updatedBy = req.user.id;
-  
-  // If drone is going to maintenance, update lastMaintenanceDate
-  if (status === 'maintenance') {
-    drone.lastMaintenanceDate = Date.now();
-  }
 
   await drone.save();
 
@@ -287,16 +324,22 @@ exports.getDroneTelemetry = asyncHandler(async (req, res) => {
     return res.status(404).json({ message: 'Drone not found' });
   }
 
-  // In a real application, this would fetch real-time telemetry data
-  // For this mock, we'll just return some static/random data
+  // Live data comes from the drone's MAVLink link, or the flight simulator while it flies a simulated mission
+  const liveTelemetry = mavlinkGateway.getDroneTelemetry(drone._id) || flightSimulator.getDroneTelemetry(drone._id);
+  if (liveTelemetry) {
+    return res.json(liveTelemetry);
+  }
+
+  // Otherwise report the last known state of a drone on the ground
+  const [longitude, latitude] = drone.lastLocation?.coordinates || [0, 0];
   const telemetry = {
-    altitude: Math.floor(Math.random() * 100) + 50, // 50-150m
-    speed: Math.floor(Math.random() * 15) + 5, // 5-20m/s
-    heading: Math.floor(Math.random() * 360), // 0-359 degrees
-    latitude: drone.lastKnownLocation?.latitude || 0,
-    longitude: drone.lastKnownLocation?.longitude || 0,
+    altitude: 0,
+    speed: 0,
+    heading: 0,
+    latitude,
+    longitude,
     batteryLevel: drone.batteryLevel,
-    signalStrength: Math.floor(Math.random() * 40) + 60, // 60-100%
+    signalStrength: drone.telemetry?.signalStrength,
     timestamp: new Date()
   };
 
@@ -304,52 +347,26 @@ exports.getDroneTelemetry = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update drone maintenance record
- * @route POST /api/drones/:id/maintenance
+ * Get the recorded telemetry of a drone, over the last hour unless a time range is given
+ * @route GET /api/drones/:id/telemetry/history?from=&to=&resolution=
  */
-exports.addMaintenanceRecord = asyncHandler(async (req, res) => {
-  const { type, description, parts, technician } = req.body;
-  
-  if (!type || !description) {
-    return res.status(400).json({ message: 'Maintenance type and description are required' });
-  }
-
+exports.getDroneTelemetryHistory = asyncHandler(async (req, res) => {
   const drone = await Drone.findById(req.params.id);
   
   if (!drone) {
     return res.status(404).json({ message: 'Drone not found' });
   }
 
-  // Create maintenance record
-  const maintenanceRecord = {
-    type,
-    description,
-    parts: parts || [],
-    technician: technician || req.user.name,
-    date: Date.now(),
-    performedBy: req.user.id
-  };
-
-  // Add to maintenance history
-  drone.maintenanceHistory = drone.maintenanceHistory || [];
-  drone.maintenanceHistory.push(maintenanceRecord);
-  
-  // Update last maintenance date
-  drone.lastMaintenanceDate = Date.now();
-  
-  // If drone was in maintenance, set status to available
-  if (drone.status === 'maintenance') {
-    drone.status = 'available';
+  try {
+    const history = await getTelemetryHistory({ drone: drone._id }, {
+      from: req.query.from,
+      to: req.query.to,
+      resolution: req.query.resolution
+    });
+    res.json(history);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
   }
-
-  await drone.save();
-
-  res.status(201).json({
-    message: 'Maintenance record added successfully',
-    maintenanceRecord,
-    lastMaintenanceDate: drone.lastMaintenanceDate,
-    status: drone.status
-  });
 });
 
 /**
@@ -385,4 +402,26 @@ exports.getDroneStatistics = asyncHandler(async (req, res) => {
   };
 
   res.json(statistics);
+});
+
+/**
+ * Get the health of the organization's drones, with the predictive maintenance alerts raised on them
+ * @route GET /api/drones/health
+ */
+exports.getFleetHealth = asyncHandler(async (req, res) => {
+  res.json(await getFleetHealth(req.user.organization));
+});
+
+/**
+ * Get the health of a drone, with the predictive maintenance alerts raised on it
+ * @route GET /api/drones/:id/health
+ */
+exports.getDroneHealth = asyncHandler(async (req, res) => {
+  const drone = await Drone.findOne({ _id: req.params.id, organization: req.user.organization });
+
+  if (!drone) {
+    return res.status(404).json({ message: 'Drone not found' });
+  }
+
+  res.json(await refreshDroneHealth(drone));
 });
\ No newline at end of file
@@ -0,0 +1,177 @@
+const FlightLog = require('../models/FlightLog');
+const Drone = require('../models/Drone');
+const { exportFlightLogs: writeFlightLogs, FLIGHT_LOG_EXPORT_FORMATS } = require('../utils/flightLogExport');
+
+// Most flight logs written to one export
+const MAX_EXPORT = 10000;
+
+// Helper to read an optional date filter
+const parseDate = (value, name) => {
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date`);
+  }
+  return date;
+};
+
+// Helper to build the flight log filter from the query, limited to the user's organization
+const buildFilter = (req, drone) => {
+  const filter = { organization: req.user.organization };
+
+  if (drone || req.query.drone) {
+    filter.drone = drone || req.query.drone;
+  }
+
+  if (req.query.mission) {
+    filter.mission = req.query.mission;
+  }
+
+  if (req.query.battery) {
+    filter.battery = req.query.battery;
+  }
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  if (req.query.from || req.query.to) {
+    filter.startTime = {};
+    if (req.query.from) filter.startTime.$gte = parseDate(req.query.from, 'from');
+    if (req.query.to) filter.startTime.$lte = parseDate(req.query.to, 'to');
+  }
+
+  return filter;
+};
+
+// Helper to answer with a page of flight logs, newest first
+const sendPage = async (req, res, filter) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const flightLogs = await FlightLog.find(filter)
+    .populate('drone', 'name serialNumber model')
+    .populate('mission', 'name')
+    .populate('battery', 'serialNumber')
+    .sort({ startTime: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await FlightLog.countDocuments(filter);
+
+  res.status(200).json({
+    flightLogs,
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    }
+  });
+};
+
+// Helper to send flight logs as a download
+const sendExport = async (req, res, filter, fileName) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!FLIGHT_LOG_EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      message: `Unsupported export format, use one of ${Object.keys(FLIGHT_LOG_EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  const logs = await FlightLog.find(filter)
+    .populate('drone', 'name serialNumber model')
+    .populate('mission', 'name')
+    .populate('battery', 'serialNumber')
+    .sort({ startTime: -1 })
+    .limit(MAX_EXPORT);
+
+  const { content, contentType, extension } = writeFlightLogs(logs, format);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${fileName}.${extension}"`
+  });
+  res.status(200).send(content);
+};
+
+// Helper to find a drone of the user's organization
+const findDrone = (req) => Drone.findOne({ _id: req.params.id, organization: req.user.organization });
+
+/**
+ * Get the flight logs of the user's organization
+ * @route GET /api/flight-logs?drone=&mission=&battery=&status=&from=&to=&page=&limit=
+ */
+exports.getFlightLogs = async (req, res) => {
+  try {
+    await sendPage(req, res, buildFilter(req));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get the flight logs of a drone
+ * @route GET /api/drones/:id/flight-logs?mission=&status=&from=&to=&page=&limit=
+ */
+exports.getDroneFlightLogs = async (req, res) => {
+  try {
+    const drone = await findDrone(req);
+    if (!drone) {
+      return res.status(404).json({ message: 'Drone not found' });
+    }
+
+    await sendPage(req, res, buildFilter(req, drone._id));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a single flight log
+ * @route GET /api/flight-logs/:id
+ */
+exports.getFlightLogById = async (req, res) => {
+  try {
+    const flightLog = await FlightLog.findOne({ _id: req.params.id, organization: req.user.organization })
+      .populate('drone', 'name serialNumber model')
+      .populate('mission', 'name status')
+      .populate('survey', 'name')
+      .populate('battery', 'serialNumber model');
+    if (!flightLog) {
+      return res.status(404).json({ message: 'Flight log not found' });
+    }
+
+    res.status(200).json(flightLog);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Download the flight logs of the user's organization
+ * @route GET /api/flight-logs/export?format=&drone=&mission=&battery=&status=&from=&to=
+ */
+exports.exportFlightLogs = async (req, res) => {
+  try {
+    await sendExport(req, res, buildFilter(req), 'flight-logs');
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Download the flight logs of a drone
+ * @route GET /api/drones/:id/flight-logs/export?format=&mission=&status=&from=&to=
+ */
+exports.exportDroneFlightLogs = async (req, res) => {
+  try {
+    const drone = await findDrone(req);
+    if (!drone) {
+      return res.status(404).json({ message: 'Drone not found' });
+    }
+
+    const fileName = `${drone.name.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'drone'}-flight-logs`;
+    await sendExport(req, res, buildFilter(req, drone._id), fileName);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
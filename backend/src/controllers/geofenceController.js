@@ -0,0 +1,180 @@
+const Geofence = require('../models/Geofence');
+const { normalizeBoundary } = require('../utils/flightPatterns');
+const { isGeofenceActive, validateTimeWindows } = require('../utils/geofence');
+const { toLngLat } = require('../utils/geodesy');
+const { importGeofences } = require('../services/geofenceService');
+
+// Helper to store a boundary (GeoJSON Polygon or list of points) as a closed GeoJSON ring
+const toGeometry = (boundary) => {
+  const points = normalizeBoundary(boundary);
+  if (points.length < 3) {
+    throw new Error('Geofence boundary must contain at least 3 points');
+  }
+
+  const ring = points.map(toLngLat);
+  return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+};
+
+/**
+ * Get the geofences of the user's organization
+ * @route GET /api/geofences
+ */
+exports.getGeofences = async (req, res) => {
+  try {
+    const filter = { organization: req.user.organization };
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const geofences = await Geofence.find(filter).sort({ createdAt: -1 });
+
+    // Only the zones in force right now when asked for active ones
+    const result = req.query.active === 'true'
+      ? geofences.filter(geofence => isGeofenceActive(geofence))
+      : geofences;
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a single geofence
+ * @route GET /api/geofences/:id
+ */
+exports.getGeofenceById = async (req, res) => {
+  try {
+    const geofence = await Geofence.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!geofence) {
+      return res.status(404).json({ message: 'Geofence not found' });
+    }
+
+    res.status(200).json(geofence);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Create a geofence
+ * @route POST /api/geofences
+ */
+exports.createGeofence = async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      type,
+      geometry,
+      ceiling,
+      floor,
+      timeWindows,
+      breachAction,
+      enabled
+    } = req.body;
+
+    const geofence = await Geofence.create({
+      name,
+      description,
+      type,
+      geometry: toGeometry(geometry),
+      ceiling,
+      floor,
+      timeWindows: validateTimeWindows(timeWindows),
+      breachAction,
+      enabled,
+      organization: req.user.organization,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json(geofence);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Update a geofence
+ * @route PUT /api/geofences/:id
+ */
+exports.updateGeofence = async (req, res) => {
+  try {
+    const geofence = await Geofence.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!geofence) {
+      return res.status(404).json({ message: 'Geofence not found' });
+    }
+
+    ['name', 'description', 'type', 'ceiling', 'floor', 'breachAction', 'enabled'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        geofence[field] = req.body[field];
+      }
+    });
+
+    if (req.body.geometry !== undefined) {
+      geofence.geometry = toGeometry(req.body.geometry);
+    }
+
+    if (req.body.timeWindows !== undefined) {
+      geofence.timeWindows = validateTimeWindows(req.body.timeWindows);
+    }
+
+    await geofence.save();
+
+    res.status(200).json(geofence);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Import geofences from a GeoJSON or OpenAir airspace file
+ * The file is sent as the request body, zones already imported are updated by their external ID
+ * @route POST /api/geofences/import
+ */
+exports.importGeofences = async (req, res) => {
+  try {
+    const empty = typeof req.body === 'string' ? req.body.trim() === '' : !req.body || Object.keys(req.body).length === 0;
+    if (empty) {
+      return res.status(400).json({ message: 'Send the airspace file as the request body' });
+    }
+
+    const elevation = req.query.elevation !== undefined ? parseFloat(req.query.elevation) : undefined;
+    if (elevation !== undefined && !Number.isFinite(elevation)) {
+      return res.status(400).json({ message: 'Elevation must be a number of meters above sea level' });
+    }
+
+    const result = await importGeofences(req.body, {
+      format: req.query.format,
+      elevation,
+      organization: req.user.organization,
+      user: req.user
+    });
+
+    if (result.imported.length === 0 && result.errors.length > 0) {
+      return res.status(400).json({ message: 'No airspace could be imported', ...result });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Delete a geofence
+ * @route DELETE /api/geofences/:id
+ */
+exports.deleteGeofence = async (req, res) => {
+  try {
+    const geofence = await Geofence.findOneAndDelete({ _id: req.params.id, organization: req.user.organization });
+    if (!geofence) {
+      return res.status(404).json({ message: 'Geofence not found' });
+    }
+
+    res.status(200).json({ message: 'Geofence deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
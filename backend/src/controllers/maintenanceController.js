@@ -0,0 +1,256 @@
+const MaintenanceRecord = require('../models/MaintenanceRecord');
+const Drone = require('../models/Drone');
+const User = require('../models/User');
+const { getMaintenanceStatus, setMaintenanceStatus } = require('../services/maintenanceService');
+const { refreshDroneHealth } = require('../services/droneHealthService');
+
+// Record fields that can be set when creating or updating a maintenance record
+const EDITABLE_FIELDS = ['type', 'description', 'date', 'technician', 'parts', 'notes', 'batteryHealth', 'photos', 'cost'];
+
+const RECORD_STATUSES = ['scheduled', 'in-progress', 'completed', 'cancelled'];
+
+// Helper to pick the editable fields of a request body, checking the technician belongs to the organization
+const readFields = async (req) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+  });
+
+  if (fields.technician) {
+    const technician = await User.findOne({ _id: fields.technician, organization: req.user.organization }).select('_id');
+    if (!technician) {
+      throw new Error('Technician not found in your organization');
+    }
+  }
+  return fields;
+};
+
+// Helper to build the maintenance record filter from the query, limited to the user's organization
+const buildFilter = (req, drone) => {
+  const filter = { organization: req.user.organization };
+
+  if (drone || req.query.drone) {
+    filter.drone = drone || req.query.drone;
+  }
+
+  ['status', 'type'].forEach(field => {
+    if (req.query[field]) filter[field] = req.query[field];
+  });
+
+  if (req.query.from || req.query.to) {
+    filter.date = {};
+    if (req.query.from) filter.date.$gte = new Date(req.query.from);
+    if (req.query.to) filter.date.$lte = new Date(req.query.to);
+  }
+
+  return filter;
+};
+
+// Helper to find a page of maintenance records, newest first
+const findPage = async (req, filter) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const records = await MaintenanceRecord.find(filter)
+    .populate('drone', 'name serialNumber model')
+    .populate('technician', 'name email')
+    .sort({ date: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await MaintenanceRecord.countDocuments(filter);
+
+  return {
+    records,
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Helper to find a drone of the user's organization
+const findDrone = (req, id) => Drone.findOne({ _id: id, organization: req.user.organization });
+
+/**
+ * Get the maintenance records of the user's organization
+ * @route GET /api/maintenance?drone=&status=&type=&from=&to=&page=&limit=
+ */
+exports.getMaintenanceRecords = async (req, res) => {
+  try {
+    res.status(200).json(await findPage(req, buildFilter(req)));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get the maintenance history of a drone, with when it next falls due
+ * @route GET /api/drones/:id/maintenance?status=&type=&from=&to=&page=&limit=
+ */
+exports.getDroneMaintenance = async (req, res) => {
+  try {
+    const drone = await findDrone(req, req.params.id);
+    if (!drone) {
+      return res.status(404).json({ message: 'Drone not found' });
+    }
+
+    const scheduled = await MaintenanceRecord.findOne({ drone: drone._id, status: 'scheduled' })
+      .sort({ date: 1 })
+      .select('type description date');
+
+    res.status(200).json({
+      maintenance: {
+        ...getMaintenanceStatus(drone),
+        lastMaintenanceDate: drone.lastMaintenanceDate,
+        totalFlightTime: drone.totalFlightTime,
+        scheduled
+      },
+      ...await findPage(req, buildFilter(req, drone._id))
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a single maintenance record
+ * @route GET /api/maintenance/:id
+ */
+exports.getMaintenanceRecordById = async (req, res) => {
+  try {
+    const record = await MaintenanceRecord.findOne({ _id: req.params.id, organization: req.user.organization })
+      .populate('drone', 'name serialNumber model')
+      .populate('technician', 'name email')
+      .populate('createdBy', 'name');
+    if (!record) {
+      return res.status(404).json({ message: 'Maintenance record not found' });
+    }
+
+    res.status(200).json(record);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Record or schedule maintenance of a drone
+ * Records dated in the future are scheduled, others are recorded as completed unless a status is given.
+ * @route POST /api/drones/:id/maintenance
+ */
+exports.addMaintenanceRecord = async (req, res) => {
+  try {
+    const fields = await readFields(req);
+    if (!fields.type || !fields.description) {
+      return res.status(400).json({ message: 'Maintenance type and description are required' });
+    }
+
+    const date = fields.date ? new Date(fields.date) : new Date();
+    const status = req.body.status || (date > new Date() ? 'scheduled' : 'completed');
+    if (!RECORD_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of ${RECORD_STATUSES.join(', ')}` });
+    }
+
+    const drone = await findDrone(req, req.params.id);
+    if (!drone) {
+      return res.status(404).json({ message: 'Drone not found' });
+    }
+
+    const record = new MaintenanceRecord({
+      ...fields,
+      date,
+      drone: drone._id,
+      technician: fields.technician || req.user._id,
+      status: 'scheduled',
+      organization: drone.organization,
+      createdBy: req.user._id
+    });
+    await record.validate();
+    await setMaintenanceStatus(record, drone, status, date);
+    const health = await refreshDroneHealth(drone);
+
+    res.status(201).json({
+      record,
+      maintenance: getMaintenanceStatus(drone),
+      droneStatus: drone.status,
+      health
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Update a maintenance record, a new status starts, completes or cancels the work
+ * @route PUT /api/maintenance/:id
+ */
+exports.updateMaintenanceRecord = async (req, res) => {
+  try {
+    const record = await MaintenanceRecord.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!record) {
+      return res.status(404).json({ message: 'Maintenance record not found' });
+    }
+
+    const status = req.body.status || record.status;
+    if (!RECORD_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of ${RECORD_STATUSES.join(', ')}` });
+    }
+
+    const drone = await Drone.findById(record.drone);
+    if (!drone) {
+      return res.status(404).json({ message: 'Drone not found' });
+    }
+
+    record.set(await readFields(req));
+    await record.validate();
+    await setMaintenanceStatus(record, drone, status, req.body.date);
+    const health = await refreshDroneHealth(drone);
+
+    res.status(200).json({
+      record,
+      maintenance: getMaintenanceStatus(drone),
+      droneStatus: drone.status,
+      health
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Complete a maintenance record, with the parts, cost, notes and battery health found
+ * @route POST /api/maintenance/:id/complete
+ */
+exports.completeMaintenanceRecord = async (req, res) => {
+  try {
+    const record = await MaintenanceRecord.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!record) {
+      return res.status(404).json({ message: 'Maintenance record not found' });
+    }
+
+    if (record.status === 'completed' || record.status === 'cancelled') {
+      return res.status(400).json({ message: `Maintenance record is already ${record.status}` });
+    }
+
+    const drone = await Drone.findById(record.drone);
+    if (!drone) {
+      return res.status(404).json({ message: 'Drone not found' });
+    }
+
+    record.set(await readFields(req));
+    await record.validate();
+    await setMaintenanceStatus(record, drone, 'completed', req.body.date);
+    const health = await refreshDroneHealth(drone);
+
+    res.status(200).json({
+      record,
+      maintenance: getMaintenanceStatus(drone),
+      droneStatus: drone.status,
+      health
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
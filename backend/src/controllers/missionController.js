@@ -1,6 +1,49 @@
 const Mission = require('../models/Mission');
 const Drone = require('../models/Drone');
 const Survey = require('../models/Survey');
+const Waypoint = require('../models/Waypoint');
+const User = require('../models/User');
+const flightSimulator = require('../services/flightSimulator');
+const { completeMission } = require('../services/missionService');
+const { runPreflightCheck } = require('../services/preflightService');
+const {
+  createSorties,
+  previewSorties,
+  resumeAfterInterruption,
+  updateParentCompletion
+} = require('../services/sortieService');
+const {
+  planTerrainFollowing,
+  getMissionProfile,
+  deleteUnusedTerrainModel
+} = require('../services/terrainService');
+const {
+  checkRoute,
+  avoidGeofences,
+  detectBreaches,
+  respondToBreaches
+} = require('../services/geofenceService');
+const { describeViolations } = require('../utils/geofence');
+const { toWaypoints, replaceWaypoints, reorderWaypoints } = require('../services/waypointService');
+const { previewMissionImport, createImportedMission } = require('../services/missionImportService');
+const { recordSample, getTelemetryHistory } = require('../services/telemetryService');
+const { analyzeMissionDeviation } = require('../services/deviationService');
+const { openFlightLog, updateFlightLog, recordFlightEvent, closeFlightLog } = require('../services/flightLogService');
+const { exportMission, EXPORT_FORMATS } = require('../utils/missionExport');
+const {
+  normalizeBoundary,
+  altitudeForGsd,
+  generateGridPattern,
+  generateCrosshatchPattern,
+  generateSpiralPattern,
+  generateExpandingSquarePattern,
+  generatePerimeterPattern
+} = require('../utils/flightPatterns');
+const {
+  routeDistance,
+  waypointsToPoints,
+  optimizeRoute
+} = require('../utils/missionCalculations');
 
 /**
  * Get all missions with optional filtering
@@ -46,6 +89,11 @@ exports.getMissionById = async (req, res) => {
       .populate({
         path: 'survey',
         select: 'name description status'
+      })
+      .populate('pilot', 'name email')
+      .populate({
+        path: 'waypoints',
+        options: { sort: { order: 1 } }
       });
       
     if (!mission) {
@@ -75,6 +123,8 @@ exports.createMission = async (req, res) => {
       startTime,
       endTime,
       environmentalConditions,
+      boundingBox,
+      terrain,
       survey
     } = req.body;
     
@@ -93,7 +143,6 @@ exports.createMission = async (req, res) => {
       name,
       description,
       drone,
-      waypoints,
       altitude,
       speed,
       pattern,
@@ -101,10 +150,28 @@ exports.createMission = async (req, res) => {
       startTime,
       endTime,
       environmentalConditions,
+      boundingBox: toBoundingBox(boundingBox),
+      terrain,
       createdBy: req.user.id,
+      organization: req.user.organization,
       survey
     });
     
+    // Waypoints are given in flight order as { latitude, longitude, altitude, action, ... }
+    const waypointDocuments = toWaypoints(mission, Array.isArray(waypoints) ? waypoints : []);
+    
+    // Keep the route out of the organization's no-fly zones
+    const violations = await checkRoute(waypointsToPoints(waypointDocuments), {
+      organization: req.user.organization,
+      time: startTime
+    });
+    if (violations.length > 0) {
+      return res.status(400).json({ message: describeViolations(violations), violations });
+    }
+    
+    await mission.validate();
+    await Waypoint.insertMany(waypointDocuments);
+    mission.waypoints = waypointDocuments.map(waypoint => waypoint._id);
     const savedMission = await mission.save();
     
     // If this mission is part of a survey, update the survey
@@ -142,12 +209,15 @@ exports.updateMission = async (req, res) => {
       description, 
       drone, 
       waypoints, 
+      waypointsVersion,
       altitude, 
       speed,
       pattern,
       startTime, 
       endTime, 
-      environmentalConditions
+      environmentalConditions,
+      boundingBox,
+      terrain
     } = req.body;
     
     // Find current mission
@@ -163,10 +233,10 @@ exports.updateMission = async (req, res) => {
       });
     }
     
-    // If drone is being changed, handle drone assignment
+    // If drone is being changed, check the new drone before changing anything
+    let newDrone = null;
     if (drone && drone !== currentMission.drone.toString()) {
-      // Check if new drone exists and is available
-      const newDrone = await Drone.findById(drone);
+      newDrone = await Drone.findById(drone);
       if (!newDrone) {
         return res.status(404).json({ message: 'Drone not found' });
       }
@@ -174,7 +244,30 @@ exports.updateMission = async (req, res) => {
       if (newDrone.status !== 'available' && newDrone.status !== 'idle') {
         return res.status(400).json({ message: 'Drone is not available for mission' });
       }
+    }
+    
+    // A changed route replaces the waypoints at the version the edit is based on,
+    // and is kept out of the organization's no-fly zones
+    if (waypoints) {
+      if (waypointsVersion === undefined || Number(waypointsVersion) !== (currentMission.waypointsVersion || 0)) {
+        return res.status(409).json({
+          message: 'The waypoints were changed by someone else, reload them and try again',
+          version: currentMission.waypointsVersion || 0
+        });
+      }
       
+      if (startTime) currentMission.startTime = startTime;
+      if (altitude) currentMission.altitude = altitude;
+      const result = await replaceWaypoints(currentMission, Number(waypointsVersion), waypoints);
+      if (!result) {
+        return res.status(409).json({ message: 'The waypoints were changed by someone else, reload them and try again' });
+      }
+      if (result.violations) {
+        return res.status(400).json({ message: describeViolations(result.violations), violations: result.violations });
+      }
+    }
+    
+    if (newDrone) {
       // Free up the old drone
       const oldDrone = await Drone.findById(currentMission.drone);
       if (oldDrone) {
@@ -194,17 +287,18 @@ exports.updateMission = async (req, res) => {
         name,
         description,
         drone,
-        waypoints,
         altitude,
         speed,
         pattern,
         startTime,
         endTime,
         environmentalConditions,
+        boundingBox: toBoundingBox(boundingBox),
+        terrain,
         updatedAt: Date.now()
       },
       { new: true, runValidators: true }
-    ).populate('drone');
+    ).populate('drone').populate({ path: 'waypoints', options: { sort: { order: 1 } } });
     
     // Emit mission update event
     const io = req.app.get('io');
@@ -254,6 +348,12 @@ exports.deleteMission = async (req, res) => {
     }
     
     await Mission.findByIdAndDelete(req.params.id);
+    await Waypoint.deleteMany({ _id: { $in: mission.waypoints } });
+    
+    // Drop a terrain model replaced on the site that only this mission still used
+    if (mission.terrain && mission.terrain.model) {
+      await deleteUnusedTerrainModel(mission.terrain.model);
+    }
     
     // Emit mission deletion event
     const io = req.app.get('io');
@@ -268,7 +368,7 @@ exports.deleteMission = async (req, res) => {
 };
 
 /**
- * Start a mission
+ * Start a mission, flown by the user starting it or the `pilot` named in the body
  * @route POST /api/missions/:id/start
  */
 exports.startMission = async (req, res) => {
@@ -282,33 +382,49 @@ exports.startMission = async (req, res) => {
       return res.status(400).json({ message: 'Mission cannot be started' });
     }
     
+    // A split mission is flown one sortie at a time, in order
+    if (mission.sorties && mission.sorties.length > 0) {
+      return res.status(400).json({ message: 'Start the individual sorties of this mission' });
+    }
+    
+    if (mission.parentMission) {
+      const unfinished = await Mission.countDocuments({
+        parentMission: mission.parentMission,
+        'sortie.number': { $lt: mission.sortie.number },
+        status: { $in: ['planned', 'in-progress', 'paused'] }
+      });
+      if (unfinished > 0) {
+        return res.status(400).json({ message: 'Earlier sorties of this mission have not been flown yet' });
+      }
+    }
+    
+    // Refuse to launch a mission the drone cannot complete
+    const preflight = await runPreflightCheck(mission);
+    if (preflight.status === 'fail') {
+      return res.status(400).json({ message: 'Pre-flight check failed', preflight });
+    }
+    
+    // The user starting the mission is the pilot in command unless another pilot is named
+    let pilot = req.user._id;
+    if (req.body && req.body.pilot) {
+      const named = await User.findOne({ _id: req.body.pilot, organization: req.user.organization }).select('_id');
+      if (!named) {
+        return res.status(400).json({ message: 'Pilot not found in your organization' });
+      }
+      pilot = named._id;
+    }
+    
     // Update mission status
     mission.status = 'in-progress';
+    mission.pilot = pilot;
     mission.startTime = Date.now();
     mission.progress = 0;
     mission.currentWaypointIndex = 0;
     
     // Calculate estimated duration based on waypoints, speed and distance
     if (mission.waypoints && mission.waypoints.length > 1 && mission.speed) {
-      let totalDistance = 0;
-      for (let i = 0; i < mission.waypoints.length - 1; i++) {
-        const p1 = mission.waypoints[i];
-        const p2 = mission.waypoints[i + 1];
-        
-        // Calculate distance between waypoints using the Haversine formula
-        const R = 6371e3; // Earth radius in meters
-        const φ1 = p1.latitude * Math.PI/180;
-        const φ2 = p2.latitude * Math.PI/180;
-        const Δφ = (p2.latitude - p1.latitude) * Math.PI/180;
-        const Δλ = (p2.longitude - p1.longitude) * Math.PI/180;
-        
-        const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-                Math.cos(φ1) * Math.cos(φ2) *
-                Math.sin(Δλ/2) * Math.sin(Δλ/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        
-        totalDistance += R * c;
-      }
+      const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } });
+      const totalDistance = routeDistance(waypointsToPoints(waypoints));
       
       // Calculate estimated duration in minutes
       mission.estimatedDuration = totalDistance / (mission.speed * 60);
@@ -319,6 +435,7 @@ exports.startMission = async (req, res) => {
     
     // Update drone status
     const drone = await Drone.findById(mission.drone);
+    await openFlightLog(mission, drone);
     if (drone) {
       drone.status = 'flying';
       drone.currentMission = mission._id;
@@ -331,6 +448,9 @@ exports.startMission = async (req, res) => {
       }
     }
     
+    // Fly the mission in the simulator when no hardware is driving it
+    await flightSimulator.startFlight(mission);
+    
     // Emit mission start event
     const io = req.app.get('io');
     if (io) {
@@ -343,6 +463,24 @@ exports.startMission = async (req, res) => {
   }
 };
 
+/**
+ * Check a mission against its drone's limits, battery and the forecast wind
+ * @route POST /api/missions/:id/preflight
+ */
+exports.preflightCheck = async (req, res) => {
+  try {
+    const mission = await Mission.findById(req.params.id);
+    if (!mission) {
+      return res.status(404).json({ message: 'Mission not found' });
+    }
+    
+    const preflight = await runPreflightCheck(mission);
+    res.status(200).json(preflight);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 /**
  * Pause a mission
  * @route POST /api/missions/:id/pause
@@ -362,6 +500,8 @@ exports.pauseMission = async (req, res) => {
     mission.status = 'paused';
     mission.pauseTime = Date.now();
     await mission.save();
+    flightSimulator.pauseFlight(mission._id);
+    await updateFlightLog(mission, { code: 'PAUSED', message: 'Mission paused', severity: 'info' });
     
     // Update drone status
     const drone = await Drone.findById(mission.drone);
@@ -407,6 +547,8 @@ exports.resumeMission = async (req, res) => {
     mission.status = 'in-progress';
     mission.pauseTime = null;
     await mission.save();
+    flightSimulator.resumeFlight(mission._id);
+    await recordFlightEvent({ mission: mission._id }, { code: 'RESUMED', message: 'Mission resumed', severity: 'info' });
     
     // Update drone status
     const drone = await Drone.findById(mission.drone);
@@ -439,23 +581,44 @@ exports.resumeMission = async (req, res) => {
  */
 exports.abortMission = async (req, res) => {
   try {
-    const mission = await Mission.findById(req.params.id);
-    if (!mission) {
+    const current = await Mission.findById(req.params.id);
+    if (!current) {
       return res.status(404).json({ message: 'Mission not found' });
     }
     
-    if (mission.status !== 'in-progress' && mission.status !== 'paused') {
+    if (current.status !== 'in-progress' && current.status !== 'paused') {
       return res.status(400).json({ message: 'Only active missions can be aborted' });
     }
     
-    // Update mission status
-    mission.status = 'aborted';
-    mission.endTime = Date.now();
-    mission.abortReason = req.body.reason || 'Manually aborted';
-    await mission.save();
+    // Update mission status while it is still active, so a completion that lands first is kept
+    const mission = await Mission.findOneAndUpdate(
+      { _id: current._id, status: { $in: ['in-progress', 'paused'] } },
+      {
+        status: 'aborted',
+        endTime: Date.now(),
+        abortReason: req.body.reason || 'Manually aborted'
+      },
+      { new: true }
+    );
+    if (!mission) {
+      return res.status(400).json({ message: 'Only active missions can be aborted' });
+    }
+    
+    // Remember where an interrupted sortie stopped before the drone heads home, and complete the split
+    // mission when nothing is left to re-plan. The abort goes ahead even when re-planning fails
+    try {
+      const sorties = await resumeAfterInterruption(mission);
+      if (!sorties || sorties.length === 0) await updateParentCompletion(mission);
+    } catch (error) {
+      console.error('Failed to re-plan sorties:', error.message);
+    }
     
     // Update drone status - initiate return to home procedure
     const drone = await Drone.findById(mission.drone);
+    await closeFlightLog(mission, {
+      drone,
+      event: { code: 'ABORTED', message: mission.abortReason, severity: 'error' }
+    });
     if (drone) {
       drone.status = 'returning';
       await drone.save();
@@ -467,17 +630,19 @@ exports.abortMission = async (req, res) => {
       }
       
       // In a real system, you would send RTH (Return To Home) command to the drone
-      // For simulation, we'll update the drone status to available after a delay
-      setTimeout(async () => {
-        drone.status = 'available';
-        drone.currentMission = null;
-        await drone.save();
-        
-        // Emit drone status update
-        if (io) {
-          io.emit('droneStatusUpdate', { droneId: drone._id, status: drone.status });
-        }
-      }, 10000); // 10 seconds to simulate return to home
+      // Simulated flights fly home on their own, otherwise update the status after a delay
+      if (!flightSimulator.returnToHome(mission._id)) {
+        setTimeout(async () => {
+          drone.status = 'available';
+          drone.currentMission = null;
+          await drone.save();
+          
+          // Emit drone status update
+          if (io) {
+            io.emit('droneStatusUpdate', { droneId: drone._id, status: drone.status });
+          }
+        }, 10000); // 10 seconds to simulate return to home
+      }
     }
     
     // Emit mission abort event
@@ -510,145 +675,51 @@ exports.completeMission = async (req, res) => {
       return res.status(400).json({ message: 'Only active missions can be completed' });
     }
     
-    // Update mission status and data
-    mission.status = 'completed';
-    mission.progress = 100;
-    mission.endTime = Date.now();
-    mission.currentWaypointIndex = mission.waypoints.length - 1;
-    
-    // Calculate mission statistics
-    let totalDistance = 0;
-    if (mission.waypoints && mission.waypoints.length > 1) {
-      for (let i = 0; i < mission.waypoints.length - 1; i++) {
-        const p1 = mission.waypoints[i];
-        const p2 = mission.waypoints[i + 1];
-        
-        // Calculate distance between waypoints using the Haversine formula
-        const R = 6371e3; // Earth radius in meters
-        const φ1 = p1.latitude * Math.PI/180;
-        const φ2 = p2.latitude * Math.PI/180;
-        const Δφ = (p2.latitude - p1.latitude) * Math.PI/180;
-        const Δλ = (p2.longitude - p1.longitude) * Math.PI/180;
-        
-        const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-                Math.cos(φ1) * Math.cos(φ2) *
-                Math.sin(Δλ/2) * Math.sin(Δλ/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        
-        totalDistance += R * c;
-      }
-      
-      // Convert to kilometers
-      totalDistance = totalDistance / 1000;
-    }
-    
-    // Estimate area covered based on pattern
-    let areaCovered = 0;
-    if (mission.pattern === 'grid' || mission.pattern === 'crosshatch') {
-      // For grid patterns, estimate area as rectangular coverage
-      if (mission.waypoints && mission.waypoints.length >= 4) {
-        // Find min and max lat/long to calculate covered area
-        const lats = mission.waypoints.map(wp => wp.latitude);
-        const longs = mission.waypoints.map(wp => wp.longitude);
-        
-        const minLat = Math.min(...lats);
-        const maxLat = Math.max(...lats);
-        const minLong = Math.min(...longs);
-        const maxLong = Math.max(...longs);
-        
-        // Calculate area using the Haversine formula
-        const R = 6371; // Earth radius in km
-        const φ1 = minLat * Math.PI/180;
-        const φ2 = maxLat * Math.PI/180;
-        const λ1 = minLong * Math.PI/180;
-        const λ2 = maxLong * Math.PI/180;
-        
-        // Width is distance between min/max longitude at the mean latitude
-        const meanLat = (minLat + maxLat) / 2;
-        const width = R * Math.cos(meanLat * Math.PI/180) * Math.abs(λ2 - λ1);
-        
-        // Height is distance between min/max latitude
-        const height = R * Math.abs(φ2 - φ1);
-        
-        areaCovered = width * height;
-      }
-    } else if (mission.pattern === 'perimeter') {
-      // For perimeter, calculate approximate area of polygon
-      // This is a simplified approximation
-      if (mission.waypoints && mission.waypoints.length >= 3) {
-        let area = 0;
-        for (let i = 0; i < mission.waypoints.length; i++) {
-          const j = (i + 1) % mission.waypoints.length;
-          area += mission.waypoints[i].longitude * mission.waypoints[j].latitude;
-          area -= mission.waypoints[j].longitude * mission.waypoints[i].latitude;
-        }
-        areaCovered = Math.abs(area / 2) * 111 * 111; // rough conversion to km²
-      }
-    }
-    
-    // Save mission statistics
-    mission.statistics = {
-      distance: parseFloat(totalDistance.toFixed(2)),
-      areaCovered: parseFloat(areaCovered.toFixed(2)),
-      duration: Math.round((new Date(mission.endTime) - new Date(mission.startTime)) / (1000 * 60)), // minutes
+    // Record the mission statistics, close its flight log and complete its parent and survey
+    const result = await completeMission(mission, {
       batteryUsed: req.body.batteryUsed || 0,
       images: req.body.images || 0,
       videos: req.body.videos || 0
-    };
-    
-    await mission.save();
+    });
+    if (!result) {
+      return res.status(400).json({ message: 'Only active missions can be completed' });
+    }
+    const { mission: completed, drone, survey } = result;
     
     // Update drone status - initiate return to home procedure
-    const drone = await Drone.findById(mission.drone);
     if (drone) {
       drone.status = 'returning';
-      drone.flightHours = (drone.flightHours || 0) + (mission.statistics.duration / 60);
       await drone.save();
       
       // In a real system, you would send RTH command to the drone
-      // For simulation, we'll update the drone status to available after a delay
-      setTimeout(async () => {
-        drone.status = 'available';
-        drone.currentMission = null;
-        await drone.save();
-        
-        // Emit drone status update
-        const io = req.app.get('io');
-        if (io) {
-          io.emit('droneStatusUpdate', { droneId: drone._id, status: drone.status });
-        }
-      }, 10000); // 10 seconds to simulate return to home
-    }
-    
-    // Update survey completion status if this is the last mission
-    if (mission.survey) {
-      const survey = await Survey.findById(mission.survey);
-      if (survey) {
-        const allMissions = await Mission.find({ survey: survey._id });
-        const allCompleted = allMissions.every(m => 
-          m.status === 'completed' || m.status === 'aborted');
+      // Simulated flights fly home on their own, otherwise update the status after a delay
+      if (!flightSimulator.returnToHome(completed._id)) {
+        setTimeout(async () => {
+          drone.status = 'available';
+          drone.currentMission = null;
+          await drone.save();
           
-        if (allCompleted) {
-          survey.status = 'completed';
-          survey.completedAt = Date.now();
-          await survey.save();
-          
-          // Emit survey completion event
+          // Emit drone status update
           const io = req.app.get('io');
           if (io) {
-            io.emit('surveyCompleted', { surveyId: survey._id });
+            io.emit('droneStatusUpdate', { droneId: drone._id, status: drone.status });
           }
-        }
+        }, 10000); // 10 seconds to simulate return to home
       }
     }
     
-    // Emit mission completion event
     const io = req.app.get('io');
     if (io) {
-      io.emit('missionComplete', mission);
+      // Emit survey completion event
+      if (survey) {
+        io.emit('surveyCompleted', { surveyId: survey._id });
+      }
+      
+      // Emit mission completion event
+      io.emit('missionComplete', completed);
     }
     
-    res.status(200).json(mission);
+    res.status(200).json(completed);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -698,6 +769,36 @@ exports.updateMissionProgress = async (req, res) => {
       }
     }
     
+    // Check a reported position against the organization's geofences
+    let breaches = [];
+    const position = telemetry && {
+      latitude: parseFloat(telemetry.latitude),
+      longitude: parseFloat(telemetry.longitude),
+      altitude: parseFloat(telemetry.altitude) || 0
+    };
+    if (position && Number.isFinite(position.latitude) && Number.isFinite(position.longitude)) {
+      await Drone.findByIdAndUpdate(mission.drone, {
+        lastLocation: { type: 'Point', coordinates: [position.longitude, position.latitude] }
+      });
+      breaches = await detectBreaches(mission, position);
+    }
+    
+    if (telemetry && mission.drone) {
+      recordSample({
+        drone: mission.drone,
+        mission: mission._id,
+        source: 'api',
+        latitude: parseFloat(telemetry.latitude),
+        longitude: parseFloat(telemetry.longitude),
+        altitude: parseFloat(telemetry.altitude),
+        speed: parseFloat(telemetry.speed),
+        heading: parseFloat(telemetry.heading),
+        batteryLevel: parseFloat(telemetry.batteryLevel),
+        signalStrength: parseFloat(telemetry.signalStrength),
+        temperature: parseFloat(telemetry.temperature)
+      });
+    }
+    
     // Calculate estimated time remaining
     if (mission.estimatedDuration) {
       mission.estimatedTimeRemaining = 
@@ -718,7 +819,13 @@ exports.updateMissionProgress = async (req, res) => {
       });
     }
     
-    res.status(200).json({ message: 'Mission progress updated' });
+    // Alert on breaches and send the drone home when a zone requires it
+    const returnToHome = await respondToBreaches(mission, breaches);
+    
+    res.status(200).json({
+      message: 'Mission progress updated',
+      ...(breaches.length > 0 && { geofenceBreaches: breaches, returnToHome })
+    });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -747,6 +854,62 @@ exports.getMissionTelemetry = async (req, res) => {
   }
 };
 
+/**
+ * Get the recorded telemetry of a mission, over the whole flight unless a time range is given
+ * @route GET /api/missions/:id/telemetry/history?from=&to=&resolution=
+ */
+exports.getMissionTelemetryHistory = async (req, res) => {
+  try {
+    const mission = await Mission.findById(req.params.id);
+    if (!mission) {
+      return res.status(404).json({ message: 'Mission not found' });
+    }
+    
+    const start = mission.startTime || mission.createdAt;
+    const history = await getTelemetryHistory({ mission: mission._id }, {
+      from: req.query.from,
+      to: req.query.to,
+      resolution: req.query.resolution,
+      defaultFrom: start,
+      defaultTo: mission.endTime || (['in-progress', 'paused'].includes(mission.status) ? new Date() : start)
+    });
+    
+    res.status(200).json(history);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get how far the flown track strayed from the planned path
+ * A finished flight is analyzed once and the result kept on the mission, refresh=true analyzes it
+ * again. Flights still under way are analyzed up to now on every request.
+ * @route GET /api/missions/:id/deviation?refresh=
+ */
+exports.getMissionDeviation = async (req, res) => {
+  try {
+    const mission = await Mission.findById(req.params.id);
+    if (!mission) {
+      return res.status(404).json({ message: 'Mission not found' });
+    }
+    
+    if (!mission.startTime) {
+      return res.status(400).json({ message: 'Mission has not been flown yet' });
+    }
+    
+    const analyzedAt = mission.deviation && mission.deviation.analyzedAt;
+    const current = analyzedAt && mission.endTime && analyzedAt >= mission.endTime &&
+      !['in-progress', 'paused'].includes(mission.status);
+    const deviation = current && req.query.refresh !== 'true'
+      ? mission.deviation
+      : await analyzeMissionDeviation(mission);
+    
+    res.status(200).json(deviation);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
 /**
  * Generate a flight plan based on parameters
  * @route POST /api/missions/flight-plan
@@ -756,81 +919,170 @@ exports.generateFlightPlan = async (req, res) => {
     const {
       pattern,
       boundary,
-      altitude,
       speed,
       overlap,
+      gsd,
+      angle,
+      drone,
       startPoint,
       endPoint
     } = req.body;
     
     // Validate required parameters
-    if (!pattern || !boundary || !altitude || !speed) {
+    if (!pattern || !boundary || !(req.body.altitude || gsd) || !speed) {
       return res.status(400).json({ 
-        message: 'Missing required parameters: pattern, boundary, altitude, speed' 
+        message: 'Missing required parameters: pattern, boundary, altitude or gsd, speed' 
       });
     }
     
     // Verify boundary has at least 3 points for a valid polygon
-    if (!Array.isArray(boundary) || boundary.length < 3) {
+    const boundaryPoints = normalizeBoundary(boundary);
+    if (boundaryPoints.length < 3) {
       return res.status(400).json({ 
         message: 'Boundary must contain at least 3 points' 
       });
     }
     
+    // Use the camera of the selected drone to size the flight lines
+    const droneObj = drone ? await Drone.findById(drone) : null;
+    const camera = req.body.camera || droneObj?.specifications?.camera;
+    
+    // Derive the altitude from the requested ground sampling distance if needed
+    const altitude = req.body.altitude || Math.round(altitudeForGsd(gsd, camera));
+    
+    const gridOptions = {
+      altitude,
+      camera,
+      frontOverlap: req.body.frontOverlap || overlap || 70,
+      sideOverlap: req.body.sideOverlap || overlap || 70,
+      angle: parseFloat(angle)
+    };
+    
     // Generate waypoints based on pattern
     let waypoints = [];
+    let coverage = {};
     
     switch (pattern) {
-      case 'grid':
-        waypoints = generateGridPattern(boundary, altitude, overlap || 70);
+      case 'grid': {
+        const { waypoints: gridWaypoints, ...gridCoverage } = generateGridPattern(boundaryPoints, gridOptions);
+        waypoints = gridWaypoints;
+        coverage = gridCoverage;
         break;
+      }
         
-      case 'crosshatch':
-        const horizontalGrid = generateGridPattern(boundary, altitude, overlap || 70);
-        const verticalGrid = generateGridPattern(boundary, altitude, overlap || 70, 90); // 90 degrees rotated
-        waypoints = [...horizontalGrid, ...verticalGrid];
+      case 'crosshatch': {
+        const { waypoints: crosshatchWaypoints, passes, ...crosshatchCoverage } = generateCrosshatchPattern(
+          boundaryPoints,
+          { ...gridOptions, crossAngle: parseFloat(req.body.crossAngle) }
+        );
+        waypoints = crosshatchWaypoints;
+        coverage = {
+          ...crosshatchCoverage,
+          passes: passes.map(pass => ({
+            ...pass,
+            estimatedDuration: Math.round(pass.distance / (speed * 60))
+          }))
+        };
         break;
+      }
         
-      case 'perimeter':
-        waypoints = generatePerimeterPattern(boundary, altitude);
+      case 'perimeter': {
+        const { waypoints: perimeterWaypoints, ...inspection } = generatePerimeterPattern(boundaryPoints, {
+          ...gridOptions,
+          standoff: parseFloat(req.body.standoff),
+          laps: parseInt(req.body.laps),
+          altitudeStep: parseFloat(req.body.altitudeStep),
+          photoSpacing: parseFloat(req.body.photoSpacing)
+        });
+        waypoints = perimeterWaypoints;
+        coverage = inspection;
         break;
+      }
         
-      case 'spiral':
-        waypoints = generateSpiralPattern(boundary, altitude, overlap || 70);
+      case 'spiral': {
+        const { waypoints: spiralWaypoints, ...spiralCoverage } = generateSpiralPattern(
+          boundaryPoints,
+          { ...gridOptions, direction: req.body.direction }
+        );
+        waypoints = spiralWaypoints;
+        coverage = spiralCoverage;
         break;
+      }
+        
+      case 'expanding-square': {
+        const { waypoints: squareWaypoints, ...squareCoverage } = generateExpandingSquarePattern(boundaryPoints, gridOptions);
+        waypoints = squareWaypoints;
+        coverage = squareCoverage;
+        break;
+      }
         
       default:
         return res.status(400).json({ message: 'Invalid pattern type' });
     }
     
+    if (waypoints.length === 0) {
+      return res.status(400).json({ message: 'Boundary is too small for the selected pattern' });
+    }
+    
     // If start and end points are provided, optimize the path
     if (startPoint && endPoint) {
-      waypoints = optimizeWaypoints(waypoints, startPoint, endPoint);
+      waypoints = orientWaypoints(waypoints, startPoint, endPoint);
     }
     
-    // Calculate estimated duration based on waypoints and speed
-    let totalDistance = 0;
-    for (let i = 0; i < waypoints.length - 1; i++) {
-      const p1 = waypoints[i];
-      const p2 = waypoints[i + 1];
-      
-      // Calculate distance between waypoints
-      const R = 6371e3; // Earth radius in meters
-      const φ1 = p1.latitude * Math.PI/180;
-      const φ2 = p2.latitude * Math.PI/180;
-      const Δφ = (p2.latitude - p1.latitude) * Math.PI/180;
-      const Δλ = (p2.longitude - p1.longitude) * Math.PI/180;
+    // Keep the path out of the organization's no-fly zones, rerouting around them unless asked to reject
+    let geofences;
+    const geofenceOptions = { organization: req.user.organization, time: req.body.startTime };
+    if (req.body.geofenceAction === 'reject') {
+      const violations = await checkRoute(waypoints, geofenceOptions);
+      if (violations.length > 0) {
+        return res.status(400).json({ message: describeViolations(violations), violations });
+      }
+    } else {
+      const avoided = await avoidGeofences(waypoints, geofenceOptions);
+      if (avoided.violations.length > 0) {
+        return res.status(400).json({
+          message: describeViolations(avoided.violations),
+          violations: avoided.violations
+        });
+      }
+      waypoints = avoided.waypoints;
+      if (avoided.removed > 0 || avoided.detours > 0) {
+        geofences = { removedWaypoints: avoided.removed, detours: avoided.detours };
+      }
+    }
+    
+    // Hold the altitude above the ground of the site terrain model
+    let terrain;
+    if (req.body.followTerrain) {
+      const followed = await planTerrainFollowing(waypoints, {
+        terrainModel: req.body.terrainModel,
+        survey: req.body.survey,
+        drone: droneObj,
+        minClearance: parseFloat(req.body.minClearance)
+      });
       
-      const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ/2) * Math.sin(Δλ/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+      if (followed.terrain.clearance.status === 'fail') {
+        return res.status(400).json({
+          message: `Flight path comes within ${followed.terrain.clearance.lowestClearance} m of the terrain, the minimum clearance is ${followed.terrain.minClearance} m`,
+          terrain: followed.terrain
+        });
+      }
       
-      totalDistance += R * c;
+      waypoints = followed.waypoints;
+      terrain = followed.terrain;
     }
     
+    // Calculate estimated duration based on waypoints and speed
+    const totalDistance = routeDistance(waypoints);
+    
     const estimatedDuration = totalDistance / (speed * 60); // minutes
     
+    // Show how the plan splits into battery-sized sorties when the drone endurance is known
+    const sorties = previewSorties(waypoints, {
+      speed,
+      environmentalConditions: req.body.environmentalConditions
+    }, droneObj);
+    
     // Return the flight plan
     res.status(200).json({
       waypoints,
@@ -838,22 +1090,286 @@ exports.generateFlightPlan = async (req, res) => {
       altitude,
       speed,
       overlap: overlap || 70,
+      ...coverage,
       estimatedDuration: Math.round(estimatedDuration),
-      totalDistance: Math.round(totalDistance)
+      totalDistance: Math.round(totalDistance),
+      ...(sorties && { sorties }),
+      ...(terrain && { terrain }),
+      ...(geofences && { geofences })
     });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 };
 
+/**
+ * Reorder the waypoints of a custom mission into a shorter route
+ * @route POST /api/missions/:id/optimize
+ */
+exports.optimizeMissionRoute = async (req, res) => {
+  try {
+    const { pinFirst = false, pinLast = false, useHomeLocation = true, waypointsVersion } = req.body;
+    
+    const mission = await Mission.findById(req.params.id);
+    if (!mission) {
+      return res.status(404).json({ message: 'Mission not found' });
+    }
+    
+    if (mission.pattern !== 'custom') {
+      return res.status(400).json({ message: 'Only custom missions can be optimized' });
+    }
+    
+    if (mission.status !== 'planned') {
+      return res.status(400).json({ message: `Cannot optimize a mission that is ${mission.status}` });
+    }
+    
+    // The new order is only stored over the waypoints the client has seen
+    if (waypointsVersion === undefined || Number(waypointsVersion) !== (mission.waypointsVersion || 0)) {
+      return res.status(409).json({
+        message: 'The waypoints were changed by someone else, reload them and try again',
+        version: mission.waypointsVersion || 0
+      });
+    }
+    
+    const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } }).sort({ order: 1 });
+    const points = waypointsToPoints(waypoints);
+    
+    // Depart from and return to the drone's home location when it is known
+    let home = null;
+    if (useHomeLocation) {
+      const drone = await Drone.findById(mission.drone);
+      const [longitude, latitude] = drone?.homeLocation?.coordinates || [0, 0];
+      if (longitude !== 0 || latitude !== 0) {
+        home = { latitude, longitude };
+      }
+    }
+    
+    const { order, originalDistance, optimizedDistance } = optimizeRoute(points, {
+      start: home,
+      end: home,
+      pinFirst,
+      pinLast
+    });
+    
+    // Keep the original order if the heuristics found nothing shorter
+    let result = { version: mission.waypointsVersion || 0, waypoints };
+    if (optimizedDistance < originalDistance) {
+      result = await reorderWaypoints(mission, Number(waypointsVersion), order.map(index => waypoints[index]._id));
+      if (!result) {
+        return res.status(409).json({ message: 'The waypoints were changed by someone else, reload them and try again' });
+      }
+      if (result.violations) {
+        return res.status(400).json({ message: describeViolations(result.violations), violations: result.violations });
+      }
+    }
+    
+    const finalDistance = Math.min(originalDistance, optimizedDistance);
+    res.status(200).json({
+      waypoints: result.waypoints,
+      waypointsVersion: result.version,
+      homeLocation: home,
+      originalDistance: Math.round(originalDistance),
+      optimizedDistance: Math.round(finalDistance),
+      distanceSaved: Math.round(originalDistance - finalDistance)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Split a mission into sorties that each fit in one battery
+ * @route POST /api/missions/:id/sorties
+ */
+exports.splitMission = async (req, res) => {
+  try {
+    const mission = await Mission.findById(req.params.id);
+    if (!mission) {
+      return res.status(404).json({ message: 'Mission not found' });
+    }
+    
+    if (mission.status !== 'planned') {
+      return res.status(400).json({ message: 'Only planned missions can be split into sorties' });
+    }
+    
+    const drone = await Drone.findById(mission.drone);
+    if (!drone || !drone.specifications || !drone.specifications.maxFlightTime) {
+      return res.status(400).json({ message: 'Drone endurance is required to split a mission into sorties' });
+    }
+    
+    const sorties = await createSorties(mission);
+    
+    res.status(201).json({ mission, sorties });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get the ground and flight altitude along a mission route
+ * @route GET /api/missions/:id/terrain-profile
+ */
+exports.getTerrainProfile = async (req, res) => {
+  try {
+    const mission = await Mission.findById(req.params.id);
+    if (!mission) {
+      return res.status(404).json({ message: 'Mission not found' });
+    }
+    
+    const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } });
+    const profile = await getMissionProfile(mission, waypointsToPoints(waypoints));
+    if (!profile) {
+      return res.status(404).json({ message: 'No terrain model available for this mission' });
+    }
+    
+    res.status(200).json(profile);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Download a mission's flight plan for a ground station
+ * Formats are QGroundControl .plan, MAVLink .waypoints (QGC WPL 110), KML, KMZ, GPX and CSV
+ * @route GET /api/missions/:id/download?format=
+ */
+exports.downloadMission = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'plan').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        message: `Unsupported export format, use one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const mission = await Mission.findById(req.params.id);
+    if (!mission) {
+      return res.status(404).json({ message: 'Mission not found' });
+    }
+
+    const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } });
+    if (waypoints.length === 0) {
+      return res.status(400).json({ message: 'Mission has no waypoints to export' });
+    }
+
+    // Take off from the drone's home location when it is known, otherwise from the first waypoint
+    const drone = await Drone.findById(mission.drone);
+    const [longitude, latitude] = drone?.homeLocation?.coordinates || [0, 0];
+    const home = longitude !== 0 || latitude !== 0 ? { latitude, longitude } : {};
+    home.elevation = mission.terrain?.takeoffElevation;
+
+    const { content, contentType, extension } = exportMission(mission, waypointsToPoints(waypoints), format, home);
+    const fileName = mission.name.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'mission';
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}.${extension}"`
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Import a mission from a ground station or GIS file
+ * Formats are KML, KMZ, GPX, GeoJSON, QGroundControl .plan and MAVLink .waypoints.
+ * Without save the parsed route is returned for review, with save=true it is stored as a new mission.
+ * @route POST /api/missions/import?format=&altitude=&elevation=&speed=&save=&drone=&name=
+ */
+exports.importMission = async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ message: 'Upload a mission file as the request body' });
+    }
+
+    const numbers = {};
+    for (const key of ['altitude', 'elevation', 'speed']) {
+      if (req.query[key] === undefined || req.query[key] === '') continue;
+      numbers[key] = Number(req.query[key]);
+      if (!Number.isFinite(numbers[key]) || (key !== 'elevation' && numbers[key] <= 0)) {
+        return res.status(400).json({ message: `Invalid ${key}: ${req.query[key]}` });
+      }
+    }
+
+    const { drone, name, description, survey, startTime } = req.query;
+    const preview = await previewMissionImport(req.body, {
+      format: req.query.format,
+      ...numbers,
+      organization: req.user.organization,
+      startTime
+    });
+
+    if (req.query.save !== 'true') {
+      return res.status(200).json(preview);
+    }
+
+    if (preview.waypoints.length === 0) {
+      return res.status(400).json({ message: 'The file has no waypoints to fly' });
+    }
+
+    if (!name && !preview.name) {
+      return res.status(400).json({ message: 'The file has no mission name, give a name' });
+    }
+
+    // Waypoints without an altitude fly at the mission altitude
+    if (!numbers.altitude && preview.waypoints.some(waypoint => waypoint.altitude === undefined)) {
+      return res.status(400).json({ message: 'Give an altitude for the waypoints without one' });
+    }
+    const altitude = numbers.altitude || Math.max(...preview.waypoints.map(waypoint => waypoint.altitude));
+
+    if (!preview.speed) {
+      return res.status(400).json({ message: 'The file has no cruise speed, give a speed' });
+    }
+
+    const droneObj = await Drone.findById(drone);
+    if (!droneObj) {
+      return res.status(404).json({ message: 'Drone not found' });
+    }
+
+    if (droneObj.status !== 'available' && droneObj.status !== 'idle') {
+      return res.status(400).json({ message: 'Drone is not available for mission' });
+    }
+
+    if (preview.violations.length > 0) {
+      return res.status(400).json({ message: describeViolations(preview.violations), violations: preview.violations });
+    }
+
+    const mission = await createImportedMission(preview, {
+      drone: droneObj,
+      name: name || preview.name,
+      description,
+      altitude,
+      speed: preview.speed,
+      survey,
+      startTime,
+      elevation: numbers.elevation,
+      user: req.user
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('missionCreated', mission);
+    }
+
+    res.status(201).json({ mission, warnings: preview.warnings });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
 /**
  * Get missions analytics
  * @route GET /api/missions/analytics
  */
 exports.getMissionAnalytics = async (req, res) => {
   try {
+    // Sorties of a split mission are counted through their parent
+    const topLevel = { parentMission: null };
+    
     // Get total mission counts by status
     const statusCounts = await Mission.aggregate([
+      { $match: topLevel },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
     
@@ -865,6 +1381,7 @@ exports.getMissionAnalytics = async (req, res) => {
     
     // Get average mission duration
     const completedMissions = await Mission.find({ 
+      ...topLevel,
       status: 'completed',
       startTime: { $exists: true },
       endTime: { $exists: true }
@@ -887,6 +1404,7 @@ exports.getMissionAnalytics = async (req, res) => {
     const missionsByDay = await Mission.aggregate([
       { 
         $match: { 
+          ...topLevel,
           createdAt: { $gte: thirtyDaysAgo } 
         } 
       },
@@ -905,6 +1423,7 @@ exports.getMissionAnalytics = async (req, res) => {
     
     // Get top drones by mission count
     const droneUsage = await Mission.aggregate([
+      { $match: topLevel },
       { $group: { _id: '$drone', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 5 },
@@ -926,219 +1445,44 @@ exports.getMissionAnalytics = async (req, res) => {
     ]);
     
     res.status(200).json({
-      totalMissions: await Mission.countDocuments(),
+      totalMissions: await Mission.countDocuments(topLevel),
       missionsByStatus,
       averageDuration: Math.round(averageDurationMs / (1000 * 60)), // in minutes
       missionsByDay,
       droneUsage,
       completedMissionsCount: completedMissions.length,
-      abortedMissionsCount: await Mission.countDocuments({ status: 'aborted' }),
+      abortedMissionsCount: await Mission.countDocuments({ ...topLevel, status: 'aborted' }),
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
-// Helper function to generate grid pattern waypoints
-// Note: In a real application, these pattern generators would be more sophisticated
-const generateGridPattern = (boundary, altitude, overlap, rotation = 0) => {
-  // This is a simplified implementation
-  // In a real app, you would use more complex algorithms
-  
-  // For now, we'll create a simple grid within the boundary
-  const waypoints = [];
+// Helper function to store a boundary as a closed GeoJSON Polygon
+const toBoundingBox = (boundary) => {
+  if (!boundary) return undefined;
   
-  // Find the bounding box of the boundary
-  const lats = boundary.map(p => p.latitude);
-  const lngs = boundary.map(p => p.longitude);
+  const points = normalizeBoundary(boundary);
+  if (points.length < 3) return undefined;
   
-  const minLat = Math.min(...lats);
-  const maxLat = Math.max(...lats);
-  const minLng = Math.min(...lngs);
-  const maxLng = Math.max(...lngs);
-  
-  // Calculate grid spacing based on overlap
-  // Higher overlap means closer lines
-  const overlapFactor = (100 - overlap) / 100;
-  const latSpacing = (maxLat - minLat) * overlapFactor / 10;
-  const lngSpacing = (maxLng - minLng) * overlapFactor / 10;
-  
-  // Generate grid lines
-  let rowIndex = 0;
-  for (let lat = minLat; lat <= maxLat; lat += latSpacing) {
-    const rowWaypoints = [];
-    
-    // Alternate direction for efficiency (lawnmower pattern)
-    const isReverse = rowIndex % 2 === 1;
-    
-    for (let lng = isReverse ? maxLng : minLng; 
-         isReverse ? lng >= minLng : lng <= maxLng; 
-         lng += isReverse ? -lngSpacing : lngSpacing) {
-      
-      rowWaypoints.push({
-        latitude: lat,
-        longitude: lng,
-        altitude: altitude,
-        action: 'waypoint',
-        order: waypoints.length + rowWaypoints.length + 1
-      });
-    }
-    
-    waypoints.push(...rowWaypoints);
-    rowIndex++;
-  }
-  
-  return waypoints;
-};
-
-// Helper function to generate perimeter pattern waypoints
-const generatePerimeterPattern = (boundary, altitude) => {
-  // For perimeter, we simply follow the boundary points
-  return boundary.map((point, index) => ({
-    latitude: point.latitude,
-    longitude: point.longitude,
-    altitude: altitude,
-    action: 'waypoint',
-    order: index + 1
-  }));
+  const ring = points.map(point => [point.longitude, point.latitude]);
+  return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
 };
 
-// Helper function to generate spiral pattern waypoints
-const generateSpiralPattern = (boundary, altitude, overlap) => {
-  // Find center of boundary
-  const lats = boundary.map(p => p.latitude);
-  const lngs = boundary.map(p => p.longitude);
+// Helper function to fly a generated pattern in whichever direction better fits the start and end points
+// Pattern waypoints are not reordered, since that would break up the coverage passes
+const orientWaypoints = (waypoints, startPoint, endPoint) => {
+  const first = waypoints[0];
+  const last = waypoints[waypoints.length - 1];
+  const forward = routeDistance([startPoint, first, last, endPoint]);
+  const backward = routeDistance([startPoint, last, first, endPoint]);
   
-  const minLat = Math.min(...lats);
-  const maxLat = Math.max(...lats);
-  const minLng = Math.min(...lngs);
-  const maxLng = Math.max(...lngs);
-  
-  const centerLat = (minLat + maxLat) / 2;
-  const centerLng = (minLng + maxLng) / 2;
-  
-  // Calculate the maximum radius
-  let maxRadius = 0;
-  boundary.forEach(point => {
-    const distance = Math.sqrt(
-      Math.pow(point.latitude - centerLat, 2) + 
-      Math.pow(point.longitude - centerLng, 2)
-    );
-    maxRadius = Math.max(maxRadius, distance);
-  });
-  
-  // Calculate spacing based on overlap
-  const overlapFactor = (100 - overlap) / 100;
-  const spacing = maxRadius * overlapFactor / 10;
-  
-  const waypoints = [];
-  let radius = spacing;
-  let angle = 0;
-  
-  while (radius <= maxRadius) {
-    const lat = centerLat + radius * Math.cos(angle);
-    const lng = centerLng + radius * Math.sin(angle);
-    
-    waypoints.push({
-      latitude: lat,
-      longitude: lng,
-      altitude: altitude,
-      action: 'waypoint',
-      order: waypoints.length + 1
-    });
-    
-    angle += spacing / radius;
-    radius += spacing / (2 * Math.PI);
+  if (backward >= forward) {
+    return waypoints;
   }
   
-  return waypoints;
+  return waypoints
+    .slice()
+    .reverse()
+    .map((waypoint, index) => ({ ...waypoint, order: index + 1 }));
 };
-
-// Helper function to optimize waypoint path
-const optimizeWaypoints = (waypoints, startPoint, endPoint) => {
-  // In a real application, you would use a more sophisticated algorithm
-  // like nearest neighbor or a genetic algorithm to optimize the path
-  
-  // For now, we'll ensure we start and end at the given points
-  const optimized = [...waypoints];
-  
-  // Find the waypoint closest to the start point
-  let startIndex = 0;
-  let minStartDistance = Number.MAX_VALUE;
-  
-  waypoints.forEach((waypoint, index) => {
-    const distance = Math.sqrt(
-      Math.pow(waypoint.latitude - startPoint.latitude, 2) + 
-      Math.pow(waypoint.longitude - startPoint.longitude, 2)
-    );
-    
-    if (distance < minStartDistance) {
-      minStartDistance = distance;
-      startIndex = index;
-    }
-  });
-  
-  // Find the waypoint closest to the end point
-  let endIndex = 0;
-  let minEndDistance = Number.MAX_VALUE;
-  
-  waypoints.forEach((waypoint, index) => {
-    const distance = Math.sqrt(
-      Math.pow(waypoint.latitude - endPoint.latitude, 2) + 
-      Math.pow(waypoint.longitude - endPoint.longitude, 2)
-    );
-    
-    if (distance < minEndDistance) {
-      minEndDistance = distance;
-      endIndex = index;
-    }
-  });
-  
-  // Reorder waypoints to start at startIndex and end at endIndex
-  const result = [];
-  
-  // Add the actual start point
-  result.push({
-    latitude: startPoint.latitude,
-    longitude: startPoint.longitude,
-    altitude: waypoints[0].altitude,
-    action: 'takeoff',
-    order: 1
-  });
-  
-  // Add waypoints from startIndex to endIndex
-  if (startIndex <= endIndex) {
-    for (let i = startIndex; i <= endIndex; i++) {
-      result.push({
-        ...waypoints[i],
-        order: result.length + 1
-      });
-    }
-  } else {
-    // Handle case where we need to wrap around
-    for (let i = startIndex; i < waypoints.length; i++) {
-      result.push({
-        ...waypoints[i],
-        order: result.length + 1
-      });
-    }
-    
-    for (let i = 0; i <= endIndex; i++) {
-      result.push({
-        ...waypoints[i],
-        order: result.length + 1
-      });
-    }
-  }
-  
-  // Add the actual end point
-  result.push({
-    latitude: endPoint.latitude,
-    longitude: endPoint.longitude,
-    altitude: waypoints[0].altitude,
-    action: 'land',
-    order: result.length + 1
-  });
-  
-  return result;
-};
\ No newline at end of file
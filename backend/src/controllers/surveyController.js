@@ -1,6 +1,9 @@
 const Survey = require('../models/Survey');
 const Mission = require('../models/Mission');
+const Drone = require('../models/Drone');
 const { emitSurveyUpdate } = require('../utils/socketEvents');
+const { normalizeBoundary } = require('../utils/flightPatterns');
+const { partitionSurvey } = require('../services/partitionService');
 
 /**
  * Get all surveys
@@ -371,8 +374,8 @@ exports.getSurveyAnalytics = async (req, res) => {
       return res.status(404).json({ message: 'Survey not found' });
     }
 
-    // Get all missions for this survey
-    const missions = await Mission.find({ survey: survey._id });
+    // Get all missions for this survey, counting split missions once through their parent
+    const missions = await Mission.find({ survey: survey._id, parentMission: null });
     
     // Calculate analytics
     const missionStatusCount = {
@@ -486,7 +489,10 @@ exports.generateSurveyReport = async (req, res) => {
     let totalArea = 0;
     let completedMissions = 0;
 
-    survey.missions.forEach(mission => {
+    // Sorties of a split mission are reported through their parent
+    const missions = survey.missions.filter(mission => !mission.parentMission);
+
+    missions.forEach(mission => {
       if (mission.status === 'completed') {
         completedMissions++;
         
@@ -533,16 +539,16 @@ exports.generateSurveyReport = async (req, res) => {
         email: survey.createdBy.email
       } : null,
       statistics: {
-        totalMissions: survey.missions.length,
+        totalMissions: missions.length,
         completedMissions,
-        progressPercentage: survey.missions.length > 0 
-          ? Math.round((completedMissions / survey.missions.length) * 100) 
+        progressPercentage: missions.length > 0 
+          ? Math.round((completedMissions / missions.length) * 100) 
           : 0,
         totalFlightTime: parseFloat(totalFlightTime.toFixed(2)),
         totalDistance: parseFloat(totalDistance.toFixed(2)),
         totalArea: parseFloat(totalArea.toFixed(2))
       },
-      missions: survey.missions.map(mission => ({
+      missions: missions.map(mission => ({
         name: mission.name,
         status: mission.status,
         drone: mission.drone ? mission.drone.name : 'N/A',
@@ -654,6 +660,71 @@ exports.getSurveyStatistics = async (req, res) => {
   }
 };
 
+/**
+ * Divide a survey area between several drones and plan one mission per drone
+ * @route POST /api/surveys/:id/partition
+ */
+exports.partitionSurveyArea = async (req, res) => {
+  try {
+    const { boundary, drones: droneIds, pattern, altitude, gsd, speed, overlap, angle, partitionAngle } = req.body;
+
+    const survey = await Survey.findById(req.params.id);
+    if (!survey) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    const boundaryPoints = normalizeBoundary(boundary);
+    if (boundaryPoints.length < 3) {
+      return res.status(400).json({ message: 'Boundary must contain at least 3 points' });
+    }
+
+    if (!Array.isArray(droneIds) || droneIds.length === 0) {
+      return res.status(400).json({ message: 'At least one drone is required' });
+    }
+
+    if (new Set(droneIds.map(String)).size !== droneIds.length) {
+      return res.status(400).json({ message: 'Each drone can only be assigned once' });
+    }
+
+    // Keep the drones in request order, strips are assigned in that order
+    const found = await Drone.find({ _id: { $in: droneIds } });
+    const drones = droneIds.map(id => found.find(drone => drone._id.toString() === String(id)));
+    if (drones.some(drone => !drone)) {
+      return res.status(404).json({ message: 'Drone not found' });
+    }
+
+    const unavailable = drones.filter(drone => drone.status !== 'available' && drone.status !== 'idle');
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        message: `Drones not available for mission: ${unavailable.map(drone => drone.name).join(', ')}`
+      });
+    }
+
+    const partitions = await partitionSurvey(survey, boundaryPoints, drones, {
+      pattern,
+      altitude: parseFloat(altitude) || undefined,
+      gsd: parseFloat(gsd) || undefined,
+      speed: parseFloat(speed) || undefined,
+      overlap: parseFloat(overlap) || undefined,
+      angle: parseFloat(angle),
+      partitionAngle: parseFloat(partitionAngle),
+      createdBy: req.user.id
+    });
+
+    emitSurveyUpdate(survey._id.toString(), {
+      missions: partitions.map(partition => partition.mission._id)
+    });
+
+    res.status(201).json({
+      message: 'Survey area partitioned successfully',
+      partitions
+    });
+  } catch (error) {
+    console.error('Error partitioning survey:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
 /**
  * Clone a survey
  * @route POST /api/surveys/:id/clone
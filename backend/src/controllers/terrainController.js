@@ -0,0 +1,79 @@
+const Survey = require('../models/Survey');
+const TerrainModel = require('../models/TerrainModel');
+const { saveTerrainModel, deleteUnusedTerrainModel } = require('../services/terrainService');
+
+/**
+ * Upload a GeoTIFF or ASCII grid DEM as the terrain model of a survey site
+ * The file is sent as the raw request body
+ * @route POST /api/surveys/:id/terrain
+ */
+exports.uploadTerrainModel = async (req, res) => {
+  try {
+    const survey = await Survey.findById(req.params.id);
+    if (!survey) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ message: 'Send the DEM file as the request body' });
+    }
+
+    const terrainModel = await saveTerrainModel(survey, req.body, {
+      name: req.query.name,
+      user: req.user
+    });
+
+    res.status(201).json(terrainModel);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get the terrain model of a survey site
+ * @route GET /api/surveys/:id/terrain
+ */
+exports.getTerrainModel = async (req, res) => {
+  try {
+    const survey = await Survey.findById(req.params.id);
+    if (!survey) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    const terrainModel = survey.terrainModel && await TerrainModel.findById(survey.terrainModel);
+    if (!terrainModel) {
+      return res.status(404).json({ message: 'No terrain model uploaded for this site' });
+    }
+
+    res.status(200).json(terrainModel);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Remove the terrain model of a survey site
+ * Missions planned with it keep their copy until they are deleted
+ * @route DELETE /api/surveys/:id/terrain
+ */
+exports.deleteTerrainModel = async (req, res) => {
+  try {
+    const survey = await Survey.findById(req.params.id);
+    if (!survey) {
+      return res.status(404).json({ message: 'Survey not found' });
+    }
+
+    if (!survey.terrainModel) {
+      return res.status(404).json({ message: 'No terrain model uploaded for this site' });
+    }
+
+    const terrainModelId = survey.terrainModel;
+    survey.terrainModel = undefined;
+    await survey.save();
+    await deleteUnusedTerrainModel(terrainModelId);
+
+    res.status(200).json({ message: 'Terrain model removed' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
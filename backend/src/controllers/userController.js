@@ -1,4 +1,8 @@
 const User = require('../models/User');
+const Mission = require('../models/Mission');
+const FlightLog = require('../models/FlightLog');
+const { getPilotLogbook } = require('../services/logbookService');
+const { exportLogbook, LOGBOOK_EXPORT_FORMATS } = require('../utils/logbookExport');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const validator = require('validator');
@@ -532,37 +536,90 @@ exports.resetPassword = async (req, res) => {
   }
 };
 
+// Helper to find the user a request is about, users can see their own records and admins anyone's
+const findVisibleUser = async (req, res) => {
+  if (req.user.id !== req.params.id && req.user.role !== 'admin') {
+    res.status(403).json({ message: 'Unauthorized to access this resource' });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// Helper to read the from and to dates of a logbook request
+const parseLogbookRange = (query) => {
+  const range = { from: null, to: null };
+  ['from', 'to'].forEach(name => {
+    if (!query[name]) return;
+    const date = new Date(/^\d+$/.test(query[name]) ? Number(query[name]) : query[name]);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`${name} must be a date`);
+    }
+    range[name] = date;
+  });
+  return range;
+};
+
 /**
  * Get user activity log
- * @route GET /api/users/:id/activity
+ * Lists the missions the user created and the flights they flew, newest first.
+ * @route GET /api/users/:id/activity?limit=
  */
 exports.getUserActivity = async (req, res) => {
   try {
-    // Check authorization - user can see their own activity or admin can see anyone's
-    if (req.user.id !== req.params.id && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized to access this resource' });
-    }
-
-    const user = await User.findById(req.params.id);
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = await findVisibleUser(req, res);
+    if (!user) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [missions, flights] = await Promise.all([
+      Mission.find({ createdBy: user._id })
+        .select('name createdAt')
+        .sort({ createdAt: -1 })
+        .limit(limit),
+      FlightLog.find({ pilot: user._id })
+        .select('mission drone startTime duration status errors')
+        .populate('drone', 'name')
+        .populate('mission', 'name')
+        .sort({ startTime: -1 })
+        .limit(limit)
+    ]);
 
-    // In a real application, this would fetch from an activity log collection
-    // For this example, we'll return mock data
     const activities = [
+      ...missions.map(mission => ({
+        type: 'mission_created',
+        timestamp: mission.createdAt,
+        mission: mission._id,
+        details: `Created mission ${mission.name}`
+      })),
+      ...flights.map(flight => {
+        const incidents = flight.errors.filter(entry => entry.severity !== 'info').length;
+        return {
+          type: 'flight',
+          timestamp: flight.startTime,
+          mission: flight.mission && flight.mission._id,
+          details: [
+            `${flight.status === 'in-progress' ? 'Flying' : 'Flew'} ${flight.mission ? flight.mission.name : 'a mission'}`,
+            flight.drone ? ` on ${flight.drone.name}` : '',
+            Number.isFinite(flight.duration) && flight.status !== 'in-progress' ? ` for ${flight.duration} min` : '',
+            flight.status === 'aborted' || flight.status === 'failed' ? `, ${flight.status}` : '',
+            incidents > 0 ? `, ${incidents} incident${incidents === 1 ? '' : 's'}` : ''
+          ].join('')
+        };
+      }),
       {
-        type: 'login',
-        timestamp: user.lastLogin || new Date(),
-        details: 'User logged in successfully'
-      },
-      {
-        type: 'profile_update',
-        timestamp: user.updatedAt,
-        details: 'User profile was updated'
+        type: 'account_created',
+        timestamp: user.createdAt,
+        details: 'Joined the platform'
       }
-    ];
+    ]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit);
 
     res.json({
       userId: user._id,
@@ -573,4 +630,55 @@ exports.getUserActivity = async (req, res) => {
     console.error('Error fetching user activity:', error);
     res.status(500).json({ message: 'Server error fetching user activity' });
   }
+};
+
+/**
+ * Get the pilot logbook of a user, the flights they flew as pilot in command
+ * @route GET /api/users/:id/logbook?from=&to=
+ */
+exports.getPilotLogbook = async (req, res) => {
+  try {
+    const user = await findVisibleUser(req, res);
+    if (!user) return;
+
+    const logbook = await getPilotLogbook(user, {
+      organization: req.user.organization,
+      ...parseLogbookRange(req.query)
+    });
+    res.json(logbook);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Download the pilot logbook of a user
+ * @route GET /api/users/:id/logbook/export?format=&from=&to=
+ */
+exports.exportPilotLogbook = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!LOGBOOK_EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        message: `Unsupported export format, use one of ${Object.keys(LOGBOOK_EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const user = await findVisibleUser(req, res);
+    if (!user) return;
+
+    const logbook = await getPilotLogbook(user, {
+      organization: req.user.organization,
+      ...parseLogbookRange(req.query)
+    });
+    const { content, contentType, extension } = exportLogbook(logbook, format);
+    const fileName = `${user.name.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'pilot'}-logbook`;
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}.${extension}"`
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,167 @@
+const Mission = require('../models/Mission');
+const {
+  listWaypoints,
+  replaceWaypoints,
+  insertWaypoint,
+  updateWaypoint,
+  deleteWaypoint,
+  reorderWaypoints
+} = require('../services/waypointService');
+const { describeViolations } = require('../utils/geofence');
+const { emitMissionUpdate } = require('../utils/socketEvents');
+
+// Helper to load a mission whose waypoints can be edited at the version the request is based on
+// Sends the error response and resolves to null when they cannot
+const findEditableMission = async (req, res) => {
+  const given = (req.body || {}).version ?? req.query.version;
+  const version = Number(given);
+  if (given === undefined || given === '' || !Number.isInteger(version) || version < 0) {
+    res.status(400).json({ message: 'The waypoints version the edit is based on is required' });
+    return null;
+  }
+
+  const mission = await Mission.findById(req.params.id);
+  if (!mission) {
+    res.status(404).json({ message: 'Mission not found' });
+    return null;
+  }
+
+  if (mission.status !== 'planned') {
+    res.status(400).json({ message: 'Only the waypoints of planned missions can be edited' });
+    return null;
+  }
+
+  if ((mission.waypointsVersion || 0) !== version) {
+    res.status(409).json({
+      message: 'The waypoints were changed by someone else, reload them and try again',
+      version: mission.waypointsVersion || 0
+    });
+    return null;
+  }
+
+  return { mission, version };
+};
+
+// Helper to answer a waypoint edit and tell the mission's other viewers
+const sendEditResult = async (res, mission, result) => {
+  if (!result) {
+    const current = await Mission.findById(mission._id).select('waypointsVersion');
+    return res.status(409).json({
+      message: 'The waypoints were changed by someone else, reload them and try again',
+      version: current ? current.waypointsVersion : undefined
+    });
+  }
+
+  if (result.violations) {
+    return res.status(400).json({ message: describeViolations(result.violations), violations: result.violations });
+  }
+
+  emitMissionUpdate(mission._id, { waypointsVersion: result.version });
+  res.status(200).json(result);
+};
+
+/**
+ * Get the waypoints of a mission in flight order with their version
+ * @route GET /api/missions/:id/waypoints
+ */
+exports.getWaypoints = async (req, res) => {
+  try {
+    const mission = await Mission.findById(req.params.id);
+    if (!mission) {
+      return res.status(404).json({ message: 'Mission not found' });
+    }
+
+    res.status(200).json(await listWaypoints(mission));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Replace all the waypoints of a mission
+ * @route PUT /api/missions/:id/waypoints
+ */
+exports.replaceWaypoints = async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.waypoints)) {
+      return res.status(400).json({ message: 'waypoints must be a list' });
+    }
+
+    const editable = await findEditableMission(req, res);
+    if (!editable) return;
+
+    const result = await replaceWaypoints(editable.mission, editable.version, req.body.waypoints);
+    await sendEditResult(res, editable.mission, result);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Insert a waypoint at a position in the sequence, the end by default
+ * @route POST /api/missions/:id/waypoints
+ */
+exports.insertWaypoint = async (req, res) => {
+  try {
+    const editable = await findEditableMission(req, res);
+    if (!editable) return;
+
+    const result = await insertWaypoint(editable.mission, editable.version, req.body.waypoint, req.body.order);
+    await sendEditResult(res, editable.mission, result);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Put a mission's waypoints in a new order
+ * @route POST /api/missions/:id/waypoints/reorder
+ */
+exports.reorderWaypoints = async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.waypoints)) {
+      return res.status(400).json({ message: 'waypoints must be the list of waypoint IDs in the new order' });
+    }
+
+    const editable = await findEditableMission(req, res);
+    if (!editable) return;
+
+    const result = await reorderWaypoints(editable.mission, editable.version, req.body.waypoints);
+    await sendEditResult(res, editable.mission, result);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Change a waypoint, or move it with a new position or order
+ * @route PATCH /api/missions/:id/waypoints/:waypointId
+ */
+exports.updateWaypoint = async (req, res) => {
+  try {
+    const editable = await findEditableMission(req, res);
+    if (!editable) return;
+
+    const { version, ...changes } = req.body;
+    const result = await updateWaypoint(editable.mission, editable.version, req.params.waypointId, changes);
+    await sendEditResult(res, editable.mission, result);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Remove a waypoint from a mission
+ * @route DELETE /api/missions/:id/waypoints/:waypointId?version=
+ */
+exports.deleteWaypoint = async (req, res) => {
+  try {
+    const editable = await findEditableMission(req, res);
+    if (!editable) return;
+
+    const result = await deleteWaypoint(editable.mission, editable.version, req.params.waypointId);
+    await sendEditResult(res, editable.mission, result);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
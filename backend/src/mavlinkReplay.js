@@ -0,0 +1,228 @@
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const { encodeMessage } = require('./utils/mavlink');
+const { haversineDistance, calculateBearing, destinationPoint } = require('./utils/geodesy');
+
+/**
+ * MAVLink replay
+ * Sends a recorded MAVLink stream, or a generated demo flight, to the telemetry gateway so it can be
+ * tried without a drone or SITL.
+ *
+ *   npm run mavlink:replay -- flight.tlog [--host 127.0.0.1] [--port 14550] [--tcp] [--rate 1]
+ *   npm run mavlink:replay -- --demo --sysid 1 --lat 51.5 --lon -0.12 [--waypoints 6] [--rate 1]
+ *
+ * Telemetry logs (.tlog) keep the recorded timing, scaled by --rate. Any other file is read as a raw
+ * MAVLink stream and sent at a steady pace. The demo flies a circle of waypoints around the given
+ * point and reports each one reached with the item numbers a mission of plain fly-to waypoints at a
+ * single speed is uploaded with: takeoff, speed change, then one item per waypoint.
+ */
+
+const RAW_CHUNK_SIZE = 512;
+const RAW_CHUNK_DELAY = 50;
+
+// Helper to read --name value options, and --name alone as true
+const parseArgs = (argv) => {
+  const options = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      options.files.push(argv[i]);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      options[argv[i].slice(2)] = true;
+    }
+  }
+  return options;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper to open the connection the stream is sent over
+const openSender = async ({ host, port, tcp }) => {
+  if (tcp) {
+    const socket = await new Promise((resolve, reject) => {
+      const connection = net.connect(port, host, () => resolve(connection));
+      connection.once('error', reject);
+    });
+    return {
+      send: (bytes) => new Promise(resolve => socket.write(bytes, resolve)),
+      close: () => new Promise(resolve => socket.end(resolve))
+    };
+  }
+
+  const socket = dgram.createSocket('udp4');
+  return {
+    send: (bytes) => new Promise((resolve, reject) => {
+      socket.send(bytes, port, host, error => (error ? reject(error) : resolve()));
+    }),
+    close: () => new Promise(resolve => socket.close(resolve))
+  };
+};
+
+// Helper to split a telemetry log into frames, each preceded by a big-endian time in microseconds
+// Returns null when the file is not a telemetry log
+const readTlog = (bytes) => {
+  const frames = [];
+  let offset = 0;
+  while (offset + 8 < bytes.length) {
+    const stx = bytes[offset + 8];
+    if (stx !== 0xfd && stx !== 0xfe) return frames.length > 0 ? frames : null;
+
+    const length = bytes[offset + 9];
+    const signed = stx === 0xfd && (bytes[offset + 10] & 0x01);
+    const frameLength = stx === 0xfd ? 12 + length + (signed ? 13 : 0) : 8 + length;
+    frames.push({
+      time: Number(bytes.readBigUInt64BE(offset)) / 1000,
+      bytes: bytes.subarray(offset + 8, offset + 8 + frameLength)
+    });
+    offset += 8 + frameLength;
+  }
+  return frames;
+};
+
+// Helper to send the frames of a telemetry log with their recorded spacing
+const replayTlog = async (sender, frames, rate) => {
+  const start = Date.now();
+  for (const frame of frames) {
+    const due = (frame.time - frames[0].time) / rate;
+    const wait = due - (Date.now() - start);
+    if (wait > 0) await sleep(wait);
+    await sender.send(frame.bytes);
+  }
+};
+
+// Helper to send a raw stream in small pieces
+const replayRaw = async (sender, bytes, rate) => {
+  for (let offset = 0; offset < bytes.length; offset += RAW_CHUNK_SIZE) {
+    await sender.send(bytes.subarray(offset, offset + RAW_CHUNK_SIZE));
+    await sleep(RAW_CHUNK_DELAY / rate);
+  }
+};
+
+// Helper to fly a generated mission and send its telemetry
+const replayDemo = async (sender, options) => {
+  const systemId = parseInt(options.sysid) || 1;
+  const center = { latitude: parseFloat(options.lat), longitude: parseFloat(options.lon) };
+  if (!Number.isFinite(center.latitude) || !Number.isFinite(center.longitude)) {
+    throw new Error('--demo needs --lat and --lon');
+  }
+
+  const count = parseInt(options.waypoints) || 6;
+  const altitude = 30;
+  const speed = 5;
+  const rate = parseFloat(options.rate) || 1;
+  const waypoints = Array.from({ length: count }, (_, i) => destinationPoint(center, (360 / count) * i, 100));
+  const route = [...waypoints, center];
+
+  let sequence = 0;
+  const send = (name, fields) => sender.send(encodeMessage(name, fields, { systemId, sequence: sequence++ }));
+  const heartbeat = (armed) => send('HEARTBEAT', {
+    type: 2, // MAV_TYPE_QUADROTOR
+    autopilot: 12, // MAV_AUTOPILOT_PX4, which numbers mission items from 0
+    baseMode: armed ? 128 + 1 : 1,
+    systemStatus: armed ? 4 : 3,
+    mavlinkVersion: 3
+  });
+
+  let position = { ...center };
+  let heading = 0;
+  let battery = 100;
+  let elapsed = 0;
+  const step = 0.25;
+
+  const report = async (height, velocity) => {
+    const vx = velocity * Math.cos(heading * Math.PI / 180);
+    const vy = velocity * Math.sin(heading * Math.PI / 180);
+    await send('GLOBAL_POSITION_INT', {
+      timeBootMs: elapsed * 1000,
+      lat: position.latitude * 1e7,
+      lon: position.longitude * 1e7,
+      alt: (100 + height) * 1000,
+      relativeAlt: height * 1000,
+      vx: vx * 100,
+      vy: vy * 100,
+      vz: 0,
+      hdg: heading * 100
+    });
+
+    // Heartbeat and battery once a second
+    if (Number.isInteger(elapsed)) {
+      await heartbeat(true);
+      await send('SYS_STATUS', { voltageBattery: 12600 - (100 - battery) * 20, currentBattery: 1500, batteryRemaining: Math.round(battery) });
+    }
+
+    elapsed += step;
+    battery = Math.max(0, battery - 0.02 * step);
+    await sleep((step * 1000) / rate);
+  };
+
+  await heartbeat(false);
+  await sleep(1000 / rate);
+
+  // Climb, fly the circle reporting each waypoint, then come back over the center and land
+  for (let height = 0; height < altitude; height += 2.5 * step) {
+    await report(height, 0);
+  }
+  for (let index = 0; index < route.length; index++) {
+    const target = route[index];
+    heading = calculateBearing(position, target);
+    while (haversineDistance(position, target) > speed * step) {
+      position = destinationPoint(position, heading, speed * step);
+      await report(altitude, speed);
+    }
+    position = { latitude: target.latitude, longitude: target.longitude };
+    if (index < waypoints.length) {
+      await send('MISSION_ITEM_REACHED', { seq: index + 2 });
+      console.log(`Reached waypoint ${index + 1} of ${waypoints.length}`);
+    }
+  }
+  for (let height = altitude; height > 0; height -= 1.5 * step) {
+    await report(height, 0);
+  }
+  await heartbeat(false);
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const target = {
+    host: options.host || '127.0.0.1',
+    port: parseInt(options.port) || (options.tcp ? 5760 : 14550),
+    tcp: Boolean(options.tcp)
+  };
+  const rate = parseFloat(options.rate) || 1;
+
+  if (!options.demo && options.files.length === 0) {
+    console.log('Usage: mavlinkReplay <file.tlog|stream.bin> [--host] [--port] [--tcp] [--rate]');
+    console.log('       mavlinkReplay --demo --sysid <id> --lat <latitude> --lon <longitude> [--waypoints] [--rate]');
+    process.exit(1);
+  }
+
+  const sender = await openSender(target);
+  console.log(`Sending MAVLink to ${target.tcp ? 'tcp' : 'udp'}://${target.host}:${target.port}`);
+
+  try {
+    if (options.demo) {
+      await replayDemo(sender, options);
+    } else {
+      const bytes = fs.readFileSync(options.files[0]);
+      // Raw streams start with a frame, telemetry logs with a timestamp
+      const frames = bytes[0] === 0xfd || bytes[0] === 0xfe ? null : readTlog(bytes);
+      if (frames) {
+        console.log(`Replaying ${frames.length} frames from telemetry log`);
+        await replayTlog(sender, frames, rate);
+      } else {
+        console.log(`Replaying ${bytes.length} bytes of raw MAVLink`);
+        await replayRaw(sender, bytes, rate);
+      }
+    }
+    console.log('Replay finished');
+  } finally {
+    await sender.close();
+  }
+};
+
+main().catch(error => {
+  console.error('Replay failed:', error.message);
+  process.exit(1);
+});
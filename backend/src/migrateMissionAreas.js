@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Mission = require('./models/Mission');
+const Waypoint = require('./models/Waypoint');
+const { measureAreaCovered } = require('./services/missionService');
+const { waypointsToPoints } = require('./utils/missionCalculations');
+
+/**
+ * Mission area migration
+ * Recomputes the stored statistics.areaCovered of completed missions with the spherical measure used
+ * when a mission is completed, so analytics can keep summing the stored areas.
+ *
+ *   npm run migrate:mission-areas
+ *
+ * Run it once after upgrading. Missions recorded before then kept a flat approximation of their area.
+ */
+
+// Load environment variables
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/drone-survey');
+
+  let updated = 0;
+  const cursor = Mission.find({ status: 'completed' })
+    .select('pattern boundingBox waypoints statistics.areaCovered')
+    .lean()
+    .cursor();
+
+  for await (const mission of cursor) {
+    const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } });
+    const areaCovered = measureAreaCovered(mission, waypointsToPoints(waypoints));
+    if (mission.statistics?.areaCovered === areaCovered) continue;
+
+    await Mission.updateOne({ _id: mission._id }, { 'statistics.areaCovered': areaCovered });
+    updated++;
+  }
+
+  console.log(`Updated the area of ${updated} missions`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Failed to migrate mission areas:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const BatterySchema = new mongoose.Schema({
+  serialNumber: {
+    type: String,
+    required: [true, 'Please provide a serial number'],
+    unique: true,
+    trim: true
+  },
+  model: {
+    type: String,
+    trim: true
+  },
+  capacity: {
+    type: Number, // in mAh
+    min: [0, 'Capacity cannot be negative']
+  },
+  cycleCount: {
+    type: Number, // full charge cycles, flights count as the share of a charge they used
+    min: 0,
+    default: 0
+  },
+  health: {
+    type: Number, // percentage of original capacity
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  chargeLevel: {
+    type: Number, // percentage
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  storageState: {
+    type: String,
+    enum: ['charged', 'storage', 'discharged', 'charging', 'in-use'],
+    default: 'charged'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  // Drone the pack is fitted to, none while it is on the shelf
+  drone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Drone'
+  },
+  totalFlights: {
+    type: Number,
+    default: 0
+  },
+  totalFlightTime: {
+    type: Number,
+    default: 0 // in minutes
+  },
+  lastUsedAt: Date,
+  retiredAt: Date,
+  retirementReason: String,
+  notes: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  organization: {
+    type: String,
+    required: [true, 'Please provide an organization']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+});
+
+// Update the updatedAt field before saving
+BatterySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+BatterySchema.index({ organization: 1, status: 1 });
+BatterySchema.index({ drone: 1 });
+
+module.exports = mongoose.model('Battery', BatterySchema);
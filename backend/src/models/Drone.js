@@ -18,9 +18,15 @@ const DroneSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  // System ID the drone's autopilot sends MAVLink telemetry with
+  mavlinkSystemId: {
+    type: Number,
+    min: [1, 'MAVLink system ID must be between 1 and 255'],
+    max: [255, 'MAVLink system ID must be between 1 and 255']
+  },
   status: {
     type: String,
-    enum: ['active', 'inactive', 'maintenance', 'flying', 'idle', 'charging', 'error', 'offline'],
+    enum: ['active', 'inactive', 'maintenance', 'flying', 'hovering', 'returning', 'idle', 'charging', 'error', 'offline'],
     default: 'idle'
   },
   batteryLevel: {
@@ -93,6 +99,32 @@ const DroneSchema = new mongoose.Schema({
     default: Date.now
   },
   nextMaintenanceDate: Date,
+  // Total flight time in minutes at which the next maintenance falls due
+  nextMaintenanceFlightTime: Number,
+  // Maintenance interval of this drone, the configured interval is used for what is left out
+  maintenanceInterval: {
+    flightHours: Number,
+    days: Number
+  },
+  // Predictive maintenance alerts raised at the last health check
+  health: {
+    status: {
+      type: String,
+      enum: ['healthy', 'warning', 'critical']
+    },
+    alerts: [{
+      rule: String,
+      severity: {
+        type: String,
+        enum: ['warning', 'critical']
+      },
+      message: String,
+      value: Number,
+      threshold: Number,
+      raisedAt: Date
+    }],
+    checkedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -115,6 +147,7 @@ const DroneSchema = new mongoose.Schema({
 // Index location fields for geospatial queries
 DroneSchema.index({ lastLocation: '2dsphere' });
 DroneSchema.index({ homeLocation: '2dsphere' });
+DroneSchema.index({ mavlinkSystemId: 1 }, { unique: true, sparse: true });
 
 // Update the updatedAt field before saving
 DroneSchema.pre('save', function(next) {
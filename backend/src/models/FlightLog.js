@@ -14,6 +14,15 @@ const FlightLogSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Survey'
   },
+  pilot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Battery pack fitted to the drone for the flight
+  battery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Battery'
+  },
   startTime: {
     type: Date,
     required: true
@@ -24,6 +33,9 @@ const FlightLogSchema = new mongoose.Schema({
   duration: {
     type: Number, // in minutes
   },
+  nightDuration: {
+    type: Number, // in minutes flown after the end of civil twilight
+  },
   status: {
     type: String,
     enum: ['completed', 'aborted', 'failed', 'in-progress'],
@@ -77,4 +89,10 @@ const FlightLogSchema = new mongoose.Schema({
   }
 });
 
+FlightLogSchema.index({ organization: 1, startTime: -1 });
+FlightLogSchema.index({ drone: 1, startTime: -1 });
+FlightLogSchema.index({ mission: 1, status: 1 });
+FlightLogSchema.index({ pilot: 1, startTime: -1 });
+FlightLogSchema.index({ battery: 1, startTime: -1 });
+
 module.exports = mongoose.model('FlightLog', FlightLogSchema);
\ No newline at end of file
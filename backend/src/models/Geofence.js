@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const GeofenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a geofence name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Inclusion zones are the only airspace drones may fly in, exclusion zones are no-fly zones
+  type: {
+    type: String,
+    enum: ['inclusion', 'exclusion'],
+    default: 'exclusion'
+  },
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Polygon'],
+      default: 'Polygon'
+    },
+    coordinates: {
+      type: [[[Number]]], // Array of arrays of [longitude, latitude] pairs
+      required: [true, 'Please provide the geofence boundary']
+    }
+  },
+  // Inclusion zones cap the altitude inside them, exclusion zones only reach up to it
+  ceiling: {
+    type: Number, // in meters, same reference as waypoint altitudes
+    min: 0
+  },
+  // Exclusion zones start at this height, flying below them is allowed
+  floor: {
+    type: Number, // in meters, same reference as waypoint altitudes
+    min: 0,
+    default: 0
+  },
+  // The zone is always active without time windows
+  timeWindows: [{
+    start: Date,
+    end: Date,
+    days: [Number], // days of week (0-6, where 0 is Sunday)
+    startTime: String, // HH:mm in UTC
+    endTime: String // HH:mm in UTC
+  }],
+  breachAction: {
+    type: String,
+    enum: ['alert', 'return-to-home'],
+    default: 'return-to-home'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Where the zone came from, imported zones are matched on re-import by their external ID
+  source: {
+    type: String,
+    enum: ['manual', 'geojson', 'openair'],
+    default: 'manual'
+  },
+  externalId: {
+    type: String,
+    trim: true
+  },
+  // Airspace details as written in the imported file
+  airspace: {
+    class: String,
+    lowerLimit: String,
+    upperLimit: String
+  },
+  organization: {
+    type: String,
+    required: [true, 'Please provide an organization']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+GeofenceSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index the boundary for geospatial queries
+GeofenceSchema.index({ geometry: '2dsphere' });
+GeofenceSchema.index({ organization: 1, type: 1 });
+GeofenceSchema.index({ organization: 1, externalId: 1 });
+
+module.exports = mongoose.model('Geofence', GeofenceSchema);
@@ -37,6 +37,7 @@ const MaintenanceRecordSchema = new mongoose.Schema({
   }],
   notes: String,
   flightTimeAtMaintenance: Number, // in minutes
+  flightsAtMaintenance: Number,
   batteryHealth: {
     capacityPercentage: Number, // percentage of original capacity
     cycleCount: Number
@@ -78,4 +79,7 @@ MaintenanceRecordSchema.pre('save', function(next) {
   next();
 });
 
+MaintenanceRecordSchema.index({ drone: 1, date: -1 });
+MaintenanceRecordSchema.index({ organization: 1, status: 1, date: 1 });
+
 module.exports = mongoose.model('MaintenanceRecord', MaintenanceRecordSchema);
\ No newline at end of file
@@ -32,18 +32,28 @@ const MissionSchema = new mongoose.Schema({
   endTime: {
     type: Date
   },
+  // Pilot in command of the flight, recorded when the mission starts
+  pilot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   estimatedDuration: {
     type: Number // in minutes
   },
   pattern: {
     type: String,
-    enum: ['grid', 'crosshatch', 'perimeter', 'spiral', 'custom'],
+    enum: ['grid', 'crosshatch', 'perimeter', 'spiral', 'expanding-square', 'custom'],
     default: 'grid'
   },
   waypoints: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Waypoint'
   }],
+  // Raised on every waypoint edit, edits based on an older version are refused
+  waypointsVersion: {
+    type: Number,
+    default: 0
+  },
   altitude: {
     type: Number, // in meters
     required: [true, 'Please specify flight altitude']
@@ -87,7 +97,9 @@ const MissionSchema = new mongoose.Schema({
   statistics: {
     distance: Number, // in km
     images: Number, // count
+    videos: Number, // count
     areaCovered: Number, // in sq. km
+    duration: Number, // in minutes
     batteryUsed: Number // in percentage
   },
   environmentalConditions: {
@@ -104,6 +116,116 @@ const MissionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Battery-sized sorties a long mission is split into, flown in order
+  sorties: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mission'
+  }],
+  parentMission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mission'
+  },
+  sortie: {
+    number: Number,
+    total: Number
+  },
+  // Where an interrupted sortie stopped, the next sortie starts from here
+  resumePoint: {
+    waypointIndex: Number,
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: [Number] // [longitude, latitude]
+    },
+    altitude: Number,
+    recordedAt: Date
+  },
+  // Terrain model the waypoint altitudes were adjusted to
+  terrain: {
+    model: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TerrainModel'
+    },
+    takeoffElevation: Number, // in meters above sea level
+    minClearance: Number // in meters above ground
+  },
+  // Geofences the drone broke during the flight
+  geofenceBreaches: [{
+    geofence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Geofence'
+    },
+    name: String,
+    reason: {
+      type: String,
+      enum: ['no-fly', 'outside', 'ceiling']
+    },
+    action: {
+      type: String,
+      enum: ['alert', 'return-to-home']
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: [Number] // [longitude, latitude]
+    },
+    altitude: Number,
+    detectedAt: Date
+  }],
+  // How the flown track compared with the planned path, distances in meters and durations in seconds
+  deviation: {
+    analyzedAt: Date,
+    tolerance: Number,
+    samples: Number,
+    meanCrossTrackError: Number,
+    maxDeviation: {
+      distance: Number,
+      time: Date,
+      location: [Number], // [longitude, latitude]
+      leg: Number
+    },
+    coverage: Number, // percentage of the planned path flown within tolerance
+    waypoints: {
+      planned: Number,
+      reached: Number
+    },
+    missedWaypoints: [{
+      index: Number,
+      waypoint: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Waypoint'
+      },
+      closestApproach: Number
+    }],
+    legs: [{
+      index: Number,
+      length: Number,
+      plannedDuration: Number,
+      actualDuration: Number,
+      startTime: Date,
+      endTime: Date,
+      meanCrossTrackError: Number,
+      maxCrossTrackError: Number
+    }],
+    coverageGaps: [{
+      leg: Number,
+      start: Number, // distance along the leg
+      end: Number,
+      length: Number,
+      path: [[Number]] // [longitude, latitude] pairs
+    }],
+    offRouteSegments: [{
+      startTime: Date,
+      endTime: Date,
+      duration: Number,
+      maxDeviation: Number,
+      path: [[Number]] // [longitude, latitude] pairs
+    }]
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -112,6 +112,11 @@ const SurveySchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Elevation model of the site used for terrain following
+  terrainModel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TerrainModel'
+  },
   tags: [String],
   organization: {
     type: String,
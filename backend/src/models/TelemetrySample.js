@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const TelemetrySampleSchema = new mongoose.Schema({
+  drone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Drone',
+    required: true
+  },
+  mission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mission'
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number] // [longitude, latitude]
+    }
+  },
+  altitude: Number, // in meters above takeoff
+  speed: Number, // in m/s
+  heading: Number, // in degrees
+  batteryLevel: Number, // in percentage
+  signalStrength: Number, // in percentage
+  temperature: Number, // in Celsius
+  source: {
+    type: String,
+    enum: ['simulator', 'mavlink', 'api'],
+    required: true
+  },
+  // Seconds of flight a downsampled sample stands for, 0 for samples as received
+  resolution: {
+    type: Number,
+    default: 0
+  },
+  // Downsampled samples are removed by MongoDB once this time has passed
+  expiresAt: Date
+});
+
+TelemetrySampleSchema.index({ drone: 1, timestamp: 1 });
+TelemetrySampleSchema.index({ mission: 1, timestamp: 1 });
+TelemetrySampleSchema.index({ resolution: 1, timestamp: 1 });
+TelemetrySampleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TelemetrySample', TelemetrySampleSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const TerrainModelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['geotiff', 'ascii-grid'],
+    required: true
+  },
+  width: {
+    type: Number, // in cells
+    required: true
+  },
+  height: {
+    type: Number, // in cells
+    required: true
+  },
+  bounds: {
+    west: Number,
+    south: Number,
+    east: Number,
+    north: Number
+  },
+  cellWidth: Number, // in degrees of longitude
+  cellHeight: Number, // in degrees of latitude
+  minElevation: Number, // in meters
+  maxElevation: Number, // in meters
+  downsampled: {
+    type: Number, // cells of the uploaded grid merged into one, 1 if kept as uploaded
+    default: 1
+  },
+  // Elevations as little-endian 32-bit floats, row by row from the north-west corner
+  data: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  organization: {
+    type: String,
+    required: [true, 'Please provide an organization']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('TerrainModel', TerrainModelSchema);
@@ -28,6 +28,16 @@ const WaypointSchema = new mongoose.Schema({
   speed: {
     type: Number, // in m/s
   },
+  heading: {
+    type: Number, // in degrees clockwise from north
+    min: 0,
+    max: 360
+  },
+  gimbalPitch: {
+    type: Number, // in degrees, 0 is horizontal and -90 points straight down
+    min: -90,
+    max: 30
+  },
   action: {
     type: String,
     enum: ['flyTo', 'hover', 'takePhoto', 'recordVideo', 'landNow'],
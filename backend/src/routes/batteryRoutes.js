@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getBatteries,
+  getChargeRotation,
+  getBatteryById,
+  createBattery,
+  updateBattery,
+  assignBattery,
+  unassignBattery,
+  retireBattery
+} = require('../controllers/batteryController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All battery routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getBatteries)
+  .post(authorize('admin', 'manager', 'technician'), createBattery);
+
+// Charge rotation, ahead of the routes by battery ID
+router.get('/rotation', getChargeRotation);
+
+router.route('/:id')
+  .get(getBatteryById)
+  .put(authorize('admin', 'manager', 'technician'), updateBattery);
+
+// Packs are swapped by the crews flying them, whatever their role
+router.post('/:id/assign', assignBattery);
+router.post('/:id/unassign', unassignBattery);
+router.post('/:id/retire', authorize('admin', 'manager', 'technician'), retireBattery);
+
+module.exports = router;
@@ -8,9 +8,13 @@ const {
   updateDroneStatus,
   updateDroneBattery,
   getDroneTelemetry,
-  addMaintenanceRecord,
-  getDroneStatistics
+  getDroneTelemetryHistory,
+  getDroneStatistics,
+  getFleetHealth,
+  getDroneHealth
 } = require('../controllers/droneController');
+const { getDroneFlightLogs, exportDroneFlightLogs } = require('../controllers/flightLogController');
+const { getDroneMaintenance, addMaintenanceRecord } = require('../controllers/maintenanceController');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -23,6 +27,9 @@ router.route('/')
   .get(getDrones)
   .post(authorize('admin', 'manager'), createDrone);
 
+// Fleet health, ahead of the routes by drone ID
+router.get('/health', getFleetHealth);
+
 router.route('/:id')
   .get(getDroneById)
   .put(authorize('admin', 'manager'), updateDrone)
@@ -32,7 +39,12 @@ router.route('/:id')
 router.patch('/:id/status', authorize('admin', 'manager', 'operator'), updateDroneStatus);
 router.patch('/:id/battery', updateDroneBattery);
 router.get('/:id/telemetry', getDroneTelemetry);
+router.get('/:id/telemetry/history', getDroneTelemetryHistory);
+router.get('/:id/maintenance', getDroneMaintenance);
 router.post('/:id/maintenance', authorize('admin', 'manager', 'technician'), addMaintenanceRecord);
 router.get('/:id/statistics', getDroneStatistics);
+router.get('/:id/health', getDroneHealth);
+router.get('/:id/flight-logs', getDroneFlightLogs);
+router.get('/:id/flight-logs/export', exportDroneFlightLogs);
 
 module.exports = router;
\ No newline at end of file
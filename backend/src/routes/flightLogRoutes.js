@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  getFlightLogs,
+  getFlightLogById,
+  exportFlightLogs
+} = require('../controllers/flightLogController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All flight log routes are protected
+router.use(protect);
+
+router.get('/', getFlightLogs);
+router.get('/export', exportFlightLogs);
+router.get('/:id', getFlightLogById);
+
+module.exports = router;
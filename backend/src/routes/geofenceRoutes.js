@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getGeofences,
+  getGeofenceById,
+  createGeofence,
+  updateGeofence,
+  importGeofences,
+  deleteGeofence
+} = require('../controllers/geofenceController');
+const { protect, authorize } = require('../middleware/auth');
+const geofenceConfig = require('../config/geofenceConfig');
+
+const router = express.Router();
+
+// All geofence routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getGeofences)
+  .post(authorize('admin', 'manager'), createGeofence);
+
+// Airspace import, uploaded as the raw GeoJSON or OpenAir file
+router.post(
+  '/import',
+  authorize('admin', 'manager'),
+  express.text({ type: () => true, limit: geofenceConfig.importLimit }),
+  importGeofences
+);
+
+router.route('/:id')
+  .get(getGeofenceById)
+  .put(authorize('admin', 'manager'), updateGeofence)
+  .delete(authorize('admin', 'manager'), deleteGeofence);
+
+module.exports = router;
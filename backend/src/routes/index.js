@@ -5,6 +5,10 @@ const droneRoutes = require('./droneRoutes');
 const missionRoutes = require('./missionRoutes');
 const surveyRoutes = require('./surveyRoutes');
 const analyticsRoutes = require('./analyticsRoutes');
+const geofenceRoutes = require('./geofenceRoutes');
+const flightLogRoutes = require('./flightLogRoutes');
+const maintenanceRoutes = require('./maintenanceRoutes');
+const batteryRoutes = require('./batteryRoutes');
 
 const router = express.Router();
 
@@ -15,6 +19,10 @@ router.use('/api/drones', droneRoutes);
 router.use('/api/missions', missionRoutes);
 router.use('/api/surveys', surveyRoutes);
 router.use('/api/analytics', analyticsRoutes);
+router.use('/api/geofences', geofenceRoutes);
+router.use('/api/flight-logs', flightLogRoutes);
+router.use('/api/maintenance', maintenanceRoutes);
+router.use('/api/batteries', batteryRoutes);
 
 // Health check route
 router.get('/api/health', (req, res) => {
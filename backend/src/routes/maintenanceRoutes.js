@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getMaintenanceRecords,
+  getMaintenanceRecordById,
+  updateMaintenanceRecord,
+  completeMaintenanceRecord
+} = require('../controllers/maintenanceController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All maintenance routes are protected
+router.use(protect);
+
+router.get('/', getMaintenanceRecords);
+
+router.route('/:id')
+  .get(getMaintenanceRecordById)
+  .put(authorize('admin', 'manager', 'technician'), updateMaintenanceRecord);
+
+router.post('/:id/complete', authorize('admin', 'manager', 'technician'), completeMaintenanceRecord);
+
+module.exports = router;
@@ -6,16 +6,33 @@ const {
   updateMission,
   deleteMission,
   startMission,
+  preflightCheck,
   pauseMission,
   resumeMission,
   abortMission,
   completeMission,
   updateMissionProgress,
   getMissionTelemetry,
+  getMissionTelemetryHistory,
+  getMissionDeviation,
+  getTerrainProfile,
+  downloadMission,
+  importMission,
   generateFlightPlan,
+  optimizeMissionRoute,
+  splitMission,
   getMissionAnalytics
 } = require('../controllers/missionController');
+const {
+  getWaypoints,
+  replaceWaypoints,
+  insertWaypoint,
+  reorderWaypoints,
+  updateWaypoint,
+  deleteWaypoint
+} = require('../controllers/waypointController');
 const { protect, authorize } = require('../middleware/auth');
+const missionImportConfig = require('../config/missionImportConfig');
 
 const router = express.Router();
 
@@ -27,12 +44,31 @@ router.route('/')
   .get(getMissions)
   .post(createMission);
 
+// Mission files from ground stations and GIS tools, sent as the raw request body
+router.post(
+  '/import',
+  authorize('operator', 'manager', 'admin'),
+  express.raw({ type: () => true, limit: missionImportConfig.uploadLimit }),
+  importMission
+);
+
 router.route('/:id')
   .get(getMissionById)
   .put(updateMission)
   .delete(deleteMission);
 
+// Waypoint editing, each edit sends the waypoints version it is based on
+router.route('/:id/waypoints')
+  .get(getWaypoints)
+  .put(replaceWaypoints)
+  .post(insertWaypoint);
+router.post('/:id/waypoints/reorder', reorderWaypoints);
+router.route('/:id/waypoints/:waypointId')
+  .patch(updateWaypoint)
+  .delete(deleteWaypoint);
+
 // Mission control routes
+router.post('/:id/preflight', preflightCheck);
 router.post('/:id/start', authorize('operator', 'manager', 'admin'), startMission);
 router.post('/:id/pause', authorize('operator', 'manager', 'admin'), pauseMission);
 router.post('/:id/resume', authorize('operator', 'manager', 'admin'), resumeMission);
@@ -42,9 +78,15 @@ router.post('/:id/complete', authorize('operator', 'manager', 'admin'), complete
 // Mission monitoring and data routes
 router.patch('/:id/progress', updateMissionProgress);
 router.get('/:id/telemetry', getMissionTelemetry);
+router.get('/:id/telemetry/history', getMissionTelemetryHistory);
+router.get('/:id/deviation', getMissionDeviation);
+router.get('/:id/terrain-profile', getTerrainProfile);
+router.get('/:id/download', downloadMission);
 
 // Flight planning
 router.post('/flight-plan', generateFlightPlan);
+router.post('/:id/optimize', authorize('operator', 'manager', 'admin'), optimizeMissionRoute);
+router.post('/:id/sorties', authorize('operator', 'manager', 'admin'), splitMission);
 
 // Analytics
 router.get('/analytics', getMissionAnalytics);
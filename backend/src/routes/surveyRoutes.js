@@ -11,8 +11,15 @@ const {
   getSurveyAnalytics,
   generateSurveyReport,
   getSurveyStatistics,
+  partitionSurveyArea,
   cloneSurvey
 } = require('../controllers/surveyController');
+const {
+  uploadTerrainModel,
+  getTerrainModel,
+  deleteTerrainModel
+} = require('../controllers/terrainController');
+const terrainConfig = require('../config/terrainConfig');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -40,6 +47,19 @@ router.patch('/:id/status', updateSurveyStatus);
 router.post('/:id/missions', addMissionToSurvey);
 router.delete('/:id/missions/:missionId', removeMissionFromSurvey);
 
+// Divide the survey area between drones, one mission each
+router.post('/:id/partition', authorize('operator', 'manager', 'admin'), partitionSurveyArea);
+
+// Site terrain model, uploaded as the raw GeoTIFF or ASCII grid file
+router.route('/:id/terrain')
+  .get(getTerrainModel)
+  .post(
+    authorize('operator', 'manager', 'admin'),
+    express.raw({ type: () => true, limit: terrainConfig.uploadLimit }),
+    uploadTerrainModel
+  )
+  .delete(authorize('operator', 'manager', 'admin'), deleteTerrainModel);
+
 // Analytics and reports
 router.get('/:id/analytics', getSurveyAnalytics);
 router.get('/:id/report', generateSurveyReport);
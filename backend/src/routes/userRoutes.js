@@ -11,7 +11,9 @@ const {
   deleteUser,
   forgotPassword,
   resetPassword,
-  getUserActivity
+  getUserActivity,
+  getPilotLogbook,
+  exportPilotLogbook
 } = require('../controllers/userController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -29,6 +31,8 @@ router.get('/profile', getUserProfile);
 router.put('/profile', updateUserProfile);
 router.post('/change-password', changePassword);
 router.get('/:id/activity', getUserActivity);
+router.get('/:id/logbook', getPilotLogbook);
+router.get('/:id/logbook/export', exportPilotLogbook);
 
 // Admin only routes
 router.get('/', authorize('admin'), getUsers);
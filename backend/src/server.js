@@ -1,5 +1,9 @@
 const server = require('./app');
 const { connectDB } = require('./config/database');
+const flightSimulator = require('./services/flightSimulator');
+const mavlinkGateway = require('./services/mavlinkGateway');
+const mavlinkConfig = require('./config/mavlinkConfig');
+const { startDownsampling } = require('./services/telemetryService');
 const dotenv = require('dotenv');
 
 // Load environment variables
@@ -13,6 +17,21 @@ const startServer = async () => {
     await connectDB();
     console.log('MongoDB connected successfully');
     
+    // Pick up simulated flights that were running before a restart
+    const restoredFlights = await flightSimulator.restoreFlights();
+    if (restoredFlights > 0) {
+      console.log(`Restored ${restoredFlights} simulated flight(s)`);
+    }
+    
+    // Thin out old telemetry history now and then
+    startDownsampling();
+    
+    // Receive telemetry from real drones and SITL
+    if (mavlinkConfig.enabled) {
+      const ports = await mavlinkGateway.start();
+      console.log(`MAVLink gateway listening on UDP ${ports.udp || 'off'}, TCP ${ports.tcp || 'off'}`);
+    }
+    
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`API available at http://localhost:${PORT}`);
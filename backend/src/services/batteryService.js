@@ -0,0 +1,238 @@
+const Battery = require('../models/Battery');
+const batteryConfig = require('../config/batteryConfig');
+
+/**
+ * Battery pack inventory
+ * Packs are tracked apart from the airframes they are fitted to. A drone's battery level is the charge
+ * of the pack fitted to it, so the level moves with the pack when it is swapped, and every flight adds
+ * to the cycles and flight time of the pack it was flown on. Packs past their cycle or health limit are
+ * due for retirement and can no longer be fitted.
+ */
+
+// Drone states in which it is in the air
+const AIRBORNE_STATUSES = ['flying', 'hovering', 'returning'];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Helper to work out where a pack taken off a drone is kept from its charge level
+const shelfState = (chargeLevel) => {
+  const [storageMin, storageMax] = batteryConfig.storageChargeRange;
+  if (chargeLevel >= batteryConfig.readyChargeLevel) return 'charged';
+  if (chargeLevel >= storageMin && chargeLevel <= storageMax) return 'storage';
+  return 'discharged';
+};
+
+/**
+ * Check a battery pack against the retirement thresholds
+ * @param {Object} battery - Battery document
+ * @returns {Object} { status, reasons, cyclesRemaining, healthMargin } with status 'ok',
+ *   'near-retirement', 'due' or 'retired'
+ */
+const getRetirementStatus = (battery) => {
+  const cycles = battery.cycleCount || 0;
+  const health = Number.isFinite(battery.health) ? battery.health : 100;
+  const cyclesRemaining = round(batteryConfig.retireCycleCount - cycles);
+  const healthMargin = round(health - batteryConfig.retireHealth);
+
+  if (battery.status === 'retired') {
+    return { status: 'retired', reasons: [battery.retirementReason || 'Retired'], cyclesRemaining, healthMargin };
+  }
+
+  const reasons = [];
+  if (cyclesRemaining <= 0) {
+    reasons.push(`Reached ${Math.round(cycles)} of its ${batteryConfig.retireCycleCount} charge cycles`);
+  }
+  if (healthMargin < 0) {
+    reasons.push(`Health ${health}% is below ${batteryConfig.retireHealth}%`);
+  }
+  if (reasons.length > 0) {
+    return { status: 'due', reasons, cyclesRemaining, healthMargin };
+  }
+
+  if (cycles >= batteryConfig.retireCycleCount * batteryConfig.nearRetirementRatio) {
+    reasons.push(`${Math.round(cyclesRemaining)} charge cycles left before retirement`);
+  }
+  if (healthMargin < batteryConfig.nearRetirementHealth) {
+    reasons.push(`Health ${health}% is close to the ${batteryConfig.retireHealth}% retirement limit`);
+  }
+  return { status: reasons.length > 0 ? 'near-retirement' : 'ok', reasons, cyclesRemaining, healthMargin };
+};
+
+// Helper to take a pack off its drone, keeping the charge the drone last reported for it
+const takeOff = (battery, drone) => {
+  if (drone && Number.isFinite(drone.batteryLevel)) {
+    battery.chargeLevel = drone.batteryLevel;
+  }
+  battery.drone = undefined;
+  battery.storageState = shelfState(battery.chargeLevel);
+};
+
+/**
+ * Fit a battery pack to a drone, taking off the pack fitted to it before
+ * @param {Object} battery - Battery document
+ * @param {Object} drone - Drone document, of the same organization
+ * @param {Object} previousDrone - Drone the pack is fitted to now, if any
+ * @returns {Promise<Object>} { battery, replaced } with replaced the pack taken off, or null
+ */
+const assignBattery = async (battery, drone, previousDrone) => {
+  const retirement = getRetirementStatus(battery);
+  if (retirement.status === 'retired') {
+    throw new Error('Retired battery packs cannot be fitted');
+  }
+  if (retirement.status === 'due') {
+    throw new Error(`Battery pack is due for retirement: ${retirement.reasons.join(', ')}`);
+  }
+  if (AIRBORNE_STATUSES.includes(drone.status)) {
+    throw new Error('Land the drone before swapping its battery');
+  }
+  if (previousDrone && AIRBORNE_STATUSES.includes(previousDrone.status)) {
+    throw new Error('Battery pack is fitted to a drone in flight');
+  }
+
+  const replaced = await Battery.findOne({ drone: drone._id, _id: { $ne: battery._id } });
+  if (replaced) {
+    takeOff(replaced, drone);
+    await replaced.save();
+  }
+
+  // A pack moved straight from another drone keeps the charge that drone last reported
+  if (previousDrone && Number.isFinite(previousDrone.batteryLevel)) {
+    battery.chargeLevel = previousDrone.batteryLevel;
+  }
+  battery.drone = drone._id;
+  battery.storageState = 'in-use';
+  drone.batteryLevel = battery.chargeLevel;
+  await battery.save();
+  await drone.save();
+
+  return { battery, replaced };
+};
+
+/**
+ * Take a battery pack off the drone it is fitted to
+ * @param {Object} battery - Battery document
+ * @param {Object} drone - Drone the pack is fitted to, if it still exists
+ * @returns {Promise<Object>} Saved battery
+ */
+const unassignBattery = async (battery, drone) => {
+  if (drone && AIRBORNE_STATUSES.includes(drone.status)) {
+    throw new Error('Land the drone before taking off its battery');
+  }
+  takeOff(battery, drone);
+  return battery.save();
+};
+
+/**
+ * Retire a battery pack, taking it off its drone
+ * @param {Object} battery - Battery document
+ * @param {Object} drone - Drone the pack is fitted to, if any
+ * @param {string} reason - Why the pack is retired, defaults to the thresholds it passed
+ * @returns {Promise<Object>} Saved battery
+ */
+const retireBattery = async (battery, drone, reason) => {
+  if (battery.status === 'retired') {
+    throw new Error('Battery pack is already retired');
+  }
+  if (drone && AIRBORNE_STATUSES.includes(drone.status)) {
+    throw new Error('Land the drone before retiring its battery');
+  }
+
+  const retirement = getRetirementStatus(battery);
+  if (battery.drone) takeOff(battery, drone);
+  battery.status = 'retired';
+  battery.retiredAt = new Date();
+  battery.retirementReason = reason || retirement.reasons.join(', ') || 'Retired';
+  return battery.save();
+};
+
+/**
+ * Find the pack fitted to a drone
+ * @param {string} droneId - Drone ID
+ * @returns {Promise<Object|null>} Battery document
+ */
+const findFittedBattery = (droneId) => Battery.findOne({ drone: droneId, status: 'active' });
+
+/**
+ * Add a closed flight to the pack it was flown on
+ * The battery used counts as that share of a charge cycle, and the pack keeps the charge it landed with.
+ * @param {Object} log - Closed flight log
+ * @returns {Promise<void>}
+ */
+const recordBatteryFlight = async (log) => {
+  if (!log.battery) return;
+
+  const update = {
+    $inc: {
+      totalFlights: 1,
+      totalFlightTime: log.duration || 0,
+      cycleCount: Math.round((log.batteryUsed || 0) * 10) / 1000
+    },
+    $set: { lastUsedAt: log.endTime }
+  };
+  if (Number.isFinite(log.endBatteryLevel)) {
+    update.$set.chargeLevel = log.endBatteryLevel;
+  }
+  await Battery.updateOne({ _id: log.battery }, update);
+};
+
+/**
+ * Take every pack off a drone that is being removed
+ * @param {Object} drone - Drone document
+ * @returns {Promise<void>}
+ */
+const releaseDroneBatteries = async (drone) => {
+  const batteries = await Battery.find({ drone: drone._id });
+  for (const battery of batteries) {
+    takeOff(battery, drone);
+    await battery.save();
+  }
+};
+
+// Helper to order packs healthiest first, then by fewest cycles
+const byHealth = (a, b) => (b.health - a.health) || (a.cycleCount - b.cycleCount);
+
+/**
+ * Build the charge rotation of an organization's packs
+ * Packs in service are listed healthiest first in each group, so crews fly and charge the healthiest
+ * packs first and wear spreads evenly over the fleet.
+ * @param {string} organization - Organization of the packs
+ * @returns {Promise<Object>} { ready, needsCharge, charging, storage, fitted, dueForRetirement } with each
+ *   pack's retirement status
+ */
+const getChargeRotation = async (organization) => {
+  const batteries = await Battery.find({ organization, status: 'active' })
+    .populate('drone', 'name status');
+
+  const rotation = { ready: [], needsCharge: [], charging: [], storage: [], fitted: [], dueForRetirement: [] };
+  batteries
+    .map(battery => ({ ...battery.toObject(), retirement: getRetirementStatus(battery) }))
+    .sort(byHealth)
+    .forEach(battery => {
+      if (battery.retirement.status === 'due') {
+        rotation.dueForRetirement.push(battery);
+      } else if (battery.drone) {
+        rotation.fitted.push(battery);
+      } else if (battery.storageState === 'charging') {
+        rotation.charging.push(battery);
+      } else if (battery.storageState === 'storage') {
+        rotation.storage.push(battery);
+      } else if (battery.chargeLevel >= batteryConfig.readyChargeLevel) {
+        rotation.ready.push(battery);
+      } else {
+        rotation.needsCharge.push(battery);
+      }
+    });
+
+  return rotation;
+};
+
+module.exports = {
+  getRetirementStatus,
+  assignBattery,
+  unassignBattery,
+  retireBattery,
+  findFittedBattery,
+  recordBatteryFlight,
+  releaseDroneBatteries,
+  getChargeRotation
+};
@@ -0,0 +1,58 @@
+const Waypoint = require('../models/Waypoint');
+const TelemetrySample = require('../models/TelemetrySample');
+const FlightLog = require('../models/FlightLog');
+const { fromLngLat } = require('../utils/geodesy');
+const { analyzeTrack } = require('../utils/trackDeviation');
+const { flushSamples } = require('./telemetryService');
+
+/**
+ * Compare the track a mission flew with its planned waypoints
+ * The result is stored on the mission, and the mission's latest flight log takes the number of
+ * waypoints reached from it.
+ * @param {Object} mission - Mission document that has been flown
+ * @returns {Promise<Object>} Deviation as stored on the mission
+ */
+const analyzeMissionDeviation = async (mission) => {
+  const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } }).sort({ order: 1 });
+  if (waypoints.length === 0) {
+    throw new Error('Mission has no waypoints to compare the flight with');
+  }
+
+  // Samples still waiting to be written belong to the track too
+  await flushSamples();
+  const samples = await TelemetrySample.find({
+    mission: mission._id,
+    timestamp: { $gte: mission.startTime, $lte: mission.endTime || new Date() },
+    'location.coordinates.1': { $exists: true }
+  })
+    .sort({ timestamp: 1 })
+    .select('timestamp location')
+    .lean();
+
+  const result = analyzeTrack(
+    waypoints.map(waypoint => ({
+      _id: waypoint._id,
+      ...fromLngLat(waypoint.location.coordinates),
+      speed: waypoint.speed,
+      reached: waypoint.reached,
+      timeReached: waypoint.timeReached
+    })),
+    samples.map(sample => ({ time: sample.timestamp, ...fromLngLat(sample.location.coordinates) })),
+    { speed: mission.speed }
+  );
+
+  mission.deviation = { ...result, analyzedAt: new Date() };
+  await mission.save();
+
+  await FlightLog.findOneAndUpdate(
+    { mission: mission._id },
+    { 'waypoints.planned': result.waypoints.planned, 'waypoints.reached': result.waypoints.reached },
+    { sort: { startTime: -1 } }
+  );
+
+  return mission.deviation;
+};
+
+module.exports = {
+  analyzeMissionDeviation
+};
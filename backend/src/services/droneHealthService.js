@@ -0,0 +1,205 @@
+const Drone = require('../models/Drone');
+const FlightLog = require('../models/FlightLog');
+const MaintenanceRecord = require('../models/MaintenanceRecord');
+const { getMaintenanceStatus } = require('./maintenanceService');
+const { findFittedBattery } = require('./batteryService');
+const { evaluateHealth, getDrainTrend } = require('../utils/healthRules');
+const { emitGlobalUpdate } = require('../utils/socketEvents');
+const droneHealthConfig = require('../config/droneHealthConfig');
+const maintenanceConfig = require('../config/maintenanceConfig');
+
+/**
+ * Drone health
+ * Gathers what is known about a drone's wear from its flight logs, maintenance records and battery
+ * pack, runs the health rules over it and keeps the alerts raised on the drone. Health is checked again
+ * whenever a flight log closes, maintenance is recorded or the health of a drone is asked for, and newly
+ * raised alerts are sent to all clients.
+ */
+
+// Helper to find the last routine maintenance or inspection and the last battery check of a drone
+const findLastRecords = (drone) => Promise.all([
+  MaintenanceRecord.findOne({
+    drone: drone._id,
+    status: 'completed',
+    type: { $in: maintenanceConfig.intervalTypes }
+  })
+    .sort({ date: -1 })
+    .select('date flightsAtMaintenance')
+    .lean(),
+  MaintenanceRecord.findOne({
+    drone: drone._id,
+    status: 'completed',
+    $or: [
+      { 'batteryHealth.cycleCount': { $ne: null } },
+      { 'batteryHealth.capacityPercentage': { $ne: null } }
+    ]
+  })
+    .sort({ date: -1 })
+    .select('date batteryHealth')
+    .lean()
+]);
+
+// Helper to count the flights since the last service, from the flight count noted on it when there is one
+const countFlightsSince = async (drone, lastService) => {
+  if (lastService && Number.isFinite(lastService.flightsAtMaintenance)) {
+    return Math.max(0, (drone.totalFlights || 0) - lastService.flightsAtMaintenance);
+  }
+  return FlightLog.countDocuments({
+    drone: drone._id,
+    status: { $ne: 'in-progress' },
+    startTime: { $gte: lastService ? lastService.date : drone.lastMaintenanceDate || drone.createdAt }
+  });
+};
+
+// Helper to estimate the battery's charge cycles and capacity now. A pack fitted from the inventory
+// keeps its own count, otherwise the charge used on the flights since the last battery check counts as cycles
+const estimateBattery = async (drone, lastCheck) => {
+  const pack = await findFittedBattery(drone._id);
+  if (pack) {
+    return {
+      serialNumber: pack.serialNumber,
+      cycleCount: Math.round(pack.cycleCount),
+      capacityPercentage: pack.health,
+      checkedAt: pack.updatedAt
+    };
+  }
+  if (!lastCheck) return null;
+
+  const { cycleCount, capacityPercentage } = lastCheck.batteryHealth;
+  let cycles = null;
+  if (Number.isFinite(cycleCount)) {
+    const [used] = await FlightLog.aggregate([
+      { $match: { drone: drone._id, status: { $ne: 'in-progress' }, startTime: { $gte: lastCheck.date } } },
+      { $group: { _id: null, batteryUsed: { $sum: '$batteryUsed' } } }
+    ]);
+    cycles = Math.round(cycleCount + (used ? used.batteryUsed : 0) / 100);
+  }
+
+  return {
+    cycleCount: cycles,
+    capacityPercentage: Number.isFinite(capacityPercentage) ? capacityPercentage : null,
+    checkedAt: lastCheck.date
+  };
+};
+
+/**
+ * Check the health of a drone
+ * @param {Object} drone - Drone document
+ * @param {Date} now - Moment to check at
+ * @returns {Promise<Object>} { status, alerts, metrics, checkedAt } with status 'healthy', 'warning' or
+ *   'critical' and metrics the facts the rules were run over
+ */
+const checkDroneHealth = async (drone, now = new Date()) => {
+  const { drainTrend, faults } = droneHealthConfig;
+  const [[lastService, lastCheck], recentFlights] = await Promise.all([
+    findLastRecords(drone),
+    FlightLog.find({ drone: drone._id, status: { $ne: 'in-progress' } })
+      .sort({ startTime: -1 })
+      .limit(Math.max(drainTrend.flights, faults.flights))
+      .select('startTime duration batteryUsed status errors')
+      .lean()
+  ]);
+
+  const drainRates = recentFlights
+    .slice(0, drainTrend.flights)
+    .filter(log => log.duration >= drainTrend.minDuration && Number.isFinite(log.batteryUsed))
+    .map(log => log.batteryUsed / log.duration)
+    .reverse();
+
+  const faultFlights = recentFlights.slice(0, faults.flights);
+  const faultCount = faultFlights.reduce((total, log) => total +
+    (log.errors || []).filter(entry => droneHealthConfig.faultCodes.includes(entry.code)).length +
+    (log.status === 'failed' ? 1 : 0), 0);
+
+  const facts = {
+    maintenance: getMaintenanceStatus(drone, now),
+    flightsSinceService: await countFlightsSince(drone, lastService),
+    battery: await estimateBattery(drone, lastCheck),
+    drainRates,
+    faults: { count: faultCount, flights: faultFlights.length }
+  };
+
+  return {
+    ...evaluateHealth(facts),
+    metrics: {
+      maintenance: facts.maintenance,
+      flightsSinceService: facts.flightsSinceService,
+      battery: facts.battery,
+      drainTrend: getDrainTrend(drainRates),
+      faults: facts.faults
+    },
+    checkedAt: now
+  };
+};
+
+/**
+ * Check the health of a drone and keep the alerts raised on it
+ * Alerts raised before keep when they were first raised unless their severity changed. Newly raised
+ * alerts are sent to all clients.
+ * @param {Object} drone - Drone document
+ * @param {Date} now - Moment to check at
+ * @returns {Promise<Object>} Health as from checkDroneHealth, alerts with when they were raised
+ */
+const refreshDroneHealth = async (drone, now = new Date()) => {
+  const health = await checkDroneHealth(drone, now);
+
+  const previous = new Map(((drone.health && drone.health.alerts) || []).map(alert => [alert.rule, alert]));
+  health.alerts = health.alerts.map(alert => {
+    const earlier = previous.get(alert.rule);
+    return { ...alert, raisedAt: earlier && earlier.severity === alert.severity ? earlier.raisedAt : now };
+  });
+
+  const stored = { status: health.status, alerts: health.alerts, checkedAt: now };
+  await Drone.updateOne({ _id: drone._id }, { health: stored });
+  drone.health = stored;
+
+  const raised = health.alerts.filter(alert => alert.raisedAt === now);
+  if (raised.length > 0) {
+    emitGlobalUpdate('droneHealthAlert', {
+      droneId: drone._id,
+      name: drone.name,
+      status: health.status,
+      alerts: raised
+    });
+  }
+
+  return health;
+};
+
+/**
+ * Check the health of every drone of an organization
+ * @param {string} organization - Organization of the drones
+ * @param {Date} now - Moment to check at
+ * @returns {Promise<Object>} { summary: { total, healthy, warning, critical, offline }, drones, alerts }
+ *   with offline drones counted as offline whatever their health, and alerts of all drones newest first
+ *   after the critical ones
+ */
+const getFleetHealth = async (organization, now = new Date()) => {
+  const drones = await Drone.find({ organization }).sort({ name: 1 });
+
+  const summary = { total: drones.length, healthy: 0, warning: 0, critical: 0, offline: 0 };
+  const fleet = [];
+  const alerts = [];
+
+  // One drone at a time, each check runs a few queries
+  for (const drone of drones) {
+    const { status, alerts: droneAlerts } = await refreshDroneHealth(drone, now);
+    const summaryDrone = { _id: drone._id, name: drone.name, model: drone.model, status: drone.status };
+
+    summary[drone.status === 'offline' ? 'offline' : status] += 1;
+    fleet.push({ drone: summaryDrone, status, alerts: droneAlerts });
+    droneAlerts.forEach(alert => alerts.push({ ...alert, drone: { _id: drone._id, name: drone.name } }));
+  }
+
+  alerts.sort((a, b) => (a.severity === b.severity
+    ? new Date(b.raisedAt) - new Date(a.raisedAt)
+    : a.severity === 'critical' ? -1 : 1));
+
+  return { summary, drones: fleet, alerts };
+};
+
+module.exports = {
+  checkDroneHealth,
+  refreshDroneHealth,
+  getFleetHealth
+};
@@ -0,0 +1,220 @@
+const FlightLog = require('../models/FlightLog');
+const Drone = require('../models/Drone');
+const Waypoint = require('../models/Waypoint');
+const TelemetrySample = require('../models/TelemetrySample');
+const { fromLngLat, pathDistance } = require('../utils/geodesy');
+const { isNight } = require('../utils/solar');
+const { flushSamples } = require('./telemetryService');
+const { refreshDroneHealth } = require('./droneHealthService');
+const { findFittedBattery, recordBatteryFlight } = require('./batteryService');
+
+/**
+ * Flight logs
+ * A flight log is opened when a mission starts, brought up to date when it pauses and closed when it
+ * completes or is aborted. Distance, altitude, speed and battery figures come from the telemetry
+ * recorded for the mission, and notable events of the flight are kept in its errors.
+ */
+
+// Severity of the breach entries by the action the geofence took
+const BREACH_SEVERITY = {
+  alert: 'warning',
+  'return-to-home': 'critical'
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Helper to work out the minutes of a flight flown at night, a minute at a time at the drone's
+// last known position
+const measureNight = (start, end, fixes) => {
+  let night = 0;
+  let cursor = 0;
+  for (let time = start.getTime(); time < end.getTime(); time += 60000) {
+    const stepEnd = Math.min(time + 60000, end.getTime());
+    const middle = (time + stepEnd) / 2;
+    while (cursor < fixes.length - 1 && fixes[cursor + 1].time <= middle) cursor++;
+    if (isNight(new Date(middle), fixes[cursor])) night += stepEnd - time;
+  }
+  return round(night / 60000);
+};
+
+// Helper to work out the flight figures from the telemetry recorded for a mission so far
+const summarizeFlight = async (mission, end) => {
+  // Samples still waiting to be written belong to the flight too
+  await flushSamples();
+  const samples = await TelemetrySample.find({
+    mission: mission._id,
+    timestamp: { $gte: mission.startTime, $lte: end }
+  })
+    .sort({ timestamp: 1 })
+    .select('timestamp location altitude speed batteryLevel')
+    .lean();
+
+  const fixes = samples
+    .filter(sample => sample.location && sample.location.coordinates && sample.location.coordinates.length === 2)
+    .map(sample => ({ time: new Date(sample.timestamp).getTime(), ...fromLngLat(sample.location.coordinates) }));
+  const positions = fixes.map(({ latitude, longitude }) => ({ latitude, longitude }));
+  const altitudes = samples.map(sample => sample.altitude).filter(Number.isFinite);
+  const speeds = samples.map(sample => sample.speed).filter(Number.isFinite);
+  const batteryLevels = samples.map(sample => sample.batteryLevel).filter(Number.isFinite);
+
+  const summary = {
+    duration: round((end - new Date(mission.startTime)) / (1000 * 60)),
+    waypoints: {
+      planned: mission.waypoints.length,
+      reached: await Waypoint.countDocuments({ _id: { $in: mission.waypoints }, reached: true })
+    }
+  };
+  // Without a recorded position the flight is placed at its first waypoint
+  if (fixes.length === 0 && mission.waypoints.length > 0) {
+    const first = await Waypoint.findById(mission.waypoints[0]).select('location').lean();
+    if (first && first.location && first.location.coordinates) {
+      fixes.push({ time: new Date(mission.startTime).getTime(), ...fromLngLat(first.location.coordinates) });
+    }
+  }
+  if (fixes.length > 0) summary.nightDuration = measureNight(new Date(mission.startTime), end, fixes);
+  if (positions.length > 1) summary.distanceTraveled = Math.round(pathDistance(positions));
+  if (altitudes.length > 0) summary.maxAltitude = round(Math.max(...altitudes));
+  if (speeds.length > 0) summary.maxSpeed = round(Math.max(...speeds));
+  if (batteryLevels.length > 0) summary.endBatteryLevel = batteryLevels[batteryLevels.length - 1];
+  return summary;
+};
+
+/**
+ * Open the flight log of a mission that has just started, on the battery pack fitted to its drone
+ * @param {Object} mission - Mission document, with its startTime set
+ * @param {Object} drone - Drone flying the mission, for the starting battery level
+ * @returns {Promise<Object>} Flight log, the one already open when the mission has one
+ */
+const openFlightLog = async (mission, drone) => {
+  const existing = await FlightLog.findOne({ mission: mission._id, status: 'in-progress' });
+  if (existing) return existing;
+
+  const conditions = mission.environmentalConditions || {};
+  const battery = await findFittedBattery(mission.drone);
+  return FlightLog.create({
+    drone: mission.drone,
+    mission: mission._id,
+    survey: mission.survey,
+    pilot: mission.pilot,
+    battery: battery ? battery._id : undefined,
+    startTime: mission.startTime,
+    startBatteryLevel: drone && Number.isFinite(drone.batteryLevel) ? drone.batteryLevel : 100,
+    environmentalConditions: {
+      temperature: conditions.temperature,
+      humidity: conditions.humidity,
+      wind: conditions.wind,
+      visibility: conditions.visibility
+    },
+    waypoints: {
+      planned: mission.waypoints.length,
+      reached: 0
+    },
+    organization: mission.organization
+  });
+};
+
+/**
+ * Bring the open flight log of a mission up to date, for example when it pauses
+ * @param {Object} mission - Mission document
+ * @param {Object} event - Optional entry to add to the log { code, message, severity }
+ * @returns {Promise<Object|null>} Flight log, or null when the mission has none open
+ */
+const updateFlightLog = async (mission, event) => {
+  const log = await FlightLog.findOne({ mission: mission._id, status: 'in-progress' });
+  if (!log) return null;
+
+  log.set(await summarizeFlight(mission, new Date()));
+  if (event) {
+    log.errors.push({ time: new Date(), ...event });
+  }
+  await log.save();
+  return log;
+};
+
+/**
+ * Add an entry to the open flight log of a mission or drone
+ * @param {Object} filter - { mission } or { drone } ID whose open log gets the entry
+ * @param {Object} event - { code, message, severity, time } with the time defaulting to now
+ * @returns {Promise<boolean>} Whether an open log was found
+ */
+const recordFlightEvent = async (filter, event) => {
+  const result = await FlightLog.updateOne(
+    { ...filter, status: 'in-progress' },
+    { $push: { errors: { time: new Date(), ...event } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Close the flight log of a mission that has completed, been aborted or failed
+ * Geofence breaches of the mission are added to the log, with the reason it ended early, and the
+ * flight is added to the flight count and time of the drone and its battery pack before the drone's health is
+ * checked again.
+ * @param {Object} mission - Mission document, with its status and endTime set
+ * @param {Object} options - Close options
+ * @param {Object} options.drone - Drone that flew the mission, for the battery level when no telemetry has it
+ * @param {Object} options.event - Entry describing why the flight ended { code, message, severity }
+ * @returns {Promise<Object|null>} Flight log, or null when the mission has none open
+ */
+const closeFlightLog = async (mission, { drone, event } = {}) => {
+  const endTime = mission.endTime ? new Date(mission.endTime) : new Date();
+  const status = ['completed', 'aborted', 'failed'].includes(mission.status) ? mission.status : 'completed';
+
+  // Claim the open log first, so a flight closed twice at the same time is only counted once
+  const log = await FlightLog.findOneAndUpdate(
+    { mission: mission._id, status: 'in-progress' },
+    { status, endTime },
+    { new: true }
+  );
+  if (!log) return null;
+
+  const summary = await summarizeFlight(mission, endTime);
+  if (summary.endBatteryLevel === undefined && drone && Number.isFinite(drone.batteryLevel)) {
+    summary.endBatteryLevel = drone.batteryLevel;
+  }
+
+  log.set(summary);
+  if (Number.isFinite(log.endBatteryLevel)) {
+    log.batteryUsed = Math.max(0, round(log.startBatteryLevel - log.endBatteryLevel));
+  }
+
+  (mission.geofenceBreaches || [])
+    .filter(breach => breach.detectedAt >= log.startTime)
+    .forEach(breach => {
+      log.errors.push({
+        time: breach.detectedAt,
+        code: `GEOFENCE_${breach.reason.toUpperCase().replace('-', '_')}`,
+        message: breach.reason === 'outside'
+          ? 'Left the permitted operating area'
+          : `${breach.reason === 'ceiling' ? 'Climbed above the ceiling of' : 'Entered no-fly zone'} ${breach.name}`,
+        severity: BREACH_SEVERITY[breach.action] || 'warning'
+      });
+    });
+  if (event) {
+    log.errors.push({ time: endTime, ...event });
+  }
+  log.errors.sort((a, b) => a.time - b.time);
+
+  await log.save();
+  await recordBatteryFlight(log);
+
+  // Flight time counts towards the drone's maintenance interval
+  const flown = await Drone.findByIdAndUpdate(
+    log.drone,
+    { $inc: { totalFlights: 1, totalFlightTime: log.duration || 0 } },
+    { new: true }
+  );
+  if (flown) {
+    await refreshDroneHealth(flown).catch(error => {
+      console.error('Failed to check drone health:', error.message);
+    });
+  }
+  return log;
+};
+
+module.exports = {
+  openFlightLog,
+  updateFlightLog,
+  recordFlightEvent,
+  closeFlightLog
+};
@@ -0,0 +1,490 @@
+const Mission = require('../models/Mission');
+const Drone = require('../models/Drone');
+const Waypoint = require('../models/Waypoint');
+const simulatorConfig = require('../config/simulatorConfig');
+const { completeMission } = require('./missionService');
+const { recordSample } = require('./telemetryService');
+const { resumeAfterInterruption, updateParentCompletion } = require('./sortieService');
+const { closeFlightLog } = require('./flightLogService');
+const {
+  haversineDistance,
+  calculateBearing,
+  destinationPoint
+} = require('../utils/geodesy');
+const {
+  emitDroneTelemetry,
+  emitMissionProgress,
+  emitMissionUpdate,
+  emitGlobalUpdate
+} = require('../utils/socketEvents');
+
+/**
+ * Flight simulator
+ * Flies drones along their mission waypoints on the server so missions can be
+ * run end to end without hardware. One simulated flight is kept per mission.
+ */
+const activeFlights = new Map();
+
+// Helper to read a [longitude, latitude] GeoJSON point, ignoring the [0, 0] default
+const toPoint = (location) => {
+  const coordinates = location && location.coordinates;
+  if (!coordinates || coordinates.length < 2) return null;
+  if (coordinates[0] === 0 && coordinates[1] === 0) return null;
+  return { longitude: coordinates[0], latitude: coordinates[1] };
+};
+
+// Helper to measure a route starting from the drone position
+const routeDistance = (position, route) => {
+  let total = 0;
+  let previous = position;
+  route.forEach(target => {
+    total += Math.hypot(
+      haversineDistance(previous, target),
+      target.altitude - previous.altitude
+    );
+    previous = target;
+  });
+  return total;
+};
+
+// Helper to build the telemetry snapshot broadcast to clients
+const buildTelemetry = (flight) => {
+  const range = flight.maxRange || simulatorConfig.defaults.maxRange;
+  const homeDistance = haversineDistance(flight.position, flight.home);
+  const signalStrength = Math.max(0, Math.round(100 - (homeDistance / range) * 60));
+
+  return {
+    latitude: flight.position.latitude,
+    longitude: flight.position.longitude,
+    altitude: Math.round(flight.position.altitude * 10) / 10,
+    speed: Math.round(flight.speed * 10) / 10,
+    heading: Math.round(flight.heading),
+    batteryLevel: Math.round(flight.batteryLevel * 10) / 10,
+    signalStrength,
+    timestamp: new Date()
+  };
+};
+
+/**
+ * Move a flight forward in time along its route
+ * @param {Object} flight - Simulated flight state
+ * @param {number} seconds - Simulated seconds to advance
+ * @returns {Array} Route targets reached during this step
+ */
+const advanceFlight = (flight, seconds) => {
+  const reached = [];
+  let remaining = seconds;
+
+  flight.speed = 0;
+
+  while (remaining > 0 && flight.targetIndex < flight.route.length) {
+    // Hold position while a hover action is running
+    if (flight.holdRemaining > 0) {
+      const hold = Math.min(flight.holdRemaining, remaining);
+      flight.holdRemaining -= hold;
+      remaining -= hold;
+      continue;
+    }
+
+    const target = flight.route[flight.targetIndex];
+    const speed = target.speed || flight.cruiseSpeed;
+    const horizontal = haversineDistance(flight.position, target);
+    const vertical = target.altitude - flight.position.altitude;
+    const legRemaining = Math.hypot(horizontal, vertical);
+
+    if (horizontal > 0.5) {
+      flight.heading = calculateBearing(flight.position, target);
+    }
+    flight.speed = speed;
+
+    const step = speed * remaining;
+    if (step >= legRemaining) {
+      flight.position = {
+        latitude: target.latitude,
+        longitude: target.longitude,
+        altitude: target.altitude
+      };
+      flight.distanceFlown += legRemaining;
+      remaining -= legRemaining / speed;
+      flight.targetIndex++;
+      flight.holdRemaining = target.action === 'hover' ? (target.holdTime || 0) : 0;
+      reached.push(target);
+    } else {
+      const fraction = step / legRemaining;
+      const next = destinationPoint(flight.position, flight.heading, horizontal * fraction);
+      flight.position = {
+        ...next,
+        altitude: flight.position.altitude + vertical * fraction
+      };
+      flight.distanceFlown += step;
+      remaining = 0;
+    }
+  }
+
+  flight.batteryLevel = Math.max(0, flight.batteryLevel - flight.drainPerSecond * seconds);
+  return reached;
+};
+
+// Helper to persist and broadcast the drone state
+const publishDroneState = async (flight, telemetry) => {
+  await Drone.updateOne({ _id: flight.droneId }, {
+    batteryLevel: Math.round(flight.batteryLevel),
+    lastLocation: {
+      type: 'Point',
+      coordinates: [flight.position.longitude, flight.position.latitude]
+    },
+    'telemetry.signalStrength': telemetry.signalStrength
+  });
+
+  recordSample({ ...telemetry, drone: flight.droneId, mission: flight.missionId, source: 'simulator' });
+  emitDroneTelemetry(flight.droneId, telemetry);
+};
+
+// Helper to update drone status and notify clients
+const setDroneStatus = async (flight, status) => {
+  await Drone.updateOne({ _id: flight.droneId }, { status, updatedAt: Date.now() });
+  emitGlobalUpdate('droneStatusUpdate', { droneId: flight.droneId, status });
+};
+
+// Helper to stop the timer and forget a flight
+const removeFlight = (missionId) => {
+  const flight = activeFlights.get(missionId);
+  if (flight && flight.timer) {
+    clearInterval(flight.timer);
+  }
+  activeFlights.delete(missionId);
+};
+
+// Helper to turn a flight around towards its home location
+const beginReturnToHome = (flight) => {
+  flight.phase = 'returning';
+  flight.route = [
+    { ...flight.home, altitude: flight.position.altitude },
+    { ...flight.home, altitude: 0 }
+  ];
+  flight.targetIndex = 0;
+  flight.holdRemaining = 0;
+};
+
+// Helper to close the mission once the last waypoint has been reached, unless it was aborted meanwhile
+const finishMission = async (flight) => {
+  const mission = await Mission.findById(flight.missionId);
+  if (!mission) return;
+
+  const result = await completeMission(mission, {
+    from: ['in-progress'],
+    distance: flight.distanceFlown / 1000,
+    batteryUsed: Math.round(flight.startBatteryLevel - flight.batteryLevel)
+  });
+  if (!result) return;
+
+  emitMissionUpdate(flight.missionId, { status: result.mission.status, progress: 100 });
+  emitGlobalUpdate('missionComplete', result.mission);
+
+  if (result.survey) {
+    emitGlobalUpdate('surveyCompleted', { surveyId: result.survey._id });
+  }
+};
+
+// Helper to abandon the mission when the battery runs low
+const abortForLowBattery = async (flight) => {
+  // A mission that was completed or aborted meanwhile keeps its outcome
+  const mission = await Mission.findOneAndUpdate(
+    { _id: flight.missionId, status: { $in: ['in-progress', 'paused'] } },
+    { status: 'aborted', endTime: Date.now() },
+    { new: true }
+  );
+  if (!mission) return;
+
+  await closeFlightLog(mission, {
+    event: { code: 'LOW_BATTERY', message: 'Returned home on low battery', severity: 'critical' }
+  });
+
+  // The next sortie picks up where this one stopped, or the split mission completes when nothing is left
+  const sorties = await resumeAfterInterruption(mission).catch(error => {
+    console.error('Failed to re-plan sorties:', error.message);
+    return null;
+  });
+  if (!sorties || sorties.length === 0) {
+    await updateParentCompletion(mission).catch(error => {
+      console.error('Failed to update parent mission:', error.message);
+    });
+  }
+
+  emitMissionUpdate(flight.missionId, { status: 'aborted' });
+  emitGlobalUpdate('missionAbort', {
+    missionId: flight.missionId,
+    reason: 'Low battery'
+  });
+};
+
+/**
+ * Run one simulation step for a flight
+ * @param {Object} flight - Simulated flight state
+ */
+const tick = async (flight) => {
+  // Skip the step if the previous one is still writing to the database
+  if (flight.busy) return;
+  flight.busy = true;
+
+  try {
+    const seconds = (simulatorConfig.tickInterval / 1000) * simulatorConfig.timeScale;
+    const reached = advanceFlight(flight, seconds);
+    const telemetry = buildTelemetry(flight);
+
+    await publishDroneState(flight, telemetry);
+
+    if (flight.phase === 'returning') {
+      if (flight.targetIndex >= flight.route.length) {
+        removeFlight(flight.missionId);
+        await setDroneStatus(flight, 'idle');
+      }
+      return;
+    }
+
+    if (reached.length > 0) {
+      await Waypoint.updateMany(
+        { _id: { $in: reached.map(target => target.waypointId) } },
+        { reached: true, timeReached: Date.now() }
+      );
+    }
+
+    const done = flight.targetIndex >= flight.route.length;
+    const current = flight.route[Math.min(flight.targetIndex, flight.route.length - 1)];
+    const progress = done
+      ? 100
+      : Math.min(99, Math.round(
+          flight.initialProgress +
+          (100 - flight.initialProgress) * (flight.distanceFlown / flight.plannedDistance)
+        ));
+    const estimatedTimeRemaining = Math.max(
+      0,
+      (flight.plannedDistance - flight.distanceFlown) / flight.cruiseSpeed / 60
+    );
+
+    await Mission.updateOne({ _id: flight.missionId }, {
+      progress,
+      currentWaypointIndex: current.index,
+      telemetry: {
+        altitude: telemetry.altitude,
+        speed: telemetry.speed,
+        signalStrength: telemetry.signalStrength,
+        batteryLevel: telemetry.batteryLevel
+      }
+    });
+
+    emitMissionProgress(flight.missionId, progress, {
+      currentWaypointIndex: current.index,
+      waypointsReached: reached.map(target => target.index),
+      estimatedTimeRemaining,
+      telemetry
+    });
+
+    if (done) {
+      await finishMission(flight);
+      beginReturnToHome(flight);
+      await setDroneStatus(flight, 'returning');
+    } else if (flight.batteryLevel <= simulatorConfig.returnHomeBatteryLevel) {
+      // Turn for home first, so a failed abort is not run again on the next step
+      beginReturnToHome(flight);
+      await abortForLowBattery(flight);
+      await setDroneStatus(flight, 'returning');
+    }
+  } catch (error) {
+    console.error(`Flight simulation error for mission ${flight.missionId}:`, error);
+  } finally {
+    flight.busy = false;
+  }
+};
+
+// Helper to start the simulation timer for a flight
+const schedule = (flight) => {
+  if (!flight.timer) {
+    flight.timer = setInterval(() => tick(flight), simulatorConfig.tickInterval);
+  }
+};
+
+/**
+ * Start simulating a mission
+ * @param {Object} mission - Mission document
+ * @param {Object} options - Simulation options
+ * @param {boolean} options.restore - Continue a flight interrupted by a server restart
+ * @returns {Promise<boolean>} Whether a simulated flight was started
+ */
+exports.startFlight = async (mission, { restore = false } = {}) => {
+  const missionId = mission._id.toString();
+  if (!simulatorConfig.enabled || activeFlights.has(missionId)) {
+    return false;
+  }
+
+  const drone = await Drone.findById(mission.drone);
+  if (!drone) {
+    return false;
+  }
+
+  if (!restore) {
+    await Waypoint.updateMany(
+      { _id: { $in: mission.waypoints } },
+      { reached: false, $unset: { timeReached: 1 } }
+    );
+  }
+
+  const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } }).sort({ order: 1 });
+  const route = waypoints
+    .map((wp, index) => ({
+      waypointId: wp._id,
+      index,
+      longitude: wp.location.coordinates[0],
+      latitude: wp.location.coordinates[1],
+      altitude: wp.altitude,
+      speed: wp.speed,
+      action: wp.action,
+      holdTime: wp.actionParams ? wp.actionParams.duration : 0,
+      reached: wp.reached
+    }))
+    .filter(target => !(restore && target.reached));
+
+  if (route.length === 0) {
+    return false;
+  }
+
+  const start = toPoint(drone.lastLocation) || toPoint(drone.homeLocation) || route[0];
+  const position = {
+    latitude: start.latitude,
+    longitude: start.longitude,
+    altitude: restore && mission.telemetry ? (mission.telemetry.altitude || 0) : 0
+  };
+  const specifications = drone.specifications || {};
+  const maxFlightTime = specifications.maxFlightTime || simulatorConfig.defaults.maxFlightTime;
+
+  const flight = {
+    missionId,
+    droneId: drone._id.toString(),
+    phase: 'mission',
+    route,
+    targetIndex: 0,
+    position,
+    home: toPoint(drone.homeLocation) || { latitude: start.latitude, longitude: start.longitude },
+    cruiseSpeed: mission.speed || 5,
+    maxRange: specifications.maxRange,
+    speed: 0,
+    heading: 0,
+    holdRemaining: 0,
+    batteryLevel: drone.batteryLevel,
+    startBatteryLevel: drone.batteryLevel,
+    drainPerSecond: 100 / (maxFlightTime * 60),
+    distanceFlown: 0,
+    plannedDistance: Math.max(1, routeDistance(position, route)),
+    initialProgress: restore ? (mission.progress || 0) : 0,
+    timer: null,
+    busy: false
+  };
+
+  activeFlights.set(missionId, flight);
+  if (mission.status !== 'paused') {
+    schedule(flight);
+  }
+
+  return true;
+};
+
+/**
+ * Pause a simulated flight, leaving the drone hovering in place
+ * @param {string} missionId - Mission ID
+ * @returns {boolean} Whether a simulated flight was paused
+ */
+exports.pauseFlight = (missionId) => {
+  const flight = activeFlights.get(missionId.toString());
+  if (!flight || flight.phase !== 'mission') {
+    return false;
+  }
+
+  clearInterval(flight.timer);
+  flight.timer = null;
+  flight.speed = 0;
+  emitDroneTelemetry(flight.droneId, buildTelemetry(flight));
+  return true;
+};
+
+/**
+ * Resume a paused simulated flight
+ * @param {string} missionId - Mission ID
+ * @returns {boolean} Whether a simulated flight was resumed
+ */
+exports.resumeFlight = (missionId) => {
+  const flight = activeFlights.get(missionId.toString());
+  if (!flight) {
+    return false;
+  }
+
+  schedule(flight);
+  return true;
+};
+
+/**
+ * Abandon the remaining waypoints and fly the drone back to its home location
+ * @param {string} missionId - Mission ID
+ * @returns {boolean} Whether a simulated flight is returning home
+ */
+exports.returnToHome = (missionId) => {
+  const flight = activeFlights.get(missionId.toString());
+  if (!flight) {
+    return false;
+  }
+
+  if (flight.phase !== 'returning') {
+    beginReturnToHome(flight);
+  }
+  schedule(flight);
+  return true;
+};
+
+/**
+ * Stop simulating a flight immediately
+ * @param {string} missionId - Mission ID
+ * @returns {boolean} Whether a simulated flight was stopped
+ */
+exports.stopFlight = (missionId) => {
+  const id = missionId.toString();
+  if (!activeFlights.has(id)) {
+    return false;
+  }
+
+  removeFlight(id);
+  return true;
+};
+
+/**
+ * Get the live telemetry of a drone flying a simulated mission
+ * @param {string} droneId - Drone ID
+ * @returns {Object|null} Telemetry snapshot, or null if the drone is not simulated
+ */
+exports.getDroneTelemetry = (droneId) => {
+  for (const flight of activeFlights.values()) {
+    if (flight.droneId === droneId.toString()) {
+      return buildTelemetry(flight);
+    }
+  }
+  return null;
+};
+
+/**
+ * Restart simulations for missions that were active when the server stopped
+ * @returns {Promise<number>} Number of flights restored
+ */
+exports.restoreFlights = async () => {
+  if (!simulatorConfig.enabled) {
+    return 0;
+  }
+
+  const missions = await Mission.find({ status: { $in: ['in-progress', 'paused'] } });
+  let restored = 0;
+
+  for (const mission of missions) {
+    if (await exports.startFlight(mission, { restore: true })) {
+      restored++;
+    }
+  }
+
+  return restored;
+};
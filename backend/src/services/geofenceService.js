@@ -0,0 +1,249 @@
+const Geofence = require('../models/Geofence');
+const Mission = require('../models/Mission');
+const Drone = require('../models/Drone');
+const geofenceConfig = require('../config/geofenceConfig');
+const flightSimulator = require('./flightSimulator');
+const { resumeAfterInterruption, updateParentCompletion } = require('./sortieService');
+const { closeFlightLog } = require('./flightLogService');
+const { findViolations, avoidExclusionZones, findBreaches, validateTimeWindows } = require('../utils/geofence');
+const { parseAirspace } = require('../utils/airspaceParser');
+const { emitMissionUpdate, emitGlobalUpdate } = require('../utils/socketEvents');
+
+/**
+ * Load the enabled geofences of an organization that can affect a set of points
+ * Exclusion zones are looked up around the points, inclusion zones apply everywhere.
+ * @param {string} organization - Organization name
+ * @param {Array} points - Points { latitude, longitude }
+ * @returns {Promise<Array>} Geofence documents
+ */
+const loadGeofences = async (organization, points) => {
+  if (!organization || points.length === 0) return [];
+
+  const margin = geofenceConfig.searchMargin;
+  const west = Math.min(...points.map(point => point.longitude)) - margin;
+  const east = Math.max(...points.map(point => point.longitude)) + margin;
+  const south = Math.max(-89.9, Math.min(...points.map(point => point.latitude)) - margin);
+  const north = Math.min(89.9, Math.max(...points.map(point => point.latitude)) + margin);
+
+  return Geofence.find({
+    organization,
+    enabled: true,
+    $or: [
+      { type: 'inclusion' },
+      {
+        type: 'exclusion',
+        geometry: {
+          $geoIntersects: {
+            $geometry: {
+              type: 'Polygon',
+              coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+            }
+          }
+        }
+      }
+    ]
+  });
+};
+
+/**
+ * Check a route against the geofences of an organization
+ * @param {Array} points - Waypoints { latitude, longitude, altitude } in flight order
+ * @param {Object} options - Check options
+ * @param {string} options.organization - Organization whose geofences apply
+ * @param {Date} options.time - Time the route is flown, defaults to now
+ * @returns {Promise<Array>} Violations, empty when the route is clear
+ */
+exports.checkRoute = async (points, { organization, time }) => {
+  const geofences = await loadGeofences(organization, points);
+  return findViolations(points, geofences, { time: time ? new Date(time) : new Date() });
+};
+
+/**
+ * Reroute a planned path around the no-fly zones of an organization
+ * @param {Array} points - Planner waypoints in flight order
+ * @param {Object} options - Reroute options
+ * @param {string} options.organization - Organization whose geofences apply
+ * @param {Date} options.time - Time the route is flown, defaults to now
+ * @returns {Promise<Object>} { waypoints, removed, detours, violations } where violations lists
+ *   what rerouting could not fix, such as leaving an inclusion zone
+ */
+exports.avoidGeofences = async (points, { organization, time }) => {
+  const geofences = await loadGeofences(organization, points);
+  const when = time ? new Date(time) : new Date();
+  const rerouted = avoidExclusionZones(points, geofences, { time: when });
+
+  return {
+    ...rerouted,
+    violations: findViolations(rerouted.waypoints, geofences, { time: when })
+  };
+};
+
+/**
+ * Find the geofences a drone on a mission is breaking at its reported position
+ * Zones already breached during the mission are not reported again.
+ * @param {Object} mission - Mission document
+ * @param {Object} position - Drone position { latitude, longitude, altitude }
+ * @returns {Promise<Array>} New breaches
+ */
+exports.detectBreaches = async (mission, position) => {
+  const geofences = await loadGeofences(mission.organization, [position]);
+  const recorded = new Set((mission.geofenceBreaches || [])
+    .map(breach => `${breach.reason}:${breach.geofence || ''}`));
+
+  return findBreaches(position, geofences)
+    .filter(breach => !recorded.has(`${breach.reason}:${breach.geofence || ''}`));
+};
+
+/**
+ * Record geofence breaches on a mission, alert clients and send the drone home if a zone requires it
+ * @param {Object} mission - Mission document
+ * @param {Array} breaches - Breaches from detectBreaches
+ * @returns {Promise<boolean>} Whether the drone was sent home
+ */
+exports.respondToBreaches = async (mission, breaches) => {
+  if (breaches.length === 0) return false;
+
+  const detectedAt = new Date();
+  const returnHome = breaches.some(breach => breach.action === 'return-to-home');
+  breaches.forEach(breach => {
+    mission.geofenceBreaches.push({
+      geofence: breach.geofence,
+      name: breach.name,
+      reason: breach.reason,
+      action: breach.action,
+      location: { type: 'Point', coordinates: [breach.longitude, breach.latitude] },
+      altitude: breach.altitude,
+      detectedAt
+    });
+  });
+
+  await mission.save();
+
+  // The mission is only aborted while it is still active, so a completion that lands first is kept
+  const aborted = returnHome && await Mission.findOneAndUpdate(
+    { _id: mission._id, status: { $in: ['in-progress', 'paused'] } },
+    { status: 'aborted', endTime: Date.now() },
+    { new: true }
+  );
+
+  emitGlobalUpdate('geofenceBreach', {
+    missionId: mission._id,
+    droneId: mission.drone,
+    breaches,
+    returnToHome: Boolean(aborted)
+  });
+
+  if (!aborted) {
+    emitMissionUpdate(mission._id, { geofenceBreaches: mission.geofenceBreaches });
+    return false;
+  }
+
+  // Simulated flights fly home on their own, connected drones are recalled by their ground station
+  await Drone.updateOne({ _id: aborted.drone }, { status: 'returning', updatedAt: Date.now() });
+  if (!flightSimulator.returnToHome(aborted._id)) {
+    // Nothing else reports the landing, so the drone is released after a delay unless it has moved on
+    setTimeout(async () => {
+      try {
+        const landed = await Drone.updateOne(
+          { _id: aborted.drone, status: 'returning' },
+          { status: 'idle', currentMission: null, updatedAt: Date.now() }
+        );
+        if (landed.modifiedCount > 0) {
+          emitGlobalUpdate('droneStatusUpdate', { droneId: aborted.drone, status: 'idle' });
+        }
+      } catch (error) {
+        console.error('Failed to release drone:', error.message);
+      }
+    }, 10000); // 10 seconds to simulate return to home
+  }
+
+  // The breaches go into the flight log as it closes
+  await closeFlightLog(aborted);
+
+  // The next sortie picks up where this one stopped, or the split mission completes when nothing is left.
+  // The drone is on its way home even if that fails
+  const sorties = await resumeAfterInterruption(aborted).catch(error => {
+    console.error('Failed to re-plan sorties:', error.message);
+    return null;
+  });
+  if (!sorties || sorties.length === 0) {
+    await updateParentCompletion(aborted).catch(error => {
+      console.error('Failed to update parent mission:', error.message);
+    });
+  }
+
+  emitMissionUpdate(aborted._id, { status: aborted.status, geofenceBreaches: aborted.geofenceBreaches });
+  emitGlobalUpdate('droneStatusUpdate', { droneId: aborted.drone, status: 'returning' });
+  emitGlobalUpdate('missionAbort', {
+    missionId: aborted._id,
+    reason: `Geofence breach: ${breaches[0].name}`
+  });
+
+  return true;
+};
+
+/**
+ * Import the zones of an airspace file as geofences of an organization
+ * Zones whose external ID was imported before are updated in place, keeping whether they are
+ * enabled and, unless the file sets them, their time windows and breach action.
+ * @param {Object|string} input - GeoJSON object, or the GeoJSON or OpenAir file contents
+ * @param {Object} options - Import options
+ * @param {string} options.format - 'geojson' or 'openair', detected from the contents when missing
+ * @param {number} options.elevation - Ground elevation in meters above sea level for limits above sea level
+ * @param {string} options.organization - Organization the geofences belong to
+ * @param {Object} options.user - Importing user
+ * @returns {Promise<Object>} { format, created, updated, imported, errors, warnings } where imported
+ *   lists { _id, externalId, name, status } and errors and warnings are per feature
+ */
+exports.importGeofences = async (input, { format, elevation, organization, user }) => {
+  const parsed = parseAirspace(input, { format, elevation });
+  const { zones, errors, warnings } = parsed;
+
+  const existing = await Geofence.find({
+    organization,
+    externalId: { $in: zones.map(zone => zone.externalId) }
+  });
+  const byExternalId = new Map(existing.map(geofence => [geofence.externalId, geofence]));
+
+  const imported = [];
+  const seen = new Set();
+  for (const { feature, externalId, timeWindows, breachAction, ...fields } of zones) {
+    if (seen.has(externalId)) {
+      errors.push({ feature, name: fields.name, message: `Duplicate ID "${externalId}" in the file` });
+      continue;
+    }
+    seen.add(externalId);
+
+    try {
+      const previous = byExternalId.get(externalId);
+      const geofence = previous || new Geofence({ externalId, organization, createdBy: user._id });
+
+      Object.assign(geofence, fields, { source: parsed.format });
+      if (timeWindows !== undefined) {
+        geofence.timeWindows = validateTimeWindows(timeWindows);
+      }
+      if (breachAction !== undefined) {
+        geofence.breachAction = breachAction;
+      }
+      await geofence.save();
+
+      imported.push({
+        _id: geofence._id,
+        externalId,
+        name: geofence.name,
+        status: previous ? 'updated' : 'created'
+      });
+    } catch (error) {
+      errors.push({ feature, name: fields.name, message: error.message });
+    }
+  }
+
+  return {
+    format: parsed.format,
+    created: imported.filter(zone => zone.status === 'created').length,
+    updated: imported.filter(zone => zone.status === 'updated').length,
+    imported,
+    errors: errors.sort((a, b) => (a.feature || 0) - (b.feature || 0)),
+    warnings
+  };
+};
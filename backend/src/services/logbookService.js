@@ -0,0 +1,96 @@
+const FlightLog = require('../models/FlightLog');
+
+/**
+ * Pilot logbook
+ * Lists and totals the flights a user flew as pilot in command, from the flight logs closed at the
+ * end of each mission. Flights still in the air are left out until they land.
+ */
+
+// Severities of flight log entries counted as incidents
+const INCIDENT_SEVERITIES = ['warning', 'error', 'critical'];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Build the logbook of a pilot
+ * @param {Object} pilot - User document
+ * @param {Object} options - Logbook options
+ * @param {string} options.organization - Organization whose flights are included
+ * @param {Date} options.from - Earliest takeoff to include
+ * @param {Date} options.to - Latest takeoff to include
+ * @returns {Promise<Object>} { pilot, from, to, totals, drones, entries } with durations in minutes,
+ *   totals in hours and distances in meters
+ */
+const getPilotLogbook = async (pilot, { organization, from, to } = {}) => {
+  const filter = { pilot: pilot._id, organization, status: { $ne: 'in-progress' } };
+  if (from || to) {
+    filter.startTime = {};
+    if (from) filter.startTime.$gte = from;
+    if (to) filter.startTime.$lte = to;
+  }
+
+  const logs = await FlightLog.find(filter)
+    .populate('drone', 'name serialNumber model')
+    .populate('mission', 'name')
+    .sort({ startTime: -1 })
+    .lean();
+
+  const entries = logs.map(log => {
+    const duration = log.duration || 0;
+    const nightDuration = Math.min(duration, log.nightDuration || 0);
+    return {
+      flightLog: log._id,
+      startTime: log.startTime,
+      endTime: log.endTime,
+      status: log.status,
+      drone: log.drone,
+      mission: log.mission,
+      duration,
+      dayDuration: round(duration - nightDuration),
+      nightDuration,
+      maxAltitude: log.maxAltitude,
+      distanceTraveled: log.distanceTraveled,
+      incidents: (log.errors || [])
+        .filter(entry => INCIDENT_SEVERITIES.includes(entry.severity))
+        .map(({ time, code, message, severity }) => ({ time, code, message, severity }))
+    };
+  });
+
+  const sum = (field) => entries.reduce((total, entry) => total + (entry[field] || 0), 0);
+  const altitudes = entries.map(entry => entry.maxAltitude).filter(Number.isFinite);
+
+  // Flights and hours on each drone flown
+  const drones = new Map();
+  entries.forEach(entry => {
+    if (!entry.drone) return;
+    const key = entry.drone._id.toString();
+    const totals = drones.get(key) || { drone: entry.drone, flights: 0, minutes: 0 };
+    totals.flights += 1;
+    totals.minutes += entry.duration;
+    drones.set(key, totals);
+  });
+
+  return {
+    pilot: { _id: pilot._id, name: pilot.name, email: pilot.email },
+    from: from || null,
+    to: to || null,
+    totals: {
+      flights: entries.length,
+      hours: round(sum('duration') / 60),
+      dayHours: round(sum('dayDuration') / 60),
+      nightHours: round(sum('nightDuration') / 60),
+      maxAltitude: altitudes.length > 0 ? Math.max(...altitudes) : null,
+      distanceTraveled: Math.round(sum('distanceTraveled')),
+      incidents: entries.reduce((total, entry) => total + entry.incidents.length, 0),
+      abortedFlights: entries.filter(entry => entry.status !== 'completed').length
+    },
+    drones: Array.from(drones.values())
+      .map(({ drone, flights, minutes }) => ({ drone, flights, hours: round(minutes / 60) }))
+      .sort((a, b) => b.hours - a.hours),
+    entries
+  };
+};
+
+module.exports = {
+  getPilotLogbook
+};
@@ -0,0 +1,132 @@
+const MaintenanceRecord = require('../models/MaintenanceRecord');
+const maintenanceConfig = require('../config/maintenanceConfig');
+
+/**
+ * Maintenance schedule
+ * A drone falls due for maintenance after a number of flight hours or days since its last routine
+ * maintenance or inspection, whichever comes first. Completing one of those restarts both intervals.
+ * Drones are out of service while a maintenance record on them is in progress.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Drone states in which it is in the air
+const AIRBORNE_STATUSES = ['flying', 'hovering', 'returning'];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Helper to read the maintenance interval of a drone, falling back to the configured one
+const intervalOf = (drone) => {
+  const interval = drone.maintenanceInterval || {};
+  return {
+    flightHours: interval.flightHours > 0 ? interval.flightHours : maintenanceConfig.intervalFlightHours,
+    days: interval.days > 0 ? interval.days : maintenanceConfig.intervalDays
+  };
+};
+
+/**
+ * Work out when a drone next falls due for maintenance
+ * Drones never maintained on schedule are counted from their last maintenance date and first flight.
+ * @param {Object} drone - Drone document
+ * @param {Date} now - Moment to check at
+ * @returns {Object} { status, nextMaintenanceDue: { date, flightTime }, daysRemaining, flightHoursRemaining,
+ *   message } with status 'ok', 'due-soon' or 'overdue' and flightTime the total flight minutes it is due at
+ */
+const getMaintenanceStatus = (drone, now = new Date()) => {
+  const interval = intervalOf(drone);
+  const date = drone.nextMaintenanceDate
+    ? new Date(drone.nextMaintenanceDate)
+    : new Date(new Date(drone.lastMaintenanceDate || drone.createdAt || now).getTime() + interval.days * DAY);
+  const flightTime = Number.isFinite(drone.nextMaintenanceFlightTime)
+    ? drone.nextMaintenanceFlightTime
+    : interval.flightHours * 60;
+
+  const daysRemaining = round((date - now) / DAY);
+  const flightHoursRemaining = round((flightTime - (drone.totalFlightTime || 0)) / 60);
+  const dueOn = date.toISOString().slice(0, 10);
+
+  let status = 'ok';
+  let message = `Next maintenance due on ${dueOn} or in ${flightHoursRemaining} flight hours`;
+  if (daysRemaining <= 0 || flightHoursRemaining <= 0) {
+    status = 'overdue';
+    message = daysRemaining <= 0
+      ? `Maintenance was due on ${dueOn}`
+      : `Maintenance was due ${Math.abs(flightHoursRemaining)} flight hours ago`;
+  } else if (daysRemaining <= maintenanceConfig.dueSoonDays || flightHoursRemaining <= maintenanceConfig.dueSoonFlightHours) {
+    status = 'due-soon';
+  }
+
+  return {
+    status,
+    nextMaintenanceDue: { date, flightTime },
+    daysRemaining,
+    flightHoursRemaining,
+    message
+  };
+};
+
+// Helper to put a drone back in service once no maintenance on it is in progress
+const releaseDrone = async (drone, record) => {
+  if (drone.status !== 'maintenance') return;
+  const open = await MaintenanceRecord.countDocuments({
+    drone: drone._id,
+    status: 'in-progress',
+    _id: { $ne: record._id }
+  });
+  if (open === 0) drone.status = 'idle';
+};
+
+/**
+ * Move a maintenance record to a new status and bring its drone up to date
+ * Starting work takes the drone out of service. Completing a record notes the drone's flight time and,
+ * for routine maintenance and inspections, works out when the next one is due.
+ * @param {Object} record - Maintenance record document
+ * @param {Object} drone - Drone the record is for
+ * @param {string} status - 'scheduled', 'in-progress', 'completed' or 'cancelled'
+ * @param {Date} date - When the work was completed, defaults to now
+ * @returns {Promise<Object>} Saved maintenance record
+ */
+const setMaintenanceStatus = async (record, drone, status, date) => {
+  if (record.status === 'completed' && status !== 'completed') {
+    throw new Error('Completed maintenance cannot be reopened');
+  }
+
+  if (status === 'in-progress' && record.status !== 'in-progress') {
+    if (AIRBORNE_STATUSES.includes(drone.status)) {
+      throw new Error('Land the drone before starting maintenance');
+    }
+    drone.status = 'maintenance';
+  }
+
+  if (status === 'completed' && record.status !== 'completed') {
+    const completedAt = date ? new Date(date) : new Date();
+    record.date = completedAt;
+    record.flightTimeAtMaintenance = drone.totalFlightTime || 0;
+    record.flightsAtMaintenance = drone.totalFlights || 0;
+    drone.lastMaintenanceDate = completedAt;
+
+    if (maintenanceConfig.intervalTypes.includes(record.type)) {
+      const interval = intervalOf(drone);
+      record.nextMaintenanceDue = {
+        date: new Date(completedAt.getTime() + interval.days * DAY),
+        flightHours: interval.flightHours
+      };
+      drone.nextMaintenanceDate = record.nextMaintenanceDue.date;
+      drone.nextMaintenanceFlightTime = record.flightTimeAtMaintenance + interval.flightHours * 60;
+    }
+  }
+
+  if (status !== 'in-progress') {
+    await releaseDrone(drone, record);
+  }
+
+  record.status = status;
+  await record.save();
+  await drone.save();
+  return record;
+};
+
+module.exports = {
+  getMaintenanceStatus,
+  setMaintenanceStatus
+};
@@ -0,0 +1,396 @@
+const dgram = require('dgram');
+const net = require('net');
+const Drone = require('../models/Drone');
+const Mission = require('../models/Mission');
+const Waypoint = require('../models/Waypoint');
+const mavlinkConfig = require('../config/mavlinkConfig');
+const flightSimulator = require('./flightSimulator');
+const { detectBreaches, respondToBreaches } = require('./geofenceService');
+const { recordSample } = require('./telemetryService');
+const { recordFlightEvent } = require('./flightLogService');
+const {
+  createParser,
+  MAV_AUTOPILOT_ARDUPILOTMEGA,
+  MAV_TYPE_GCS,
+  MAV_MODE_FLAG_SAFETY_ARMED
+} = require('../utils/mavlink');
+const { toMissionItems } = require('../utils/missionExport');
+const { waypointsToPoints } = require('../utils/missionCalculations');
+const {
+  emitDroneUpdate,
+  emitDroneTelemetry,
+  emitMissionProgress,
+  emitGlobalUpdate
+} = require('../utils/socketEvents');
+
+/**
+ * MAVLink telemetry gateway
+ * Listens for MAVLink streams from vehicles, ground stations or SITL over UDP and TCP, matches each
+ * system ID to the drone registered with it and keeps the drone and its in-progress mission up to
+ * date. One link is kept per system ID, and its messages are handled one at a time in arrival order.
+ */
+const links = new Map();
+const parsers = new Map();
+// When each UDP sender was last heard from, its stream reader is dropped once it goes quiet
+const udpSenders = new Map();
+const tcpSockets = new Set();
+let udpSocket = null;
+let tcpServer = null;
+let linkTimer = null;
+
+// Helper to get the link of a system, creating it on its first message
+const getLink = (systemId) => {
+  if (!links.has(systemId)) {
+    links.set(systemId, {
+      systemId,
+      drone: null,
+      droneCheckedAt: 0,
+      warned: false,
+      connected: false,
+      announcedDroneId: null,
+      autopilot: null,
+      armed: false,
+      lastHeartbeat: 0,
+      lastPositionAt: 0,
+      batteryLevel: null,
+      signalStrength: null,
+      temperature: null,
+      telemetry: null,
+      missionItems: null,
+      queue: Promise.resolve()
+    });
+  }
+  return links.get(systemId);
+};
+
+// Helper to find the drone registered with a link's system ID, reusing recent lookups
+const resolveDrone = async (link) => {
+  if (Date.now() - link.droneCheckedAt < mavlinkConfig.droneCacheTime) {
+    return link.drone;
+  }
+
+  const drone = await Drone.findOne({ mavlinkSystemId: link.systemId }).select('_id status batteryLevel');
+  link.drone = drone ? { id: drone._id.toString(), status: drone.status } : null;
+  link.droneCheckedAt = Date.now();
+
+  if (!drone && !link.warned) {
+    console.warn(`MAVLink system ${link.systemId} is not registered to a drone, ignoring its messages`);
+  }
+  link.warned = !drone;
+  return link.drone;
+};
+
+// Helper to mark a link as up and bring a drone marked offline back
+const handleHeartbeat = async (link, fields) => {
+  // Ground stations forwarding the stream send heartbeats of their own
+  if (fields.type === MAV_TYPE_GCS) return;
+
+  const armed = (fields.baseMode & MAV_MODE_FLAG_SAFETY_ARMED) !== 0;
+  const armedChanged = armed !== link.armed;
+
+  link.autopilot = fields.autopilot;
+  link.armed = armed;
+  link.lastHeartbeat = Date.now();
+  link.connected = true;
+
+  const drone = await resolveDrone(link);
+  if (!drone) return;
+
+  // Announce the link once per connection, and again if the system ID moved to another drone
+  const reconnected = link.announcedDroneId !== drone.id;
+  if (!reconnected && !armedChanged) return;
+  link.announcedDroneId = drone.id;
+
+  if (reconnected && drone.status === 'offline') {
+    drone.status = 'idle';
+    await Drone.updateOne({ _id: drone.id }, { status: 'idle', updatedAt: Date.now() });
+    emitGlobalUpdate('droneStatusUpdate', { droneId: drone.id, status: 'idle' });
+  }
+
+  emitDroneUpdate(drone.id, { connected: true, armed, systemId: link.systemId });
+};
+
+// Helper to store a drone's position and pass it on to its mission
+const handlePosition = async (link, fields) => {
+  const now = Date.now();
+  if (now - link.lastPositionAt < mavlinkConfig.positionInterval) return;
+
+  const drone = await resolveDrone(link);
+  if (!drone) return;
+  link.lastPositionAt = now;
+
+  // A heading of 65535 means the vehicle does not know it
+  const heading = fields.hdg === 65535
+    ? (link.telemetry ? link.telemetry.heading : 0)
+    : Math.round(fields.hdg / 100);
+  const telemetry = {
+    latitude: fields.lat / 1e7,
+    longitude: fields.lon / 1e7,
+    altitude: Math.round(fields.relativeAlt / 100) / 10,
+    altitudeMsl: Math.round(fields.alt / 100) / 10,
+    speed: Math.round(Math.hypot(fields.vx, fields.vy) / 10) / 10,
+    verticalSpeed: Math.round(-fields.vz / 10) / 10,
+    heading,
+    batteryLevel: link.batteryLevel !== null ? link.batteryLevel : undefined,
+    signalStrength: link.signalStrength !== null ? link.signalStrength : undefined,
+    temperature: link.temperature !== null ? link.temperature : undefined,
+    armed: link.armed,
+    timestamp: new Date(now)
+  };
+  link.telemetry = telemetry;
+
+  await Drone.updateOne({ _id: drone.id }, {
+    lastLocation: { type: 'Point', coordinates: [telemetry.longitude, telemetry.latitude] }
+  });
+  emitDroneTelemetry(drone.id, telemetry);
+
+  const mission = await Mission.findOne({ drone: drone.id, status: 'in-progress' });
+  recordSample({ ...telemetry, drone: drone.id, mission: mission ? mission._id : undefined, source: 'mavlink' });
+  if (!mission) return;
+
+  // The real drone reports its own flight, so a simulation of the same mission would only contradict it
+  if (flightSimulator.stopFlight(mission._id)) {
+    console.log(`MAVLink telemetry from system ${link.systemId} took over mission ${mission._id} from the simulator`);
+  }
+
+  mission.set({
+    'telemetry.altitude': telemetry.altitude,
+    'telemetry.speed': telemetry.speed,
+    ...(telemetry.batteryLevel !== undefined && { 'telemetry.batteryLevel': telemetry.batteryLevel })
+  });
+  const breaches = await detectBreaches(mission, telemetry);
+  await mission.save();
+
+  emitMissionProgress(mission._id, mission.progress, {
+    currentWaypointIndex: mission.currentWaypointIndex,
+    telemetry
+  });
+
+  // Alert on breaches and abort the mission when a zone requires it
+  await respondToBreaches(mission, breaches);
+};
+
+// Helper to store a battery charge report, -1 meaning the vehicle does not know it
+const handleBattery = async (link, fields) => {
+  // Only the main battery is followed
+  if (fields.id !== undefined && fields.id !== 0) return;
+
+  // SYS_STATUS reports the link's drop rate in hundredths of a percent
+  if (fields.dropRateComm !== undefined) {
+    link.signalStrength = Math.max(0, 100 - Math.round(fields.dropRateComm / 100));
+  }
+
+  // BATTERY_STATUS reports the battery temperature in hundredths of a degree, 32767 when unknown
+  if (fields.temperature !== undefined && fields.temperature !== 32767) {
+    link.temperature = fields.temperature / 100;
+  }
+
+  if (fields.batteryRemaining < 0 || fields.batteryRemaining === link.batteryLevel) return;
+
+  const drone = await resolveDrone(link);
+  if (!drone) return;
+
+  link.batteryLevel = Math.min(100, fields.batteryRemaining);
+  await Drone.updateOne({ _id: drone.id }, { batteryLevel: link.batteryLevel });
+  emitDroneUpdate(drone.id, { batteryLevel: link.batteryLevel });
+};
+
+// Helper to load the mission items a mission was uploaded as, to match item numbers to waypoints
+const loadMissionItems = async (link, mission) => {
+  const missionId = mission._id.toString();
+  if (!link.missionItems || link.missionItems.missionId !== missionId) {
+    const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } }).sort({ order: 1 });
+    link.missionItems = {
+      missionId,
+      waypoints,
+      items: toMissionItems(mission, waypointsToPoints(waypoints))
+    };
+  }
+  return link.missionItems;
+};
+
+// Helper to mark the waypoint behind a reached mission item and advance the mission
+const handleItemReached = async (link, fields) => {
+  const drone = await resolveDrone(link);
+  if (!drone) return;
+
+  const mission = await Mission.findOne({ drone: drone.id, status: 'in-progress' });
+  if (!mission) return;
+
+  // ArduPilot keeps the home position as item 0, so uploaded items start at 1
+  const offset = link.autopilot === MAV_AUTOPILOT_ARDUPILOTMEGA ? 1 : 0;
+  const { waypoints, items } = await loadMissionItems(link, mission);
+  const item = items[fields.seq - offset];
+  if (!item || item.waypointIndex === undefined) return;
+
+  const index = item.waypointIndex;
+  await Waypoint.updateOne(
+    { _id: waypoints[index]._id, reached: { $ne: true } },
+    { reached: true, timeReached: Date.now() }
+  );
+
+  // Completing the mission is left to the operator once the drone has landed
+  mission.currentWaypointIndex = Math.min(index + 1, waypoints.length - 1);
+  mission.progress = Math.max(mission.progress || 0, Math.min(99, Math.round(((index + 1) / waypoints.length) * 100)));
+  await mission.save();
+
+  emitMissionProgress(mission._id, mission.progress, {
+    currentWaypointIndex: mission.currentWaypointIndex,
+    waypointsReached: [index],
+    telemetry: link.telemetry
+  });
+};
+
+const handlers = {
+  HEARTBEAT: handleHeartbeat,
+  GLOBAL_POSITION_INT: handlePosition,
+  SYS_STATUS: handleBattery,
+  BATTERY_STATUS: handleBattery,
+  MISSION_ITEM_REACHED: handleItemReached
+};
+
+// Helper to queue a message behind the earlier ones of the same system
+const handleMessage = (message) => {
+  const handler = handlers[message.name];
+  if (!handler) return;
+
+  const link = getLink(message.systemId);
+  link.queue = link.queue
+    .then(() => handler(link, message.fields))
+    .catch(error => {
+      console.error(`MAVLink ${message.name} from system ${message.systemId} failed:`, error.message);
+    });
+};
+
+// Helper to report links whose heartbeats stopped and forget UDP senders that went quiet
+const checkLinks = () => {
+  const now = Date.now();
+  udpSenders.forEach((lastReceived, key) => {
+    if (now - lastReceived < mavlinkConfig.linkTimeout) return;
+    udpSenders.delete(key);
+    parsers.delete(key);
+  });
+
+  links.forEach(link => {
+    if (!link.connected || now - link.lastHeartbeat < mavlinkConfig.linkTimeout) return;
+
+    link.connected = false;
+    link.announcedDroneId = null;
+    if (link.drone) {
+      emitDroneUpdate(link.drone.id, { connected: false, systemId: link.systemId });
+      emitGlobalUpdate('droneLinkLost', {
+        droneId: link.drone.id,
+        systemId: link.systemId,
+        lastHeartbeat: new Date(link.lastHeartbeat)
+      });
+      recordFlightEvent({ drone: link.drone.id }, {
+        code: 'LINK_LOST',
+        message: `No heartbeat from MAVLink system ${link.systemId}`,
+        severity: 'warning'
+      }).catch(error => {
+        console.error('Failed to log MAVLink link loss:', error.message);
+      });
+    }
+  });
+};
+
+// Helper to get the stream reader of a UDP sender or TCP connection
+const getParser = (key) => {
+  if (!parsers.has(key)) {
+    parsers.set(key, createParser(handleMessage));
+  }
+  return parsers.get(key);
+};
+
+// Helper to listen for MAVLink datagrams
+const startUdp = () => new Promise((resolve, reject) => {
+  udpSocket = dgram.createSocket('udp4');
+  udpSocket.on('message', (chunk, remote) => {
+    const key = `udp:${remote.address}:${remote.port}`;
+    udpSenders.set(key, Date.now());
+    getParser(key).push(chunk);
+  });
+  udpSocket.once('error', reject);
+  udpSocket.bind(mavlinkConfig.udpPort, mavlinkConfig.host, () => {
+    udpSocket.removeListener('error', reject);
+    udpSocket.on('error', error => console.error('MAVLink UDP error:', error.message));
+    resolve(udpSocket.address().port);
+  });
+});
+
+// Helper to accept MAVLink streams over TCP
+const startTcp = () => new Promise((resolve, reject) => {
+  tcpServer = net.createServer(socket => {
+    const key = `tcp:${socket.remoteAddress}:${socket.remotePort}`;
+    tcpSockets.add(socket);
+    socket.on('data', chunk => getParser(key).push(chunk));
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => {
+      tcpSockets.delete(socket);
+      parsers.delete(key);
+    });
+  });
+  tcpServer.once('error', reject);
+  tcpServer.listen(mavlinkConfig.tcpPort, mavlinkConfig.host, () => {
+    tcpServer.removeListener('error', reject);
+    resolve(tcpServer.address().port);
+  });
+});
+
+/**
+ * Start listening for MAVLink telemetry
+ * @returns {Promise<Object>} Ports listened on { udp, tcp }, null for a transport that is turned off
+ */
+exports.start = async () => {
+  if (udpSocket || tcpServer) {
+    throw new Error('MAVLink gateway is already running');
+  }
+
+  const ports = {
+    udp: mavlinkConfig.udpPort ? await startUdp() : null,
+    tcp: mavlinkConfig.tcpPort ? await startTcp() : null
+  };
+
+  linkTimer = setInterval(checkLinks, 1000);
+  linkTimer.unref();
+  return ports;
+};
+
+/**
+ * Stop listening and forget every link
+ * @returns {Promise<void>}
+ */
+exports.stop = async () => {
+  clearInterval(linkTimer);
+  linkTimer = null;
+
+  if (udpSocket) {
+    await new Promise(resolve => udpSocket.close(resolve));
+    udpSocket = null;
+  }
+
+  if (tcpServer) {
+    tcpSockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => tcpServer.close(resolve));
+    tcpServer = null;
+  }
+
+  await Promise.all(Array.from(links.values()).map(link => link.queue));
+  links.clear();
+  parsers.clear();
+  udpSenders.clear();
+};
+
+/**
+ * Get the latest telemetry a connected drone sent over MAVLink
+ * @param {string} droneId - Drone ID
+ * @returns {Object|null} Telemetry snapshot, or null if the drone has no live link
+ */
+exports.getDroneTelemetry = (droneId) => {
+  for (const link of links.values()) {
+    if (link.connected && link.drone && link.drone.id === droneId.toString() && link.telemetry) {
+      return link.telemetry;
+    }
+  }
+  return null;
+};
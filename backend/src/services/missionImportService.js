@@ -0,0 +1,96 @@
+const Mission = require('../models/Mission');
+const Survey = require('../models/Survey');
+const Waypoint = require('../models/Waypoint');
+const { checkRoute } = require('./geofenceService');
+const { importMissionFile } = require('../utils/missionImport');
+const { routeDistance, estimateFlightTime } = require('../utils/missionCalculations');
+const { toLngLat } = require('../utils/geodesy');
+
+/**
+ * Read a mission file and check the route before it is saved
+ * @param {Buffer} buffer - KML, KMZ, GPX, GeoJSON, .plan or .waypoints file
+ * @param {Object} options - Import options
+ * @param {string} options.format - File format, detected from the contents when missing
+ * @param {number} options.altitude - Height above takeoff for waypoints without one
+ * @param {number} options.elevation - Takeoff elevation above sea level, to use altitudes above sea level
+ * @param {number} options.speed - Cruise speed in m/s, defaults to the speed in the file
+ * @param {string} options.organization - Organization whose geofences apply
+ * @param {Date} options.startTime - Planned start, for geofence time windows
+ * @returns {Promise<Object>} { format, name, waypoints, boundingBox, speed, distance, estimatedDuration,
+ *   warnings, violations } with the distance in meters and the duration in minutes
+ */
+exports.previewMissionImport = async (buffer, options) => {
+  const imported = importMissionFile(buffer, options);
+  const speed = options.speed || imported.speed;
+  const route = imported.waypoints.map(waypoint => ({
+    ...waypoint,
+    altitude: waypoint.altitude !== undefined ? waypoint.altitude : options.altitude || 0
+  }));
+
+  return {
+    ...imported,
+    speed,
+    distance: Math.round(routeDistance(route)),
+    estimatedDuration: speed && route.length > 0 ? Math.round(estimateFlightTime(route, speed) / 60) : undefined,
+    violations: route.length > 0
+      ? await checkRoute(route, { organization: options.organization, time: options.startTime })
+      : []
+  };
+};
+
+/**
+ * Save an imported mission with its waypoints
+ * @param {Object} preview - Result of previewMissionImport
+ * @param {Object} options - Mission fields
+ * @param {Object} options.drone - Drone document flying the mission
+ * @param {string} options.name - Mission name
+ * @param {string} options.description - Mission description
+ * @param {number} options.altitude - Mission altitude, also used for waypoints without one
+ * @param {number} options.speed - Cruise speed in m/s
+ * @param {string} options.survey - Survey the mission belongs to
+ * @param {Date} options.startTime - Planned start
+ * @param {number} options.elevation - Takeoff elevation above sea level the altitudes were converted with
+ * @param {Object} options.user - Importing user
+ * @returns {Promise<Object>} Saved mission
+ */
+exports.createImportedMission = async (preview, options) => {
+  const { drone, user } = options;
+
+  const mission = new Mission({
+    name: options.name,
+    description: options.description,
+    drone: drone._id,
+    survey: options.survey,
+    pattern: 'custom',
+    altitude: options.altitude,
+    speed: options.speed,
+    startTime: options.startTime,
+    boundingBox: preview.boundingBox || undefined,
+    estimatedDuration: preview.estimatedDuration,
+    terrain: options.elevation !== undefined ? { takeoffElevation: options.elevation } : undefined,
+    status: 'planned',
+    createdBy: user.id,
+    organization: user.organization
+  });
+
+  const waypoints = await Waypoint.insertMany(preview.waypoints.map(waypoint => ({
+    mission: mission._id,
+    order: waypoint.order,
+    location: { type: 'Point', coordinates: toLngLat(waypoint) },
+    altitude: waypoint.altitude !== undefined ? waypoint.altitude : options.altitude,
+    speed: waypoint.speed,
+    heading: waypoint.heading,
+    gimbalPitch: waypoint.gimbalPitch,
+    action: waypoint.action,
+    actionParams: waypoint.actionParams
+  })));
+
+  mission.waypoints = waypoints.map(waypoint => waypoint._id);
+  await mission.save();
+
+  if (options.survey) {
+    await Survey.findByIdAndUpdate(options.survey, { $addToSet: { missions: mission._id } });
+  }
+
+  return mission;
+};
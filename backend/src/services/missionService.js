@@ -0,0 +1,89 @@
+const Mission = require('../models/Mission');
+const Drone = require('../models/Drone');
+const Waypoint = require('../models/Waypoint');
+const { updateSurveyCompletion } = require('./surveyService');
+const { updateParentCompletion } = require('./sortieService');
+const { closeFlightLog } = require('./flightLogService');
+const {
+  routeDistance,
+  waypointsToPoints,
+  calculateAreaCovered
+} = require('../utils/missionCalculations');
+
+/**
+ * Measure the ground area covered by a mission
+ * A custom mission without a boundary covers no survey area, the others cover their boundary or the
+ * ground enclosed by their waypoints.
+ * @param {Object} mission - Mission document
+ * @param {Array} points - Waypoints of the form { latitude, longitude }
+ * @returns {number} Area in square kilometers, rounded to 2 decimal places
+ */
+const measureAreaCovered = (mission, points) => {
+  const area = mission.pattern === 'custom' && !mission.boundingBox?.coordinates?.length
+    ? 0
+    : calculateAreaCovered(mission.boundingBox, points);
+  return parseFloat(area.toFixed(2));
+};
+
+exports.measureAreaCovered = measureAreaCovered;
+
+/**
+ * Complete a mission that is still active
+ * The mission is only completed while it is in one of the given statuses, so an abort that arrives at the
+ * same time is kept. Its statistics are recorded, its flight log is closed, which adds the flight to the
+ * drone's flight time, and its parent mission and survey are completed with it when it was the last one.
+ * @param {Object} mission - Mission document
+ * @param {Object} options - Completion options
+ * @param {Array<string>} options.from - Statuses the mission can be completed from
+ * @param {number} options.distance - Distance flown in km, measured along the waypoints when not given
+ * @param {number} options.batteryUsed - Battery used in percentage
+ * @param {number} options.images - Images taken
+ * @param {number} options.videos - Videos recorded
+ * @returns {Promise<Object|null>} { mission, drone, survey } with survey set when it was just completed,
+ *   or null when the mission was no longer active
+ */
+exports.completeMission = async (mission, {
+  from = ['in-progress', 'paused'],
+  distance,
+  batteryUsed = 0,
+  images = 0,
+  videos = 0
+} = {}) => {
+  const endTime = new Date();
+
+  // Calculate mission statistics from the stored waypoints
+  const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } });
+  const points = waypointsToPoints(waypoints);
+  const totalDistance = Number.isFinite(distance) ? distance : routeDistance(points) / 1000; // in km
+
+  const completed = await Mission.findOneAndUpdate(
+    { _id: mission._id, status: { $in: from } },
+    {
+      status: 'completed',
+      progress: 100,
+      endTime,
+      currentWaypointIndex: Math.max(0, mission.waypoints.length - 1),
+      statistics: {
+        distance: parseFloat(totalDistance.toFixed(2)),
+        areaCovered: measureAreaCovered(mission, points),
+        duration: Math.round((endTime - new Date(mission.startTime || endTime)) / (1000 * 60)), // minutes
+        batteryUsed,
+        images,
+        videos
+      }
+    },
+    { new: true }
+  );
+  if (!completed) return null;
+
+  const drone = await Drone.findByIdAndUpdate(completed.drone, { lastMission: completed._id }, { new: true });
+  await closeFlightLog(completed, { drone });
+
+  // Complete the parent mission with its last sortie
+  await updateParentCompletion(completed);
+
+  // Update survey completion status if this is the last mission
+  const survey = completed.survey ? await updateSurveyCompletion(completed.survey) : null;
+
+  return { mission: completed, drone, survey };
+};
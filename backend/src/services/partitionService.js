@@ -0,0 +1,164 @@
+const Mission = require('../models/Mission');
+const Survey = require('../models/Survey');
+const Waypoint = require('../models/Waypoint');
+const { toLngLat } = require('../utils/geodesy');
+const {
+  altitudeForGsd,
+  partitionPolygon,
+  generateGridPattern,
+  generateCrosshatchPattern
+} = require('../utils/flightPatterns');
+const { routeDistance } = require('../utils/missionCalculations');
+
+/**
+ * Multi-drone area partitioning
+ * A survey area is divided into one strip per drone, sized by how much ground each
+ * drone covers on a battery, and each strip gets its own planned mission.
+ */
+
+const PATTERNS = {
+  grid: generateGridPattern,
+  crosshatch: generateCrosshatchPattern
+};
+
+// Helper to close a ring of points as GeoJSON coordinates
+const toRing = (points) => {
+  const ring = points.map(toLngLat);
+  return [...ring, ring[0]];
+};
+
+/**
+ * Cruise speed a drone can actually fly
+ * @param {Object} drone - Drone document
+ * @param {number} speed - Requested speed in m/s
+ * @returns {number} Speed in m/s
+ */
+const droneSpeed = (drone, speed) => {
+  const maxSpeed = drone.specifications && drone.specifications.maxSpeed;
+  return maxSpeed ? Math.min(speed, maxSpeed) : speed;
+};
+
+/**
+ * Relative share of the area for each drone: ground covered per battery grows with
+ * speed and endurance. Drones with unknown endurance count as the fleet average.
+ * @param {Array} drones - Drone documents
+ * @param {number} speed - Requested speed in m/s
+ * @returns {Array} Weights in drone order
+ */
+const droneWeights = (drones, speed) => {
+  const known = drones
+    .map(drone => drone.specifications && drone.specifications.maxFlightTime)
+    .filter(Boolean);
+  const averageEndurance = known.length > 0
+    ? known.reduce((sum, minutes) => sum + minutes, 0) / known.length
+    : 1;
+
+  return drones.map(drone => droneSpeed(drone, speed) *
+    ((drone.specifications && drone.specifications.maxFlightTime) || averageEndurance));
+};
+
+/**
+ * Partition a survey area between drones and create one planned mission per drone
+ * @param {Object} survey - Survey document
+ * @param {Array} boundary - Area boundary points
+ * @param {Array} drones - Drone documents, strips are assigned in this order
+ * @param {Object} options - Flight plan options
+ * @param {string} options.pattern - 'grid' (default) or 'crosshatch'
+ * @param {number} options.altitude - Altitude in meters
+ * @param {number} options.gsd - Target ground sampling distance in cm/pixel, used when altitude is omitted
+ * @param {number} options.speed - Cruise speed in m/s
+ * @param {number} options.overlap - Photo and pass overlap in percent
+ * @param {number} options.angle - Sweep heading in degrees
+ * @param {number} options.partitionAngle - Heading along which the strips follow each other
+ * @param {string} options.createdBy - ID of the user creating the missions
+ * @returns {Promise<Array>} Partitions { drone, area, share, mission }
+ */
+exports.partitionSurvey = async (survey, boundary, drones, options) => {
+  const pattern = options.pattern || 'grid';
+  const generate = PATTERNS[pattern];
+  if (!generate) {
+    throw new Error(`Pattern '${pattern}' cannot be used to partition an area`);
+  }
+
+  const speed = options.speed || (survey.parameters && survey.parameters.speed) || 5;
+  const overlap = options.overlap || (survey.parameters && survey.parameters.overlap) || 70;
+  const gsd = options.gsd || (survey.parameters && survey.parameters.gsd);
+  const strips = partitionPolygon(boundary, droneWeights(drones, speed), { angle: options.partitionAngle });
+
+  // Plan every strip before saving anything
+  const plans = strips.map((strip, i) => {
+    const drone = drones[i];
+    const camera = drone.specifications && drone.specifications.camera;
+    const altitude = options.altitude ||
+      (gsd ? Math.round(altitudeForGsd(gsd, camera)) : (survey.parameters && survey.parameters.altitude) || 50);
+    const { waypoints, ...coverage } = generate(strip.boundary, {
+      altitude,
+      camera,
+      frontOverlap: overlap,
+      sideOverlap: overlap,
+      angle: options.angle
+    });
+
+    if (waypoints.length === 0) {
+      throw new Error(`The area assigned to ${drone.name} is too small for the selected pattern`);
+    }
+
+    const cruiseSpeed = droneSpeed(drone, speed);
+    return {
+      drone,
+      strip,
+      altitude,
+      speed: cruiseSpeed,
+      waypoints,
+      gsd: coverage.gsd,
+      estimatedDuration: Math.round(routeDistance(waypoints) / (cruiseSpeed * 60))
+    };
+  });
+
+  const partitions = [];
+  for (const plan of plans) {
+    const mission = new Mission({
+      name: `${survey.name} - ${plan.drone.name}`,
+      description: `Area ${partitions.length + 1} of ${plans.length}, ${(plan.strip.area / 10000).toFixed(2)} ha`,
+      drone: plan.drone._id,
+      survey: survey._id,
+      pattern,
+      altitude: plan.altitude,
+      speed: plan.speed,
+      overlap,
+      gsd: plan.gsd,
+      boundingBox: { type: 'Polygon', coordinates: [toRing(plan.strip.boundary)] },
+      estimatedDuration: plan.estimatedDuration,
+      status: 'planned',
+      createdBy: options.createdBy,
+      organization: survey.organization
+    });
+
+    const waypoints = await Waypoint.insertMany(plan.waypoints.map(waypoint => ({
+      mission: mission._id,
+      order: waypoint.order,
+      location: { type: 'Point', coordinates: toLngLat(waypoint) },
+      altitude: waypoint.altitude,
+      action: waypoint.action || 'flyTo',
+      actionParams: waypoint.actionParams,
+      heading: waypoint.heading,
+      gimbalPitch: waypoint.gimbalPitch
+    })));
+
+    mission.waypoints = waypoints.map(waypoint => waypoint._id);
+    await mission.save();
+
+    partitions.push({
+      drone: plan.drone._id,
+      area: plan.strip.area,
+      share: Math.round(plan.strip.share * 1000) / 10,
+      mission
+    });
+  }
+
+  await Survey.findByIdAndUpdate(survey._id, {
+    $addToSet: { missions: { $each: partitions.map(partition => partition.mission._id) } }
+  });
+
+  return partitions;
+};
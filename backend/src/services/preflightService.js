@@ -0,0 +1,231 @@
+const Drone = require('../models/Drone');
+const Waypoint = require('../models/Waypoint');
+const preflightConfig = require('../config/preflightConfig');
+const { haversineDistance, fromLngLat } = require('../utils/geodesy');
+const { routeDistance, waypointsToPoints, estimateFlightTime } = require('../utils/missionCalculations');
+const { checkMissionClearance } = require('./terrainService');
+const { checkRoute } = require('./geofenceService');
+const { describeViolations } = require('../utils/geofence');
+const { getMaintenanceStatus } = require('./maintenanceService');
+const { findFittedBattery, getRetirementStatus } = require('./batteryService');
+
+/**
+ * Pre-flight feasibility check
+ * Compares a mission route against the drone specifications, its battery level and pack,
+ * its maintenance schedule and the forecast wind. Each check item is 'pass', 'warn' or 'fail'.
+ */
+
+const STATUS_RANK = { pass: 0, warn: 1, fail: 2 };
+
+// Helper to build a check item
+const checkItem = (id, label, status, message, extra = {}) => ({ id, label, status, message, ...extra });
+
+// Helper to grade a value against a hard limit
+const gradeLimit = (value, limit) => {
+  if (!limit) return 'pass';
+  if (value > limit) return 'fail';
+  if (value >= limit * preflightConfig.limitWarningRatio) return 'warn';
+  return 'pass';
+};
+
+// Helper to read a GeoJSON point, ignoring the [0, 0] default
+const toPoint = (location) => {
+  const coordinates = location && location.coordinates;
+  if (!coordinates || coordinates.length < 2) return null;
+  if (coordinates[0] === 0 && coordinates[1] === 0) return null;
+  return fromLngLat(coordinates);
+};
+
+/**
+ * Run the pre-flight check for a mission
+ * @param {Object} mission - Mission document
+ * @param {Object} drone - Drone document, loaded from the mission if omitted
+ * @returns {Promise<Object>} { status, checks, summary }
+ */
+exports.runPreflightCheck = async (mission, drone) => {
+  drone = drone || await Drone.findById(mission.drone);
+  const checks = [];
+
+  if (!drone) {
+    checks.push(checkItem('drone', 'Drone assigned', 'fail', 'The mission drone no longer exists'));
+    return { status: 'fail', checks, summary: {} };
+  }
+
+  const specifications = drone.specifications || {};
+  const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } });
+  const points = waypointsToPoints(waypoints);
+
+  // Drone availability
+  if (drone.status === 'maintenance' || drone.status === 'offline') {
+    checks.push(checkItem('drone', 'Drone available', 'fail', `Drone is ${drone.status}`));
+  } else {
+    checks.push(checkItem('drone', 'Drone available', 'pass', `Drone is ${drone.status}`));
+  }
+
+  // Drones overdue for maintenance are kept on the ground
+  const maintenance = getMaintenanceStatus(drone);
+  checks.push(checkItem(
+    'maintenance',
+    'Maintenance',
+    maintenance.status === 'overdue' ? 'fail' : maintenance.status === 'due-soon' ? 'warn' : 'pass',
+    maintenance.message
+  ));
+
+  // Packs due for retirement are kept on the ground too
+  const battery = await findFittedBattery(drone._id);
+  if (battery) {
+    const retirement = getRetirementStatus(battery);
+    checks.push(checkItem(
+      'battery-pack',
+      'Battery pack',
+      retirement.status === 'due' ? 'fail' : retirement.status === 'near-retirement' ? 'warn' : 'pass',
+      retirement.reasons.length > 0
+        ? `Pack ${battery.serialNumber}: ${retirement.reasons.join(', ')}`
+        : `Pack ${battery.serialNumber} at ${Math.round(battery.cycleCount)} cycles and ${battery.health}% health`
+    ));
+  }
+
+  if (points.length === 0) {
+    checks.push(checkItem('waypoints', 'Flight path', 'fail', 'Mission has no waypoints'));
+    return { status: 'fail', checks, summary: {} };
+  }
+  checks.push(checkItem('waypoints', 'Flight path', 'pass', `${points.length} waypoints`));
+
+  // Altitude against the drone ceiling
+  const maxAltitude = Math.max(mission.altitude || 0, ...points.map(point => point.altitude || 0));
+  checks.push(checkItem(
+    'altitude',
+    'Altitude',
+    gradeLimit(maxAltitude, specifications.maxAltitude),
+    specifications.maxAltitude
+      ? `Highest waypoint ${Math.round(maxAltitude)} m, drone limit ${specifications.maxAltitude} m`
+      : `Highest waypoint ${Math.round(maxAltitude)} m, drone limit unknown`,
+    { value: maxAltitude, limit: specifications.maxAltitude }
+  ));
+
+  // Height above the terrain when the site has an elevation model
+  const clearance = await checkMissionClearance(mission, points);
+  if (clearance) {
+    let message = clearance.lowestClearance === null
+      ? 'Flight path is outside the terrain model'
+      : `Lowest point ${Math.round(clearance.lowestClearance)} m above terrain, minimum ${clearance.minClearance} m`;
+    if (clearance.uncovered > 0 && clearance.lowestClearance !== null) {
+      message += ', parts of the path are outside the terrain model';
+    }
+    checks.push(checkItem('terrain', 'Terrain clearance', clearance.status, message, {
+      value: clearance.lowestClearance,
+      limit: clearance.minClearance
+    }));
+  }
+
+  // Geofences in force at takeoff
+  const violations = await checkRoute(points, { organization: mission.organization });
+  checks.push(violations.length > 0
+    ? checkItem('geofence', 'Geofences', 'fail', describeViolations(violations), { violations })
+    : checkItem('geofence', 'Geofences', 'pass', 'Route stays clear of active geofences'));
+
+  // Speed against the drone top speed
+  const speed = Math.max(mission.speed || 0, ...waypoints.map(waypoint => waypoint.speed || 0));
+  checks.push(checkItem(
+    'speed',
+    'Speed',
+    gradeLimit(speed, specifications.maxSpeed),
+    specifications.maxSpeed
+      ? `Cruise speed ${speed} m/s, drone limit ${specifications.maxSpeed} m/s`
+      : `Cruise speed ${speed} m/s, drone limit unknown`,
+    { value: speed, limit: specifications.maxSpeed }
+  ));
+
+  // Range from the launch point
+  const home = toPoint(drone.homeLocation) || points[0];
+  const maxDistance = Math.max(...points.map(point => haversineDistance(home, point)));
+  checks.push(checkItem(
+    'range',
+    'Range from home',
+    gradeLimit(maxDistance, specifications.maxRange),
+    specifications.maxRange
+      ? `Furthest waypoint ${Math.round(maxDistance)} m from home, drone range ${specifications.maxRange} m`
+      : `Furthest waypoint ${Math.round(maxDistance)} m from home, drone range unknown`,
+    { value: maxDistance, limit: specifications.maxRange }
+  ));
+
+  // Wind, stored in km/h, against the drone wind resistance in m/s
+  const wind = ((mission.environmentalConditions && mission.environmentalConditions.wind) || 0) / 3.6;
+  const windLimit = specifications.maxWindResistance;
+  let windStatus = 'pass';
+  if (windLimit && wind > windLimit) windStatus = 'fail';
+  else if (windLimit && wind >= windLimit * preflightConfig.windWarningRatio) windStatus = 'warn';
+  checks.push(checkItem(
+    'wind',
+    'Wind',
+    windStatus,
+    windLimit
+      ? `Wind ${wind.toFixed(1)} m/s, drone resistance ${windLimit} m/s`
+      : `Wind ${wind.toFixed(1)} m/s, drone resistance unknown`,
+    { value: wind, limit: windLimit }
+  ));
+
+  // Energy for the full flight: take off from home, fly the route, return and land
+  const route = [
+    { ...home, altitude: 0 },
+    ...points.map(point => ({ ...point, altitude: point.altitude || mission.altitude || 0 })),
+    { ...home, altitude: points[points.length - 1].altitude || mission.altitude || 0 },
+    { ...home, altitude: 0 }
+  ];
+  const cruiseSpeed = mission.speed || 5;
+  const flightSeconds = estimateFlightTime(route, cruiseSpeed, wind);
+  const flightMinutes = flightSeconds / 60;
+  const distance = routeDistance(route);
+
+  if (specifications.maxFlightTime) {
+    checks.push(checkItem(
+      'endurance',
+      'Flight time',
+      gradeLimit(flightMinutes, specifications.maxFlightTime),
+      Number.isFinite(flightMinutes)
+        ? `Estimated ${flightMinutes.toFixed(1)} min including return, drone endurance ${specifications.maxFlightTime} min`
+        : `Wind exceeds the cruise speed of ${cruiseSpeed} m/s`,
+      { value: flightMinutes, limit: specifications.maxFlightTime }
+    ));
+  } else {
+    checks.push(checkItem('endurance', 'Flight time', 'warn', 'Drone endurance unknown, battery use cannot be estimated'));
+  }
+
+  // Battery on landing against the reserve
+  const batteryLevel = drone.batteryLevel || 0;
+  const batteryRequired = specifications.maxFlightTime
+    ? flightMinutes / specifications.maxFlightTime * 100
+    : 0;
+  const landingBattery = batteryLevel - batteryRequired;
+  const { reserveBatteryLevel, batteryWarningMargin } = preflightConfig;
+
+  let batteryStatus = 'pass';
+  if (landingBattery < reserveBatteryLevel) batteryStatus = 'fail';
+  else if (landingBattery < reserveBatteryLevel + batteryWarningMargin) batteryStatus = 'warn';
+  checks.push(checkItem(
+    'battery',
+    'Battery reserve',
+    batteryStatus,
+    Number.isFinite(landingBattery)
+      ? `${batteryLevel}% now, about ${Math.round(batteryRequired)}% needed, landing with ${Math.round(landingBattery)}% (reserve ${reserveBatteryLevel}%)`
+      : `${batteryLevel}% now, the flight cannot be completed in this wind`,
+    { value: landingBattery, limit: reserveBatteryLevel }
+  ));
+
+  const status = checks.reduce(
+    (worst, check) => (STATUS_RANK[check.status] > STATUS_RANK[worst] ? check.status : worst),
+    'pass'
+  );
+
+  return {
+    status,
+    checks,
+    summary: {
+      distance: Math.round(distance),
+      flightTime: Number.isFinite(flightMinutes) ? Math.round(flightMinutes * 10) / 10 : null,
+      batteryLevel,
+      batteryRequired: Number.isFinite(batteryRequired) ? Math.round(batteryRequired) : null,
+      reserveBatteryLevel
+    }
+  };
+};
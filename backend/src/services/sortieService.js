@@ -0,0 +1,253 @@
+const Mission = require('../models/Mission');
+const Drone = require('../models/Drone');
+const Survey = require('../models/Survey');
+const Waypoint = require('../models/Waypoint');
+const { fromLngLat } = require('../utils/geodesy');
+const { waypointsToPoints, splitIntoSorties } = require('../utils/missionCalculations');
+
+/**
+ * Sortie planning
+ * A mission too long for one battery is split into child missions (sorties) that
+ * each return home. The parent keeps the full route and completes with its sorties.
+ */
+
+// Helper to read a GeoJSON point, ignoring the [0, 0] default
+const toPoint = (location) => {
+  const coordinates = location && location.coordinates;
+  if (!coordinates || coordinates.length < 2) return null;
+  if (coordinates[0] === 0 && coordinates[1] === 0) return null;
+  return fromLngLat(coordinates);
+};
+
+/**
+ * Split a route for a drone, using its endurance and the mission wind
+ * @param {Array} points - Route points in flight order
+ * @param {Object} mission - Mission the route belongs to
+ * @param {Object} drone - Drone flying the sorties
+ * @returns {Array} Sorties as returned by splitIntoSorties
+ */
+const planSorties = (points, mission, drone) => {
+  const maxFlightTime = drone.specifications && drone.specifications.maxFlightTime;
+  if (!maxFlightTime) {
+    throw new Error('Drone endurance (specifications.maxFlightTime) is required to plan sorties');
+  }
+
+  return splitIntoSorties(points, {
+    home: toPoint(drone.homeLocation) || points[0],
+    speed: mission.speed || 5,
+    wind: ((mission.environmentalConditions && mission.environmentalConditions.wind) || 0) / 3.6,
+    maxFlightTime
+  });
+};
+
+/**
+ * Summarize how a planned route would be split for a drone, without saving anything
+ * @param {Array} points - Route points in flight order
+ * @param {Object} mission - Mission settings { speed, environmentalConditions }
+ * @param {Object} drone - Drone flying the sorties
+ * @returns {Array|null} Sortie summaries, or null if the drone endurance is unknown
+ */
+exports.previewSorties = (points, mission, drone) => {
+  if (!drone || !drone.specifications || !drone.specifications.maxFlightTime) return null;
+
+  return planSorties(points, mission, drone).map(sortie => ({
+    number: sortie.number,
+    waypointCount: sortie.waypoints.length,
+    distance: sortie.distance,
+    estimatedDuration: sortie.estimatedDuration,
+    resumePoint: sortie.resumePoint
+  }));
+};
+
+// Helper to store sorties as child missions of a parent, numbered from firstNumber
+const createSortieMissions = async (parent, sorties, firstNumber, total) => {
+  const children = [];
+
+  for (const sortie of sorties) {
+    const number = firstNumber + sortie.number - 1;
+    const child = new Mission({
+      name: `${parent.name} - Sortie ${number}`,
+      description: parent.description,
+      drone: parent.drone,
+      survey: parent.survey,
+      pattern: parent.pattern,
+      altitude: parent.altitude,
+      speed: parent.speed,
+      overlap: parent.overlap,
+      gsd: parent.gsd,
+      boundingBox: parent.boundingBox && parent.boundingBox.coordinates && parent.boundingBox.coordinates.length
+        ? parent.boundingBox
+        : undefined,
+      environmentalConditions: parent.environmentalConditions,
+      estimatedDuration: sortie.estimatedDuration,
+      status: 'planned',
+      parentMission: parent._id,
+      sortie: { number, total },
+      createdBy: parent.createdBy,
+      organization: parent.organization
+    });
+
+    const waypoints = await Waypoint.insertMany(sortie.waypoints.map(waypoint => ({
+      mission: child._id,
+      order: waypoint.order,
+      location: { type: 'Point', coordinates: [waypoint.longitude, waypoint.latitude] },
+      altitude: waypoint.altitude,
+      speed: waypoint.speed,
+      heading: waypoint.heading,
+      gimbalPitch: waypoint.gimbalPitch,
+      action: waypoint.action || 'flyTo',
+      actionParams: waypoint.actionParams
+    })));
+
+    child.waypoints = waypoints.map(waypoint => waypoint._id);
+    children.push(await child.save());
+  }
+
+  if (parent.survey) {
+    await Survey.findByIdAndUpdate(parent.survey, {
+      $addToSet: { missions: { $each: children.map(child => child._id) } }
+    });
+  }
+
+  return children;
+};
+
+/**
+ * Split a planned mission into battery-sized sorties
+ * @param {Object} parent - Planned mission document
+ * @returns {Promise<Array>} The sortie missions in flight order
+ */
+exports.createSorties = async (parent) => {
+  if (parent.parentMission) {
+    throw new Error('A sortie cannot be split further');
+  }
+  if (parent.sorties && parent.sorties.length > 0) {
+    throw new Error('Mission has already been split into sorties');
+  }
+
+  const drone = await Drone.findById(parent.drone);
+  if (!drone) {
+    throw new Error('Mission drone not found');
+  }
+
+  const waypoints = await Waypoint.find({ _id: { $in: parent.waypoints } });
+  if (waypoints.length === 0) {
+    throw new Error('Mission has no waypoints');
+  }
+
+  const sorties = planSorties(waypointsToPoints(waypoints), parent, drone);
+  const children = await createSortieMissions(parent, sorties, 1, sorties.length);
+
+  parent.sorties = children.map(child => child._id);
+  await parent.save();
+
+  return children;
+};
+
+/**
+ * Remember where an interrupted sortie stopped and re-plan the sorties after it
+ * The next sortie starts from the drone's last position and first flies the
+ * waypoints the interrupted sortie did not reach.
+ * @param {Object} mission - Aborted sortie document
+ * @returns {Promise<Array|null>} The re-planned sorties, or null if the mission is not a sortie
+ */
+exports.resumeAfterInterruption = async (mission) => {
+  if (!mission.parentMission) return null;
+
+  const parent = await Mission.findById(mission.parentMission);
+  const drone = await Drone.findById(mission.drone);
+  if (!parent || !drone) return null;
+
+  const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } }).sort({ order: 1 });
+  const remainingIndex = waypoints.findIndex(waypoint => !waypoint.reached);
+
+  // Record where the drone stopped
+  const position = toPoint(drone.lastLocation);
+  const stoppedAt = remainingIndex === -1 ? waypoints.length : remainingIndex;
+  const altitude = (mission.telemetry && mission.telemetry.altitude) || mission.altitude;
+  const resumePoint = {
+    waypointIndex: stoppedAt,
+    location: position ? { type: 'Point', coordinates: [position.longitude, position.latitude] } : undefined,
+    altitude,
+    recordedAt: Date.now()
+  };
+
+  // Later sorties that have not flown yet are replaced
+  const later = await Mission.find({
+    parentMission: parent._id,
+    'sortie.number': { $gt: mission.sortie.number },
+    status: 'planned'
+  }).sort({ 'sortie.number': 1 });
+
+  const remaining = waypointsToPoints(waypoints.slice(stoppedAt));
+  for (const sortie of later) {
+    // Each later sortie starts on the point the previous one ended at
+    const points = waypointsToPoints(await Waypoint.find({ _id: { $in: sortie.waypoints } }));
+    remaining.push(...points.slice(1));
+  }
+
+  // With nothing left to fly, the parent mission is complete once its other sorties are
+  if (remaining.length === 0) {
+    mission.resumePoint = resumePoint;
+    await mission.save();
+    await exports.updateParentCompletion(mission);
+    return [];
+  }
+  if (position) {
+    remaining.unshift({ ...position, altitude, action: 'flyTo' });
+  }
+
+  // The resume point marks the sortie as taken over, so it is only saved once the new sorties are planned
+  const sorties = planSorties(remaining, parent, drone);
+  mission.resumePoint = resumePoint;
+  await mission.save();
+
+  const laterIds = later.map(sortie => sortie._id);
+  await Waypoint.deleteMany({ mission: { $in: laterIds } });
+  await Mission.deleteMany({ _id: { $in: laterIds } });
+  if (parent.survey) {
+    await Survey.findByIdAndUpdate(parent.survey, { $pull: { missions: { $in: laterIds } } });
+  }
+
+  const total = mission.sortie.number + sorties.length;
+  const children = await createSortieMissions(parent, sorties, mission.sortie.number + 1, total);
+  await Mission.updateMany({ parentMission: parent._id }, { 'sortie.total': total });
+
+  const kept = parent.sorties.filter(id => !laterIds.some(laterId => laterId.equals(id)));
+  parent.sorties = [...kept, ...children.map(child => child._id)];
+  await parent.save();
+
+  return children;
+};
+
+// Helper to tell whether an aborted sortie was taken over by sorties re-planned from where it stopped
+const isSuperseded = (sortie) => sortie.status === 'aborted' &&
+  Boolean(sortie.resumePoint && sortie.resumePoint.recordedAt);
+
+/**
+ * Complete a split mission once all of its sorties have completed
+ * Aborted sorties whose remaining waypoints were re-planned into later sorties are left out.
+ * @param {Object} mission - Sortie that just finished
+ * @returns {Promise<Object|null>} The parent mission if it was just completed, otherwise null
+ */
+exports.updateParentCompletion = async (mission) => {
+  if (!mission.parentMission) return null;
+
+  const parent = await Mission.findById(mission.parentMission);
+  if (!parent || parent.status === 'completed') return null;
+
+  const sorties = await Mission.find({ parentMission: parent._id });
+  if (!sorties.every(sortie => sortie.status === 'completed' || isSuperseded(sortie))) return null;
+
+  parent.status = 'completed';
+  parent.progress = 100;
+  parent.startTime = Math.min(...sorties.map(sortie => sortie.startTime || Date.now()));
+  parent.endTime = Date.now();
+  parent.statistics.distance = parseFloat(sorties
+    .reduce((total, sortie) => total + ((sortie.statistics && sortie.statistics.distance) || 0), 0)
+    .toFixed(2));
+  parent.statistics.areaCovered = Math.max(0, ...sorties.map(sortie => (sortie.statistics && sortie.statistics.areaCovered) || 0));
+  await parent.save();
+
+  return parent;
+};
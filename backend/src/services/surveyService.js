@@ -0,0 +1,28 @@
+const Survey = require('../models/Survey');
+const Mission = require('../models/Mission');
+
+/**
+ * Mark a survey as completed once none of its missions are still pending
+ * @param {string} surveyId - ID of the survey to check
+ * @returns {Promise<Object|null>} The survey if it was just completed, otherwise null
+ */
+exports.updateSurveyCompletion = async (surveyId) => {
+  const survey = await Survey.findById(surveyId);
+  if (!survey || survey.status === 'completed') {
+    return null;
+  }
+
+  const allMissions = await Mission.find({ survey: survey._id });
+  const allCompleted = allMissions.every(m =>
+    m.status === 'completed' || m.status === 'aborted');
+
+  if (!allCompleted) {
+    return null;
+  }
+
+  survey.status = 'completed';
+  survey.completedAt = Date.now();
+  await survey.save();
+
+  return survey;
+};
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const TelemetrySample = require('../models/TelemetrySample');
+const telemetryConfig = require('../config/telemetryConfig');
+
+/**
+ * Telemetry history
+ * Keeps the telemetry drones report so flights can be looked at afterwards. Samples are buffered and
+ * written in batches, kept as received for a few days and then downsampled to one sample per
+ * interval, which MongoDB removes once the retention period is over.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+const FIELDS = ['altitude', 'speed', 'heading', 'batteryLevel', 'signalStrength', 'temperature'];
+
+let pending = [];
+let flushTimer = null;
+let downsampleTimer = null;
+
+// Helper to round an averaged value for display
+const round = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : undefined);
+
+/**
+ * Write the buffered samples
+ * @returns {Promise<number>} Number of samples written
+ */
+const flushSamples = async () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  const batch = pending;
+  pending = [];
+  if (batch.length === 0) return 0;
+
+  try {
+    await TelemetrySample.insertMany(batch, { ordered: false });
+    return batch.length;
+  } catch (error) {
+    console.error(`Failed to store ${batch.length} telemetry samples:`, error.message);
+    return 0;
+  }
+};
+
+/**
+ * Add a telemetry sample to the history
+ * Samples are written once a batch is full or has waited long enough, whichever comes first.
+ * @param {Object} sample - { drone, mission, source, timestamp, latitude, longitude, altitude, speed,
+ *   heading, batteryLevel, signalStrength, temperature } with missing values left out
+ */
+const recordSample = (sample) => {
+  const entry = {
+    drone: sample.drone,
+    mission: sample.mission || undefined,
+    source: sample.source,
+    timestamp: sample.timestamp || new Date()
+  };
+  if (Number.isFinite(sample.latitude) && Number.isFinite(sample.longitude)) {
+    entry.location = { type: 'Point', coordinates: [sample.longitude, sample.latitude] };
+  }
+  FIELDS.forEach(field => {
+    if (Number.isFinite(sample[field])) entry[field] = sample[field];
+  });
+  pending.push(entry);
+
+  if (pending.length >= telemetryConfig.batchSize) {
+    flushSamples();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushSamples, telemetryConfig.flushInterval);
+    flushTimer.unref();
+  }
+};
+
+// Helper to build the aggregation stages that average samples over fixed time buckets
+const bucketStages = (match, resolution, keys = {}) => {
+  const size = resolution * 1000;
+  return [
+    { $match: match },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: {
+          ...keys,
+          bucket: { $subtract: ['$timestamp', { $mod: [{ $toLong: '$timestamp' }, size] }] }
+        },
+        coordinates: { $last: '$location.coordinates' },
+        altitude: { $avg: '$altitude' },
+        speed: { $avg: '$speed' },
+        heading: { $last: '$heading' },
+        batteryLevel: { $last: '$batteryLevel' },
+        signalStrength: { $avg: '$signalStrength' },
+        temperature: { $avg: '$temperature' },
+        source: { $last: '$source' }
+      }
+    },
+    { $sort: { '_id.bucket': 1 } }
+  ];
+};
+
+// Helper to turn a stored or bucketed sample into a history point
+const toHistorySample = (sample) => {
+  const coordinates = sample.coordinates || (sample.location && sample.location.coordinates) || [];
+  return {
+    timestamp: sample._id && sample._id.bucket ? sample._id.bucket : sample.timestamp,
+    latitude: coordinates[1],
+    longitude: coordinates[0],
+    altitude: round(sample.altitude),
+    speed: round(sample.speed),
+    heading: typeof sample.heading === 'number' ? Math.round(sample.heading) : undefined,
+    batteryLevel: round(sample.batteryLevel),
+    signalStrength: round(sample.signalStrength),
+    temperature: round(sample.temperature)
+  };
+};
+
+// Helper to read an optional date parameter
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date`);
+  }
+  return date;
+};
+
+/**
+ * Get the telemetry history of a drone or mission
+ * @param {Object} subject - { drone } or { mission } ID to get the history of
+ * @param {Object} options - Query options
+ * @param {string|Date} options.from - Start of the range, defaults to options.defaultFrom
+ * @param {string|Date} options.to - End of the range, defaults to options.defaultTo or now
+ * @param {number|string} options.resolution - Seconds per returned sample, 0 for samples as stored.
+ *   Raised when the range would return more than the configured maximum, chosen to fit when missing
+ * @param {Date} options.defaultFrom - Start used when none is given
+ * @param {Date} options.defaultTo - End used when none is given
+ * @returns {Promise<Object>} { from, to, resolution, samples } with samples in time order
+ */
+const getTelemetryHistory = async (subject, { from, to, resolution, defaultFrom, defaultTo } = {}) => {
+  const end = parseDate(to, 'to') || defaultTo || new Date();
+  const start = parseDate(from, 'from') || defaultFrom ||
+    new Date(end.getTime() - telemetryConfig.defaultRange * 60 * 1000);
+  if (start > end) {
+    throw new Error('from must be before to');
+  }
+
+  let requested;
+  if (resolution !== undefined && resolution !== '') {
+    requested = Number(resolution);
+    if (!Number.isFinite(requested) || requested < 0) {
+      throw new Error('resolution must be a number of seconds');
+    }
+  }
+
+  // Keep the answer within the point limit however long the range is
+  const span = (end - start) / 1000;
+  const minimum = span > telemetryConfig.maxPoints ? Math.ceil(span / telemetryConfig.maxPoints) : 0;
+  const seconds = Math.max(requested === undefined ? minimum : Math.ceil(requested), minimum);
+
+  const match = { timestamp: { $gte: start, $lte: end } };
+  if (subject.drone) match.drone = new mongoose.Types.ObjectId(subject.drone.toString());
+  if (subject.mission) match.mission = new mongoose.Types.ObjectId(subject.mission.toString());
+
+  const samples = seconds > 0
+    ? await TelemetrySample.aggregate(bucketStages(match, seconds)).allowDiskUse(true)
+    : await TelemetrySample.find(match).sort({ timestamp: 1 }).limit(telemetryConfig.maxPoints).lean();
+
+  return {
+    from: start,
+    to: end,
+    resolution: seconds,
+    samples: samples.map(toHistorySample)
+  };
+};
+
+/**
+ * Replace samples past the raw retention period with one sample per downsampling interval
+ * Works through a day at a time from the oldest raw sample.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { downsampled, created } counts of raw samples replaced and samples made
+ */
+const downsampleTelemetry = async (now = new Date()) => {
+  const resolution = telemetryConfig.downsampleResolution;
+  const size = resolution * 1000;
+  const cutoff = Math.floor((now.getTime() - telemetryConfig.rawRetentionDays * DAY) / size) * size;
+  const result = { downsampled: 0, created: 0 };
+
+  const oldest = await TelemetrySample.findOne({ resolution: 0, timestamp: { $lt: new Date(cutoff) } })
+    .sort({ timestamp: 1 })
+    .select('timestamp')
+    .lean();
+  if (!oldest) return result;
+
+  for (let start = Math.floor(oldest.timestamp.getTime() / size) * size; start < cutoff; start += DAY) {
+    const range = { $gte: new Date(start), $lt: new Date(Math.min(start + DAY, cutoff)) };
+    const buckets = await TelemetrySample.aggregate(
+      bucketStages({ resolution: 0, timestamp: range }, resolution, { drone: '$drone', mission: '$mission' })
+    ).allowDiskUse(true);
+    if (buckets.length === 0) continue;
+
+    const samples = buckets.map(bucket => {
+      const { latitude, longitude, ...values } = toHistorySample(bucket);
+      return {
+        ...values,
+        drone: bucket._id.drone,
+        mission: bucket._id.mission || undefined,
+        source: bucket.source,
+        location: bucket.coordinates ? { type: 'Point', coordinates: [longitude, latitude] } : undefined,
+        resolution,
+        expiresAt: new Date(values.timestamp.getTime() + telemetryConfig.retentionDays * DAY)
+      };
+    });
+
+    await TelemetrySample.insertMany(samples, { ordered: false });
+    const { deletedCount } = await TelemetrySample.deleteMany({ resolution: 0, timestamp: range });
+    result.downsampled += deletedCount;
+    result.created += samples.length;
+  }
+
+  return result;
+};
+
+/**
+ * Downsample old telemetry now and then on a timer
+ */
+const startDownsampling = () => {
+  if (downsampleTimer) return;
+
+  const run = () => downsampleTelemetry().catch(error => {
+    console.error('Telemetry downsampling failed:', error.message);
+  });
+  run();
+  downsampleTimer = setInterval(run, telemetryConfig.downsampleInterval);
+  downsampleTimer.unref();
+};
+
+module.exports = {
+  recordSample,
+  flushSamples,
+  getTelemetryHistory,
+  downsampleTelemetry,
+  startDownsampling
+};
@@ -0,0 +1,260 @@
+const TerrainModel = require('../models/TerrainModel');
+const Mission = require('../models/Mission');
+const Survey = require('../models/Survey');
+const Drone = require('../models/Drone');
+const terrainConfig = require('../config/terrainConfig');
+const { fromLngLat } = require('../utils/geodesy');
+const { parseDem, downsampleGrid } = require('../utils/demParser');
+const {
+  createElevationSampler,
+  applyTerrainFollowing,
+  checkClearance,
+  elevationProfile
+} = require('../utils/terrain');
+
+// Elevation lookups of recently used terrain models, by model ID
+const samplers = new Map();
+
+// Helper to read a GeoJSON point, ignoring the [0, 0] default
+const toPoint = (location) => {
+  const coordinates = location && location.coordinates;
+  if (!coordinates || coordinates.length < 2) return null;
+  if (coordinates[0] === 0 && coordinates[1] === 0) return null;
+  return fromLngLat(coordinates);
+};
+
+/**
+ * Store an uploaded DEM as the terrain model of a survey site
+ * Replaces the survey's previous model, which is deleted unless a mission still uses it.
+ * @param {Object} survey - Survey document
+ * @param {Buffer} buffer - GeoTIFF or ASCII grid file contents
+ * @param {Object} options - Upload details
+ * @param {string} options.name - Display name, usually the file name
+ * @param {Object} options.user - Uploading user
+ * @returns {Promise<Object>} The saved terrain model, without its elevation data
+ */
+exports.saveTerrainModel = async (survey, buffer, { name, user }) => {
+  const parsed = parseDem(buffer);
+  const grid = downsampleGrid(parsed, terrainConfig.maxCells);
+
+  let minElevation = Infinity;
+  let maxElevation = -Infinity;
+  grid.values.forEach(value => {
+    if (Number.isFinite(value) && value !== grid.noData) {
+      minElevation = Math.min(minElevation, value);
+      maxElevation = Math.max(maxElevation, value);
+    }
+  });
+  if (minElevation === Infinity) {
+    throw new Error('DEM contains no elevation values');
+  }
+
+  // Store no-data cells as NaN so the stored grid needs no separate marker
+  const values = Float32Array.from(grid.values, value => (value === grid.noData ? NaN : value));
+  const data = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => data.writeFloatLE(value, i * 4));
+
+  const terrainModel = await TerrainModel.create({
+    name,
+    survey: survey._id,
+    format: parsed.format,
+    width: grid.width,
+    height: grid.height,
+    bounds: {
+      west: grid.west,
+      south: grid.north - grid.height * grid.cellHeight,
+      east: grid.west + grid.width * grid.cellWidth,
+      north: grid.north
+    },
+    cellWidth: grid.cellWidth,
+    cellHeight: grid.cellHeight,
+    minElevation,
+    maxElevation,
+    downsampled: Math.round(grid.cellWidth / parsed.cellWidth),
+    data,
+    organization: survey.organization || user.organization,
+    createdBy: user._id
+  });
+
+  const previous = survey.terrainModel;
+  survey.terrainModel = terrainModel._id;
+  await survey.save();
+
+  if (previous) {
+    await exports.deleteUnusedTerrainModel(previous);
+  }
+
+  const saved = terrainModel.toObject();
+  delete saved.data;
+  return saved;
+};
+
+/**
+ * Delete a terrain model unless a survey or mission still refers to it
+ * @param {string} terrainModelId - Terrain model ID
+ * @returns {Promise<boolean>} Whether the model was deleted
+ */
+exports.deleteUnusedTerrainModel = async (terrainModelId) => {
+  const [surveys, missions] = await Promise.all([
+    Survey.countDocuments({ terrainModel: terrainModelId }),
+    Mission.countDocuments({ 'terrain.model': terrainModelId })
+  ]);
+  if (surveys > 0 || missions > 0) return false;
+
+  await TerrainModel.deleteOne({ _id: terrainModelId });
+  samplers.delete(terrainModelId.toString());
+  return true;
+};
+
+/**
+ * Load the elevation lookup of a terrain model
+ * @param {string} terrainModelId - Terrain model ID
+ * @returns {Promise<Function|null>} Elevation lookup, or null if the model does not exist
+ */
+const getElevationSampler = async (terrainModelId) => {
+  const key = terrainModelId.toString();
+  if (samplers.has(key)) return samplers.get(key);
+
+  const terrainModel = await TerrainModel.findById(terrainModelId).select('+data');
+  if (!terrainModel) return null;
+
+  const values = new Float32Array(terrainModel.width * terrainModel.height);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = terrainModel.data.readFloatLE(i * 4);
+  }
+
+  const sampler = createElevationSampler({
+    width: terrainModel.width,
+    height: terrainModel.height,
+    west: terrainModel.bounds.west,
+    north: terrainModel.bounds.north,
+    cellWidth: terrainModel.cellWidth,
+    cellHeight: terrainModel.cellHeight,
+    noData: null,
+    values
+  });
+
+  // Keep a handful of models in memory, dropping the oldest
+  samplers.set(key, sampler);
+  if (samplers.size > 5) {
+    samplers.delete(samplers.keys().next().value);
+  }
+
+  return sampler;
+};
+
+// Helper to find the ground elevation at takeoff: the drone home inside the model, else the first waypoint
+const takeoffElevationFor = (sampler, drone, firstPoint) => {
+  const home = drone && toPoint(drone.homeLocation);
+  const homeElevation = home ? sampler(home) : null;
+  return homeElevation !== null ? homeElevation : sampler(firstPoint);
+};
+
+/**
+ * Adjust a planned route to hold its altitudes above the terrain
+ * @param {Array} waypoints - Planner waypoints with altitudes above ground
+ * @param {Object} options - Terrain options
+ * @param {string} options.terrainModel - Terrain model ID, defaults to the survey's model
+ * @param {string} options.survey - Survey whose site model is used
+ * @param {Object} options.drone - Drone whose home is the takeoff point
+ * @param {number} options.minClearance - Required height above terrain in meters
+ * @returns {Promise<Object>} { waypoints, terrain } where terrain holds the model, takeoff elevation,
+ *   clearance check and elevation profile
+ */
+exports.planTerrainFollowing = async (waypoints, options) => {
+  let terrainModelId = options.terrainModel;
+  if (!terrainModelId && options.survey) {
+    const survey = await Survey.findById(options.survey);
+    terrainModelId = survey && survey.terrainModel;
+  }
+  if (!terrainModelId) {
+    throw new Error('No terrain model uploaded for this site');
+  }
+
+  const sampler = await getElevationSampler(terrainModelId);
+  if (!sampler) {
+    throw new Error('Terrain model not found');
+  }
+
+  const takeoffElevation = takeoffElevationFor(sampler, options.drone, waypoints[0]);
+  if (takeoffElevation === null) {
+    throw new Error('Takeoff point is outside the terrain model');
+  }
+
+  const minClearance = Number.isFinite(options.minClearance) ? options.minClearance : terrainConfig.minClearance;
+  const followed = applyTerrainFollowing(waypoints, sampler, { takeoffElevation });
+
+  return {
+    waypoints: followed,
+    terrain: {
+      model: terrainModelId,
+      takeoffElevation: Math.round(takeoffElevation * 10) / 10,
+      minClearance,
+      clearance: checkClearance(followed, sampler, { takeoffElevation, minClearance }),
+      profile: elevationProfile(followed, sampler, takeoffElevation)
+    }
+  };
+};
+
+/**
+ * Resolve the terrain model and takeoff elevation of a stored mission
+ * Uses the model the mission was planned with, or the survey site model
+ * @param {Object} mission - Mission document
+ * @param {Array} points - Mission waypoints in flight order
+ * @returns {Promise<Object|null>} { sampler, takeoffElevation, minClearance } or null without a model
+ */
+const missionTerrain = async (mission, points) => {
+  const terrain = mission.terrain || {};
+  let terrainModelId = terrain.model;
+  if (!terrainModelId && mission.survey) {
+    const survey = await Survey.findById(mission.survey);
+    terrainModelId = survey && survey.terrainModel;
+  }
+  if (!terrainModelId || points.length === 0) return null;
+
+  const sampler = await getElevationSampler(terrainModelId);
+  if (!sampler) return null;
+
+  const takeoffElevation = Number.isFinite(terrain.takeoffElevation)
+    ? terrain.takeoffElevation
+    : takeoffElevationFor(sampler, await Drone.findById(mission.drone), points[0]);
+  if (takeoffElevation === null) return null;
+
+  return {
+    sampler,
+    takeoffElevation,
+    minClearance: Number.isFinite(terrain.minClearance) ? terrain.minClearance : terrainConfig.minClearance
+  };
+};
+
+/**
+ * Check a stored mission's height above the terrain
+ * @param {Object} mission - Mission document
+ * @param {Array} points - Mission waypoints in flight order
+ * @returns {Promise<Object|null>} Clearance check, or null when the site has no terrain model
+ */
+exports.checkMissionClearance = async (mission, points) => {
+  const terrain = await missionTerrain(mission, points);
+  if (!terrain) return null;
+
+  return checkClearance(points, terrain.sampler, terrain);
+};
+
+/**
+ * Build the elevation profile of a stored mission
+ * @param {Object} mission - Mission document
+ * @param {Array} points - Mission waypoints in flight order
+ * @returns {Promise<Object|null>} { takeoffElevation, minClearance, clearance, profile }, or null
+ *   when the site has no terrain model
+ */
+exports.getMissionProfile = async (mission, points) => {
+  const terrain = await missionTerrain(mission, points);
+  if (!terrain) return null;
+
+  return {
+    takeoffElevation: Math.round(terrain.takeoffElevation * 10) / 10,
+    minClearance: terrain.minClearance,
+    clearance: checkClearance(points, terrain.sampler, terrain),
+    profile: elevationProfile(points, terrain.sampler, terrain.takeoffElevation)
+  };
+};
@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const Mission = require('../models/Mission');
+const Waypoint = require('../models/Waypoint');
+const { checkRoute } = require('./geofenceService');
+const { waypointsToPoints } = require('../utils/missionCalculations');
+
+/**
+ * Waypoint editing
+ * Every edit rewrites a planned mission's waypoint sequence with `order` running from 1, and
+ * claims the mission's waypointsVersion, so an edit based on an older version is refused instead
+ * of overwriting changes it has not seen. The writes run in a transaction where the database
+ * supports one.
+ */
+
+// Action parameters each waypoint action uses, others are dropped
+const ACTION_PARAMS = {
+  hover: ['duration'],
+  takePhoto: ['photoMode'],
+  recordVideo: ['videoLength']
+};
+
+// Fields a waypoint edit may set besides the position and action parameters
+const NUMBER_FIELDS = ['altitude', 'speed', 'heading', 'gimbalPitch'];
+
+// Helper to read a position given as latitude/longitude, lat/lng or a GeoJSON location
+const toLocation = (input) => {
+  const [locationLongitude, locationLatitude] = (input.location && input.location.coordinates) || [];
+  const givenLatitude = input.latitude ?? input.lat ?? locationLatitude;
+  const givenLongitude = input.longitude ?? input.lng ?? locationLongitude;
+  if (givenLatitude === undefined && givenLongitude === undefined) return undefined;
+
+  const latitude = Number(givenLatitude);
+  const longitude = Number(givenLongitude);
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+      !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw new Error(`invalid coordinates (${latitude}, ${longitude})`);
+  }
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// Helper to keep the action parameters of an action, checking their values
+const toActionParams = (action, params = {}) => {
+  const result = {};
+
+  for (const key of ACTION_PARAMS[action] || []) {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (key === 'photoMode') {
+      result.photoMode = String(value);
+    } else if (!(Number(value) > 0)) {
+      throw new Error(`actionParams.${key} must be a positive number of seconds`);
+    } else {
+      result[key] = Number(value);
+    }
+  }
+
+  if (action === 'hover' && result.duration === undefined) {
+    throw new Error('hover needs actionParams.duration in seconds');
+  }
+  return result;
+};
+
+// Helper to apply a waypoint input to the fields of an existing waypoint, or of a new one
+// flying at the mission altitude when the input has no altitude
+const toWaypointFields = (input, base, mission) => {
+  if (!input || typeof input !== 'object') {
+    throw new Error('expected a waypoint object');
+  }
+
+  const fields = { ...base };
+  const location = toLocation(input);
+  if (location) fields.location = location;
+  if (!fields.location) throw new Error('latitude and longitude are required');
+
+  const values = { ...input, altitude: input.altitude ?? input.alt };
+  for (const key of NUMBER_FIELDS) {
+    if (values[key] === undefined) continue;
+    fields[key] = values[key] === null || values[key] === '' ? undefined : Number(values[key]);
+  }
+  if (fields.altitude === undefined) fields.altitude = mission.altitude;
+
+  if (input.action !== undefined) fields.action = input.action;
+  fields.action = fields.action || 'flyTo';
+  fields.actionParams = toActionParams(fields.action, input.actionParams ?? fields.actionParams);
+
+  return fields;
+};
+
+// Helper to copy the editable fields of a stored waypoint
+const storedFields = (waypoint) => {
+  const { _id, location, altitude, speed, heading, gimbalPitch, action, actionParams } = waypoint.toObject();
+  return { _id, location, altitude, speed, heading, gimbalPitch, action, actionParams };
+};
+
+/**
+ * Build validated waypoint documents for a mission, numbered in the order given
+ * @param {Object} mission - Mission document, its altitude is used for waypoints without one
+ * @param {Array} entries - Waypoint fields, with the _id of stored waypoints that are kept
+ * @returns {Array} Unsaved waypoint documents
+ */
+const buildWaypoints = (mission, entries) => entries.map((entry, index) => {
+  const waypoint = new Waypoint({ ...entry, mission: mission._id, order: index + 1 });
+  const error = waypoint.validateSync();
+  if (error) {
+    throw new Error(`Waypoint ${index + 1}: ${Object.values(error.errors)[0].message}`);
+  }
+  return waypoint;
+});
+
+/**
+ * Turn waypoint inputs into validated waypoint documents for a mission
+ * Positions are given as latitude/longitude, lat/lng or a GeoJSON location, and waypoints
+ * without an altitude fly at the mission altitude.
+ * @param {Object} mission - Mission document
+ * @param {Array} inputs - Waypoint inputs in flight order
+ * @returns {Array} Unsaved waypoint documents
+ */
+exports.toWaypoints = (mission, inputs) => buildWaypoints(mission, inputs.map((input, index) => {
+  try {
+    return toWaypointFields(input, {}, mission);
+  } catch (error) {
+    throw new Error(`Waypoint ${index + 1}: ${error.message}`);
+  }
+}));
+
+// Helper to run writes in a transaction, or one after another on a standalone server
+// without transactions, where the version claim still keeps concurrent edits apart
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    // IllegalOperation: transactions need a replica set, and nothing was written yet
+    if (error.code !== 20) throw error;
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Helper to match a waypoints version, missions stored before versioning count as version 0
+const versionFilter = (version) => (version === 0 ? { $in: [0, null] } : version);
+
+/**
+ * Store a new waypoint sequence for a planned mission
+ * Kept waypoints are updated in place, new ones inserted and dropped ones deleted.
+ * @param {Object} mission - Mission document
+ * @param {number} version - Waypoints version the edit is based on
+ * @param {Array} entries - Waypoint fields in flight order, with the _id of kept waypoints
+ * @returns {Promise<Object|null>} { version, waypoints }, { violations } when the route breaks a
+ *   geofence, or null when the waypoints were changed since the given version
+ */
+const commitWaypoints = async (mission, version, entries) => {
+  const waypoints = buildWaypoints(mission, entries);
+
+  const violations = await checkRoute(waypointsToPoints(waypoints), {
+    organization: mission.organization,
+    time: mission.startTime
+  });
+  if (violations.length > 0) {
+    return { violations };
+  }
+
+  const kept = new Set(entries.filter(entry => entry._id).map(entry => String(entry._id)));
+  const removed = mission.waypoints.filter(id => !kept.has(String(id)));
+
+  const operations = waypoints.map(waypoint => (kept.has(String(waypoint._id))
+    ? { replaceOne: { filter: { _id: waypoint._id }, replacement: waypoint.toObject() } }
+    : { insertOne: { document: waypoint.toObject() } }));
+  if (removed.length > 0) {
+    operations.push({ deleteMany: { filter: { _id: { $in: removed } } } });
+  }
+
+  return inTransaction(async (session) => {
+    // Claim the version first, so a concurrent edit fails here before writing anything
+    const claimed = await Mission.findOneAndUpdate(
+      { _id: mission._id, status: 'planned', waypointsVersion: versionFilter(version) },
+      {
+        $set: { waypoints: waypoints.map(waypoint => waypoint._id), updatedAt: Date.now() },
+        $inc: { waypointsVersion: 1 }
+      },
+      { new: true, session }
+    );
+    if (!claimed) return null;
+
+    if (operations.length > 0) {
+      await Waypoint.bulkWrite(operations, { session });
+    }
+    return { version: claimed.waypointsVersion, waypoints };
+  });
+};
+
+// Helper to load the stored waypoints of a mission as editable fields in flight order
+const loadEntries = async (mission) => {
+  const waypoints = await Waypoint.find({ _id: { $in: mission.waypoints } }).sort({ order: 1 });
+  return waypoints.map(storedFields);
+};
+
+// Helper to find a waypoint of a mission by its ID
+const findEntry = (entries, waypointId) => {
+  const index = entries.findIndex(entry => String(entry._id) === String(waypointId));
+  if (index === -1) {
+    throw new Error('Waypoint not found in this mission');
+  }
+  return index;
+};
+
+// Helper to check a 1-based position in a sequence of a given length
+const toPosition = (order, length) => {
+  const position = Number(order);
+  if (!Number.isInteger(position) || position < 1 || position > length) {
+    throw new Error(`order must be a whole number from 1 to ${length}`);
+  }
+  return position - 1;
+};
+
+/**
+ * Get the waypoints of a mission in flight order
+ * @param {Object} mission - Mission document
+ * @returns {Promise<Object>} { version, waypoints }
+ */
+exports.listWaypoints = async (mission) => ({
+  version: mission.waypointsVersion || 0,
+  waypoints: await Waypoint.find({ _id: { $in: mission.waypoints } }).sort({ order: 1 })
+});
+
+/**
+ * Replace all the waypoints of a mission
+ * Inputs with the _id of a stored waypoint update it, the others are new waypoints.
+ * @param {Object} mission - Mission document
+ * @param {number} version - Waypoints version the edit is based on
+ * @param {Array} inputs - Waypoints in flight order
+ * @returns {Promise<Object|null>} Result of the edit, see commitWaypoints
+ */
+exports.replaceWaypoints = async (mission, version, inputs) => {
+  const stored = await loadEntries(mission);
+  const byId = new Map(stored.map(entry => [String(entry._id), entry]));
+
+  const entries = inputs.map((input, index) => {
+    try {
+      const base = input && input._id ? byId.get(String(input._id)) : undefined;
+      return toWaypointFields(input, base || {}, mission);
+    } catch (error) {
+      throw new Error(`Waypoint ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return commitWaypoints(mission, version, entries);
+};
+
+/**
+ * Insert a waypoint into a mission's sequence
+ * @param {Object} mission - Mission document
+ * @param {number} version - Waypoints version the edit is based on
+ * @param {Object} input - New waypoint
+ * @param {number} order - Position of the new waypoint from 1, defaults to the end
+ * @returns {Promise<Object|null>} Result of the edit, see commitWaypoints
+ */
+exports.insertWaypoint = async (mission, version, input, order) => {
+  const entries = await loadEntries(mission);
+  const index = order === undefined ? entries.length : toPosition(order, entries.length + 1);
+
+  let fields;
+  try {
+    fields = toWaypointFields(input, {}, mission);
+  } catch (error) {
+    throw new Error(`Waypoint ${index + 1}: ${error.message}`);
+  }
+
+  entries.splice(index, 0, fields);
+  return commitWaypoints(mission, version, entries);
+};
+
+/**
+ * Change a waypoint, moving it on the map with a new position or in the sequence with `order`
+ * @param {Object} mission - Mission document
+ * @param {number} version - Waypoints version the edit is based on
+ * @param {string} waypointId - Waypoint ID
+ * @param {Object} changes - Fields to change, with the new position from 1 as order
+ * @returns {Promise<Object|null>} Result of the edit, see commitWaypoints
+ */
+exports.updateWaypoint = async (mission, version, waypointId, changes) => {
+  const entries = await loadEntries(mission);
+  const index = findEntry(entries, waypointId);
+  const { order, ...fields } = changes;
+
+  try {
+    entries[index] = { ...toWaypointFields(fields, entries[index], mission), _id: entries[index]._id };
+  } catch (error) {
+    throw new Error(`Waypoint ${index + 1}: ${error.message}`);
+  }
+
+  if (order !== undefined) {
+    const [moved] = entries.splice(index, 1);
+    entries.splice(toPosition(order, entries.length + 1), 0, moved);
+  }
+  return commitWaypoints(mission, version, entries);
+};
+
+/**
+ * Remove a waypoint, the later waypoints move up one place
+ * @param {Object} mission - Mission document
+ * @param {number} version - Waypoints version the edit is based on
+ * @param {string} waypointId - Waypoint ID
+ * @returns {Promise<Object|null>} Result of the edit, see commitWaypoints
+ */
+exports.deleteWaypoint = async (mission, version, waypointId) => {
+  const entries = await loadEntries(mission);
+  entries.splice(findEntry(entries, waypointId), 1);
+  return commitWaypoints(mission, version, entries);
+};
+
+/**
+ * Put a mission's waypoints in a new order
+ * @param {Object} mission - Mission document
+ * @param {number} version - Waypoints version the edit is based on
+ * @param {Array} waypointIds - Every waypoint ID of the mission, in the new flight order
+ * @returns {Promise<Object|null>} Result of the edit, see commitWaypoints
+ */
+exports.reorderWaypoints = async (mission, version, waypointIds) => {
+  const entries = await loadEntries(mission);
+  const ids = waypointIds.map(String);
+
+  if (ids.length !== entries.length || new Set(ids).size !== ids.length) {
+    throw new Error(`List each of the mission's ${entries.length} waypoints once`);
+  }
+  return commitWaypoints(mission, version, ids.map(id => entries[findEntry(entries, id)]));
+};
@@ -0,0 +1,466 @@
+const { destinationPoint, haversineDistance, calculateBearing, toLngLat } = require('./geodesy');
+const geofenceConfig = require('../config/geofenceConfig');
+
+/**
+ * Airspace file parsing
+ * GeoJSON and OpenAir airspace files are read into zones ready to store as geofences:
+ * { feature, externalId, name, description, type, floor, ceiling, airspace, geometry }
+ * where floor and ceiling are heights in meters (the same reference as waypoint altitudes),
+ * airspace keeps the class and the limits as written, and geometry is a GeoJSON Polygon.
+ * Problems are reported per feature so one bad zone does not stop the rest of the file.
+ */
+
+const FEET = 0.3048;
+const NAUTICAL_MILE = 1852;
+
+// Units and reference datums of openAIP-style { value, unit, referenceDatum } limits
+const LIMIT_UNITS = { 0: 'm', 1: 'ft', 6: 'FL' };
+const LIMIT_DATUMS = { 0: 'GND', 1: 'MSL', 2: 'STD' };
+
+// Degrees with optional minutes and seconds, then the hemisphere, for latitude and longitude
+const COORDINATE = /(\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?(?::(\d+(?:\.\d+)?))?\s*([NS])[\s,]*(\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?(?::(\d+(?:\.\d+)?))?\s*([EW])/gi;
+
+// Helper to turn degrees, minutes and seconds into decimal degrees
+const toDecimalDegrees = (degrees, minutes, seconds, hemisphere) => {
+  const value = parseFloat(degrees) + (parseFloat(minutes) || 0) / 60 + (parseFloat(seconds) || 0) / 3600;
+  return /[SW]/i.test(hemisphere) ? -value : value;
+};
+
+// Helper to read every OpenAir coordinate in a line
+const parseCoordinates = (text) => [...text.matchAll(COORDINATE)].map(match => {
+  const point = {
+    latitude: toDecimalDegrees(match[1], match[2], match[3], match[4]),
+    longitude: toDecimalDegrees(match[5], match[6], match[7], match[8])
+  };
+  if (Math.abs(point.latitude) > 90 || Math.abs(point.longitude) > 180) {
+    throw new Error(`Coordinate "${match[0]}" is out of range`);
+  }
+  return point;
+});
+
+// Helper to read the single coordinate a record expects
+const parseCoordinate = (text) => {
+  const [point] = parseCoordinates(text);
+  if (!point) {
+    throw new Error(`Unreadable coordinate "${text}"`);
+  }
+  return point;
+};
+
+/**
+ * Parse an altitude limit
+ * Accepts OpenAir text such as "SFC", "400ft AGL", "2500 MSL", "FL65" or "UNL", a number of
+ * meters above ground, or an openAIP-style { value, unit, referenceDatum } object.
+ * @param {string|number|Object} limit - Altitude limit
+ * @returns {Object|null} { meters, reference } where reference is 'AGL' or 'MSL', or null when unlimited
+ */
+const parseAltitude = (limit) => {
+  if (typeof limit === 'number') {
+    return { meters: limit, reference: 'AGL' };
+  }
+
+  if (limit && typeof limit === 'object') {
+    const unit = LIMIT_UNITS[limit.unit] || String(limit.unit || 'm');
+    const datum = LIMIT_DATUMS[limit.referenceDatum] || String(limit.referenceDatum || 'MSL');
+    return parseAltitude(unit.toUpperCase() === 'FL' ? `FL${limit.value}` : `${limit.value}${unit} ${datum}`);
+  }
+
+  const text = String(limit).trim().toUpperCase();
+  if (/^(SFC|GND|SURFACE|GROUND)$/.test(text)) {
+    return { meters: 0, reference: 'AGL' };
+  }
+  if (/^UNL(IM|IMITED|TD)?$/.test(text)) {
+    return null;
+  }
+
+  const flightLevel = text.match(/^FL\s*(\d+)$/);
+  if (flightLevel) {
+    // Flight levels are pressure altitudes, taken here as altitudes in the standard atmosphere
+    return { meters: parseInt(flightLevel[1]) * 100 * FEET, reference: 'MSL' };
+  }
+
+  const height = text.match(/^(\d+(?:\.\d+)?)\s*(FT|F|M)?\s*(AGL|AGND|ASFC|SFC|GND|AMSL|MSL|ALT)?$/);
+  if (!height) {
+    throw new Error(`Unreadable altitude limit "${limit}"`);
+  }
+
+  const value = parseFloat(height[1]);
+  return {
+    meters: height[2] === 'M' ? value : value * FEET,
+    reference: /AGL|AGND|ASFC|SFC|GND/.test(height[3] || '') ? 'AGL' : 'MSL'
+  };
+};
+
+// Helper to write an altitude limit the way it was given, for display
+const limitText = (limit) => {
+  if (limit === undefined || limit === null || limit === '') return undefined;
+  if (typeof limit === 'number') return `${limit}m AGL`;
+  if (typeof limit === 'object') {
+    const unit = LIMIT_UNITS[limit.unit] || limit.unit || 'm';
+    const datum = LIMIT_DATUMS[limit.referenceDatum] || limit.referenceDatum || 'MSL';
+    return unit === 'FL' ? `FL${limit.value}` : `${limit.value}${unit} ${datum}`;
+  }
+  return String(limit);
+};
+
+/**
+ * Turn the altitude limits of an airspace into geofence floor and ceiling heights
+ * Limits above sea level are made heights by subtracting the ground elevation.
+ * @param {*} lower - Lower limit, see parseAltitude
+ * @param {*} upper - Upper limit, see parseAltitude
+ * @param {number} elevation - Ground elevation in meters above sea level, or undefined if unknown
+ * @returns {Object} { floor, ceiling, warnings }
+ */
+const toHeightLimits = (lower, upper, elevation) => {
+  const warnings = [];
+  const toHeight = (altitude, label) => {
+    if (!altitude) return undefined;
+    if (altitude.reference === 'AGL') return altitude.meters;
+    if (elevation === undefined && altitude.meters > 0) {
+      warnings.push(`${label} is above sea level and is checked as a height above takeoff without a site elevation`);
+    }
+    return altitude.meters - (elevation || 0);
+  };
+
+  const floorHeight = lower === undefined || lower === null || lower === '' ? 0 : toHeight(parseAltitude(lower), `Lower limit ${limitText(lower)}`);
+  if (floorHeight === undefined) {
+    throw new Error('Lower limit cannot be unlimited');
+  }
+  const ceiling = upper === undefined || upper === null || upper === '' ? undefined : toHeight(parseAltitude(upper), `Upper limit ${limitText(upper)}`);
+  const floor = Math.max(0, floorHeight);
+
+  if (ceiling !== undefined && ceiling <= floor) {
+    throw new Error('Upper limit is not above the lower limit');
+  }
+
+  return {
+    floor: Math.round(floor * 10) / 10,
+    ceiling: ceiling === undefined ? undefined : Math.round(ceiling * 10) / 10,
+    warnings
+  };
+};
+
+/**
+ * Close a list of points into a GeoJSON Polygon, dropping repeated points
+ * @param {Array} points - Boundary points { latitude, longitude }
+ * @returns {Object} GeoJSON Polygon
+ */
+const toPolygon = (points) => {
+  const ring = points
+    .map(toLngLat)
+    .filter((coordinate, index, all) => index === 0 ||
+      coordinate[0] !== all[index - 1][0] || coordinate[1] !== all[index - 1][1]);
+
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    ring.pop();
+  }
+
+  if (ring.length < 3) {
+    throw new Error('Airspace boundary must contain at least 3 points');
+  }
+
+  return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+};
+
+// Helper to sample an arc around a center, from one bearing turning clockwise (+) or anticlockwise (-)
+const arcPoints = (center, radius, from, sweep) => {
+  const steps = Math.max(1, Math.ceil(Math.abs(sweep) / geofenceConfig.arcStep));
+  return Array.from({ length: steps + 1 }, (_, i) => destinationPoint(center, from + sweep * i / steps, radius));
+};
+
+// Helper to measure the turn between two bearings in a direction, a full turn when they match
+const arcSweep = (from, to, clockwise) => {
+  const turn = ((clockwise ? to - from : from - to) % 360 + 360) % 360 || 360;
+  return clockwise ? turn : -turn;
+};
+
+/**
+ * Parse an OpenAir airspace file
+ * Supports the AC, AN, AI, AY, AL, AH, DP, DC, DA, DB and V (X= and D=) records.
+ * Labels and styling are skipped, airspaces drawn as airways (DY) are reported as errors.
+ * @param {string} text - File contents
+ * @param {Object} options - Parse options
+ * @param {number} options.elevation - Ground elevation in meters above sea level
+ * @returns {Object} { zones, errors, warnings } with errors and warnings as { feature, name, line, message }
+ */
+const parseOpenAir = (text, { elevation } = {}) => {
+  const zones = [];
+  const errors = [];
+  const warnings = [];
+  let current = null;
+  let count = 0;
+
+  const finish = () => {
+    if (!current) return;
+    const { feature, name, line, records } = current;
+
+    if (current.error) {
+      errors.push({ feature, name, ...current.error });
+      return;
+    }
+
+    try {
+      if (!name) throw new Error('Airspace has no name (AN record)');
+
+      const limits = toHeightLimits(records.AL, records.AH, elevation);
+      zones.push({
+        feature,
+        externalId: records.AI || name,
+        name,
+        type: 'exclusion',
+        floor: limits.floor,
+        ceiling: limits.ceiling,
+        airspace: {
+          class: [records.AC, records.AY].filter(Boolean).join(' '),
+          lowerLimit: records.AL || 'SFC',
+          upperLimit: records.AH
+        },
+        geometry: toPolygon(current.points)
+      });
+      limits.warnings.forEach(message => warnings.push({ feature, name, line, message }));
+    } catch (error) {
+      errors.push({ feature, name, line, message: error.message });
+    }
+  };
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const content = raw.replace(/\*.*$/, '').trim();
+    if (!content) return;
+
+    const [, command, rest = ''] = content.match(/^([A-Z]+)\s*(.*)$/i) || [];
+    const record = (command || '').toUpperCase();
+
+    if (record === 'AC') {
+      finish();
+      current = {
+        feature: ++count,
+        line,
+        records: { AC: rest.trim() },
+        points: [],
+        center: null,
+        clockwise: true
+      };
+      return;
+    }
+
+    if (!current) {
+      errors.push({ line, message: `Record "${content}" before the first airspace (AC record)` });
+      return;
+    }
+    if (current.error) return;
+
+    try {
+      switch (record) {
+        case 'AN':
+          current.name = rest.trim().slice(0, 100);
+          break;
+        case 'AI':
+        case 'AY':
+        case 'AL':
+        case 'AH':
+          current.records[record] = rest.trim();
+          break;
+        case 'DP':
+          current.points.push(parseCoordinate(rest));
+          break;
+        case 'V': {
+          const [, variable, value] = rest.match(/^([A-Z])\s*=\s*(.*)$/i) || [];
+          if (/^X$/i.test(variable)) {
+            current.center = parseCoordinate(value);
+          } else if (/^D$/i.test(variable)) {
+            current.clockwise = value.trim() !== '-';
+          }
+          break;
+        }
+        case 'DC': {
+          if (!current.center) throw new Error('Circle (DC) without a center (V X=)');
+          const radius = parseFloat(rest) * NAUTICAL_MILE;
+          if (!(radius > 0)) throw new Error(`Invalid circle radius "${rest}"`);
+          current.points.push(...arcPoints(current.center, radius, 0, 360).slice(0, -1));
+          break;
+        }
+        case 'DA': {
+          if (!current.center) throw new Error('Arc (DA) without a center (V X=)');
+          const [radius, from, to] = rest.split(',').map(parseFloat);
+          if (!(radius > 0) || !Number.isFinite(from) || !Number.isFinite(to)) {
+            throw new Error(`Invalid arc "${rest}", expected radius, start angle, end angle`);
+          }
+          current.points.push(...arcPoints(current.center, radius * NAUTICAL_MILE, from, arcSweep(from, to, current.clockwise)));
+          break;
+        }
+        case 'DB': {
+          if (!current.center) throw new Error('Arc (DB) without a center (V X=)');
+          const ends = parseCoordinates(rest);
+          if (ends.length !== 2) throw new Error(`Invalid arc "${rest}", expected two coordinates`);
+          const from = calculateBearing(current.center, ends[0]);
+          const to = calculateBearing(current.center, ends[1]);
+          const sweep = arcSweep(from, to, current.clockwise);
+          const arc = arcPoints(current.center, haversineDistance(current.center, ends[0]), from, sweep);
+          current.points.push(ends[0], ...arc.slice(1, -1), ends[1]);
+          break;
+        }
+        case 'DY':
+          throw new Error('Airways (DY records) are not supported');
+        case 'AT':
+        case 'AF':
+        case 'AG':
+        case 'SP':
+        case 'SB':
+          break;
+        default:
+          warnings.push({ feature: current.feature, name: current.name, line, message: `Skipped unknown record "${content}"` });
+      }
+    } catch (error) {
+      // Report the first bad record, the rest of the airspace is skipped
+      current.error = { line, message: error.message };
+    }
+  });
+
+  finish();
+  return { zones, errors, warnings };
+};
+
+// Helper to read a GeoJSON ring into points
+const ringPoints = (ring) => {
+  if (!Array.isArray(ring)) throw new Error('Polygon ring must be an array of positions');
+  return ring.map(position => {
+    const [longitude, latitude] = Array.isArray(position) ? position.map(Number) : [];
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      throw new Error(`Invalid position ${JSON.stringify(position)}`);
+    }
+    return { latitude, longitude };
+  });
+};
+
+/**
+ * Parse a GeoJSON airspace file
+ * Features keep their polygon outer rings, MultiPolygons become one zone per polygon.
+ * Properties read are id (or the feature id), name, description, type ('exclusion' or
+ * 'inclusion'), class, lowerLimit and upperLimit (see parseAltitude), or floor and ceiling
+ * in meters, timeWindows and breachAction.
+ * @param {Object|string} input - FeatureCollection, Feature or geometry, as an object or JSON text
+ * @param {Object} options - Parse options
+ * @param {number} options.elevation - Ground elevation in meters above sea level
+ * @returns {Object} { zones, errors, warnings } with errors and warnings as { feature, name, message }
+ */
+const parseGeoJsonAirspace = (input, { elevation } = {}) => {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Invalid GeoJSON: ${error.message}`);
+    }
+  }
+
+  let features;
+  if (data && data.type === 'FeatureCollection') {
+    features = Array.isArray(data.features) ? data.features : [];
+  } else if (data && data.type === 'Feature') {
+    features = [data];
+  } else if (data && data.type) {
+    features = [{ type: 'Feature', geometry: data, properties: {} }];
+  } else {
+    throw new Error('Expected a GeoJSON FeatureCollection, Feature or geometry');
+  }
+
+  const zones = [];
+  const errors = [];
+  const warnings = [];
+
+  features.forEach((item, index) => {
+    const feature = index + 1;
+    const properties = (item && item.properties) || {};
+    const name = String(properties.name || properties.NAME || properties.title || '').trim().slice(0, 100);
+
+    try {
+      const id = item.id !== undefined ? item.id : (properties.externalId || properties.id);
+      const externalId = id !== undefined && id !== null && id !== '' ? String(id) : name;
+      if (!externalId) throw new Error('Feature has neither an id nor a name to match it on re-import');
+
+      const geometry = item.geometry || {};
+      let polygons;
+      if (geometry.type === 'Polygon') {
+        polygons = [geometry.coordinates];
+      } else if (geometry.type === 'MultiPolygon') {
+        polygons = geometry.coordinates;
+      } else {
+        throw new Error(`Unsupported geometry type ${geometry.type || 'none'}, expected Polygon or MultiPolygon`);
+      }
+      if (!Array.isArray(polygons) || polygons.length === 0) throw new Error('Geometry has no coordinates');
+
+      const limits = properties.lowerLimit !== undefined || properties.upperLimit !== undefined
+        ? toHeightLimits(properties.lowerLimit, properties.upperLimit, elevation)
+        : { floor: properties.floor, ceiling: properties.ceiling, warnings: [] };
+      const type = properties.type === 'inclusion' ? 'inclusion' : 'exclusion';
+      if (type === 'inclusion' && limits.floor > 0) {
+        throw new Error('Operating areas (inclusion zones) must reach the ground');
+      }
+      limits.warnings.forEach(message => warnings.push({ feature, name, message }));
+
+      const parts = polygons.map((rings, part) => {
+        if (!Array.isArray(rings) || rings.length === 0) throw new Error('Polygon has no rings');
+        if (rings.length > 1) {
+          warnings.push({ feature, name, message: 'Holes are ignored, the whole outer ring is used' });
+        }
+        return {
+          externalId: polygons.length > 1 ? `${externalId}:${part + 1}` : externalId,
+          name: polygons.length > 1 ? `${name || externalId} (${part + 1})`.slice(0, 100) : name || externalId.slice(0, 100),
+          geometry: toPolygon(ringPoints(rings[0]))
+        };
+      });
+
+      parts.forEach(part => zones.push({
+        feature,
+        ...part,
+        description: properties.description,
+        type,
+        floor: limits.floor || 0,
+        ceiling: limits.ceiling,
+        airspace: {
+          class: properties.class,
+          lowerLimit: limitText(properties.lowerLimit),
+          upperLimit: limitText(properties.upperLimit)
+        },
+        timeWindows: properties.timeWindows,
+        breachAction: properties.breachAction
+      }));
+    } catch (error) {
+      errors.push({ feature, name, message: error.message });
+    }
+  });
+
+  return { zones, errors, warnings };
+};
+
+/**
+ * Parse an airspace file in either format
+ * @param {Object|string} input - GeoJSON object, or the file contents
+ * @param {Object} options - Parse options
+ * @param {string} options.format - 'geojson' or 'openair', detected from the contents when missing
+ * @param {number} options.elevation - Ground elevation in meters above sea level
+ * @returns {Object} { format, zones, errors, warnings }
+ */
+const parseAirspace = (input, { format, elevation } = {}) => {
+  const detected = format || (typeof input === 'object' || /^\s*\{/.test(input) ? 'geojson' : 'openair');
+
+  if (detected === 'geojson') {
+    return { format: detected, ...parseGeoJsonAirspace(input, { elevation }) };
+  }
+  if (detected === 'openair') {
+    if (typeof input !== 'string') throw new Error('OpenAir files must be sent as text');
+    return { format: detected, ...parseOpenAir(input, { elevation }) };
+  }
+  throw new Error(`Unsupported airspace format "${format}", use geojson or openair`);
+};
+
+module.exports = {
+  parseAltitude,
+  parseOpenAir,
+  parseGeoJsonAirspace,
+  parseAirspace
+};
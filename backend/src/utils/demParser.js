@@ -0,0 +1,403 @@
+const zlib = require('zlib');
+
+/**
+ * Digital elevation model parsing
+ * Grids are returned as { width, height, west, north, cellWidth, cellHeight, noData, values }
+ * with cell sizes in degrees and values as a Float32Array of elevations in meters, row by
+ * row from the north-west corner. Only geographic (longitude/latitude) grids are supported.
+ */
+
+// Helper to check that a grid lies in geographic coordinates
+const assertGeographic = (grid) => {
+  const east = grid.west + grid.width * grid.cellWidth;
+  const south = grid.north - grid.height * grid.cellHeight;
+  if (grid.west < -180 || east > 180 || south < -90 || grid.north > 90) {
+    throw new Error('DEM coordinates are not longitude/latitude, reproject it to WGS84 (EPSG:4326)');
+  }
+};
+
+/**
+ * Parse an Esri ASCII grid (.asc)
+ * @param {string} text - File contents
+ * @returns {Object} Elevation grid
+ */
+const parseAsciiGrid = (text) => {
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+  let index = 0;
+
+  // Header lines are "key value" pairs before the first number-only token
+  while (index < tokens.length && /^[a-z_]+$/i.test(tokens[index])) {
+    header[tokens[index].toLowerCase()] = parseFloat(tokens[index + 1]);
+    index += 2;
+  }
+
+  const width = header.ncols;
+  const height = header.nrows;
+  const cellWidth = header.cellsize || header.dx;
+  const cellHeight = header.cellsize || header.dy;
+  if (!width || !height || !cellWidth || !cellHeight) {
+    throw new Error('ASCII grid header must contain ncols, nrows and cellsize');
+  }
+
+  const west = header.xllcorner !== undefined ? header.xllcorner : header.xllcenter - cellWidth / 2;
+  const south = header.yllcorner !== undefined ? header.yllcorner : header.yllcenter - cellHeight / 2;
+  if (!Number.isFinite(west) || !Number.isFinite(south)) {
+    throw new Error('ASCII grid header must contain xllcorner/yllcorner or xllcenter/yllcenter');
+  }
+
+  if (tokens.length - index < width * height) {
+    throw new Error(`ASCII grid has ${tokens.length - index} values, expected ${width * height}`);
+  }
+
+  const values = new Float32Array(width * height);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = parseFloat(tokens[index + i]);
+  }
+
+  const grid = {
+    width,
+    height,
+    west,
+    north: south + height * cellHeight,
+    cellWidth,
+    cellHeight,
+    noData: header.nodata_value !== undefined ? header.nodata_value : null,
+    values
+  };
+  assertGeographic(grid);
+  return grid;
+};
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// Helper to read the values of one IFD entry
+const readTag = (view, littleEndian, type, count, offset) => {
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * TIFF_TYPE_SIZES[type];
+    switch (type) {
+      case 1: case 2: case 7: values.push(view.getUint8(at)); break;
+      case 6: values.push(view.getInt8(at)); break;
+      case 3: values.push(view.getUint16(at, littleEndian)); break;
+      case 8: values.push(view.getInt16(at, littleEndian)); break;
+      case 4: values.push(view.getUint32(at, littleEndian)); break;
+      case 9: values.push(view.getInt32(at, littleEndian)); break;
+      case 5: values.push(view.getUint32(at, littleEndian) / view.getUint32(at + 4, littleEndian)); break;
+      case 10: values.push(view.getInt32(at, littleEndian) / view.getInt32(at + 4, littleEndian)); break;
+      case 11: values.push(view.getFloat32(at, littleEndian)); break;
+      case 12: values.push(view.getFloat64(at, littleEndian)); break;
+      default: throw new Error(`Unsupported TIFF field type ${type}`);
+    }
+  }
+  return type === 2 ? String.fromCharCode(...values).replace(/\0+$/, '') : values;
+};
+
+// Helper to decode TIFF LZW data (MSB-first codes with early change)
+const decodeLzw = (input, expectedLength) => {
+  const output = new Uint8Array(expectedLength);
+  let length = 0;
+  let dictionary = [];
+  let codeLength = 9;
+  let bitPosition = 0;
+  let previous = null;
+
+  const resetDictionary = () => {
+    dictionary = [];
+    for (let i = 0; i < 256; i++) dictionary.push([i]);
+    dictionary.push(null, null); // 256 clear, 257 end of information
+    codeLength = 9;
+  };
+
+  const readCode = () => {
+    let code = 0;
+    for (let i = 0; i < codeLength; i++) {
+      const byte = input[(bitPosition + i) >> 3];
+      code = (code << 1) | ((byte >> (7 - ((bitPosition + i) & 7))) & 1);
+    }
+    bitPosition += codeLength;
+    return code;
+  };
+
+  resetDictionary();
+  while (bitPosition + codeLength <= input.length * 8 && length < expectedLength) {
+    const code = readCode();
+    if (code === 257) break;
+    if (code === 256) {
+      resetDictionary();
+      previous = null;
+      continue;
+    }
+
+    let entry;
+    if (code < dictionary.length) {
+      entry = dictionary[code];
+      if (previous) dictionary.push([...previous, entry[0]]);
+    } else if (previous) {
+      entry = [...previous, previous[0]];
+      dictionary.push(entry);
+    } else {
+      throw new Error('Corrupt LZW data in GeoTIFF');
+    }
+
+    for (let i = 0; i < entry.length && length < expectedLength; i++) output[length++] = entry[i];
+    previous = entry;
+
+    if (dictionary.length + 1 >= (1 << codeLength) && codeLength < 12) codeLength++;
+  }
+
+  return output.subarray(0, length);
+};
+
+// Helper to undo the horizontal or floating-point predictor on one decoded block
+const undoPredictor = (bytes, predictor, blockWidth, bytesPerSample, littleEndian) => {
+  const rowBytes = blockWidth * bytesPerSample;
+  const rows = Math.floor(bytes.length / rowBytes);
+
+  for (let row = 0; row < rows; row++) {
+    const start = row * rowBytes;
+
+    if (predictor === 2) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset + start, rowBytes);
+      for (let i = 1; i < blockWidth; i++) {
+        const at = i * bytesPerSample;
+        const before = at - bytesPerSample;
+        if (bytesPerSample === 1) view.setUint8(at, view.getUint8(at) + view.getUint8(before));
+        else if (bytesPerSample === 2) view.setUint16(at, view.getUint16(at, littleEndian) + view.getUint16(before, littleEndian), littleEndian);
+        else view.setUint32(at, view.getUint32(at, littleEndian) + view.getUint32(before, littleEndian), littleEndian);
+      }
+    } else if (predictor === 3) {
+      // Bytes are differenced across the row, then grouped by significance, most significant first
+      for (let i = 1; i < rowBytes; i++) {
+        bytes[start + i] = (bytes[start + i] + bytes[start + i - 1]) & 0xff;
+      }
+      const shuffled = bytes.slice(start, start + rowBytes);
+      for (let i = 0; i < blockWidth; i++) {
+        for (let b = 0; b < bytesPerSample; b++) {
+          bytes[start + i * bytesPerSample + b] = shuffled[b * blockWidth + i];
+        }
+      }
+    }
+  }
+
+  return bytes;
+};
+
+/**
+ * Parse a single-band GeoTIFF elevation model
+ * Supports strips or tiles, no/LZW/Deflate compression and integer or float samples.
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} Elevation grid
+ */
+const parseGeoTiff = (buffer) => {
+  const bytes = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const order = String.fromCharCode(bytes[0], bytes[1]);
+  if (order !== 'II' && order !== 'MM') {
+    throw new Error('File is not a TIFF image');
+  }
+  const littleEndian = order === 'II';
+  const magic = view.getUint16(2, littleEndian);
+  if (magic === 43) {
+    throw new Error('BigTIFF files are not supported');
+  }
+  if (magic !== 42) {
+    throw new Error('File is not a TIFF image');
+  }
+
+  // Read the first image directory
+  const ifd = view.getUint32(4, littleEndian);
+  const entryCount = view.getUint16(ifd, littleEndian);
+  const tags = {};
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifd + 2 + i * 12;
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const count = view.getUint32(entry + 4, littleEndian);
+    if (!TIFF_TYPE_SIZES[type]) continue;
+    const inline = TIFF_TYPE_SIZES[type] * count <= 4;
+    const offset = inline ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+    tags[tag] = readTag(view, littleEndian, type, count, offset);
+  }
+
+  const width = tags[256][0];
+  const height = tags[257][0];
+  const bitsPerSample = (tags[258] || [8])[0];
+  const compression = (tags[259] || [1])[0];
+  const samplesPerPixel = (tags[277] || [1])[0];
+  const predictor = (tags[317] || [1])[0];
+  const sampleFormat = (tags[339] || [1])[0];
+  const bytesPerSample = bitsPerSample / 8;
+
+  if (samplesPerPixel !== 1) {
+    throw new Error('DEM GeoTIFF must have a single band');
+  }
+  if (![8, 16, 32, 64].includes(bitsPerSample)) {
+    throw new Error(`Unsupported GeoTIFF sample size of ${bitsPerSample} bits`);
+  }
+  if (![1, 5, 8, 32946].includes(compression)) {
+    throw new Error(`Unsupported GeoTIFF compression ${compression}, use none, LZW or Deflate`);
+  }
+
+  // Geo-referencing
+  const geoKeys = tags[34735] || [];
+  const keyValue = (key) => {
+    for (let i = 4; i + 3 < geoKeys.length; i += 4) {
+      if (geoKeys[i] === key) return geoKeys[i + 3];
+    }
+    return null;
+  };
+  if (keyValue(1024) === 1) {
+    throw new Error('Projected DEMs are not supported, reproject it to WGS84 (EPSG:4326)');
+  }
+
+  let west;
+  let north;
+  let cellWidth;
+  let cellHeight;
+  if (tags[33550] && tags[33922]) {
+    const [i, j, , x, y] = tags[33922];
+    [cellWidth, cellHeight] = tags[33550];
+    west = x - i * cellWidth;
+    north = y + j * cellHeight;
+  } else if (tags[34264]) {
+    const matrix = tags[34264];
+    if (matrix[1] !== 0 || matrix[4] !== 0) {
+      throw new Error('Rotated GeoTIFFs are not supported');
+    }
+    cellWidth = matrix[0];
+    cellHeight = -matrix[5];
+    west = matrix[3];
+    north = matrix[7];
+  } else {
+    throw new Error('GeoTIFF has no geo-referencing tags');
+  }
+
+  // Pixel-is-point rasters tie the grid to cell centers
+  if (keyValue(1025) === 2) {
+    west -= cellWidth / 2;
+    north += cellHeight / 2;
+  }
+
+  // Strips are stored as full-width tiles
+  const tiled = Boolean(tags[322]);
+  const blockWidth = tiled ? tags[322][0] : width;
+  const blockHeight = tiled ? tags[323][0] : ((tags[278] || [height])[0]);
+  const offsets = tiled ? tags[324] : tags[273];
+  const byteCounts = tiled ? tags[325] : tags[279];
+  const blocksAcross = Math.ceil(width / blockWidth);
+
+  const readSample = (blockView, at, blockLittleEndian) => {
+    if (sampleFormat === 3) {
+      return bytesPerSample === 4
+        ? blockView.getFloat32(at, blockLittleEndian)
+        : blockView.getFloat64(at, blockLittleEndian);
+    }
+    const signed = sampleFormat === 2;
+    switch (bytesPerSample) {
+      case 1: return signed ? blockView.getInt8(at) : blockView.getUint8(at);
+      case 2: return signed ? blockView.getInt16(at, blockLittleEndian) : blockView.getUint16(at, blockLittleEndian);
+      case 4: return signed ? blockView.getInt32(at, blockLittleEndian) : blockView.getUint32(at, blockLittleEndian);
+      default: throw new Error('64-bit integer GeoTIFF samples are not supported');
+    }
+  };
+
+  const values = new Float32Array(width * height);
+  offsets.forEach((offset, blockIndex) => {
+    let block = bytes.subarray(offset, offset + byteCounts[blockIndex]);
+    if (compression === 5) block = decodeLzw(block, blockWidth * blockHeight * bytesPerSample);
+    else if (compression === 8 || compression === 32946) block = new Uint8Array(zlib.inflateSync(block));
+    else block = block.slice();
+
+    if (predictor !== 1) {
+      block = undoPredictor(block, predictor, blockWidth, bytesPerSample, littleEndian);
+    }
+
+    // The floating-point predictor leaves samples big-endian
+    const blockLittleEndian = predictor === 3 ? false : littleEndian;
+    const blockView = new DataView(block.buffer, block.byteOffset, block.length);
+    const left = (blockIndex % blocksAcross) * blockWidth;
+    const top = Math.floor(blockIndex / blocksAcross) * blockHeight;
+
+    for (let row = 0; row < blockHeight && top + row < height; row++) {
+      for (let col = 0; col < blockWidth && left + col < width; col++) {
+        const at = (row * blockWidth + col) * bytesPerSample;
+        if (at + bytesPerSample > block.length) return;
+        values[(top + row) * width + left + col] = readSample(blockView, at, blockLittleEndian);
+      }
+    }
+  });
+
+  const noData = tags[42113] ? parseFloat(tags[42113]) : null;
+  const grid = {
+    width,
+    height,
+    west,
+    north,
+    cellWidth,
+    cellHeight,
+    noData: Number.isFinite(noData) ? noData : null,
+    values
+  };
+  assertGeographic(grid);
+  return grid;
+};
+
+/**
+ * Parse an uploaded DEM, detecting GeoTIFF or ASCII grid from its contents
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} Elevation grid with its format
+ */
+const parseDem = (buffer) => {
+  const signature = buffer.subarray(0, 2).toString('latin1');
+  if (signature === 'II' || signature === 'MM') {
+    return { format: 'geotiff', ...parseGeoTiff(buffer) };
+  }
+  return { format: 'ascii-grid', ...parseAsciiGrid(buffer.toString('utf8')) };
+};
+
+/**
+ * Shrink a grid to at most maxCells cells, keeping the highest elevation of each block
+ * so clearance checks stay on the safe side
+ * @param {Object} grid - Elevation grid
+ * @param {number} maxCells - Largest number of cells to keep
+ * @returns {Object} The grid, downsampled if it was too large
+ */
+const downsampleGrid = (grid, maxCells) => {
+  const factor = Math.ceil(Math.sqrt((grid.width * grid.height) / maxCells));
+  if (factor <= 1) return grid;
+
+  const width = Math.ceil(grid.width / factor);
+  const height = Math.ceil(grid.height / factor);
+  const values = new Float32Array(width * height);
+
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      let highest = -Infinity;
+      for (let y = row * factor; y < Math.min((row + 1) * factor, grid.height); y++) {
+        for (let x = col * factor; x < Math.min((col + 1) * factor, grid.width); x++) {
+          const value = grid.values[y * grid.width + x];
+          if (Number.isFinite(value) && value !== grid.noData && value > highest) highest = value;
+        }
+      }
+      values[row * width + col] = highest === -Infinity ? NaN : highest;
+    }
+  }
+
+  return {
+    ...grid,
+    width,
+    height,
+    cellWidth: grid.cellWidth * factor,
+    cellHeight: grid.cellHeight * factor,
+    noData: null,
+    values
+  };
+};
+
+module.exports = {
+  parseAsciiGrid,
+  parseGeoTiff,
+  parseDem,
+  downsampleGrid
+};
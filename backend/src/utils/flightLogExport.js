@@ -0,0 +1,87 @@
+/**
+ * Flight log export
+ * Writes flight logs as CSV for spreadsheets or as JSON. Logs are expected with their drone, mission and
+ * battery populated, IDs are written when they are not.
+ */
+
+const FLIGHT_LOG_EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  json: { contentType: 'application/json', extension: 'json' }
+};
+
+const CSV_COLUMNS = [
+  'startTime', 'endTime', 'duration', 'status', 'drone', 'serialNumber', 'mission',
+  'distanceTraveled', 'maxAltitude', 'maxSpeed', 'battery', 'startBatteryLevel', 'endBatteryLevel', 'batteryUsed',
+  'waypointsPlanned', 'waypointsReached', 'temperature', 'humidity', 'wind', 'visibility', 'events'
+];
+
+// Helper to quote a CSV value when it holds a separator, quote or line break
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper to name a populated reference, or give its ID
+const nameOf = (reference) => {
+  if (!reference) return '';
+  return reference.name || reference.toString();
+};
+
+/**
+ * Write flight logs as CSV
+ * @param {Array} logs - Flight logs
+ * @returns {string} CSV with a header row, one row per flight
+ */
+const toCsv = (logs) => {
+  const rows = logs.map(log => {
+    const conditions = log.environmentalConditions || {};
+    const waypoints = log.waypoints || {};
+    return [
+      log.startTime,
+      log.endTime,
+      log.duration,
+      log.status,
+      nameOf(log.drone),
+      log.drone && log.drone.serialNumber,
+      nameOf(log.mission),
+      log.distanceTraveled,
+      log.maxAltitude,
+      log.maxSpeed,
+      log.battery && (log.battery.serialNumber || log.battery.toString()),
+      log.startBatteryLevel,
+      log.endBatteryLevel,
+      log.batteryUsed,
+      waypoints.planned,
+      waypoints.reached,
+      conditions.temperature,
+      conditions.humidity,
+      conditions.wind,
+      conditions.visibility,
+      (log.errors || []).map(entry => `${entry.severity} ${entry.code}: ${entry.message}`).join('; ')
+    ].map(csvValue).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+};
+
+/**
+ * Export flight logs
+ * @param {Array} logs - Flight logs
+ * @param {string} format - One of FLIGHT_LOG_EXPORT_FORMATS
+ * @returns {Object} { content, contentType, extension }
+ */
+const exportFlightLogs = (logs, format) => {
+  const target = FLIGHT_LOG_EXPORT_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unsupported export format "${format}", use one of ${Object.keys(FLIGHT_LOG_EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const content = format === 'csv' ? toCsv(logs) : JSON.stringify(logs, null, 2);
+  return { content, ...target };
+};
+
+module.exports = {
+  FLIGHT_LOG_EXPORT_FORMATS,
+  csvValue,
+  exportFlightLogs
+};
@@ -0,0 +1,723 @@
+const {
+  toRadians,
+  toLocalPoint,
+  fromLocalPoint,
+  haversineDistance,
+  calculateBearing,
+  pathDistance,
+  signedArea,
+  pointInLocalPolygon,
+  offsetLocalPolygon
+} = require('./geodesy');
+
+/**
+ * Flight pattern generators
+ * Patterns are planned on a local metric plane around the survey area and
+ * converted back to { latitude, longitude, altitude, action, order } waypoints.
+ */
+
+// Camera used when the drone has no camera specification
+const DEFAULT_CAMERA = {
+  fov: 84, // horizontal field of view in degrees
+  imageWidth: 4000, // in pixels
+  imageHeight: 3000 // in pixels
+};
+
+/**
+ * Normalize a survey boundary into an array of points
+ * Accepts a GeoJSON Polygon or an array of { latitude, longitude } points
+ * @param {Object|Array} boundary - Survey boundary
+ * @returns {Array} Boundary points without the closing duplicate
+ */
+const normalizeBoundary = (boundary) => {
+  let points = [];
+
+  if (boundary && boundary.type === 'Polygon' && Array.isArray(boundary.coordinates)) {
+    points = (boundary.coordinates[0] || []).map(([longitude, latitude]) => ({ latitude, longitude }));
+  } else if (Array.isArray(boundary)) {
+    points = boundary.map(point => ({
+      latitude: Number(point.latitude),
+      longitude: Number(point.longitude)
+    }));
+  }
+
+  points = points.filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude));
+
+  // Drop the closing point of a closed ring
+  if (points.length > 1) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (first.latitude === last.latitude && first.longitude === last.longitude) {
+      points.pop();
+    }
+  }
+
+  return points;
+};
+
+/**
+ * Resolve camera parameters from a drone camera specification
+ * @param {Object} camera - Camera specification { fov, resolution }
+ * @returns {Object} Camera { fov, imageWidth, imageHeight }
+ */
+const resolveCamera = (camera = {}) => {
+  const resolved = { ...DEFAULT_CAMERA };
+
+  if (camera.fov > 0 && camera.fov < 180) {
+    resolved.fov = camera.fov;
+  }
+
+  // Resolution is stored as free text such as "5472x3648"
+  const match = typeof camera.resolution === 'string' && camera.resolution.match(/(\d+)\s*[x×]\s*(\d+)/i);
+  if (match) {
+    resolved.imageWidth = Math.max(parseInt(match[1]), parseInt(match[2]));
+    resolved.imageHeight = Math.min(parseInt(match[1]), parseInt(match[2]));
+  }
+
+  return resolved;
+};
+
+/**
+ * Calculate the ground footprint of a single photo
+ * The long side of the image is assumed to run across the flight line
+ * @param {number} altitude - Altitude above ground in meters
+ * @param {Object} camera - Camera specification { fov, resolution }
+ * @returns {Object} Footprint { width, height } in meters and gsd in cm/pixel
+ */
+const calculateFootprint = (altitude, camera) => {
+  const { fov, imageWidth, imageHeight } = resolveCamera(camera);
+  const width = 2 * altitude * Math.tan(toRadians(fov) / 2);
+  const height = width * imageHeight / imageWidth;
+
+  return {
+    width,
+    height,
+    gsd: (width * 100) / imageWidth
+  };
+};
+
+/**
+ * Calculate the altitude needed to reach a ground sampling distance
+ * @param {number} gsd - Ground sampling distance in cm/pixel
+ * @param {Object} camera - Camera specification { fov, resolution }
+ * @returns {number} Altitude in meters
+ */
+const altitudeForGsd = (gsd, camera) => {
+  const { fov, imageWidth } = resolveCamera(camera);
+  return (gsd / 100) * imageWidth / (2 * Math.tan(toRadians(fov) / 2));
+};
+
+/**
+ * Calculate the area-weighted centroid of a polygon
+ * Falls back to the vertex average for degenerate polygons
+ * @param {Array} points - Boundary points
+ * @returns {Object} Centroid point
+ */
+const polygonCentroid = (points) => {
+  const average = {
+    latitude: points.reduce((sum, p) => sum + p.latitude, 0) / points.length,
+    longitude: points.reduce((sum, p) => sum + p.longitude, 0) / points.length
+  };
+  const local = points.map(point => toLocalPoint(point, average));
+
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  local.forEach((a, i) => {
+    const b = local[(i + 1) % local.length];
+    const cross = a.x * b.y - b.x * a.y;
+    area += cross;
+    cx += (a.x + b.x) * cross;
+    cy += (a.y + b.y) * cross;
+  });
+
+  if (Math.abs(area) < 1e-6) {
+    return average;
+  }
+
+  return fromLocalPoint({ x: cx / (3 * area), y: cy / (3 * area) }, average);
+};
+
+// Helper to rotate a local point around the plane origin
+const rotate = (point, degrees) => {
+  const θ = toRadians(degrees);
+  return {
+    x: point.x * Math.cos(θ) - point.y * Math.sin(θ),
+    y: point.x * Math.sin(θ) + point.y * Math.cos(θ)
+  };
+};
+
+// Helper to pick the bearing of the longest boundary edge, which minimizes turns
+const longestEdgeBearing = (points) => {
+  let longest = 0;
+  let bearing = 0;
+
+  points.forEach((point, i) => {
+    const next = points[(i + 1) % points.length];
+    const length = haversineDistance(point, next);
+    if (length > longest) {
+      longest = length;
+      bearing = calculateBearing(point, next);
+    }
+  });
+
+  return bearing % 180;
+};
+
+/**
+ * Intersect a horizontal line with a polygon
+ * @param {Array} polygon - Polygon vertices in local coordinates
+ * @param {number} y - Line position
+ * @returns {Array} Inside segments as [xStart, xEnd] pairs sorted along x
+ */
+const clipScanline = (polygon, y) => {
+  const crossings = [];
+
+  polygon.forEach((a, i) => {
+    const b = polygon[(i + 1) % polygon.length];
+    // Half-open test so a vertex on the line is only counted once
+    if ((a.y <= y && b.y > y) || (b.y <= y && a.y > y)) {
+      crossings.push(a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x));
+    }
+  });
+
+  crossings.sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    segments.push([crossings[i], crossings[i + 1]]);
+  }
+  return segments;
+};
+
+// Helper to derive pass and photo spacing in meters from the camera footprint
+const coverageSpacing = ({ altitude, camera, frontOverlap = 70, sideOverlap = 70 }) => {
+  const footprint = calculateFootprint(altitude, camera);
+  const lineSpacing = footprint.width * (1 - sideOverlap / 100);
+  const photoSpacing = footprint.height * (1 - frontOverlap / 100);
+
+  if (!(lineSpacing > 0)) {
+    throw new Error('Side overlap must be below 100%');
+  }
+
+  return { lineSpacing, photoSpacing, gsd: footprint.gsd };
+};
+
+// Helper to round spacing values for the flight plan response
+const roundSpacing = ({ lineSpacing, photoSpacing, gsd }) => ({
+  lineSpacing: Math.round(lineSpacing * 10) / 10,
+  photoSpacing: Math.round(photoSpacing * 10) / 10,
+  gsd: Math.round(gsd * 100) / 100
+});
+
+// Helper to compute the grid geometry shared by grid and crosshatch patterns
+const planGridLines = (boundary, options, origin) => {
+  const angle = Number.isFinite(options.angle)
+    ? ((options.angle % 180) + 180) % 180
+    : longestEdgeBearing(boundary);
+  const { lineSpacing, photoSpacing, gsd } = coverageSpacing(options);
+
+  // Rotate the polygon around the origin so that flight lines run along the x axis
+  const rotation = angle - 90;
+  const polygon = boundary.map(point => rotate(toLocalPoint(point, origin), rotation));
+
+  const ys = polygon.map(point => point.y);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+
+  // Center the passes so the edges get the same margin on both sides
+  const lineCount = Math.max(1, Math.ceil((maxY - minY) / lineSpacing));
+  const firstLine = minY + ((maxY - minY) - (lineCount - 1) * lineSpacing) / 2;
+
+  const lines = [];
+  for (let line = 0; line < lineCount; line++) {
+    const y = firstLine + line * lineSpacing;
+    const segments = clipScanline(polygon, y).filter(([start, end]) => end - start > 1);
+    if (segments.length > 0) {
+      lines.push({ y, segments });
+    }
+  }
+
+  return {
+    lines,
+    rotation,
+    angle,
+    ...roundSpacing({ lineSpacing, photoSpacing, gsd })
+  };
+};
+
+// Helper to turn grid lines into an ordered list of waypoints
+const sequenceGridLines = (grid, origin, altitude, { reverseOrder = false, reverseFirst = false } = {}) => {
+  const waypoints = [];
+  const addWaypoint = (x, y) => {
+    const point = fromLocalPoint(rotate({ x, y }, -grid.rotation), origin);
+    waypoints.push({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      altitude,
+      action: 'flyTo',
+      order: waypoints.length + 1
+    });
+  };
+
+  const lines = reverseOrder ? [...grid.lines].reverse() : grid.lines;
+
+  lines.forEach(({ y, segments }, passIndex) => {
+    // Alternate direction for efficiency (lawnmower pattern)
+    const isReverse = (passIndex % 2 === 1) !== reverseFirst;
+    const ordered = isReverse ? [...segments].reverse() : segments;
+
+    ordered.forEach(([start, end]) => {
+      if (isReverse) {
+        addWaypoint(end, y);
+        addWaypoint(start, y);
+      } else {
+        addWaypoint(start, y);
+        addWaypoint(end, y);
+      }
+    });
+  });
+
+  return waypoints;
+};
+
+/**
+ * Generate a lawnmower grid clipped to the survey polygon
+ * @param {Array} boundary - Boundary points
+ * @param {Object} options - Grid options
+ * @param {number} options.altitude - Altitude in meters
+ * @param {Object} options.camera - Camera specification { fov, resolution }
+ * @param {number} options.frontOverlap - Overlap between consecutive photos (percentage)
+ * @param {number} options.sideOverlap - Overlap between adjacent passes (percentage)
+ * @param {number} options.angle - Sweep heading in degrees from north, defaults to the longest edge
+ * @returns {Object} Waypoints and the coverage parameters used
+ */
+const generateGridPattern = (boundary, options) => {
+  const origin = polygonCentroid(boundary);
+  const { lines, rotation, ...coverage } = planGridLines(boundary, options, origin);
+
+  return {
+    waypoints: sequenceGridLines({ lines, rotation }, origin, options.altitude),
+    ...coverage
+  };
+};
+
+/**
+ * Generate a crosshatch: a grid followed by a second grid rotated around the polygon centroid
+ * The second grid starts from whichever corner is closest to the end of the first one
+ * @param {Array} boundary - Boundary points
+ * @param {Object} options - Grid options, see generateGridPattern
+ * @param {number} options.crossAngle - Rotation of the second grid in degrees, defaults to 90
+ * @returns {Object} Waypoints, per-pass distances and the coverage parameters used
+ */
+const generateCrosshatchPattern = (boundary, options) => {
+  const origin = polygonCentroid(boundary);
+  const crossAngle = Number.isFinite(options.crossAngle) ? options.crossAngle : 90;
+
+  const firstGrid = planGridLines(boundary, options, origin);
+  const secondGrid = planGridLines(boundary, { ...options, angle: firstGrid.angle + crossAngle }, origin);
+
+  const firstPass = sequenceGridLines(firstGrid, origin, options.altitude);
+
+  // Try every entry corner of the second grid and keep the shortest transit leg
+  const lastPoint = firstPass[firstPass.length - 1];
+  let secondPass = [];
+  let transitDistance = Infinity;
+
+  [false, true].forEach(reverseOrder => {
+    [false, true].forEach(reverseFirst => {
+      const candidate = sequenceGridLines(secondGrid, origin, options.altitude, { reverseOrder, reverseFirst });
+      if (candidate.length === 0) return;
+
+      const distance = lastPoint ? haversineDistance(lastPoint, candidate[0]) : 0;
+      if (distance < transitDistance) {
+        transitDistance = distance;
+        secondPass = candidate;
+      }
+    });
+  });
+
+  const waypoints = [...firstPass, ...secondPass]
+    .map((wp, index) => ({ ...wp, order: index + 1 }));
+
+  return {
+    waypoints,
+    angle: firstGrid.angle,
+    crossAngle: secondGrid.angle,
+    lineSpacing: firstGrid.lineSpacing,
+    photoSpacing: firstGrid.photoSpacing,
+    gsd: firstGrid.gsd,
+    passes: [
+      { angle: firstGrid.angle, waypoints: firstPass.length, distance: Math.round(pathDistance(firstPass)) },
+      { angle: secondGrid.angle, waypoints: secondPass.length, distance: Math.round(pathDistance(secondPass)) }
+    ],
+    transitDistance: Number.isFinite(transitDistance) ? Math.round(transitDistance) : 0
+  };
+};
+
+// Helper to find where a segment crosses the polygon edges, as sorted fractions along the segment
+const segmentCrossings = (a, b, polygon) => {
+  const crossings = [];
+  polygon.forEach((c, i) => {
+    const d = polygon[(i + 1) % polygon.length];
+    const denominator = (b.x - a.x) * (d.y - c.y) - (b.y - a.y) * (d.x - c.x);
+    if (Math.abs(denominator) < 1e-12) return;
+
+    const t = ((c.x - a.x) * (d.y - c.y) - (c.y - a.y) * (d.x - c.x)) / denominator;
+    const u = ((c.x - a.x) * (b.y - a.y) - (c.y - a.y) * (b.x - a.x)) / denominator;
+    if (t > 0 && t < 1 && u >= 0 && u < 1) {
+      crossings.push(t);
+    }
+  });
+  return crossings.sort((p, q) => p - q);
+};
+
+/**
+ * Clip a path to a polygon
+ * Parts outside the polygon are replaced by a straight transit between the exit and entry points
+ * @param {Array} path - Path points in local coordinates
+ * @param {Array} polygon - Polygon vertices in local coordinates
+ * @returns {Array} Clipped path points in local coordinates
+ */
+const clipPathToPolygon = (path, polygon) => {
+  const clipped = [];
+  const add = (point) => {
+    const last = clipped[clipped.length - 1];
+    if (!last || Math.hypot(point.x - last.x, point.y - last.y) > 0.5) {
+      clipped.push(point);
+    }
+  };
+
+  path.forEach((b, i) => {
+    if (i > 0) {
+      const a = path[i - 1];
+      segmentCrossings(a, b, polygon).forEach(t => {
+        add({ x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) });
+      });
+    }
+    if (pointInLocalPolygon(b, polygon)) {
+      add(b);
+    }
+  });
+
+  return clipped;
+};
+
+// Helper to convert a local path into waypoints
+const localPathToWaypoints = (path, origin, altitude) => path.map((local, index) => {
+  const point = fromLocalPoint(local, origin);
+  return {
+    latitude: point.latitude,
+    longitude: point.longitude,
+    altitude,
+    action: 'flyTo',
+    order: index + 1
+  };
+});
+
+// Helper to project the boundary around its centroid and measure its furthest vertex
+const localBoundary = (boundary) => {
+  const origin = polygonCentroid(boundary);
+  const polygon = boundary.map(point => toLocalPoint(point, origin));
+  const maxRadius = Math.max(...polygon.map(point => Math.hypot(point.x, point.y)));
+  return { origin, polygon, maxRadius };
+};
+
+/**
+ * Generate an Archimedean spiral around the polygon centroid, clipped to the boundary
+ * Consecutive turns are one pass spacing apart
+ * @param {Array} boundary - Boundary points
+ * @param {Object} options - Spiral options
+ * @param {number} options.altitude - Altitude in meters
+ * @param {Object} options.camera - Camera specification { fov, resolution }
+ * @param {number} options.frontOverlap - Overlap between consecutive photos (percentage)
+ * @param {number} options.sideOverlap - Overlap between adjacent turns (percentage)
+ * @param {string} options.direction - 'outward' (default) starts at the center, 'inward' ends there
+ * @returns {Object} Waypoints and the coverage parameters used
+ */
+const generateSpiralPattern = (boundary, options) => {
+  const direction = options.direction === 'inward' ? 'inward' : 'outward';
+  const spacing = coverageSpacing(options);
+  const { origin, polygon, maxRadius } = localBoundary(boundary);
+
+  // r = spacing * θ / 2π, sampled so each chord stays within a quarter spacing of the arc
+  const path = [];
+  const maxAngle = 2 * Math.PI * (maxRadius / spacing.lineSpacing + 1);
+  let θ = 0;
+  while (θ <= maxAngle) {
+    const r = spacing.lineSpacing * θ / (2 * Math.PI);
+    path.push({ x: r * Math.sin(θ), y: r * Math.cos(θ) });
+
+    const tolerance = 0.25 * spacing.lineSpacing;
+    const step = r > tolerance ? 2 * Math.acos(1 - tolerance / r) : Math.PI / 4;
+    θ += Math.min(step, Math.PI / 4);
+  }
+
+  const clipped = clipPathToPolygon(path, polygon);
+  if (direction === 'inward') {
+    clipped.reverse();
+  }
+
+  return {
+    waypoints: localPathToWaypoints(clipped, origin, options.altitude),
+    direction,
+    ...roundSpacing(spacing)
+  };
+};
+
+/**
+ * Generate an expanding square search from the polygon centroid, clipped to the boundary
+ * Legs grow by one pass spacing every second turn: s, s, 2s, 2s, 3s, ...
+ * @param {Array} boundary - Boundary points
+ * @param {Object} options - Search options
+ * @param {number} options.altitude - Altitude in meters
+ * @param {Object} options.camera - Camera specification { fov, resolution }
+ * @param {number} options.frontOverlap - Overlap between consecutive photos (percentage)
+ * @param {number} options.sideOverlap - Overlap between adjacent legs (percentage)
+ * @param {number} options.angle - Heading of the first leg in degrees from north, defaults to 0
+ * @returns {Object} Waypoints and the coverage parameters used
+ */
+const generateExpandingSquarePattern = (boundary, options) => {
+  const angle = Number.isFinite(options.angle) ? ((options.angle % 360) + 360) % 360 : 0;
+  const spacing = coverageSpacing(options);
+  const { origin, polygon, maxRadius } = localBoundary(boundary);
+
+  // Keep turning right until the square is wider than the polygon
+  const path = [{ x: 0, y: 0 }];
+  let position = { x: 0, y: 0 };
+  for (let leg = 0; ; leg++) {
+    const length = spacing.lineSpacing * (Math.floor(leg / 2) + 1);
+    if (length > 2 * maxRadius + spacing.lineSpacing) break;
+
+    const heading = toRadians(angle + leg * 90);
+    position = {
+      x: position.x + length * Math.sin(heading),
+      y: position.y + length * Math.cos(heading)
+    };
+    path.push(position);
+  }
+
+  return {
+    waypoints: localPathToWaypoints(clipPathToPolygon(path, polygon), origin, options.altitude),
+    angle,
+    ...roundSpacing(spacing)
+  };
+};
+
+// Helper to find the closest point on a local polygon outline
+const closestPointOnPolygon = (point, polygon) => {
+  let closest = null;
+  let minDistance = Infinity;
+  polygon.forEach((a, i) => {
+    const b = polygon[(i + 1) % polygon.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / (dx * dx + dy * dy || 1)));
+    const candidate = { x: a.x + t * dx, y: a.y + t * dy };
+    const distance = Math.hypot(candidate.x - point.x, candidate.y - point.y);
+    if (distance < minDistance) {
+      minDistance = distance;
+      closest = candidate;
+    }
+  });
+  return { point: closest, distance: minDistance };
+};
+
+// Helper to convert a local direction into a heading in degrees from north
+const localHeading = (from, to) => ((Math.atan2(to.x - from.x, to.y - from.y) * 180 / Math.PI) + 360) % 360;
+
+/**
+ * Generate a perimeter inspection around the boundary
+ * The boundary is offset by a standoff distance and flown as closed laps at stepped altitudes,
+ * with the heading and gimbal pointed at the structure and photos taken at a fixed along-track spacing
+ * @param {Array} boundary - Boundary points outlining the structure or area
+ * @param {Object} options - Inspection options
+ * @param {number} options.altitude - Altitude of the first lap in meters
+ * @param {Object} options.camera - Camera specification { fov, resolution }
+ * @param {number} options.frontOverlap - Overlap between consecutive photos (percentage)
+ * @param {number} options.sideOverlap - Overlap between laps (percentage)
+ * @param {number} options.standoff - Offset from the boundary in meters, positive outward and negative inward
+ * @param {number} options.laps - Number of laps, defaults to 1
+ * @param {number} options.altitudeStep - Climb between laps in meters, defaults to the vertical footprint at the standoff
+ * @param {number} options.photoSpacing - Along-track photo spacing in meters, defaults to the footprint at the standoff
+ * @returns {Object} Waypoints and the inspection parameters used
+ */
+const generatePerimeterPattern = (boundary, options) => {
+  const { altitude, camera, frontOverlap = 70, sideOverlap = 70 } = options;
+  const standoff = Number.isFinite(options.standoff) ? options.standoff : 0;
+  const laps = Math.max(1, Math.round(options.laps) || 1);
+
+  const origin = polygonCentroid(boundary);
+  const polygon = boundary.map(point => toLocalPoint(point, origin));
+  const ring = offsetLocalPolygon(polygon, standoff);
+  if (ring.length === 0) {
+    return { waypoints: [] };
+  }
+
+  // Oblique facade shots when standing off, nadir shots when flying over the outline
+  const footprint = calculateFootprint(Math.abs(standoff) || altitude, camera);
+  const photoSpacing = options.photoSpacing > 0
+    ? options.photoSpacing
+    : footprint.width * (1 - frontOverlap / 100);
+  const altitudeStep = Number.isFinite(options.altitudeStep)
+    ? options.altitudeStep
+    : Math.round(footprint.height * (1 - sideOverlap / 100) * 10) / 10;
+  const gimbalPitch = standoff === 0 ? -90 : 0;
+
+  const aim = (local, next) => {
+    const target = closestPointOnPolygon(local, polygon);
+    return target.distance > 0.5 ? localHeading(local, target.point) : localHeading(local, next);
+  };
+
+  // Walk the closed ring once, emitting corners and photo stations in along-track order
+  const stations = [];
+  let sincePhoto = 0;
+  ring.forEach((a, i) => {
+    const b = ring[(i + 1) % ring.length];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    let offset = photoSpacing - sincePhoto;
+    // A photo that falls on the corner is taken there
+    const cornerPhoto = i === 0 || offset < 0.5;
+    if (cornerPhoto && i > 0) offset += photoSpacing;
+    stations.push({ local: a, next: b, photo: cornerPhoto });
+    if (i === 0) offset = photoSpacing;
+    while (offset < length - 0.5) {
+      const t = offset / length;
+      stations.push({ local: { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) }, next: b, photo: true });
+      offset += photoSpacing;
+    }
+    sincePhoto = length - (offset - photoSpacing);
+  });
+  stations.push({ local: ring[0], next: ring[1], photo: false });
+
+  const waypoints = [];
+  for (let lap = 0; lap < laps; lap++) {
+    const lapAltitude = altitude + lap * altitudeStep;
+    // Each lap closes on its first corner, then climbs there to start the next one
+    stations.forEach(station => {
+      const point = fromLocalPoint(station.local, origin);
+      waypoints.push({
+        latitude: point.latitude,
+        longitude: point.longitude,
+        altitude: lapAltitude,
+        action: station.photo ? 'takePhoto' : 'flyTo',
+        ...(station.photo && { actionParams: { photoMode: 'single' } }),
+        heading: Math.round(aim(station.local, station.next) * 10) / 10,
+        gimbalPitch,
+        order: waypoints.length + 1
+      });
+    });
+  }
+
+  const lapDistance = ring.reduce((total, a, i) => {
+    const b = ring[(i + 1) % ring.length];
+    return total + Math.hypot(b.x - a.x, b.y - a.y);
+  }, 0);
+
+  return {
+    waypoints,
+    standoff,
+    laps,
+    altitudeStep,
+    photoSpacing: Math.round(photoSpacing * 10) / 10,
+    photoCount: waypoints.filter(waypoint => waypoint.action === 'takePhoto').length,
+    lapDistance: Math.round(lapDistance),
+    gsd: Math.round(footprint.gsd * 100) / 100
+  };
+};
+
+// Helper to clip a local polygon to the half-plane left (keepBelow) or right of x = value
+const clipHalfPlane = (polygon, value, keepBelow) => {
+  const inside = point => (keepBelow ? point.x <= value : point.x >= value);
+  const clipped = [];
+
+  polygon.forEach((current, i) => {
+    const previous = polygon[(i + polygon.length - 1) % polygon.length];
+    if (inside(current) !== inside(previous)) {
+      const t = (value - previous.x) / (current.x - previous.x);
+      clipped.push({ x: value, y: previous.y + t * (current.y - previous.y) });
+    }
+    if (inside(current)) clipped.push(current);
+  });
+
+  return clipped;
+};
+
+// Helper to pick the heading along which the polygon is longest
+const longestExtentBearing = (polygon) => {
+  let best = { bearing: 0, extent: -1 };
+  for (let bearing = 0; bearing < 180; bearing += 1) {
+    const xs = polygon.map(point => rotate(point, bearing - 90).x);
+    const extent = Math.max(...xs) - Math.min(...xs);
+    if (extent > best.extent) best = { bearing, extent };
+  }
+  return best.bearing;
+};
+
+/**
+ * Divide an area into strips with areas proportional to the given weights
+ * Cuts run across the longest extent of the area so every strip stays compact.
+ * @param {Array} boundary - Boundary points
+ * @param {Array} weights - Relative share of the area for each strip, in strip order
+ * @param {Object} options - Partition options
+ * @param {number} options.angle - Heading in degrees along which the strips follow each other
+ * @returns {Array} Strips { boundary, area, share } in order along the heading
+ */
+const partitionPolygon = (boundary, weights, options = {}) => {
+  const { origin, polygon } = localBoundary(boundary);
+  const bearing = Number.isFinite(options.angle) ? options.angle : longestExtentBearing(polygon);
+
+  // Work in a frame where the strips follow each other along +x
+  const rotated = polygon.map(point => rotate(point, bearing - 90));
+  const totalArea = Math.abs(signedArea(rotated));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const xs = rotated.map(point => point.x);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+
+  // Place each cut where the area behind it matches the cumulative share
+  const cuts = [minX];
+  let cumulative = 0;
+  weights.slice(0, -1).forEach(weight => {
+    cumulative += weight / totalWeight;
+    let low = cuts[cuts.length - 1];
+    let high = maxX;
+    for (let i = 0; i < 50; i++) {
+      const middle = (low + high) / 2;
+      if (Math.abs(signedArea(clipHalfPlane(rotated, middle, true))) < cumulative * totalArea) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    cuts.push((low + high) / 2);
+  });
+  cuts.push(maxX);
+
+  return weights.map((weight, i) => {
+    const strip = clipHalfPlane(clipHalfPlane(rotated, cuts[i], false), cuts[i + 1], true)
+      .filter((point, j, points) => {
+        const previous = points[(j + points.length - 1) % points.length];
+        return Math.hypot(point.x - previous.x, point.y - previous.y) > 1e-6;
+      });
+
+    return {
+      boundary: strip.map(point => fromLocalPoint(rotate(point, 90 - bearing), origin)),
+      area: Math.round(Math.abs(signedArea(strip))),
+      share: weight / totalWeight
+    };
+  });
+};
+
+module.exports = {
+  normalizeBoundary,
+  calculateFootprint,
+  altitudeForGsd,
+  polygonCentroid,
+  partitionPolygon,
+  generateGridPattern,
+  generateCrosshatchPattern,
+  generateSpiralPattern,
+  generateExpandingSquarePattern,
+  generatePerimeterPattern
+};
@@ -0,0 +1,261 @@
+/**
+ * Geodesy helpers for working with WGS84 coordinates
+ * Points are plain objects of the form { latitude, longitude } in degrees,
+ * local points are { x: east, y: north } in meters on a plane around an origin
+ */
+const EARTH_RADIUS = 6371e3; // Earth radius in meters
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Calculate the great-circle distance between two points using the Haversine formula
+ * @param {Object} p1 - Start point
+ * @param {Object} p2 - End point
+ * @returns {number} Distance in meters
+ */
+const haversineDistance = (p1, p2) => {
+  const φ1 = toRadians(p1.latitude);
+  const φ2 = toRadians(p2.latitude);
+  const Δφ = toRadians(p2.latitude - p1.latitude);
+  const Δλ = toRadians(p2.longitude - p1.longitude);
+
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+          Math.cos(φ1) * Math.cos(φ2) *
+          Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS * c;
+};
+
+/**
+ * Calculate the initial bearing from one point to another
+ * @param {Object} p1 - Start point
+ * @param {Object} p2 - End point
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+const calculateBearing = (p1, p2) => {
+  const φ1 = toRadians(p1.latitude);
+  const φ2 = toRadians(p2.latitude);
+  const Δλ = toRadians(p2.longitude - p1.longitude);
+
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) -
+          Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Calculate the point reached by travelling a distance along a bearing
+ * @param {Object} origin - Start point
+ * @param {number} bearing - Bearing in degrees clockwise from north
+ * @param {number} distance - Distance in meters
+ * @returns {Object} Destination point
+ */
+const destinationPoint = (origin, bearing, distance) => {
+  const δ = distance / EARTH_RADIUS;
+  const θ = toRadians(bearing);
+  const φ1 = toRadians(origin.latitude);
+  const λ1 = toRadians(origin.longitude);
+
+  const φ2 = Math.asin(
+    Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ)
+  );
+  const λ2 = λ1 + Math.atan2(
+    Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+    Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2)
+  );
+
+  return {
+    latitude: toDegrees(φ2),
+    longitude: ((toDegrees(λ2) + 540) % 360) - 180
+  };
+};
+
+/**
+ * Convert a GeoJSON [longitude, latitude] pair to a point
+ * @param {Array} coordinates - [longitude, latitude]
+ * @returns {Object} Point
+ */
+const fromLngLat = ([longitude, latitude]) => ({ latitude, longitude });
+
+/**
+ * Convert a point to a GeoJSON [longitude, latitude] pair
+ * @param {Object} point - Point { latitude, longitude }
+ * @returns {Array} [longitude, latitude]
+ */
+const toLngLat = ({ latitude, longitude }) => [longitude, latitude];
+
+/**
+ * Calculate the total length of a path
+ * @param {Array} points - Ordered points along the path
+ * @returns {number} Path length in meters
+ */
+const pathDistance = (points) => {
+  let total = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    total += haversineDistance(points[i], points[i + 1]);
+  }
+  return total;
+};
+
+/**
+ * Project a point onto a local east/north plane in meters around an origin
+ * Accurate for survey-sized areas of a few kilometers
+ * @param {Object} point - Point to project
+ * @param {Object} origin - Origin of the local plane
+ * @returns {Object} Local coordinates { x: east, y: north } in meters
+ */
+const toLocalPoint = (point, origin) => ({
+  x: toRadians(point.longitude - origin.longitude) * EARTH_RADIUS * Math.cos(toRadians(origin.latitude)),
+  y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS
+});
+
+/**
+ * Convert local east/north coordinates back to latitude and longitude
+ * @param {Object} local - Local coordinates { x, y } in meters
+ * @param {Object} origin - Origin of the local plane
+ * @returns {Object} Point
+ */
+const fromLocalPoint = (local, origin) => ({
+  latitude: origin.latitude + toDegrees(local.y / EARTH_RADIUS),
+  longitude: origin.longitude + toDegrees(local.x / (EARTH_RADIUS * Math.cos(toRadians(origin.latitude))))
+});
+
+/**
+ * Calculate the signed area of a local polygon with the shoelace formula
+ * @param {Array} polygon - Polygon vertices in local coordinates
+ * @returns {number} Area in square meters, positive when counter-clockwise
+ */
+const signedArea = (polygon) => polygon.reduce((area, a, i) => {
+  const b = polygon[(i + 1) % polygon.length];
+  return area + (a.x * b.y - b.x * a.y) / 2;
+}, 0);
+
+/**
+ * Test whether a local point lies inside a local polygon using ray casting
+ * @param {Object} point - Local coordinates { x, y }
+ * @param {Array} polygon - Polygon vertices in local coordinates
+ * @returns {boolean} True if the point is inside
+ */
+const pointInLocalPolygon = (point, polygon) => {
+  let inside = false;
+  polygon.forEach((a, i) => {
+    const b = polygon[(i + 1) % polygon.length];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < a.x + ((point.y - a.y) / (b.y - a.y)) * (b.x - a.x)) {
+      inside = !inside;
+    }
+  });
+  return inside;
+};
+
+/**
+ * Offset a local polygon by a fixed distance using mitered corners
+ * @param {Array} polygon - Polygon vertices in local coordinates
+ * @param {number} distance - Offset in meters, positive grows the polygon and negative shrinks it
+ * @returns {Array} Offset polygon, or an empty array if the inset collapses the polygon
+ */
+const offsetLocalPolygon = (polygon, distance) => {
+  if (distance === 0) return polygon.slice();
+
+  // Outward normals point right of each edge for counter-clockwise polygons
+  const orientation = signedArea(polygon) > 0 ? 1 : -1;
+  const edges = polygon.map((a, i) => {
+    const b = polygon[(i + 1) % polygon.length];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    return {
+      a,
+      normal: {
+        x: orientation * (b.y - a.y) / length,
+        y: -orientation * (b.x - a.x) / length
+      }
+    };
+  });
+
+  const offset = polygon.map((vertex, i) => {
+    const n1 = edges[(i - 1 + edges.length) % edges.length].normal;
+    const n2 = edges[i].normal;
+    // Miter along the bisector, capped so sharp corners do not shoot off
+    const bisector = { x: n1.x + n2.x, y: n1.y + n2.y };
+    const cosHalf = Math.max((bisector.x * n2.x + bisector.y * n2.y) / (Math.hypot(bisector.x, bisector.y) || 1), 0.25);
+    const scale = distance / cosHalf / (Math.hypot(bisector.x, bisector.y) || 1);
+    return { x: vertex.x + bisector.x * scale, y: vertex.y + bisector.y * scale };
+  });
+
+  // An inset larger than the polygon reverses its edges
+  const reversed = offset.some((a, i) => {
+    const b = offset[(i + 1) % offset.length];
+    const p = polygon[i];
+    const q = polygon[(i + 1) % polygon.length];
+    return (b.x - a.x) * (q.x - p.x) + (b.y - a.y) * (q.y - p.y) <= 0;
+  });
+  const area = signedArea(offset);
+  if (reversed || Math.sign(area) !== Math.sign(signedArea(polygon)) || Math.abs(area) < 1) {
+    return [];
+  }
+  return offset;
+};
+
+/**
+ * Calculate the area of a polygon on the sphere
+ * Uses the spherical excess approximation, so it stays accurate away from the equator
+ * @param {Array} polygon - Polygon vertices, with or without a closing point
+ * @returns {number} Area in square meters
+ */
+const polygonArea = (polygon) => {
+  if (polygon.length < 3) return 0;
+
+  let total = 0;
+  polygon.forEach((p1, i) => {
+    const p2 = polygon[(i + 1) % polygon.length];
+    const Δλ = ((p2.longitude - p1.longitude + 540) % 360) - 180;
+    total += toRadians(Δλ) * (2 + Math.sin(toRadians(p1.latitude)) + Math.sin(toRadians(p2.latitude)));
+  });
+
+  return Math.abs(total * EARTH_RADIUS * EARTH_RADIUS / 2);
+};
+
+/**
+ * Test whether a point lies inside a polygon
+ * @param {Object} point - Point to test
+ * @param {Array} polygon - Polygon vertices
+ * @returns {boolean} True if the point is inside
+ */
+const pointInPolygon = (point, polygon) => pointInLocalPolygon(
+  { x: 0, y: 0 },
+  polygon.map(vertex => toLocalPoint(vertex, point))
+);
+
+/**
+ * Offset a polygon by a fixed distance
+ * @param {Array} polygon - Polygon vertices
+ * @param {number} distance - Offset in meters, positive grows the polygon and negative shrinks it
+ * @returns {Array} Offset polygon, or an empty array if the inset collapses the polygon
+ */
+const offsetPolygon = (polygon, distance) => {
+  const origin = polygon[0];
+  return offsetLocalPolygon(polygon.map(vertex => toLocalPoint(vertex, origin)), distance)
+    .map(local => fromLocalPoint(local, origin));
+};
+
+module.exports = {
+  EARTH_RADIUS,
+  toRadians,
+  toDegrees,
+  haversineDistance,
+  calculateBearing,
+  destinationPoint,
+  fromLngLat,
+  toLngLat,
+  pathDistance,
+  toLocalPoint,
+  fromLocalPoint,
+  signedArea,
+  pointInLocalPolygon,
+  offsetLocalPolygon,
+  polygonArea,
+  pointInPolygon,
+  offsetPolygon
+};
@@ -0,0 +1,388 @@
+const {
+  toLocalPoint,
+  fromLocalPoint,
+  pointInLocalPolygon,
+  offsetLocalPolygon
+} = require('./geodesy');
+const { normalizeBoundary } = require('./flightPatterns');
+const geofenceConfig = require('../config/geofenceConfig');
+
+/**
+ * Geofences
+ * Exclusion zones are no-fly zones from their floor up to their ceiling. When any inclusion zone is
+ * active, drones must stay inside one of them and below its ceiling. Zones are
+ * compared on a local plane around the route, which is accurate for the few
+ * kilometers a flight covers.
+ */
+
+// Helper to read minutes since midnight from an HH:mm string
+const minutesOfDay = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+// Helper to test whether a time falls in a geofence time window
+const inTimeWindow = (window, time) => {
+  if (window.start && time < new Date(window.start)) return false;
+  if (window.end && time > new Date(window.end)) return false;
+
+  let day = time.getUTCDay();
+  if (window.startTime && window.endTime) {
+    const minutes = time.getUTCHours() * 60 + time.getUTCMinutes();
+    const from = minutesOfDay(window.startTime);
+    const to = minutesOfDay(window.endTime);
+
+    // A window ending before it starts runs past midnight into the next day
+    if (from <= to) {
+      if (minutes < from || minutes >= to) return false;
+    } else if (minutes < to) {
+      day = (day + 6) % 7;
+    } else if (minutes < from) {
+      return false;
+    }
+  }
+
+  return !window.days || window.days.length === 0 || window.days.includes(day);
+};
+
+/**
+ * Check the times of day of geofence time windows
+ * @param {Array} timeWindows - Time windows
+ * @returns {Array} The same time windows
+ * @throws {Error} If a start or end time is not HH:mm
+ */
+const validateTimeWindows = (timeWindows = []) => {
+  timeWindows.forEach(window => {
+    [window.startTime, window.endTime].forEach(time => {
+      if (time !== undefined && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(time)) {
+        throw new Error(`Invalid time of day "${time}", use HH:mm`);
+      }
+    });
+  });
+  return timeWindows;
+};
+
+/**
+ * Test whether a geofence is in force at a given time
+ * @param {Object} geofence - Geofence document
+ * @param {Date} time - Time to test
+ * @returns {boolean} True if the geofence is enabled and one of its time windows is open
+ */
+const isGeofenceActive = (geofence, time = new Date()) => {
+  if (geofence.enabled === false) return false;
+  const windows = geofence.timeWindows || [];
+  return windows.length === 0 || windows.some(window => inTimeWindow(window, time));
+};
+
+// Helper to test whether an altitude is at or below a zone's ceiling
+const belowCeiling = (geofence, altitude) => !Number.isFinite(geofence.ceiling) || altitude <= geofence.ceiling;
+
+// Helper to test whether an altitude range reaches into an exclusion zone between its floor and ceiling
+const inAltitudeBand = (geofence, lowest, highest = lowest) => highest >= (geofence.floor || 0) &&
+  belowCeiling(geofence, lowest);
+
+// Helper to project the active zones of one type onto the local plane
+const localZones = (geofences, type, origin) => geofences
+  .filter(geofence => geofence.type === type)
+  .map(geofence => ({
+    geofence,
+    polygon: normalizeBoundary(geofence.geometry).map(vertex => toLocalPoint(vertex, origin))
+  }))
+  .filter(zone => zone.polygon.length >= 3);
+
+// Helper to find where a segment crosses a polygon's edges, as fractions along the segment
+const crossingFractions = (a, b, polygon) => {
+  const fractions = [];
+  polygon.forEach((c, i) => {
+    const d = polygon[(i + 1) % polygon.length];
+    const denominator = (b.x - a.x) * (d.y - c.y) - (b.y - a.y) * (d.x - c.x);
+    if (Math.abs(denominator) < 1e-12) return;
+
+    const t = ((c.x - a.x) * (d.y - c.y) - (c.y - a.y) * (d.x - c.x)) / denominator;
+    const u = ((c.x - a.x) * (b.y - a.y) - (c.y - a.y) * (b.x - a.x)) / denominator;
+    if (t > 0 && t < 1 && u >= 0 && u < 1) {
+      fractions.push(t);
+    }
+  });
+  return fractions.sort((p, q) => p - q);
+};
+
+// Helper to test whether any part of a segment lies inside a polygon
+const segmentEntersPolygon = (a, b, polygon) => pointInLocalPolygon(a, polygon) ||
+  pointInLocalPolygon(b, polygon) ||
+  crossingFractions(a, b, polygon).length > 0 ||
+  pointInLocalPolygon({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }, polygon);
+
+// Helper to pick the strictest breach action of a set of zones
+const strictestAction = (zones) => (zones.some(zone => zone.geofence.breachAction !== 'alert')
+  ? 'return-to-home'
+  : 'alert');
+
+/**
+ * Check a single position against the zones
+ * @param {Object} point - Local coordinates { x, y }
+ * @param {number} altitude - Altitude in meters
+ * @param {Array} exclusions - Local exclusion zones
+ * @param {Array} inclusions - Local inclusion zones
+ * @returns {Array} Problems { zone, reason, action } where reason is 'no-fly', 'outside' or 'ceiling'
+ */
+const positionProblems = (point, altitude, exclusions, inclusions) => {
+  const problems = exclusions
+    .filter(zone => inAltitudeBand(zone.geofence, altitude) && pointInLocalPolygon(point, zone.polygon))
+    .map(zone => ({ zone, reason: 'no-fly', action: strictestAction([zone]) }));
+
+  if (inclusions.length > 0) {
+    const containing = inclusions.filter(zone => pointInLocalPolygon(point, zone.polygon));
+    if (containing.length === 0) {
+      problems.push({ zone: null, reason: 'outside', action: strictestAction(inclusions) });
+    } else if (!containing.some(zone => belowCeiling(zone.geofence, altitude))) {
+      problems.push({ zone: containing[0], reason: 'ceiling', action: strictestAction(containing) });
+    }
+  }
+
+  return problems;
+};
+
+// Helper to describe a problem for API responses
+const describeProblem = ({ zone, reason, action }, point, extra = {}) => ({
+  geofence: zone ? zone.geofence._id : null,
+  name: zone ? zone.geofence.name : 'Operating area',
+  reason,
+  action,
+  ...extra,
+  latitude: point.latitude,
+  longitude: point.longitude
+});
+
+/**
+ * Find where a route breaks the geofences active at a given time
+ * @param {Array} waypoints - Waypoints { latitude, longitude, altitude } in flight order
+ * @param {Array} geofences - Geofence documents
+ * @param {Object} options - Check options
+ * @param {Date} options.time - Time the route is flown, defaults to now
+ * @returns {Array} Violations { geofence, name, reason, waypoint or leg, latitude, longitude } where
+ *   reason is 'no-fly', 'crossing', 'outside' or 'ceiling'
+ */
+const findViolations = (waypoints, geofences, { time = new Date() } = {}) => {
+  if (waypoints.length === 0) return [];
+
+  const origin = waypoints[0];
+  const active = geofences.filter(geofence => isGeofenceActive(geofence, time));
+  const exclusions = localZones(active, 'exclusion', origin);
+  const inclusions = localZones(active, 'inclusion', origin);
+  const local = waypoints.map(waypoint => toLocalPoint(waypoint, origin));
+  const violations = [];
+
+  waypoints.forEach((waypoint, index) => {
+    positionProblems(local[index], waypoint.altitude || 0, exclusions, inclusions).forEach(problem => {
+      violations.push(describeProblem(problem, waypoint, { waypoint: index + 1 }));
+    });
+
+    const next = waypoints[index + 1];
+    if (!next) return;
+
+    const a = local[index];
+    const b = local[index + 1];
+    const leg = [index + 1, index + 2];
+    const pointAt = (t) => fromLocalPoint({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t }, origin);
+
+    // Legs between two clear waypoints that cut through a no-fly zone
+    const lowest = Math.min(waypoint.altitude || 0, next.altitude || 0);
+    const highest = Math.max(waypoint.altitude || 0, next.altitude || 0);
+    exclusions.forEach(zone => {
+      if (!inAltitudeBand(zone.geofence, lowest, highest)) return;
+      if (pointInLocalPolygon(a, zone.polygon) || pointInLocalPolygon(b, zone.polygon)) return;
+      if (!segmentEntersPolygon(a, b, zone.polygon)) return;
+
+      const entry = crossingFractions(a, b, zone.polygon)[0];
+      violations.push(describeProblem(
+        { zone, reason: 'crossing', action: strictestAction([zone]) },
+        pointAt(entry === undefined ? 0.5 : entry),
+        { leg }
+      ));
+    });
+
+    // Legs that leave the inclusion zones between two waypoints inside them
+    if (inclusions.length > 0) {
+      const fractions = [0, ...inclusions.flatMap(zone => crossingFractions(a, b, zone.polygon)), 1]
+        .sort((p, q) => p - q);
+      for (let i = 1; i < fractions.length; i++) {
+        const t = (fractions[i - 1] + fractions[i]) / 2;
+        const mid = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        if (!inclusions.some(zone => pointInLocalPolygon(mid, zone.polygon))) {
+          violations.push(describeProblem(
+            { zone: null, reason: 'outside', action: strictestAction(inclusions) },
+            pointAt(t),
+            { leg }
+          ));
+          break;
+        }
+      }
+    }
+  });
+
+  return violations;
+};
+
+/**
+ * Find the shortest path between two points around no-fly zones
+ * Searches the visibility graph of the zone corners pushed out by the buffer.
+ * @param {Object} a - Start in local coordinates
+ * @param {Object} b - End in local coordinates
+ * @param {Array} zones - Local exclusion zones to avoid
+ * @param {number} buffer - Distance kept from the zone edges in meters
+ * @returns {Array|null} Corners to fly through between a and b, or null if there is no way around
+ */
+const shortestDetour = (a, b, zones, buffer) => {
+  const corners = zones
+    .flatMap(zone => offsetLocalPolygon(zone.polygon, buffer))
+    .filter(corner => !zones.some(zone => pointInLocalPolygon(corner, zone.polygon)));
+  const nodes = [a, ...corners, b];
+  const target = nodes.length - 1;
+  const clear = (p, q) => !zones.some(zone => segmentEntersPolygon(p, q, zone.polygon));
+
+  // Dijkstra over the corners, testing edges only when they would shorten a path
+  const distance = nodes.map(() => Infinity);
+  const previous = nodes.map(() => -1);
+  const visited = nodes.map(() => false);
+  distance[0] = 0;
+
+  for (;;) {
+    let current = -1;
+    nodes.forEach((node, i) => {
+      if (!visited[i] && distance[i] < Infinity && (current === -1 || distance[i] < distance[current])) {
+        current = i;
+      }
+    });
+    if (current === -1) return null;
+    if (current === target) break;
+    visited[current] = true;
+
+    nodes.forEach((node, i) => {
+      if (visited[i]) return;
+      const through = distance[current] + Math.hypot(node.x - nodes[current].x, node.y - nodes[current].y);
+      if (through < distance[i] && clear(nodes[current], node)) {
+        distance[i] = through;
+        previous[i] = current;
+      }
+    });
+  }
+
+  const path = [];
+  for (let i = previous[target]; i > 0; i = previous[i]) {
+    path.unshift(nodes[i]);
+  }
+  return path;
+};
+
+/**
+ * Reroute a planned path around the no-fly zones active at a given time
+ * Waypoints inside a zone are dropped and legs through a zone are replaced by the
+ * shortest path around it, keeping the buffer from its edges.
+ * @param {Array} waypoints - Planner waypoints in flight order
+ * @param {Array} geofences - Geofence documents
+ * @param {Object} options - Reroute options
+ * @param {Date} options.time - Time the route is flown, defaults to now
+ * @param {number} options.buffer - Distance kept from zone edges in meters
+ * @returns {Object} { waypoints, removed, detours } with the renumbered waypoints, the number of
+ *   waypoints dropped and the number of legs rerouted
+ */
+const avoidExclusionZones = (waypoints, geofences, { time = new Date(), buffer = geofenceConfig.buffer } = {}) => {
+  if (waypoints.length === 0) return { waypoints, removed: 0, detours: 0 };
+
+  const origin = waypoints[0];
+  const zones = localZones(geofences.filter(geofence => isGeofenceActive(geofence, time)), 'exclusion', origin);
+  const blocking = (lowest, highest) => zones.filter(zone => inAltitudeBand(zone.geofence, lowest, highest));
+
+  const kept = waypoints.filter(waypoint => !blocking(waypoint.altitude || 0)
+    .some(zone => pointInLocalPolygon(toLocalPoint(waypoint, origin), zone.polygon)));
+  if (kept.length === 0) {
+    throw new Error('Every waypoint lies inside a no-fly zone');
+  }
+
+  const rerouted = [];
+  let detours = 0;
+  kept.forEach((waypoint, index) => {
+    rerouted.push(waypoint);
+    const next = kept[index + 1];
+    if (!next) return;
+
+    const a = toLocalPoint(waypoint, origin);
+    const b = toLocalPoint(next, origin);
+    const legZones = blocking(
+      Math.min(waypoint.altitude || 0, next.altitude || 0),
+      Math.max(waypoint.altitude || 0, next.altitude || 0)
+    );
+    const obstacles = legZones.filter(zone => segmentEntersPolygon(a, b, zone.polygon));
+    if (obstacles.length === 0) return;
+
+    // Route around every zone at this altitude, not just the ones on the straight line
+    const path = shortestDetour(a, b, legZones, buffer);
+    if (!path) {
+      throw new Error(`No way around ${obstacles[0].geofence.name} after waypoint ${waypoints.indexOf(waypoint) + 1}`);
+    }
+
+    path.forEach(corner => {
+      rerouted.push({
+        ...fromLocalPoint(corner, origin),
+        altitude: waypoint.altitude,
+        action: 'flyTo',
+        heading: waypoint.heading,
+        gimbalPitch: waypoint.gimbalPitch
+      });
+    });
+    detours++;
+  });
+
+  return {
+    waypoints: rerouted.map((waypoint, index) => ({ ...waypoint, order: index + 1 })),
+    removed: waypoints.length - kept.length,
+    detours
+  };
+};
+
+/**
+ * Summarize geofence violations in a sentence
+ * @param {Array} violations - Violations from findViolations
+ * @returns {string} Description of the first violation and how many others there are
+ */
+const describeViolations = (violations) => {
+  const [first] = violations;
+  const problems = {
+    'no-fly': `is inside no-fly zone ${first.name}`,
+    crossing: `crosses no-fly zone ${first.name}`,
+    outside: 'is outside the permitted operating area',
+    ceiling: `is above the ceiling of ${first.name}`
+  };
+  const where = first.waypoint ? `Waypoint ${first.waypoint}` : `The leg from waypoint ${first.leg[0]} to ${first.leg[1]}`;
+  const more = violations.length > 1 ? ` (${violations.length - 1} more geofence violations)` : '';
+  return `${where} ${problems[first.reason]}${more}`;
+};
+
+/**
+ * Find the geofences a drone position breaks
+ * @param {Object} position - Drone position { latitude, longitude, altitude }
+ * @param {Array} geofences - Geofence documents
+ * @param {Date} time - Time of the position report, defaults to now
+ * @returns {Array} Breaches { geofence, name, reason, action, latitude, longitude, altitude }
+ */
+const findBreaches = (position, geofences, time = new Date()) => {
+  const active = geofences.filter(geofence => isGeofenceActive(geofence, time));
+  const altitude = position.altitude || 0;
+
+  return positionProblems(
+    { x: 0, y: 0 },
+    altitude,
+    localZones(active, 'exclusion', position),
+    localZones(active, 'inclusion', position)
+  ).map(problem => describeProblem(problem, position, { altitude }));
+};
+
+module.exports = {
+  validateTimeWindows,
+  isGeofenceActive,
+  findViolations,
+  avoidExclusionZones,
+  describeViolations,
+  findBreaches
+};
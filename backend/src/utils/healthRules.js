@@ -0,0 +1,153 @@
+const droneHealthConfig = require('../config/droneHealthConfig');
+
+/**
+ * Drone health rules
+ * Each rule looks at the facts gathered about a drone and returns an alert when the drone is close to
+ * or past one of its limits, or null. Alerts are 'warning' while there is still time to plan the work
+ * and 'critical' once the limit is reached.
+ */
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+// Helper to raise an alert on a value that counts up towards a limit
+const checkLimit = (rule, value, limit, message) => {
+  if (!Number.isFinite(value) || !(limit > 0)) return null;
+  if (value >= limit) {
+    return { rule, severity: 'critical', message, value, threshold: limit };
+  }
+  const warningAt = Math.round(limit * droneHealthConfig.warningRatio);
+  if (value >= warningAt) {
+    return { rule, severity: 'warning', message, value, threshold: warningAt };
+  }
+  return null;
+};
+
+/**
+ * Work out how much more battery a drone uses per minute on its newer flights than on its older ones
+ * @param {number[]} rates - Battery used per minute of each flight, oldest first
+ * @returns {Object|null} { baseline, recent, increase } with increase a percentage, or null when
+ *   there are too few flights to tell
+ */
+const getDrainTrend = (rates) => {
+  if (rates.length < droneHealthConfig.drainTrend.minFlights) return null;
+
+  const middle = Math.floor(rates.length / 2);
+  const baseline = mean(rates.slice(0, middle));
+  const recent = mean(rates.slice(rates.length - middle));
+  if (!(baseline > 0)) return null;
+
+  return {
+    baseline: Math.round(baseline * 100) / 100,
+    recent: Math.round(recent * 100) / 100,
+    increase: round(((recent - baseline) / baseline) * 100)
+  };
+};
+
+const RULES = [
+  // Service interval in flight hours and days, as worked out by the maintenance schedule
+  (facts) => {
+    const { maintenance } = facts;
+    if (!maintenance || maintenance.status === 'ok') return null;
+    return {
+      rule: 'service-interval',
+      severity: maintenance.status === 'overdue' ? 'critical' : 'warning',
+      message: maintenance.message,
+      value: maintenance.flightHoursRemaining,
+      threshold: 0
+    };
+  },
+
+  // Flights since the last service
+  (facts) => checkLimit(
+    'flight-count',
+    facts.flightsSinceService,
+    droneHealthConfig.flightsBetweenService,
+    `${facts.flightsSinceService} flights since the last service, due every ${droneHealthConfig.flightsBetweenService}`
+  ),
+
+  // Battery charge cycles, from the last battery check plus the charge used since
+  (facts) => facts.battery && checkLimit(
+    'battery-cycles',
+    facts.battery.cycleCount,
+    droneHealthConfig.batteryCycleLimit,
+    `Battery at about ${facts.battery.cycleCount} of its rated ${droneHealthConfig.batteryCycleLimit} charge cycles`
+  ),
+
+  // Battery capacity found at the last battery check
+  (facts) => {
+    const capacity = facts.battery && facts.battery.capacityPercentage;
+    if (!Number.isFinite(capacity) || capacity >= droneHealthConfig.batteryCapacityWarning) return null;
+    const critical = capacity < droneHealthConfig.batteryCapacityCritical;
+    return {
+      rule: 'battery-capacity',
+      severity: critical ? 'critical' : 'warning',
+      message: `Battery holds ${capacity}% of its original capacity`,
+      value: capacity,
+      threshold: critical ? droneHealthConfig.batteryCapacityCritical : droneHealthConfig.batteryCapacityWarning
+    };
+  },
+
+  // Battery used per minute rising over the last flights
+  (facts) => {
+    const trend = getDrainTrend(facts.drainRates || []);
+    const { warningIncrease, criticalIncrease } = droneHealthConfig.drainTrend;
+    if (!trend || trend.increase < warningIncrease) return null;
+    const critical = trend.increase >= criticalIncrease;
+    return {
+      rule: 'battery-drain',
+      severity: critical ? 'critical' : 'warning',
+      message: `Battery use up ${trend.increase}% over the last ${facts.drainRates.length} flights, ` +
+        `from ${trend.baseline}% to ${trend.recent}% a minute`,
+      value: trend.increase,
+      threshold: critical ? criticalIncrease : warningIncrease
+    };
+  },
+
+  // Faults logged on the last flights
+  (facts) => {
+    const { faults } = facts;
+    if (!faults || faults.count < droneHealthConfig.faults.warning) return null;
+    const critical = faults.count >= droneHealthConfig.faults.critical;
+    return {
+      rule: 'flight-faults',
+      severity: critical ? 'critical' : 'warning',
+      message: `${faults.count} faults logged over the last ${faults.flights} flights`,
+      value: faults.count,
+      threshold: critical ? droneHealthConfig.faults.critical : droneHealthConfig.faults.warning
+    };
+  }
+];
+
+/**
+ * Run the health rules over the facts gathered about a drone
+ * @param {Object} facts - Drone facts
+ * @param {Object} facts.maintenance - Status from getMaintenanceStatus
+ * @param {number} facts.flightsSinceService - Flights since the last routine maintenance or inspection
+ * @param {Object} facts.battery - { cycleCount, capacityPercentage } estimated from the last battery check
+ * @param {number[]} facts.drainRates - Battery used per minute of the last flights, oldest first
+ * @param {Object} facts.faults - { count, flights } faults logged over the last flights
+ * @returns {Object} { status, alerts } with status 'healthy', 'warning' or 'critical' and critical
+ *   alerts first
+ */
+const evaluateHealth = (facts) => {
+  const alerts = RULES
+    .map(rule => rule(facts))
+    .filter(Boolean)
+    .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'critical' ? -1 : 1));
+
+  let status = 'healthy';
+  if (alerts.some(alert => alert.severity === 'critical')) {
+    status = 'critical';
+  } else if (alerts.length > 0) {
+    status = 'warning';
+  }
+
+  return { status, alerts };
+};
+
+module.exports = {
+  getDrainTrend,
+  evaluateHealth
+};
@@ -0,0 +1,143 @@
+const { csvValue } = require('./flightLogExport');
+const { writePdf } = require('./pdf');
+
+/**
+ * Pilot logbook export
+ * Writes a logbook as CSV, one row per flight, or as a printable PDF with the pilot's totals above
+ * the flights. Times are written in UTC.
+ */
+
+const LOGBOOK_EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const CSV_COLUMNS = [
+  'date', 'takeoff', 'landing', 'drone', 'serialNumber', 'mission', 'status', 'duration', 'dayDuration',
+  'nightDuration', 'maxAltitude', 'distanceTraveled', 'incidents'
+];
+
+// Columns of the PDF flight table with their widths in characters
+const PDF_COLUMNS = [
+  { label: 'Date', width: 11 },
+  { label: 'Takeoff', width: 8 },
+  { label: 'Landing', width: 8 },
+  { label: 'Drone', width: 20 },
+  { label: 'Mission', width: 26 },
+  { label: 'Status', width: 10 },
+  { label: 'Total', width: 7, right: true },
+  { label: 'Day', width: 7, right: true },
+  { label: 'Night', width: 7, right: true },
+  { label: 'Max alt', width: 8, right: true },
+  { label: 'Distance', width: 10, right: true },
+  { label: 'Incidents', width: 36 }
+];
+
+// Helper to split a time into its UTC date and hh:mm
+const dateOf = (time) => (time ? new Date(time).toISOString().slice(0, 10) : '');
+const clockOf = (time) => (time ? new Date(time).toISOString().slice(11, 16) : '');
+
+// Helper to write minutes as decimal hours
+const hoursOf = (minutes) => ((minutes || 0) / 60).toFixed(1);
+
+// Helper to list the incidents of a flight on one line
+const describeIncidents = (incidents) => incidents.map(incident => `${incident.code}: ${incident.message}`).join('; ');
+
+/**
+ * Write a logbook as CSV
+ * @param {Object} logbook - Logbook from getPilotLogbook
+ * @returns {string} CSV with a header row, one row per flight
+ */
+const toCsv = (logbook) => {
+  const rows = logbook.entries.map(entry => [
+    dateOf(entry.startTime),
+    clockOf(entry.startTime),
+    clockOf(entry.endTime),
+    entry.drone && entry.drone.name,
+    entry.drone && entry.drone.serialNumber,
+    entry.mission && entry.mission.name,
+    entry.status,
+    entry.duration,
+    entry.dayDuration,
+    entry.nightDuration,
+    entry.maxAltitude,
+    entry.distanceTraveled,
+    describeIncidents(entry.incidents)
+  ].map(csvValue).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+};
+
+// Helper to fit a value into a table cell
+const cell = (value, { width, right }) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  const fitted = text.length > width - 1 ? `${text.slice(0, width - 2)}~` : text;
+  return right ? `${fitted.padStart(width - 1)} ` : fitted.padEnd(width);
+};
+
+/**
+ * Write a logbook as a PDF document
+ * @param {Object} logbook - Logbook from getPilotLogbook
+ * @returns {Buffer} PDF document
+ */
+const toPdf = (logbook) => {
+  const { pilot, totals } = logbook;
+  const period = logbook.from || logbook.to
+    ? `${logbook.from ? dateOf(logbook.from) : 'first flight'} to ${logbook.to ? dateOf(logbook.to) : 'today'}`
+    : 'All flights';
+  const row = (values) => PDF_COLUMNS.map((column, index) => cell(values[index], column)).join('');
+
+  const lines = [
+    { text: `Pilot logbook - ${pilot.name}${pilot.email ? ` <${pilot.email}>` : ''}`, bold: true },
+    `${period}, generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC. Times in UTC, durations in hours.`,
+    '',
+    { text: 'Totals', bold: true },
+    `Flights ${totals.flights}   Flight time ${totals.hours}   Day ${totals.dayHours}   ` +
+      `Night ${totals.nightHours}   Max altitude ${totals.maxAltitude === null ? '-' : `${totals.maxAltitude} m`}   ` +
+      `Distance ${(totals.distanceTraveled / 1000).toFixed(1)} km   Incidents ${totals.incidents}   ` +
+      `Aborted flights ${totals.abortedFlights}`,
+    ...logbook.drones.map(({ drone, flights, hours }) =>
+      `  ${drone.name}${drone.serialNumber ? ` (${drone.serialNumber})` : ''}: ${flights} flights, ${hours} hours`),
+    '',
+    { text: row(PDF_COLUMNS.map(column => column.label)), bold: true },
+    ...logbook.entries.map(entry => row([
+      dateOf(entry.startTime),
+      clockOf(entry.startTime),
+      clockOf(entry.endTime),
+      entry.drone && entry.drone.name,
+      entry.mission && entry.mission.name,
+      entry.status,
+      hoursOf(entry.duration),
+      hoursOf(entry.dayDuration),
+      hoursOf(entry.nightDuration),
+      Number.isFinite(entry.maxAltitude) ? `${entry.maxAltitude} m` : '',
+      Number.isFinite(entry.distanceTraveled) ? `${(entry.distanceTraveled / 1000).toFixed(2)} km` : '',
+      describeIncidents(entry.incidents)
+    ]))
+  ];
+  if (logbook.entries.length === 0) {
+    lines.push('No flights logged');
+  }
+
+  return writePdf(lines);
+};
+
+/**
+ * Export a pilot logbook
+ * @param {Object} logbook - Logbook from getPilotLogbook
+ * @param {string} format - One of LOGBOOK_EXPORT_FORMATS
+ * @returns {Object} { content, contentType, extension }
+ */
+const exportLogbook = (logbook, format) => {
+  const target = LOGBOOK_EXPORT_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unsupported export format "${format}", use one of ${Object.keys(LOGBOOK_EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const content = format === 'csv' ? toCsv(logbook) : toPdf(logbook);
+  return { content, ...target };
+};
+
+module.exports = {
+  LOGBOOK_EXPORT_FORMATS,
+  exportLogbook
+};
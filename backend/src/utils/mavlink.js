@@ -0,0 +1,274 @@
+/**
+ * MAVLink codec
+ * Reads MAVLink v2 (and v1) frames from a byte stream and writes v2 frames, for the messages the
+ * telemetry gateway uses. Field names are the MAVLink names in camelCase, with MAVLink units
+ * (degE7 positions, millimeters, cm/s, centidegrees, millivolts).
+ */
+
+const MAVLINK_V1_STX = 0xfe;
+const MAVLINK_V2_STX = 0xfd;
+const MAVLINK_IFLAG_SIGNED = 0x01;
+const SIGNATURE_LENGTH = 13;
+
+// MAV_AUTOPILOT values that number mission items from 1, because item 0 is the home position
+const MAV_AUTOPILOT_ARDUPILOTMEGA = 3;
+
+// MAV_TYPE of ground stations, whose heartbeats are not vehicles
+const MAV_TYPE_GCS = 6;
+
+// base_mode flag set while the vehicle is armed
+const MAV_MODE_FLAG_SAFETY_ARMED = 128;
+
+// Field types with their size and DataView accessors
+const TYPES = {
+  uint8_t: { size: 1, get: 'getUint8', set: 'setUint8' },
+  int8_t: { size: 1, get: 'getInt8', set: 'setInt8' },
+  uint16_t: { size: 2, get: 'getUint16', set: 'setUint16' },
+  int16_t: { size: 2, get: 'getInt16', set: 'setInt16' },
+  uint32_t: { size: 4, get: 'getUint32', set: 'setUint32' },
+  int32_t: { size: 4, get: 'getInt32', set: 'setInt32' }
+};
+
+/**
+ * Supported messages by ID, with fields in wire order as [name, type, array length]
+ * Extension fields are left out and ignored when present.
+ */
+const MESSAGES = {
+  0: {
+    name: 'HEARTBEAT',
+    crcExtra: 50,
+    fields: [
+      ['customMode', 'uint32_t'],
+      ['type', 'uint8_t'],
+      ['autopilot', 'uint8_t'],
+      ['baseMode', 'uint8_t'],
+      ['systemStatus', 'uint8_t'],
+      ['mavlinkVersion', 'uint8_t']
+    ]
+  },
+  1: {
+    name: 'SYS_STATUS',
+    crcExtra: 124,
+    fields: [
+      ['onboardControlSensorsPresent', 'uint32_t'],
+      ['onboardControlSensorsEnabled', 'uint32_t'],
+      ['onboardControlSensorsHealth', 'uint32_t'],
+      ['load', 'uint16_t'],
+      ['voltageBattery', 'uint16_t'],
+      ['currentBattery', 'int16_t'],
+      ['dropRateComm', 'uint16_t'],
+      ['errorsComm', 'uint16_t'],
+      ['errorsCount1', 'uint16_t'],
+      ['errorsCount2', 'uint16_t'],
+      ['errorsCount3', 'uint16_t'],
+      ['errorsCount4', 'uint16_t'],
+      ['batteryRemaining', 'int8_t']
+    ]
+  },
+  33: {
+    name: 'GLOBAL_POSITION_INT',
+    crcExtra: 104,
+    fields: [
+      ['timeBootMs', 'uint32_t'],
+      ['lat', 'int32_t'],
+      ['lon', 'int32_t'],
+      ['alt', 'int32_t'],
+      ['relativeAlt', 'int32_t'],
+      ['vx', 'int16_t'],
+      ['vy', 'int16_t'],
+      ['vz', 'int16_t'],
+      ['hdg', 'uint16_t']
+    ]
+  },
+  46: {
+    name: 'MISSION_ITEM_REACHED',
+    crcExtra: 11,
+    fields: [
+      ['seq', 'uint16_t']
+    ]
+  },
+  147: {
+    name: 'BATTERY_STATUS',
+    crcExtra: 154,
+    fields: [
+      ['currentConsumed', 'int32_t'],
+      ['energyConsumed', 'int32_t'],
+      ['temperature', 'int16_t'],
+      ['voltages', 'uint16_t', 10],
+      ['currentBattery', 'int16_t'],
+      ['id', 'uint8_t'],
+      ['batteryFunction', 'uint8_t'],
+      ['type', 'uint8_t'],
+      ['batteryRemaining', 'int8_t']
+    ]
+  }
+};
+
+const MESSAGE_IDS = Object.fromEntries(Object.entries(MESSAGES).map(([id, message]) => [message.name, Number(id)]));
+
+// Helper to get the payload length of a message without extensions
+const payloadLength = (message) => message.fields
+  .reduce((total, [, type, count = 1]) => total + TYPES[type].size * count, 0);
+
+/**
+ * CRC-16/MCRF4XX (X.25) checksum used by MAVLink
+ * @param {Buffer} bytes - Bytes to add
+ * @param {number} crc - Checksum so far
+ * @returns {number} Updated checksum
+ */
+const crc16 = (bytes, crc = 0xffff) => {
+  let result = crc;
+  for (const byte of bytes) {
+    let tmp = byte ^ (result & 0xff);
+    tmp = (tmp ^ (tmp << 4)) & 0xff;
+    result = ((result >> 8) ^ (tmp << 8) ^ (tmp << 3) ^ (tmp >> 4)) & 0xffff;
+  }
+  return result;
+};
+
+// Helper to read the fields of a payload, zero-filling bytes MAVLink v2 trimmed off the end
+const decodePayload = (message, payload) => {
+  const bytes = Buffer.alloc(Math.max(payload.length, payloadLength(message)));
+  payload.copy(bytes);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+
+  const fields = {};
+  let offset = 0;
+  message.fields.forEach(([name, type, count]) => {
+    const { size, get } = TYPES[type];
+    if (count) {
+      fields[name] = Array.from({ length: count }, (_, i) => view[get](offset + i * size, true));
+    } else {
+      fields[name] = view[get](offset, true);
+    }
+    offset += size * (count || 1);
+  });
+  return fields;
+};
+
+/**
+ * Create a reader for a MAVLink byte stream
+ * Frames may arrive split across chunks. Bytes that do not start a frame, frames with a bad
+ * checksum and messages that are not supported are skipped.
+ * @param {Function} onMessage - Called with { version, sequence, systemId, componentId, messageId,
+ *   name, fields } for every supported message
+ * @returns {Object} { push(chunk) } to feed received bytes
+ */
+const createParser = (onMessage) => {
+  let buffer = Buffer.alloc(0);
+
+  const readFrame = () => {
+    const version = buffer[0] === MAVLINK_V2_STX ? 2 : 1;
+    const headerLength = version === 2 ? 10 : 6;
+    if (buffer.length < headerLength) return null;
+
+    const length = buffer[1];
+    const signed = version === 2 && (buffer[2] & MAVLINK_IFLAG_SIGNED);
+    const frameLength = headerLength + length + 2 + (signed ? SIGNATURE_LENGTH : 0);
+    if (buffer.length < frameLength) return null;
+
+    const messageId = version === 2 ? buffer.readUIntLE(7, 3) : buffer[5];
+    const message = MESSAGES[messageId];
+    const frame = {
+      frameLength,
+      version,
+      sequence: buffer[version === 2 ? 4 : 2],
+      systemId: buffer[version === 2 ? 5 : 3],
+      componentId: buffer[version === 2 ? 6 : 4],
+      messageId
+    };
+    // Unsupported messages cannot be checked without their crcExtra, so they are passed over a byte at
+    // a time like other data, and a start byte inside them cannot hide the frames after it
+    if (!message) return { ...frame, valid: false };
+
+    const payload = buffer.subarray(headerLength, headerLength + length);
+    const crc = crc16([message.crcExtra], crc16(buffer.subarray(1, headerLength + length)));
+    if (crc !== buffer.readUInt16LE(headerLength + length)) return { ...frame, valid: false };
+
+    return { ...frame, valid: true, name: message.name, fields: decodePayload(message, payload) };
+  };
+
+  return {
+    push: (chunk) => {
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : Buffer.from(chunk);
+
+      while (buffer.length > 0) {
+        const start = buffer.findIndex(byte => byte === MAVLINK_V2_STX || byte === MAVLINK_V1_STX);
+        if (start === -1) {
+          buffer = Buffer.alloc(0);
+          break;
+        }
+        buffer = buffer.subarray(start);
+
+        const frame = readFrame();
+        if (!frame) break;
+
+        // A frame that does not check out started on a byte of other data, look again from the next byte
+        if (!frame.valid) {
+          buffer = buffer.subarray(1);
+          continue;
+        }
+
+        buffer = buffer.subarray(frame.frameLength);
+        if (frame.name) {
+          const { frameLength, valid, ...message } = frame;
+          onMessage(message);
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Write a MAVLink v2 frame
+ * @param {string} name - Message name, such as 'GLOBAL_POSITION_INT'
+ * @param {Object} fields - Message fields, missing ones are 0
+ * @param {Object} options - Frame header
+ * @param {number} options.systemId - Sending system
+ * @param {number} options.componentId - Sending component, 1 (autopilot) by default
+ * @param {number} options.sequence - Packet sequence number
+ * @returns {Buffer} Frame bytes
+ */
+const encodeMessage = (name, fields, { systemId, componentId = 1, sequence = 0 }) => {
+  const messageId = MESSAGE_IDS[name];
+  const message = MESSAGES[messageId];
+  if (!message) {
+    throw new Error(`Unsupported MAVLink message ${name}`);
+  }
+
+  const payload = Buffer.alloc(payloadLength(message));
+  const view = new DataView(payload.buffer, payload.byteOffset, payload.length);
+  let offset = 0;
+  message.fields.forEach(([field, type, count]) => {
+    const { size, set } = TYPES[type];
+    const values = count ? (fields[field] || []) : [fields[field]];
+    for (let i = 0; i < (count || 1); i++) {
+      view[set](offset + i * size, Math.round(values[i] || 0), true);
+    }
+    offset += size * (count || 1);
+  });
+
+  // MAVLink v2 drops trailing zero bytes, keeping at least one
+  let length = payload.length;
+  while (length > 1 && payload[length - 1] === 0) length--;
+
+  const header = Buffer.from([
+    MAVLINK_V2_STX, length, 0, 0, sequence & 0xff, systemId, componentId,
+    messageId & 0xff, (messageId >> 8) & 0xff, (messageId >> 16) & 0xff
+  ]);
+  const body = Buffer.concat([header, payload.subarray(0, length)]);
+  const checksum = Buffer.alloc(2);
+  checksum.writeUInt16LE(crc16([message.crcExtra], crc16(body.subarray(1))));
+
+  return Buffer.concat([body, checksum]);
+};
+
+module.exports = {
+  MESSAGES,
+  MAV_AUTOPILOT_ARDUPILOTMEGA,
+  MAV_TYPE_GCS,
+  MAV_MODE_FLAG_SAFETY_ARMED,
+  crc16,
+  createParser,
+  encodeMessage
+};
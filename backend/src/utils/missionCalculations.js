@@ -0,0 +1,337 @@
+const preflightConfig = require('../config/preflightConfig');
+const {
+  haversineDistance,
+  pathDistance,
+  fromLngLat,
+  toLocalPoint,
+  fromLocalPoint,
+  polygonArea
+} = require('./geodesy');
+
+// Stop improving once a pass saves less than this many meters
+const IMPROVEMENT_THRESHOLD = 0.01;
+const MAX_IMPROVEMENT_ROUNDS = 50;
+
+// Helper to reverse path[i..j] in place
+const reverseSection = (path, i, j) => {
+  while (i < j) {
+    [path[i], path[j]] = [path[j], path[i]];
+    i++;
+    j--;
+  }
+};
+
+// Helper to run 2-opt over the free section path[lo..hi], returns whether the path changed
+const twoOpt = (path, lo, hi, dist) => {
+  let improved = false;
+  for (let i = lo; i < hi; i++) {
+    for (let j = i + 1; j <= hi; j++) {
+      const delta = dist(path[i - 1], path[j]) + dist(path[i], path[j + 1]) -
+        dist(path[i - 1], path[i]) - dist(path[j], path[j + 1]);
+      if (delta < -IMPROVEMENT_THRESHOLD) {
+        reverseSection(path, i, j);
+        improved = true;
+      }
+    }
+  }
+  return improved;
+};
+
+// Helper to run Or-opt over the free section path[lo..hi], relocating chains of up to 3 stops
+const orOpt = (path, lo, hi, dist) => {
+  let improved = false;
+  for (let length = 1; length <= 3; length++) {
+    for (let i = lo; i + length - 1 <= hi; i++) {
+      const last = i + length - 1;
+      const removalGain = dist(path[i - 1], path[i]) + dist(path[last], path[last + 1]) -
+        dist(path[i - 1], path[last + 1]);
+
+      // Try every edge between lo - 1 and hi + 1 that does not touch the chain
+      for (let k = lo - 1; k <= hi; k++) {
+        if (k >= i - 1 && k <= last) continue;
+
+        const a = path[k];
+        const b = path[k + 1];
+        const forward = dist(a, path[i]) + dist(path[last], b) - dist(a, b);
+        const reversed = dist(a, path[last]) + dist(path[i], b) - dist(a, b);
+        if (Math.min(forward, reversed) < removalGain - IMPROVEMENT_THRESHOLD) {
+          const chain = path.splice(i, length);
+          if (reversed < forward) chain.reverse();
+          path.splice(k < i ? k + 1 : k + 1 - length, 0, ...chain);
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+  return improved;
+};
+
+/**
+ * Calculate the length of a route through an ordered list of points
+ * @param {Array} points - Points of the form { latitude, longitude }, falsy entries are skipped
+ * @returns {number} Distance in meters
+ */
+const routeDistance = (points) => pathDistance(points.filter(Boolean));
+
+/**
+ * Convert stored Waypoint documents to points in flight order
+ * @param {Array} waypoints - Waypoint documents with a GeoJSON location
+ * @returns {Array} Points of the form { latitude, longitude, altitude, speed, heading, gimbalPitch, action, actionParams }
+ */
+const waypointsToPoints = (waypoints) => waypoints
+  .slice()
+  .sort((a, b) => a.order - b.order)
+  .map(waypoint => ({
+    ...fromLngLat(waypoint.location.coordinates),
+    altitude: waypoint.altitude,
+    speed: waypoint.speed,
+    heading: waypoint.heading,
+    gimbalPitch: waypoint.gimbalPitch,
+    action: waypoint.action,
+    actionParams: waypoint.actionParams
+  }));
+
+// Helper to time one leg, wind is assumed to blow from every direction on average
+// which stretches flight time by v² / (v² - w²) compared to still air
+const legSeconds = (from, to, speed, wind) => {
+  const windFactor = (speed * speed) / (speed * speed - wind * wind);
+  const change = (to.altitude || 0) - (from.altitude || 0);
+  const vertical = change > 0 ? change / preflightConfig.climbRate : -change / preflightConfig.descentRate;
+  return haversineDistance(from, to) / speed * windFactor + vertical;
+};
+
+// Helper to time the hold at a waypoint for its action
+const holdSeconds = (point) => (point.actionParams && point.actionParams.duration) ||
+  preflightConfig.actionDuration[point.action] || 0;
+
+/**
+ * Estimate how long a route takes to fly, including climbs, descents and action holds
+ * @param {Array} route - Points of the form { latitude, longitude, altitude, action } from takeoff to landing
+ * @param {number} speed - Cruise airspeed in m/s
+ * @param {number} wind - Wind speed in m/s
+ * @returns {number} Flight time in seconds, Infinity if the drone cannot make headway
+ */
+const estimateFlightTime = (route, speed, wind = 0) => {
+  if (wind >= speed) return Infinity;
+
+  let seconds = 0;
+  route.forEach((point, i) => {
+    seconds += holdSeconds(point);
+    if (i > 0) seconds += legSeconds(route[i - 1], point, speed, wind);
+  });
+  return seconds;
+};
+
+// Helper to interpolate a point part way along a leg
+const interpolate = (from, to, fraction) => {
+  const local = toLocalPoint(to, from);
+  return {
+    ...fromLocalPoint({ x: local.x * fraction, y: local.y * fraction }, from),
+    altitude: (from.altitude || 0) + ((to.altitude || 0) - (from.altitude || 0)) * fraction
+  };
+};
+
+/**
+ * Split a flight plan into sorties that each fit in one battery
+ * Every sortie takes off from home, flies its share of the route and returns home.
+ * When a battery runs out part way along a leg, the sortie ends at an inserted split
+ * point and the next sortie resumes from that exact point.
+ * @param {Array} waypoints - Waypoints of the form { latitude, longitude, altitude, action } in flight order
+ * @param {Object} options - Sortie constraints
+ * @param {Object} options.home - Takeoff and landing point
+ * @param {number} options.speed - Cruise airspeed in m/s
+ * @param {number} options.wind - Wind speed in m/s
+ * @param {number} options.maxFlightTime - Drone endurance on a full battery, in minutes
+ * @param {number} options.reserve - Battery percentage to keep on landing
+ * @returns {Array} Sorties { number, waypoints, distance, estimatedDuration, resumePoint }
+ */
+const splitIntoSorties = (waypoints, options) => {
+  const { speed, wind = 0, maxFlightTime, reserve = preflightConfig.reserveBatteryLevel } = options;
+  const home = { ...(options.home || waypoints[0]), altitude: 0 };
+  const budget = maxFlightTime * 60 * (1 - reserve / 100);
+
+  if (wind >= speed) {
+    throw new Error('Wind exceeds the cruise speed, the route cannot be flown');
+  }
+
+  // Time to fly home from a point and land
+  const returnSeconds = (point) => {
+    const overhead = { ...home, altitude: point.altitude || 0 };
+    return legSeconds(point, overhead, speed, wind) + legSeconds(overhead, home, speed, wind);
+  };
+
+  const sorties = [];
+  let start = waypoints[0];
+  let next = 1;
+
+  while (start) {
+    const sortieWaypoints = [start];
+    let elapsed = legSeconds(home, start, speed, wind) + holdSeconds(start);
+
+    if (elapsed + returnSeconds(start) > budget) {
+      throw new Error(`Waypoint at ${start.latitude.toFixed(6)}, ${start.longitude.toFixed(6)} cannot be reached and returned from on one battery`);
+    }
+
+    let resume = null;
+    while (next < waypoints.length) {
+      const last = sortieWaypoints[sortieWaypoints.length - 1];
+      const target = waypoints[next];
+      const withTarget = elapsed + legSeconds(last, target, speed, wind) + holdSeconds(target);
+
+      if (withTarget + returnSeconds(target) <= budget) {
+        sortieWaypoints.push(target);
+        elapsed = withTarget;
+        next++;
+        continue;
+      }
+
+      // Fly as far along the leg as the battery allows, then resume from there
+      let low = 0;
+      let high = 1;
+      for (let i = 0; i < 20; i++) {
+        const fraction = (low + high) / 2;
+        const point = interpolate(last, target, fraction);
+        if (elapsed + legSeconds(last, point, speed, wind) + returnSeconds(point) <= budget) {
+          low = fraction;
+        } else {
+          high = fraction;
+        }
+      }
+
+      const splitPoint = interpolate(last, target, low);
+      if (haversineDistance(last, splitPoint) >= 1) {
+        resume = { ...target, ...splitPoint, action: 'flyTo', actionParams: undefined };
+        sortieWaypoints.push(resume);
+      } else {
+        resume = last;
+      }
+      break;
+    }
+
+    if (resume === sortieWaypoints[0] && sorties.length > 0) {
+      // No progress is possible towards the next waypoint
+      const target = waypoints[next];
+      throw new Error(`Waypoint at ${target.latitude.toFixed(6)}, ${target.longitude.toFixed(6)} cannot be reached and returned from on one battery`);
+    }
+
+    const route = [home, ...sortieWaypoints, { ...home, altitude: sortieWaypoints[sortieWaypoints.length - 1].altitude }, home];
+    sorties.push({
+      number: sorties.length + 1,
+      waypoints: sortieWaypoints.map((waypoint, index) => ({ ...waypoint, order: index + 1 })),
+      distance: Math.round(routeDistance(route)),
+      estimatedDuration: Math.round(estimateFlightTime(route, speed, wind) / 60),
+      resumePoint: sorties.length > 0 ? { latitude: start.latitude, longitude: start.longitude, altitude: start.altitude } : null
+    });
+
+    // The next sortie repeats the resume point as its first waypoint, without re-running its action
+    start = resume ? { ...resume, action: 'flyTo', actionParams: undefined } : null;
+  }
+
+  return sorties;
+};
+
+// Helper to compute the convex hull of a set of points (monotone chain)
+const convexHull = (points) => {
+  if (points.length < 3) return [];
+
+  const origin = points[0];
+  const local = points
+    .map(point => toLocalPoint(point, origin))
+    .sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+  const build = (ordered) => ordered.reduce((hull, point) => {
+    while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+      hull.pop();
+    }
+    hull.push(point);
+    return hull;
+  }, []);
+
+  const lower = build(local);
+  const upper = build(local.slice().reverse());
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)].map(point => fromLocalPoint(point, origin));
+};
+
+/**
+ * Calculate the ground area covered by a mission
+ * Uses the mission boundary when it has one, otherwise the area enclosed by its waypoints
+ * @param {Object} boundingBox - GeoJSON Polygon of the mission boundary
+ * @param {Array} points - Waypoints of the form { latitude, longitude }
+ * @returns {number} Area in square kilometers
+ */
+const calculateAreaCovered = (boundingBox, points = []) => {
+  const ring = boundingBox && boundingBox.coordinates && boundingBox.coordinates[0];
+  const outline = ring && ring.length >= 3 ? ring.map(fromLngLat) : convexHull(points);
+  return polygonArea(outline) / 1e6;
+};
+
+/**
+ * Find a short visiting order for a set of waypoints
+ * Builds a nearest-neighbour tour and improves it with 2-opt and Or-opt moves using haversine distances
+ * @param {Array} points - Waypoints of the form { latitude, longitude }
+ * @param {Object} options - Route constraints
+ * @param {Object} options.start - Point the route departs from, such as the drone home location
+ * @param {Object} options.end - Point the route returns to
+ * @param {boolean} options.pinFirst - Keep the first waypoint first
+ * @param {boolean} options.pinLast - Keep the last waypoint last
+ * @returns {Object} { order, originalDistance, optimizedDistance } with order as indexes into points
+ */
+const optimizeRoute = (points, options = {}) => {
+  const { start, end, pinFirst = false, pinLast = false } = options;
+  const count = points.length;
+
+  // Nodes are the waypoints followed by the optional start and end anchors
+  const nodes = [...points, start, end];
+  const startIndex = start ? count : -1;
+  const endIndex = end ? count + 1 : -1;
+  const matrix = nodes.map(a => nodes.map(b => (a && b ? haversineDistance(a, b) : 0)));
+  const dist = (i, j) => (i < 0 || j < 0 ? 0 : matrix[i][j]);
+
+  const head = pinFirst && count > 0 ? [0] : [];
+  const tail = pinLast && count > 1 ? [count - 1] : [];
+  const free = points.map((_, i) => i).filter(i => !head.includes(i) && !tail.includes(i));
+
+  // Nearest neighbour from the last fixed stop
+  const tour = [];
+  let current = head.length ? head[0] : startIndex;
+  const remaining = new Set(free);
+  while (remaining.size > 0) {
+    let next = null;
+    remaining.forEach(candidate => {
+      if (next === null || dist(current, candidate) < dist(current, next)) {
+        next = candidate;
+      }
+    });
+    tour.push(next);
+    remaining.delete(next);
+    current = next;
+  }
+
+  const path = [startIndex, ...head, ...tour, ...tail, endIndex];
+  const lo = 1 + head.length;
+  const hi = path.length - 2 - tail.length;
+
+  for (let round = 0; round < MAX_IMPROVEMENT_ROUNDS && hi > lo; round++) {
+    const reversedAny = twoOpt(path, lo, hi, dist);
+    const movedAny = orOpt(path, lo, hi, dist);
+    if (!reversedAny && !movedAny) break;
+  }
+
+  const order = path.slice(1, -1);
+  return {
+    order,
+    originalDistance: routeDistance([start, ...points, end]),
+    optimizedDistance: routeDistance([start, ...order.map(i => points[i]), end])
+  };
+};
+
+module.exports = {
+  routeDistance,
+  waypointsToPoints,
+  calculateAreaCovered,
+  estimateFlightTime,
+  splitIntoSorties,
+  optimizeRoute
+};
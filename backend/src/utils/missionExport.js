@@ -0,0 +1,352 @@
+const { zipSingleFile } = require('./zip');
+
+/**
+ * Mission export
+ * Writes a mission's waypoints in the formats ground stations load: QGroundControl .plan,
+ * MAVLink waypoint files (QGC WPL 110), KML/KMZ, GPX and CSV. Waypoints are the planner
+ * shape { latitude, longitude, altitude, speed, heading, gimbalPitch, action, actionParams }
+ * in flight order, with altitudes relative to the takeoff point.
+ */
+
+// MAVLink commands used by the exported missions
+const MAV_CMD = {
+  NAV_WAYPOINT: 16,
+  NAV_LOITER_TIME: 19,
+  NAV_RETURN_TO_LAUNCH: 20,
+  NAV_LAND: 21,
+  NAV_TAKEOFF: 22,
+  DO_CHANGE_SPEED: 178,
+  DO_MOUNT_CONTROL: 205,
+  IMAGE_START_CAPTURE: 2000,
+  VIDEO_START_CAPTURE: 2500,
+  VIDEO_STOP_CAPTURE: 2501
+};
+
+// MAVLink frames: absolute home position, command without a position, altitude above home
+const MAV_FRAME = {
+  GLOBAL: 0,
+  MISSION: 2,
+  GLOBAL_RELATIVE_ALT: 3
+};
+
+const MAV_MOUNT_MODE_MAVLINK_TARGETING = 2;
+const MAV_AUTOPILOT_GENERIC = 0;
+const MAV_TYPE_QUADROTOR = 2;
+
+/**
+ * Supported export formats
+ */
+const EXPORT_FORMATS = {
+  plan: { contentType: 'application/json', extension: 'plan' },
+  waypoints: { contentType: 'text/plain', extension: 'waypoints' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  kmz: { contentType: 'application/vnd.google-earth.kmz', extension: 'kmz' },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+// Helper to build a mission item that flies to a position
+const navItem = (command, waypoint, params = []) => ({
+  command,
+  frame: MAV_FRAME.GLOBAL_RELATIVE_ALT,
+  params: [params[0] || 0, params[1] || 0, params[2] || 0, params[3] === undefined ? null : params[3],
+    waypoint.latitude, waypoint.longitude, waypoint.altitude]
+});
+
+// Helper to build a mission item that runs a command without moving
+const doItem = (command, params = []) => ({
+  command,
+  frame: MAV_FRAME.MISSION,
+  params: Array.from({ length: 7 }, (_, i) => params[i] || 0)
+});
+
+/**
+ * Turn waypoints into MAVLink mission items
+ * The flight takes off above the first waypoint, sets the cruise speed and gimbal pitch when they
+ * change, and returns to launch at the end unless the last waypoint lands. Waypoint actions map to
+ * NAV_LOITER_TIME (hover), IMAGE_START_CAPTURE (takePhoto), VIDEO_START_CAPTURE followed by a hold
+ * and VIDEO_STOP_CAPTURE (recordVideo) and NAV_LAND (landNow).
+ * @param {Object} mission - Mission with its cruise speed
+ * @param {Array} waypoints - Waypoints in flight order
+ * @returns {Array} Mission items { command, frame, params, waypointIndex } with params as the 7
+ *   MAVLink parameters, null where a value is left unchanged, and the index of the waypoint an item
+ *   was made for, absent for takeoff and return to launch
+ */
+const toMissionItems = (mission, waypoints) => {
+  if (waypoints.length === 0) return [];
+
+  const items = [navItem(MAV_CMD.NAV_TAKEOFF, waypoints[0])];
+  let speed;
+  let gimbalPitch;
+
+  waypoints.forEach((waypoint, waypointIndex) => {
+    const first = items.length;
+    const waypointSpeed = waypoint.speed || mission.speed;
+    if (waypointSpeed && waypointSpeed !== speed) {
+      items.push(doItem(MAV_CMD.DO_CHANGE_SPEED, [1, waypointSpeed, -1]));
+      speed = waypointSpeed;
+    }
+
+    if (Number.isFinite(waypoint.gimbalPitch) && waypoint.gimbalPitch !== gimbalPitch) {
+      items.push(doItem(MAV_CMD.DO_MOUNT_CONTROL, [waypoint.gimbalPitch, 0, 0, 0, 0, 0, MAV_MOUNT_MODE_MAVLINK_TARGETING]));
+      gimbalPitch = waypoint.gimbalPitch;
+    }
+
+    const heading = Number.isFinite(waypoint.heading) ? waypoint.heading : undefined;
+    const params = waypoint.actionParams || {};
+
+    switch (waypoint.action) {
+      case 'hover':
+        items.push(navItem(MAV_CMD.NAV_LOITER_TIME, waypoint, [params.duration || 0]));
+        break;
+      case 'landNow':
+        items.push(navItem(MAV_CMD.NAV_LAND, waypoint, [0, 0, 0, heading]));
+        break;
+      case 'takePhoto':
+        items.push(navItem(MAV_CMD.NAV_WAYPOINT, waypoint, [0, 0, 0, heading]));
+        items.push(doItem(MAV_CMD.IMAGE_START_CAPTURE, [0, 0, 1]));
+        break;
+      case 'recordVideo':
+        items.push(navItem(MAV_CMD.NAV_WAYPOINT, waypoint, [0, 0, 0, heading]));
+        items.push(doItem(MAV_CMD.VIDEO_START_CAPTURE));
+        // Hold on the spot for the length of the clip, or keep filming until the end of the flight
+        if (params.videoLength) {
+          items.push(navItem(MAV_CMD.NAV_LOITER_TIME, waypoint, [params.videoLength]));
+          items.push(doItem(MAV_CMD.VIDEO_STOP_CAPTURE));
+        }
+        break;
+      default:
+        items.push(navItem(MAV_CMD.NAV_WAYPOINT, waypoint, [0, 0, 0, heading]));
+    }
+
+    items.slice(first).forEach(item => { item.waypointIndex = waypointIndex; });
+  });
+
+  if (waypoints[waypoints.length - 1].action !== 'landNow') {
+    items.push(doItem(MAV_CMD.NAV_RETURN_TO_LAUNCH));
+  }
+
+  return items;
+};
+
+/**
+ * Write a QGroundControl .plan file
+ * @param {Object} mission - Mission document
+ * @param {Array} waypoints - Waypoints in flight order
+ * @param {Object} home - Takeoff point { latitude, longitude, elevation } with the elevation above sea level
+ * @returns {string} Plan JSON
+ */
+const toQgcPlan = (mission, waypoints, home) => JSON.stringify({
+  fileType: 'Plan',
+  geoFence: { circles: [], polygons: [], version: 2 },
+  groundStation: 'QGroundControl',
+  mission: {
+    cruiseSpeed: mission.speed,
+    firmwareType: MAV_AUTOPILOT_GENERIC,
+    globalPlanAltitudeMode: 1,
+    hoverSpeed: mission.speed,
+    items: toMissionItems(mission, waypoints).map((item, index) => ({
+      autoContinue: true,
+      command: item.command,
+      doJumpId: index + 1,
+      frame: item.frame,
+      params: item.params,
+      type: 'SimpleItem'
+    })),
+    plannedHomePosition: [home.latitude, home.longitude, home.elevation || 0],
+    vehicleType: MAV_TYPE_QUADROTOR,
+    version: 2
+  },
+  rallyPoints: { points: [], version: 2 },
+  version: 1
+}, null, 2);
+
+/**
+ * Write a MAVLink waypoint file (QGC WPL 110)
+ * Item 0 is the home position, unset parameters are written as 0.
+ * @param {Object} mission - Mission document
+ * @param {Array} waypoints - Waypoints in flight order
+ * @param {Object} home - Takeoff point { latitude, longitude, elevation }
+ * @returns {string} Tab-separated waypoint file
+ */
+const toWaypointsFile = (mission, waypoints, home) => {
+  const rows = [
+    [0, 1, MAV_FRAME.GLOBAL, MAV_CMD.NAV_WAYPOINT, 0, 0, 0, 0, home.latitude, home.longitude, home.elevation || 0, 1],
+    ...toMissionItems(mission, waypoints).map((item, index) => [
+      index + 1, 0, item.frame, item.command, ...item.params.map(param => param === null ? 0 : param), 1
+    ])
+  ];
+
+  return ['QGC WPL 110', ...rows.map(row => row.join('\t'))].join('\n') + '\n';
+};
+
+// Helper to escape text for XML
+const escapeXml = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Helper to describe a waypoint action for people reading KML and GPX files
+const describeAction = (waypoint) => {
+  const params = waypoint.actionParams || {};
+  switch (waypoint.action) {
+    case 'hover': return `Hover ${params.duration || 0} s`;
+    case 'takePhoto': return 'Take photo';
+    case 'recordVideo': return params.videoLength ? `Record video ${params.videoLength} s` : 'Start recording video';
+    case 'landNow': return 'Land';
+    default: return 'Fly to';
+  }
+};
+
+/**
+ * Write a KML document with the flight path, the waypoints and the mission area
+ * Altitudes are above sea level when the takeoff elevation is known, otherwise above ground.
+ * @param {Object} mission - Mission document
+ * @param {Array} waypoints - Waypoints in flight order
+ * @param {Object} home - Takeoff point { latitude, longitude, elevation }
+ * @returns {string} KML document
+ */
+const toKml = (mission, waypoints, home) => {
+  const absolute = Number.isFinite(home.elevation);
+  const altitudeMode = absolute ? 'absolute' : 'relativeToGround';
+  const altitudeOf = (waypoint) => Math.round(((waypoint.altitude || 0) + (absolute ? home.elevation : 0)) * 10) / 10;
+  const coordinates = waypoints.map(waypoint => `${waypoint.longitude},${waypoint.latitude},${altitudeOf(waypoint)}`);
+  const boundary = mission.boundingBox && mission.boundingBox.coordinates && mission.boundingBox.coordinates[0];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(mission.name)}</name>`,
+    mission.description ? `    <description>${escapeXml(mission.description)}</description>` : null,
+    '    <Style id="path"><LineStyle><color>ff0000ff</color><width>3</width></LineStyle></Style>',
+    '    <Style id="area"><LineStyle><color>ffff0000</color><width>2</width></LineStyle><PolyStyle><color>33ff0000</color></PolyStyle></Style>',
+    boundary ? [
+      '    <Placemark>',
+      '      <name>Mission area</name>',
+      '      <styleUrl>#area</styleUrl>',
+      '      <Polygon><outerBoundaryIs><LinearRing>',
+      `        <coordinates>${boundary.map(([longitude, latitude]) => `${longitude},${latitude},0`).join(' ')}</coordinates>`,
+      '      </LinearRing></outerBoundaryIs></Polygon>',
+      '    </Placemark>'
+    ].join('\n') : null,
+    '    <Placemark>',
+    '      <name>Flight path</name>',
+    '      <styleUrl>#path</styleUrl>',
+    '      <LineString>',
+    `        <altitudeMode>${altitudeMode}</altitudeMode>`,
+    `        <coordinates>${coordinates.join(' ')}</coordinates>`,
+    '      </LineString>',
+    '    </Placemark>',
+    '    <Folder>',
+    '      <name>Waypoints</name>',
+    ...waypoints.map((waypoint, index) => [
+      '      <Placemark>',
+      `        <name>WP ${index + 1}</name>`,
+      `        <description>${escapeXml(`${describeAction(waypoint)}, ${waypoint.altitude} m above takeoff`)}</description>`,
+      `        <Point><altitudeMode>${altitudeMode}</altitudeMode><coordinates>${coordinates[index]}</coordinates></Point>`,
+      '      </Placemark>'
+    ].join('\n')),
+    '    </Folder>',
+    '  </Document>',
+    '</kml>'
+  ].filter(line => line !== null).join('\n') + '\n';
+};
+
+/**
+ * Write a GPX route through the waypoints
+ * Elevations are above sea level when the takeoff elevation is known, otherwise above takeoff.
+ * @param {Object} mission - Mission document
+ * @param {Array} waypoints - Waypoints in flight order
+ * @param {Object} home - Takeoff point { latitude, longitude, elevation }
+ * @returns {string} GPX document
+ */
+const toGpx = (mission, waypoints, home) => {
+  const offset = Number.isFinite(home.elevation) ? home.elevation : 0;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Drone Survey Management System" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(mission.name)}</name>`,
+    mission.description ? `    <desc>${escapeXml(mission.description)}</desc>` : null,
+    '  </metadata>',
+    '  <rte>',
+    `    <name>${escapeXml(mission.name)}</name>`,
+    ...waypoints.map((waypoint, index) => [
+      `    <rtept lat="${waypoint.latitude}" lon="${waypoint.longitude}">`,
+      `      <ele>${Math.round(((waypoint.altitude || 0) + offset) * 10) / 10}</ele>`,
+      `      <name>WP ${index + 1}</name>`,
+      `      <desc>${escapeXml(describeAction(waypoint))}</desc>`,
+      '    </rtept>'
+    ].join('\n')),
+    '  </rte>',
+    '</gpx>'
+  ].filter(line => line !== null).join('\n') + '\n';
+};
+
+/**
+ * Write the waypoints as CSV
+ * @param {Object} mission - Mission document
+ * @param {Array} waypoints - Waypoints in flight order
+ * @returns {string} CSV with a header row
+ */
+const toCsv = (mission, waypoints) => {
+  const header = 'order,latitude,longitude,altitude,speed,heading,gimbalPitch,action,duration,videoLength';
+  const rows = waypoints.map((waypoint, index) => {
+    const params = waypoint.actionParams || {};
+    return [
+      index + 1,
+      waypoint.latitude,
+      waypoint.longitude,
+      waypoint.altitude,
+      waypoint.speed || mission.speed,
+      waypoint.heading,
+      waypoint.gimbalPitch,
+      waypoint.action || 'flyTo',
+      params.duration,
+      params.videoLength
+    ].map(value => value === undefined || value === null ? '' : value).join(',');
+  });
+  return [header, ...rows].join('\n') + '\n';
+};
+
+/**
+ * Export a mission in a ground station format
+ * @param {Object} mission - Mission document
+ * @param {Array} waypoints - Waypoints in flight order
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} home - Takeoff point { latitude, longitude, elevation }, defaults to the first waypoint
+ * @returns {Object} { content, contentType, extension } with the content as a string or Buffer
+ */
+const exportMission = (mission, waypoints, format, home = {}) => {
+  const target = EXPORT_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unsupported export format "${format}", use one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const takeoff = {
+    latitude: Number.isFinite(home.latitude) ? home.latitude : waypoints[0].latitude,
+    longitude: Number.isFinite(home.longitude) ? home.longitude : waypoints[0].longitude,
+    elevation: home.elevation
+  };
+
+  const writers = {
+    plan: () => toQgcPlan(mission, waypoints, takeoff),
+    waypoints: () => toWaypointsFile(mission, waypoints, takeoff),
+    kml: () => toKml(mission, waypoints, takeoff),
+    kmz: () => zipSingleFile('doc.kml', Buffer.from(toKml(mission, waypoints, takeoff))),
+    gpx: () => toGpx(mission, waypoints, takeoff),
+    csv: () => toCsv(mission, waypoints)
+  };
+
+  return { content: writers[format](), ...target };
+};
+
+module.exports = {
+  MAV_CMD,
+  EXPORT_FORMATS,
+  toMissionItems,
+  exportMission
+};
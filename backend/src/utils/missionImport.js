@@ -0,0 +1,666 @@
+const { toLngLat, toLocalPoint, haversineDistance } = require('./geodesy');
+const { unzip } = require('./zip');
+const { MAV_CMD } = require('./missionExport');
+const missionImportConfig = require('../config/missionImportConfig');
+
+/**
+ * Mission import
+ * Reads flight paths and survey areas from KML/KMZ, GPX, GeoJSON, QGroundControl .plan and
+ * MAVLink .waypoints files into planner waypoints { order, latitude, longitude, altitude, speed,
+ * heading, gimbalPitch, action, actionParams } and a GeoJSON Polygon boundary. Altitudes are
+ * heights above takeoff and are left out where the file has none that can be used.
+ */
+
+// MAVLink frames that give altitudes above sea level, above home and above terrain
+const ABSOLUTE_FRAMES = [0, 5];
+const RELATIVE_FRAMES = [3, 6];
+const TERRAIN_FRAMES = [10, 11];
+
+// MAVLink commands read from imported missions besides the exported ones
+const MAV_CMD_DO_DIGICAM_CONTROL = 203;
+const MAV_CMD_DO_SET_CAM_TRIGG_DIST = 206;
+const MAV_CMD_DO_GIMBAL_MANAGER_PITCHYAW = 1000;
+
+const ACTIONS = ['flyTo', 'hover', 'takePhoto', 'recordVideo', 'landNow'];
+
+// Helper to decode XML text, including CDATA sections and character references
+const decodeXml = (text) => String(text || '')
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+// Helper to find the elements with a tag, with or without a namespace prefix
+const xmlElements = (xml, tag) => [...xml.matchAll(
+  new RegExp(`<(?:[\\w-]+:)?${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/(?:[\\w-]+:)?${tag}>)`, 'gi')
+)].map(match => ({ attributes: match[1], content: match[2] || '' }));
+
+// Helper to read the text of the first element with a tag
+const xmlText = (xml, tag) => {
+  const [element] = xmlElements(xml, tag);
+  return element ? decodeXml(element.content).trim() : undefined;
+};
+
+// Helper to read an attribute of an element
+const xmlAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return match ? decodeXml(match[1] !== undefined ? match[1] : match[2]) : undefined;
+};
+
+/**
+ * Collects warnings without repeating them
+ * @returns {Object} { add, list }
+ */
+const warningList = () => {
+  const warnings = new Set();
+  return {
+    add: (message) => warnings.add(message),
+    list: () => [...warnings]
+  };
+};
+
+// Helper to turn an altitude into a height above takeoff, by its reference
+const toHeight = (value, reference, options, warnings) => {
+  if (!Number.isFinite(value)) return undefined;
+
+  if (reference === 'ground') {
+    warnings.add('Altitudes clamped to the ground are ignored, the mission altitude is used');
+    return undefined;
+  }
+  if (reference === 'absolute') {
+    if (options.elevation === undefined) {
+      warnings.add('Altitudes above sea level are ignored without the takeoff elevation, the mission altitude is used');
+      return undefined;
+    }
+    return value - options.elevation;
+  }
+  return value;
+};
+
+// Helper to read KML coordinates, "longitude,latitude[,altitude]" tuples separated by whitespace
+const kmlCoordinates = (text) => decodeXml(text).trim().split(/\s+/).filter(Boolean).map(tuple => {
+  const [longitude, latitude, altitude] = tuple.split(',').map(Number);
+  return { latitude, longitude, altitude };
+});
+
+// Helper to read the altitude reference of a KML geometry
+const kmlReference = (geometry) => {
+  const mode = xmlText(geometry, 'altitudeMode') || 'clampToGround';
+  if (/^relativeTo/i.test(mode)) return 'relative';
+  if (/^absolute$/i.test(mode)) return 'absolute';
+  return 'ground';
+};
+
+/**
+ * Parse a KML document
+ * The first path (LineString) becomes the route, or the point placemarks in document order
+ * when there is none. The first polygon becomes the boundary.
+ * @param {string} text - KML document
+ * @param {Object} options - Import options
+ * @returns {Object} { name, route, boundary, warnings }
+ */
+const parseKml = (text, options = {}) => {
+  const kml = text.replace(/<!--[\s\S]*?-->/g, '');
+  if (!/<(?:[\w-]+:)?kml\b/i.test(kml)) {
+    throw new Error('Not a KML document');
+  }
+
+  const warnings = warningList();
+  const placemarks = xmlElements(kml, 'Placemark').map(placemark => placemark.content);
+  const heights = (geometry) => kmlCoordinates(xmlText(geometry, 'coordinates') || '').map(point => ({
+    ...point,
+    altitude: toHeight(point.altitude, kmlReference(geometry), options, warnings)
+  }));
+
+  const lines = placemarks.flatMap(placemark => xmlElements(placemark, 'LineString').map(line => line.content));
+  const polygons = placemarks.flatMap(placemark => xmlElements(placemark, 'Polygon').map(polygon => polygon.content));
+  const points = placemarks.flatMap(placemark => xmlElements(placemark, 'Point').map(point => point.content));
+
+  let route = [];
+  if (lines.length > 0) {
+    if (lines.length > 1) warnings.add(`Only the first of ${lines.length} paths is used`);
+    route = heights(lines[0]).map(point => ({ ...point, action: 'flyTo' }));
+  } else {
+    route = points.map(geometry => ({ ...heights(geometry)[0], action: 'flyTo' }));
+  }
+
+  let boundary = null;
+  if (polygons.length > 0) {
+    if (polygons.length > 1) warnings.add(`Only the first of ${polygons.length} areas is used`);
+    const [outer] = xmlElements(polygons[0], 'outerBoundaryIs');
+    boundary = kmlCoordinates(xmlText(outer ? outer.content : polygons[0], 'coordinates') || '');
+  }
+
+  return {
+    name: xmlText(xmlElements(kml, 'Document')[0]?.content || kml, 'name'),
+    route,
+    boundary,
+    warnings: warnings.list()
+  };
+};
+
+/**
+ * Simplify a recorded track, keeping the points needed to stay within a tolerance of it
+ * @param {Array} points - Track points { latitude, longitude, altitude }
+ * @param {number} tolerance - Largest distance from the original line in meters
+ * @returns {Array} Kept points
+ */
+const simplifyTrack = (points, tolerance) => {
+  if (points.length < 3) return points;
+
+  const origin = points[0];
+  const local = points.map(point => toLocalPoint(point, origin));
+  const keep = points.map(() => false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Douglas-Peucker, iterative to cope with long tracks
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    const a = local[first];
+    const b = local[last];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+
+    let furthest = -1;
+    let distance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const p = local[i];
+      const offset = length === 0
+        ? Math.hypot(p.x - a.x, p.y - a.y)
+        : Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length;
+      if (offset > distance) {
+        furthest = i;
+        distance = offset;
+      }
+    }
+
+    if (furthest !== -1) {
+      keep[furthest] = true;
+      stack.push([first, furthest], [furthest, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+};
+
+/**
+ * Parse a GPX document
+ * The first route is used, otherwise the first track with its segments joined and simplified,
+ * otherwise the waypoints. Elevations are above sea level.
+ * @param {string} text - GPX document
+ * @param {Object} options - Import options
+ * @returns {Object} { name, route, boundary, warnings }
+ */
+const parseGpx = (text, options = {}) => {
+  const gpx = text.replace(/<!--[\s\S]*?-->/g, '');
+  if (!/<(?:[\w-]+:)?gpx\b/i.test(gpx)) {
+    throw new Error('Not a GPX document');
+  }
+
+  const warnings = warningList();
+  const readPoints = (xml, tag) => xmlElements(xml, tag).map(point => ({
+    latitude: parseFloat(xmlAttribute(point.attributes, 'lat')),
+    longitude: parseFloat(xmlAttribute(point.attributes, 'lon')),
+    altitude: toHeight(parseFloat(xmlText(point.content, 'ele')), 'absolute', options, warnings),
+    action: 'flyTo'
+  }));
+
+  const routes = xmlElements(gpx, 'rte');
+  const tracks = xmlElements(gpx, 'trk');
+  let route;
+  let name;
+
+  if (routes.length > 0) {
+    if (routes.length > 1) warnings.add(`Only the first of ${routes.length} routes is used`);
+    route = readPoints(routes[0].content, 'rtept');
+    name = xmlText(routes[0].content, 'name');
+  } else if (tracks.length > 0) {
+    if (tracks.length > 1) warnings.add(`Only the first of ${tracks.length} tracks is used`);
+    const recorded = readPoints(tracks[0].content, 'trkpt');
+    route = simplifyTrack(recorded, missionImportConfig.trackTolerance);
+    name = xmlText(tracks[0].content, 'name');
+    if (route.length < recorded.length) {
+      warnings.add(`Track simplified from ${recorded.length} to ${route.length} points`);
+    }
+  } else {
+    route = readPoints(gpx, 'wpt');
+  }
+
+  const [metadata] = xmlElements(gpx, 'metadata');
+  return {
+    name: name || (metadata && xmlText(metadata.content, 'name')),
+    route,
+    boundary: null,
+    warnings: warnings.list()
+  };
+};
+
+// Helper to read a GeoJSON position as a point, its third value being the height above takeoff
+const geoJsonPoint = (position) => {
+  const [longitude, latitude, altitude] = Array.isArray(position) ? position.map(Number) : [];
+  return { latitude, longitude, altitude: Number.isFinite(altitude) ? altitude : undefined };
+};
+
+/**
+ * Parse a GeoJSON document
+ * The first LineString becomes the route, or the Point features (in their `order` property or
+ * document order) when there is none. The first Polygon becomes the boundary.
+ * @param {Object|string} input - GeoJSON object or text
+ * @returns {Object} { name, route, boundary, warnings }
+ */
+const parseGeoJsonMission = (input) => {
+  const data = typeof input === 'string' ? parseJson(input, 'GeoJSON') : input;
+  const warnings = warningList();
+
+  let features;
+  if (data && data.type === 'FeatureCollection') {
+    features = Array.isArray(data.features) ? data.features : [];
+  } else if (data && data.type === 'Feature') {
+    features = [data];
+  } else if (data && data.type) {
+    features = [{ type: 'Feature', geometry: data, properties: {} }];
+  } else {
+    throw new Error('Expected a GeoJSON FeatureCollection, Feature or geometry');
+  }
+
+  const ofType = (...types) => features.filter(feature => feature && feature.geometry &&
+    types.includes(feature.geometry.type));
+  const lines = ofType('LineString', 'MultiLineString');
+  const polygons = ofType('Polygon', 'MultiPolygon');
+  const points = ofType('Point');
+
+  let route = [];
+  let name = data.name || (data.properties && data.properties.name);
+  if (lines.length > 0) {
+    const [line] = lines;
+    const { geometry, properties = {} } = line;
+    if (lines.length > 1 || geometry.type === 'MultiLineString') warnings.add('Only the first path is used');
+
+    const coordinates = geometry.type === 'MultiLineString' ? geometry.coordinates[0] : geometry.coordinates;
+    route = (coordinates || []).map(position => {
+      const point = geoJsonPoint(position);
+      return { ...point, altitude: point.altitude !== undefined ? point.altitude : properties.altitude, action: 'flyTo' };
+    });
+    name = name || (properties && properties.name);
+  } else if (points.length > 0) {
+    route = points
+      .map((feature, index) => ({ feature, index, order: Number((feature.properties || {}).order) }))
+      .sort((a, b) => (Number.isFinite(a.order) && Number.isFinite(b.order) ? a.order - b.order : a.index - b.index))
+      .map(({ feature }) => {
+        const properties = feature.properties || {};
+        const point = geoJsonPoint(feature.geometry.coordinates);
+        return {
+          ...point,
+          altitude: point.altitude !== undefined ? point.altitude : properties.altitude,
+          speed: properties.speed,
+          heading: properties.heading,
+          gimbalPitch: properties.gimbalPitch,
+          action: properties.action,
+          actionParams: properties.actionParams
+        };
+      });
+  }
+
+  let boundary = null;
+  if (polygons.length > 0) {
+    const { geometry } = polygons[0];
+    if (polygons.length > 1 || geometry.type === 'MultiPolygon') warnings.add('Only the first area is used');
+    const rings = geometry.type === 'MultiPolygon' ? geometry.coordinates[0] : geometry.coordinates;
+    boundary = ((rings && rings[0]) || []).map(geoJsonPoint);
+  }
+
+  return { name, route, boundary, warnings: warnings.list() };
+};
+
+/**
+ * Turn MAVLink mission items into waypoints
+ * Navigation items become waypoints, camera, speed and gimbal items set the action, speed and
+ * gimbal pitch of the waypoints around them.
+ * @param {Array} items - Mission items { command, frame, params } with the 7 MAVLink parameters
+ * @param {Object} options - Import options, with the home altitude above sea level as homeAltitude,
+ *   and zeroYawUnset when a yaw of 0 means the heading is left as it is
+ * @param {Object} warnings - Warning list
+ * @returns {Array} Waypoints
+ */
+const fromMissionItems = (items, options, warnings) => {
+  const waypoints = [];
+  let speed;
+  let gimbalPitch;
+  let triggerDistance = 0;
+
+  const last = () => waypoints[waypoints.length - 1];
+  const altitudeOf = (frame, altitude) => {
+    if (RELATIVE_FRAMES.includes(frame)) return altitude;
+    if (TERRAIN_FRAMES.includes(frame)) {
+      warnings.add('Altitudes above terrain are used as heights above takeoff');
+      return altitude;
+    }
+    if (ABSOLUTE_FRAMES.includes(frame)) {
+      return toHeight(altitude, 'absolute', {
+        elevation: options.elevation !== undefined ? options.elevation : options.homeAltitude
+      }, warnings);
+    }
+    warnings.add(`Altitudes in MAVLink frame ${frame} are ignored, the mission altitude is used`);
+    return undefined;
+  };
+
+  items.forEach(({ command, frame, params }) => {
+    const [param1, param2, , param4, latitude, longitude, altitude] = (params || []).map(value =>
+      value === null || value === undefined ? NaN : Number(value));
+    const position = () => {
+      // Landing and loiter items without a position act where the drone is
+      if (!latitude && !longitude && last()) {
+        return { latitude: last().latitude, longitude: last().longitude, altitude: last().altitude };
+      }
+      return { latitude, longitude, altitude: altitudeOf(frame, altitude) };
+    };
+    const waypoint = (action, actionParams) => ({
+      ...position(),
+      speed,
+      heading: Number.isFinite(param4) && !(options.zeroYawUnset && param4 === 0) ? param4 : undefined,
+      gimbalPitch,
+      action,
+      actionParams
+    });
+
+    switch (command) {
+      case MAV_CMD.NAV_WAYPOINT:
+        if (param1 > 0) {
+          waypoints.push(waypoint('hover', { duration: param1 }));
+        } else {
+          waypoints.push(waypoint(triggerDistance > 0 ? 'takePhoto' : 'flyTo'));
+        }
+        break;
+      case MAV_CMD.NAV_LOITER_TIME: {
+        const previous = last();
+        const next = position();
+        // A hold right after starting a video at the same spot is the clip length
+        if (previous && previous.action === 'recordVideo' && haversineDistance(previous, next) < 1) {
+          previous.actionParams = { videoLength: param1 };
+        } else {
+          waypoints.push({ ...waypoint('hover', { duration: param1 || 0 }), heading: undefined });
+        }
+        break;
+      }
+      case MAV_CMD.NAV_LAND:
+        waypoints.push(waypoint('landNow'));
+        break;
+      case MAV_CMD.NAV_TAKEOFF:
+      case MAV_CMD.NAV_RETURN_TO_LAUNCH:
+      case MAV_CMD.VIDEO_STOP_CAPTURE:
+        break;
+      case MAV_CMD.DO_CHANGE_SPEED:
+        if (param2 > 0) speed = param2;
+        break;
+      case MAV_CMD.DO_MOUNT_CONTROL:
+      case MAV_CMD_DO_GIMBAL_MANAGER_PITCHYAW:
+        if (Number.isFinite(param1)) gimbalPitch = param1;
+        break;
+      case MAV_CMD.IMAGE_START_CAPTURE:
+      case MAV_CMD_DO_DIGICAM_CONTROL:
+        if (last() && last().action === 'flyTo') last().action = 'takePhoto';
+        if (command === MAV_CMD.IMAGE_START_CAPTURE && param2 > 0) {
+          warnings.add('Timed photo capture is imported as a single photo');
+        }
+        break;
+      case MAV_CMD_DO_SET_CAM_TRIGG_DIST:
+        triggerDistance = param1 || 0;
+        if (triggerDistance > 0) {
+          warnings.add('Distance-triggered photos are imported as a photo at each waypoint');
+          if (last() && last().action === 'flyTo') last().action = 'takePhoto';
+        }
+        break;
+      case MAV_CMD.VIDEO_START_CAPTURE:
+        if (last()) last().action = 'recordVideo';
+        break;
+      default:
+        warnings.add(`Skipped unsupported MAVLink command ${command}`);
+    }
+  });
+
+  return waypoints;
+};
+
+// Helper to flatten the simple items of a QGroundControl plan, survey items included
+const planItems = (items, boundaries) => (items || []).flatMap(item => {
+  if (item.type === 'SimpleItem') {
+    return [{ command: item.command, frame: item.frame, params: item.params }];
+  }
+  if (item.type === 'ComplexItem') {
+    if (Array.isArray(item.polygon) && item.polygon.length >= 3) {
+      boundaries.push(item.polygon.map(([latitude, longitude]) => ({ latitude, longitude })));
+    }
+    const transect = item.TransectStyleComplexItem || {};
+    return planItems(transect.Items, boundaries);
+  }
+  return [];
+});
+
+/**
+ * Parse a QGroundControl .plan file
+ * Survey (complex) items contribute their flight lines and their polygon as the boundary.
+ * @param {Object|string} input - Plan object or JSON text
+ * @param {Object} options - Import options
+ * @returns {Object} { name, route, boundary, warnings, speed }
+ */
+const parseQgcPlan = (input, options = {}) => {
+  const plan = typeof input === 'string' ? parseJson(input, 'plan') : input;
+  if (!plan || plan.fileType !== 'Plan' || !plan.mission) {
+    throw new Error('Not a QGroundControl plan');
+  }
+
+  const warnings = warningList();
+  const boundaries = [];
+  const items = planItems(plan.mission.items, boundaries);
+  const home = plan.mission.plannedHomePosition || [];
+  if (boundaries.length > 1) warnings.add(`Only the first of ${boundaries.length} survey areas is used`);
+
+  return {
+    route: fromMissionItems(items, { ...options, homeAltitude: home[2] }, warnings),
+    boundary: boundaries[0] || null,
+    speed: plan.mission.cruiseSpeed,
+    warnings: warnings.list()
+  };
+};
+
+/**
+ * Parse a MAVLink waypoint file (QGC WPL 110)
+ * The first item is the home position.
+ * @param {string} text - File contents
+ * @param {Object} options - Import options
+ * @returns {Object} { route, boundary, warnings }
+ */
+const parseWaypointsFile = (text, options = {}) => {
+  const [header, ...lines] = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (!/^QGC WPL 1[12]0$/.test(header || '')) {
+    throw new Error('Not a MAVLink waypoint file, expected a QGC WPL 110 header');
+  }
+
+  const rows = lines.map((line, index) => {
+    const fields = line.split(/\s+/).map(Number);
+    if (fields.length < 12 || fields.slice(0, 11).some(value => Number.isNaN(value))) {
+      throw new Error(`Unreadable waypoint file line ${index + 2}`);
+    }
+    const [sequence, , frame, command, ...params] = fields;
+    return { sequence, frame, command, params: params.slice(0, 7) };
+  });
+
+  const warnings = warningList();
+  const home = rows.find(row => row.sequence === 0);
+  const items = rows.filter(row => row.sequence !== 0);
+
+  // Waypoint files have no empty values, ground stations write a yaw of 0 for no heading
+  return {
+    route: fromMissionItems(items, {
+      ...options,
+      homeAltitude: home ? home.params[6] : undefined,
+      zeroYawUnset: true
+    }, warnings),
+    boundary: null,
+    warnings: warnings.list()
+  };
+};
+
+// Helper to parse JSON files with a readable error
+const parseJson = (text, label) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid ${label}: ${error.message}`);
+  }
+};
+
+// Helper to detect the format of a mission file from its contents
+const detectFormat = (buffer) => {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'kmz';
+
+  const text = buffer.toString('utf8', 0, 4096).replace(/^\uFEFF/, '').trimStart();
+  if (text.startsWith('QGC WPL')) return 'waypoints';
+  if (text.startsWith('{')) return /"fileType"\s*:\s*"Plan"/.test(buffer.toString('utf8')) ? 'plan' : 'geojson';
+  if (/<(?:[\w-]+:)?kml\b/i.test(text)) return 'kml';
+  if (/<(?:[\w-]+:)?gpx\b/i.test(text)) return 'gpx';
+  throw new Error('Unrecognized mission file, use KML, KMZ, GPX, GeoJSON, .plan or .waypoints');
+};
+
+// Helper to read an optional number from a file property
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Helper to check a point and report where it came from when it is not on the globe
+const assertCoordinates = (point, label) => {
+  if (!Number.isFinite(point.latitude) || !Number.isFinite(point.longitude) ||
+    Math.abs(point.latitude) > 90 || Math.abs(point.longitude) > 180) {
+    throw new Error(`${label} has invalid coordinates (${point.latitude}, ${point.longitude})`);
+  }
+};
+
+/**
+ * Import a mission file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Import options
+ * @param {string} options.format - kml, kmz, gpx, geojson, plan or waypoints, detected when missing
+ * @param {number} options.altitude - Height above takeoff for waypoints without one
+ * @param {number} options.elevation - Takeoff elevation above sea level, to use altitudes above sea level
+ * @returns {Object} { format, name, waypoints, boundingBox, speed, warnings }
+ * @throws {Error} If the file cannot be read or a coordinate is invalid
+ */
+const importMissionFile = (buffer, options = {}) => {
+  const format = options.format || detectFormat(buffer);
+  const text = () => buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  let parsed;
+  switch (format) {
+    case 'kml':
+      parsed = parseKml(text(), options);
+      break;
+    case 'kmz': {
+      const entries = unzip(buffer, {
+        filter: name => /\.kml$/i.test(name),
+        maxSize: missionImportConfig.maxKmlSize
+      });
+      const document = entries.find(entry => /(^|\/)doc\.kml$/i.test(entry.name)) || entries[0];
+      if (!document) throw new Error('KMZ archive contains no KML document');
+      parsed = parseKml(document.content.toString('utf8'), options);
+      break;
+    }
+    case 'gpx':
+      parsed = parseGpx(text(), options);
+      break;
+    case 'geojson':
+      parsed = parseGeoJsonMission(text());
+      break;
+    case 'plan':
+      parsed = parseQgcPlan(text(), options);
+      break;
+    case 'waypoints':
+      parsed = parseWaypointsFile(text(), options);
+      break;
+    default:
+      throw new Error(`Unsupported mission format "${format}", use kml, kmz, gpx, geojson, plan or waypoints`);
+  }
+
+  const warnings = [...parsed.warnings];
+  const route = parsed.route.filter(point => point);
+  if (route.length === 0 && !parsed.boundary) {
+    throw new Error('File contains no path, waypoints or area');
+  }
+  if (route.length > missionImportConfig.maxWaypoints) {
+    throw new Error(`File has ${route.length} waypoints, the most a mission may have is ${missionImportConfig.maxWaypoints}`);
+  }
+
+  let missingAltitude = 0;
+  const waypoints = route.map((point, index) => {
+    assertCoordinates(point, `Waypoint ${index + 1}`);
+
+    let altitude = Number.isFinite(point.altitude) ? point.altitude : undefined;
+    if (altitude === undefined) {
+      missingAltitude++;
+      altitude = options.altitude;
+    }
+    if (altitude !== undefined && altitude < 0) {
+      throw new Error(`Waypoint ${index + 1} is ${Math.round(-altitude)} m below takeoff`);
+    }
+
+    const heading = toNumber(point.heading);
+    const gimbalPitch = toNumber(point.gimbalPitch);
+
+    return {
+      order: index + 1,
+      latitude: point.latitude,
+      longitude: point.longitude,
+      altitude: altitude === undefined ? undefined : Math.round(altitude * 10) / 10,
+      speed: toNumber(point.speed) > 0 ? toNumber(point.speed) : undefined,
+      heading: heading === undefined ? undefined : ((heading % 360) + 360) % 360,
+      gimbalPitch: gimbalPitch === undefined ? undefined : Math.min(30, Math.max(-90, gimbalPitch)),
+      action: ACTIONS.includes(point.action) ? point.action : 'flyTo',
+      actionParams: point.actionParams
+    };
+  });
+
+  if (missingAltitude > 0) {
+    warnings.push(options.altitude !== undefined
+      ? `${missingAltitude} waypoints without a usable altitude fly at ${options.altitude} m`
+      : `${missingAltitude} waypoints have no usable altitude and fly at the mission altitude`);
+  }
+
+  let boundingBox = null;
+  if (parsed.boundary) {
+    parsed.boundary.forEach((point, index) => assertCoordinates(point, `Boundary point ${index + 1}`));
+    const ring = parsed.boundary.map(toLngLat);
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) ring.pop();
+
+    if (ring.length < 3) {
+      warnings.push('The area has fewer than 3 points and is ignored');
+    } else {
+      boundingBox = { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+    }
+  }
+
+  return {
+    format,
+    name: parsed.name,
+    waypoints,
+    boundingBox,
+    speed: parsed.speed,
+    warnings
+  };
+};
+
+module.exports = {
+  parseKml,
+  parseGpx,
+  parseGeoJsonMission,
+  parseQgcPlan,
+  parseWaypointsFile,
+  importMissionFile
+};
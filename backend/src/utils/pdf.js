@@ -0,0 +1,74 @@
+/**
+ * Minimal PDF support for printable reports
+ * Writes lines of text in a fixed-width font over as many landscape A4 pages as they need, with the
+ * page number at the foot of each page. Text outside Latin-1 is replaced, as the standard fonts
+ * cannot show it.
+ */
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 40;
+
+// Helper to escape text for a PDF string literal
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+  .replace(/[\\()]/g, match => `\\${match}`);
+
+/**
+ * Write lines of text as a PDF document
+ * @param {Array} lines - Strings, or { text, bold } for emphasized lines, an empty string for a gap
+ * @param {Object} options - Layout options
+ * @param {number} options.fontSize - Font size in points
+ * @returns {Buffer} PDF document
+ */
+const writePdf = (lines, { fontSize = 8 } = {}) => {
+  const lineHeight = Math.round(fontSize * 1.4);
+  const linesPerPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN - lineHeight * 2) / lineHeight);
+  const pages = [];
+  for (let i = 0; i < Math.max(1, lines.length); i += linesPerPage) {
+    pages.push(lines.slice(i, i + linesPerPage));
+  }
+
+  // Objects 1 to 4 are the catalog, page tree and fonts, then a page and its contents for each page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((pageLines, index) => {
+    const commands = pageLines.map((line, row) => {
+      const { text, bold } = typeof line === 'string' ? { text: line } : line;
+      const y = PAGE_HEIGHT - MARGIN - fontSize - row * lineHeight;
+      return `BT /${bold ? 'F2' : 'F1'} ${fontSize} Tf ${MARGIN} ${y} Td (${escapeText(text)}) Tj ET`;
+    });
+    commands.push(`BT /F1 ${fontSize} Tf ${MARGIN} ${MARGIN - fontSize} Td (${escapeText(`Page ${index + 1} of ${pages.length}`)}) Tj ET`);
+    const stream = commands.join('\n');
+
+    const pageId = pageIds[index];
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  // Cross-reference table of the byte offset of every object
+  let body = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(body, 'latin1');
+    body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+};
+
+module.exports = {
+  writePdf
+};
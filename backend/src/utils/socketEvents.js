@@ -16,6 +16,21 @@ exports.emitDroneUpdate = (droneId, data) => {
   }
 };
 
+/**
+ * Emit a drone telemetry event to all connected clients subscribed to that drone
+ * @param {string} droneId - ID of the drone reporting telemetry
+ * @param {Object} telemetry - Telemetry snapshot
+ */
+exports.emitDroneTelemetry = (droneId, telemetry) => {
+  const io = socketManager.getIO();
+  if (io) {
+    io.to(socketConfig.rooms.droneRoom(droneId)).emit(
+      socketConfig.events.DRONE_TELEMETRY,
+      { droneId, ...telemetry }
+    );
+  }
+};
+
 /**
  * Emit a mission update event to all connected clients subscribed to that mission
  * @param {string} missionId - ID of the mission that was updated
@@ -0,0 +1,72 @@
+/**
+ * Sun position
+ * Works out how high the sun stands over a place, precise to a fraction of a degree, which is
+ * plenty for telling day from night. Follows the NOAA solar calculator.
+ */
+
+// Sun elevation in degrees below which it counts as night, the end of civil twilight
+const NIGHT_SUN_ELEVATION = -6;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Calculate the elevation of the sun above the horizon
+ * @param {Date} date - Moment to look at
+ * @param {Object} point - Place on the ground { latitude, longitude }
+ * @returns {number} Elevation in degrees, negative when the sun is below the horizon
+ */
+const sunElevation = (date, { latitude, longitude }) => {
+  // Julian centuries since J2000.0
+  const t = (new Date(date).getTime() / 86400000 + 2440587.5 - 2451545) / 36525;
+
+  const meanLongitude = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+  const meanAnomaly = toRadians(357.52911 + t * (35999.05029 - 0.0001537 * t));
+  const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+  const center = Math.sin(meanAnomaly) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+    Math.sin(2 * meanAnomaly) * (0.019993 - 0.000101 * t) +
+    Math.sin(3 * meanAnomaly) * 0.000289;
+
+  const omega = toRadians(125.04 - 1934.136 * t);
+  const apparentLongitude = toRadians(meanLongitude + center - 0.00569 - 0.00478 * Math.sin(omega));
+  const obliquity = toRadians(
+    23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60 + 0.00256 * Math.cos(omega)
+  );
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(apparentLongitude));
+
+  // Equation of time in minutes
+  const y = Math.tan(obliquity / 2) ** 2;
+  const l0 = toRadians(meanLongitude);
+  const equationOfTime = 4 * toDegrees(
+    y * Math.sin(2 * l0) -
+    2 * eccentricity * Math.sin(meanAnomaly) +
+    4 * eccentricity * y * Math.sin(meanAnomaly) * Math.cos(2 * l0) -
+    0.5 * y * y * Math.sin(4 * l0) -
+    1.25 * eccentricity * eccentricity * Math.sin(2 * meanAnomaly)
+  );
+
+  const minutesOfDay = (new Date(date).getTime() % 86400000) / 60000;
+  const solarTime = ((minutesOfDay + equationOfTime + 4 * longitude) % 1440 + 1440) % 1440;
+  const hourAngle = toRadians(solarTime / 4 - 180);
+
+  const latitudeRadians = toRadians(latitude);
+  const zenith = Math.acos(Math.max(-1, Math.min(1,
+    Math.sin(latitudeRadians) * Math.sin(declination) +
+    Math.cos(latitudeRadians) * Math.cos(declination) * Math.cos(hourAngle)
+  )));
+  return 90 - toDegrees(zenith);
+};
+
+/**
+ * Check whether it is night at a place
+ * @param {Date} date - Moment to look at
+ * @param {Object} point - Place on the ground { latitude, longitude }
+ * @returns {boolean} Whether the sun is below the end of civil twilight
+ */
+const isNight = (date, point) => sunElevation(date, point) < NIGHT_SUN_ELEVATION;
+
+module.exports = {
+  NIGHT_SUN_ELEVATION,
+  sunElevation,
+  isNight
+};
@@ -0,0 +1,245 @@
+const { haversineDistance } = require('./geodesy');
+const terrainConfig = require('../config/terrainConfig');
+
+/**
+ * Terrain following
+ * Waypoint altitudes are relative to the takeoff point. With a terrain model the
+ * planner altitudes are read as heights above the ground below each waypoint and
+ * converted back to takeoff-relative altitudes for the flight controller.
+ */
+
+/**
+ * Create an elevation lookup for a grid, interpolating bilinearly between cell centers
+ * @param {Object} grid - Elevation grid from the DEM parser
+ * @returns {Function} (point) => ground elevation in meters, or null outside the grid or on no-data cells
+ */
+const createElevationSampler = (grid) => (point) => {
+  const x = (point.longitude - grid.west) / grid.cellWidth - 0.5;
+  const y = (grid.north - point.latitude) / grid.cellHeight - 0.5;
+  if (x < -0.5 || y < -0.5 || x > grid.width - 0.5 || y > grid.height - 0.5) return null;
+
+  const left = Math.floor(x);
+  const top = Math.floor(y);
+  const fx = x - left;
+  const fy = y - top;
+  const cells = [
+    [left, top, (1 - fx) * (1 - fy)],
+    [left + 1, top, fx * (1 - fy)],
+    [left, top + 1, (1 - fx) * fy],
+    [left + 1, top + 1, fx * fy]
+  ];
+
+  // Average the valid neighbours, clamping to the grid edge
+  let total = 0;
+  let weight = 0;
+  cells.forEach(([col, row, w]) => {
+    const value = grid.values[
+      Math.min(Math.max(row, 0), grid.height - 1) * grid.width + Math.min(Math.max(col, 0), grid.width - 1)
+    ];
+    if (Number.isFinite(value) && value !== grid.noData) {
+      total += value * w;
+      weight += w;
+    }
+  });
+
+  return weight > 0 ? total / weight : null;
+};
+
+// Helper to interpolate a point and its altitude part way along a leg
+const alongLeg = (from, to, fraction) => ({
+  latitude: from.latitude + (to.latitude - from.latitude) * fraction,
+  longitude: from.longitude + (to.longitude - from.longitude) * fraction,
+  altitude: (from.altitude || 0) + ((to.altitude || 0) - (from.altitude || 0)) * fraction
+});
+
+// Helper to sample a leg every `spacing` meters, including both ends
+const sampleLeg = (from, to, spacing) => {
+  const steps = Math.max(1, Math.ceil(haversineDistance(from, to) / spacing));
+  const samples = [];
+  for (let i = 0; i <= steps; i++) {
+    samples.push({ fraction: i / steps, ...alongLeg(from, to, i / steps) });
+  }
+  return samples;
+};
+
+// Helper to keep the samples a straight climb or descent cannot follow within the tolerance
+// (Douglas-Peucker on the altitude profile)
+const simplifyProfile = (samples, tolerance) => {
+  const keep = new Set([0, samples.length - 1]);
+
+  const visit = (first, last) => {
+    let worst = -1;
+    let worstError = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const t = (samples[i].fraction - samples[first].fraction) / (samples[last].fraction - samples[first].fraction);
+      const line = samples[first].target + (samples[last].target - samples[first].target) * t;
+      const error = Math.abs(samples[i].target - line);
+      if (error > worstError) {
+        worst = i;
+        worstError = error;
+      }
+    }
+    if (worst !== -1) {
+      keep.add(worst);
+      visit(first, worst);
+      visit(worst, last);
+    }
+  };
+
+  visit(0, samples.length - 1);
+  return [...keep].sort((a, b) => a - b).map(i => samples[i]);
+};
+
+/**
+ * Hold each waypoint's altitude above the ground instead of above the takeoff point
+ * Intermediate waypoints are added along a leg wherever a straight line between its
+ * ends would drift more than the tolerance from the target height above ground.
+ * @param {Array} waypoints - Waypoints { latitude, longitude, altitude } with altitudes above ground
+ * @param {Function} sampler - Elevation lookup from createElevationSampler
+ * @param {Object} options - Terrain following options
+ * @param {number} options.takeoffElevation - Ground elevation at the takeoff point in meters
+ * @param {number} options.tolerance - Allowed drift from the target height in meters
+ * @param {number} options.sampleSpacing - Distance between terrain samples along a leg in meters
+ * @returns {Array} Waypoints with altitudes relative to the takeoff point
+ */
+const applyTerrainFollowing = (waypoints, sampler, options) => {
+  const {
+    takeoffElevation,
+    tolerance = terrainConfig.tolerance,
+    sampleSpacing = terrainConfig.sampleSpacing
+  } = options;
+
+  const groundAt = (point, label) => {
+    const ground = sampler(point);
+    if (ground === null) {
+      throw new Error(`${label} at ${point.latitude.toFixed(6)}, ${point.longitude.toFixed(6)} is outside the terrain model`);
+    }
+    return ground;
+  };
+
+  const followed = [];
+  waypoints.forEach((waypoint, index) => {
+    const ground = groundAt(waypoint, `Waypoint ${index + 1}`);
+    const next = waypoints[index + 1];
+
+    followed.push({ ...waypoint, altitude: ground + (waypoint.altitude || 0) - takeoffElevation });
+    if (!next) return;
+
+    // Target height above the terrain along the leg
+    const samples = sampleLeg(waypoint, next, sampleSpacing).map(sample => ({
+      ...sample,
+      target: groundAt(sample, 'Flight path') + sample.altitude
+    }));
+
+    simplifyProfile(samples, tolerance).slice(1, -1).forEach(sample => {
+      followed.push({
+        latitude: sample.latitude,
+        longitude: sample.longitude,
+        altitude: sample.target - takeoffElevation,
+        action: 'flyTo',
+        heading: waypoint.heading,
+        gimbalPitch: waypoint.gimbalPitch
+      });
+    });
+  });
+
+  return followed.map((waypoint, index) => ({ ...waypoint, order: index + 1 }));
+};
+
+/**
+ * Sample the ground and flight altitude along a route
+ * @param {Array} waypoints - Waypoints { latitude, longitude, altitude } with altitudes relative to takeoff
+ * @param {Function} sampler - Elevation lookup from createElevationSampler
+ * @param {number} takeoffElevation - Ground elevation at the takeoff point in meters
+ * @param {number} spacing - Distance between samples in meters
+ * @returns {Array} Samples { distance, latitude, longitude, ground, altitude, clearance } with elevations above sea level
+ */
+const sampleRoute = (waypoints, sampler, takeoffElevation, spacing) => {
+  const samples = [];
+  let distance = 0;
+
+  waypoints.forEach((waypoint, index) => {
+    const next = waypoints[index + 1];
+    const legSamples = next ? sampleLeg(waypoint, next, spacing).slice(0, -1) : [{ fraction: 0, ...waypoint }];
+    const legLength = next ? haversineDistance(waypoint, next) : 0;
+
+    legSamples.forEach(sample => {
+      const ground = sampler(sample);
+      const altitude = takeoffElevation + (sample.altitude || 0);
+      samples.push({
+        distance: distance + legLength * sample.fraction,
+        latitude: sample.latitude,
+        longitude: sample.longitude,
+        ground,
+        altitude,
+        clearance: ground === null ? null : altitude - ground
+      });
+    });
+
+    distance += legLength;
+  });
+
+  return samples;
+};
+
+/**
+ * Check the height above the terrain along the whole route
+ * @param {Array} waypoints - Waypoints with altitudes relative to takeoff
+ * @param {Function} sampler - Elevation lookup from createElevationSampler
+ * @param {Object} options - Clearance options
+ * @param {number} options.takeoffElevation - Ground elevation at the takeoff point in meters
+ * @param {number} options.minClearance - Required height above the terrain in meters
+ * @param {number} options.sampleSpacing - Distance between terrain samples in meters
+ * @returns {Object} { status, minClearance, lowestClearance, lowestPoint, violations, uncovered }
+ */
+const checkClearance = (waypoints, sampler, options) => {
+  const {
+    takeoffElevation,
+    minClearance = terrainConfig.minClearance,
+    sampleSpacing = terrainConfig.sampleSpacing
+  } = options;
+
+  const samples = sampleRoute(waypoints, sampler, takeoffElevation, sampleSpacing);
+  const covered = samples.filter(sample => sample.clearance !== null);
+  const lowest = covered.reduce((low, sample) => (!low || sample.clearance < low.clearance ? sample : low), null);
+  const violations = covered.filter(sample => sample.clearance < minClearance).length;
+  const uncovered = samples.length - covered.length;
+
+  return {
+    status: violations > 0 ? 'fail' : uncovered > 0 ? 'warn' : 'pass',
+    minClearance,
+    lowestClearance: lowest ? Math.round(lowest.clearance * 10) / 10 : null,
+    lowestPoint: lowest ? { latitude: lowest.latitude, longitude: lowest.longitude, distance: Math.round(lowest.distance) } : null,
+    violations,
+    uncovered
+  };
+};
+
+/**
+ * Build an elevation profile of a route for charting
+ * @param {Array} waypoints - Waypoints with altitudes relative to takeoff
+ * @param {Function} sampler - Elevation lookup from createElevationSampler
+ * @param {number} takeoffElevation - Ground elevation at the takeoff point in meters
+ * @param {number} samples - Approximate number of points in the profile
+ * @returns {Array} Points { distance, ground, altitude } in meters, elevations above sea level
+ */
+const elevationProfile = (waypoints, sampler, takeoffElevation, samples = terrainConfig.profileSamples) => {
+  let length = 0;
+  for (let i = 1; i < waypoints.length; i++) {
+    length += haversineDistance(waypoints[i - 1], waypoints[i]);
+  }
+
+  return sampleRoute(waypoints, sampler, takeoffElevation, Math.max(1, length / samples))
+    .map(sample => ({
+      distance: Math.round(sample.distance),
+      ground: sample.ground === null ? null : Math.round(sample.ground * 10) / 10,
+      altitude: Math.round(sample.altitude * 10) / 10
+    }));
+};
+
+module.exports = {
+  createElevationSampler,
+  applyTerrainFollowing,
+  checkClearance,
+  elevationProfile
+};
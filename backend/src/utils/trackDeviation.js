@@ -0,0 +1,244 @@
+const { toLocalPoint, fromLocalPoint, toLngLat } = require('./geodesy');
+const deviationConfig = require('../config/deviationConfig');
+
+/**
+ * Track deviation
+ * Compares the track a drone flew with its planned path. Both are projected on a local plane around
+ * the first waypoint, which is accurate for the few kilometers a flight covers. Each sample is matched
+ * to one leg at a time, moving on only to the legs just ahead, so parallel survey lines are not mixed up.
+ */
+
+// Legs ahead of the current one a sample can be matched to
+const LOOKAHEAD = 2;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Helper to measure the distance from a local point to a segment, in meters
+const distanceToSegment = (point, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - a.x - t * dx, point.y - a.y - t * dy);
+};
+
+// Helper to find when each waypoint was reached and how close the drone came to the ones it missed
+// Waypoints are looked for in order, each one after the arrival at the previous one
+const findArrivals = (waypoints, track, radius) => {
+  let cursor = 0;
+  return waypoints.map(waypoint => {
+    let closest = Infinity;
+    let arrival = null;
+    for (let i = cursor; i < track.length; i++) {
+      const distance = Math.hypot(track[i].x - waypoint.x, track[i].y - waypoint.y);
+      closest = Math.min(closest, distance);
+      if (distance <= radius) {
+        arrival = i;
+        break;
+      }
+    }
+    if (arrival !== null) cursor = arrival;
+
+    const time = waypoint.timeReached
+      ? new Date(waypoint.timeReached)
+      : arrival !== null ? track[arrival].time : null;
+    return {
+      reached: Boolean(waypoint.reached) || arrival !== null,
+      time,
+      closestApproach: closest === Infinity ? null : round(closest)
+    };
+  });
+};
+
+// Helper to split a list into runs of consecutive items that pass a test
+const findRuns = (items, test) => {
+  const runs = [];
+  let run = null;
+  items.forEach((item, index) => {
+    if (test(item)) {
+      run = run || { start: index, end: index };
+      run.end = index;
+    } else if (run) {
+      runs.push(run);
+      run = null;
+    }
+  });
+  if (run) runs.push(run);
+  return runs;
+};
+
+/**
+ * Compare a flown track with the planned path
+ * @param {Array} planned - Waypoints in flight order { _id, latitude, longitude, speed, reached, timeReached }
+ * @param {Array} samples - Track samples in time order { time, latitude, longitude }
+ * @param {Object} options - Analysis options
+ * @param {number} options.speed - Planned speed in m/s for waypoints without their own
+ * @param {number} options.tolerance - Distance off the path counted as off route, in meters
+ * @param {number} options.waypointRadius - Distance within which a waypoint counts as reached, in meters
+ * @returns {Object} { tolerance, samples, meanCrossTrackError, maxDeviation, coverage, waypoints,
+ *   missedWaypoints, legs, coverageGaps, offRouteSegments } with distances in meters, durations in
+ *   seconds and paths as [longitude, latitude] pairs
+ */
+const analyzeTrack = (planned, samples, {
+  speed,
+  tolerance = deviationConfig.crossTrackTolerance,
+  waypointRadius = deviationConfig.waypointRadius
+} = {}) => {
+  if (planned.length === 0) {
+    throw new Error('A planned path is needed to measure deviation against');
+  }
+
+  const origin = planned[0];
+  const waypoints = planned.map(point => ({ ...point, ...toLocalPoint(point, origin) }));
+  const track = samples.map(sample => ({ time: new Date(sample.time), ...toLocalPoint(sample, origin) }));
+  const toCoordinates = (local) => toLngLat(fromLocalPoint(local, origin));
+
+  // A single waypoint is measured against as a leg of no length
+  const segments = waypoints.length > 1
+    ? waypoints.slice(1).map((to, i) => ({ from: waypoints[i], to }))
+    : [{ from: waypoints[0], to: waypoints[0] }];
+  const legStats = segments.map(() => ({ total: 0, count: 0, max: 0 }));
+
+  // Match every sample to a leg and measure how far off it the drone was
+  let leg = 0;
+  let total = 0;
+  let maxDeviation = null;
+  track.forEach(sample => {
+    let best = distanceToSegment(sample, segments[leg].from, segments[leg].to);
+    let bestLeg = leg;
+    for (let next = leg + 1; next < segments.length && next <= leg + LOOKAHEAD; next++) {
+      const distance = distanceToSegment(sample, segments[next].from, segments[next].to);
+      if (distance < best) {
+        best = distance;
+        bestLeg = next;
+      }
+    }
+    leg = bestLeg;
+
+    sample.leg = leg;
+    sample.crossTrackError = best;
+    total += best;
+    legStats[leg].total += best;
+    legStats[leg].count += 1;
+    legStats[leg].max = Math.max(legStats[leg].max, best);
+    if (!maxDeviation || best > maxDeviation.distance) {
+      maxDeviation = { distance: best, time: sample.time, location: toCoordinates(sample), leg };
+    }
+  });
+
+  const arrivals = findArrivals(waypoints, track, waypointRadius);
+
+  // Time over each leg against the time it should take at the planned speed
+  const legs = waypoints.length > 1 ? segments.map((segment, index) => {
+    const length = Math.hypot(segment.to.x - segment.from.x, segment.to.y - segment.from.y);
+    const legSpeed = segment.to.speed || speed;
+    const start = arrivals[index].time;
+    const end = arrivals[index + 1].time;
+    const stats = legStats[index];
+    return {
+      index,
+      length: round(length),
+      plannedDuration: legSpeed > 0 ? round(length / legSpeed) : null,
+      actualDuration: start && end && end >= start ? round((end - start) / 1000) : null,
+      startTime: start,
+      endTime: end,
+      meanCrossTrackError: stats.count > 0 ? round(stats.total / stats.count) : null,
+      maxCrossTrackError: stats.count > 0 ? round(stats.max) : null
+    };
+  }) : [];
+
+  // Check points along each leg for a flown stretch nearby, from the samples matched to that leg
+  // and the legs either side of it
+  const coverageGaps = [];
+  let checked = 0;
+  let covered = 0;
+  if (waypoints.length > 1) {
+    segments.forEach((segment, index) => {
+      const nearby = [];
+      for (let i = 0; i < track.length - 1; i++) {
+        if (Math.abs(track[i].leg - index) <= 1 || Math.abs(track[i + 1].leg - index) <= 1) {
+          nearby.push([track[i], track[i + 1]]);
+        }
+      }
+      if (track.length === 1 && Math.abs(track[0].leg - index) <= 1) {
+        nearby.push([track[0], track[0]]);
+      }
+
+      const length = Math.hypot(segment.to.x - segment.from.x, segment.to.y - segment.from.y);
+      const steps = Math.max(1, Math.ceil(length / deviationConfig.coverageSpacing));
+      const points = Array.from({ length: steps + 1 }, (_, step) => {
+        const t = step / steps;
+        const point = {
+          x: segment.from.x + (segment.to.x - segment.from.x) * t,
+          y: segment.from.y + (segment.to.y - segment.from.y) * t,
+          along: length * t
+        };
+        point.covered = nearby.some(([a, b]) => distanceToSegment(point, a, b) <= tolerance);
+        return point;
+      });
+
+      checked += points.length;
+      covered += points.filter(point => point.covered).length;
+      // Each checked point stands for the path half a spacing either side of it
+      const spacing = length / steps;
+      findRuns(points, point => !point.covered).forEach(run => {
+        const start = Math.max(0, points[run.start].along - spacing / 2);
+        const end = Math.min(length, points[run.end].along + spacing / 2);
+        if (end - start >= deviationConfig.minGapLength) {
+          const at = (along) => ({
+            x: segment.from.x + (segment.to.x - segment.from.x) * (along / length),
+            y: segment.from.y + (segment.to.y - segment.from.y) * (along / length)
+          });
+          coverageGaps.push({
+            leg: index,
+            start: round(start),
+            end: round(end),
+            length: round(end - start),
+            path: [toCoordinates(at(start)), toCoordinates(at(end))]
+          });
+        }
+      });
+    });
+  }
+
+  // Stretches of the flight spent off route
+  const offRouteSegments = findRuns(track, sample => sample.crossTrackError > tolerance)
+    .map(run => {
+      const stretch = track.slice(run.start, run.end + 1);
+      return {
+        startTime: stretch[0].time,
+        endTime: stretch[stretch.length - 1].time,
+        duration: round((stretch[stretch.length - 1].time - stretch[0].time) / 1000),
+        maxDeviation: round(Math.max(...stretch.map(sample => sample.crossTrackError))),
+        path: stretch.map(toCoordinates)
+      };
+    })
+    .filter(segment => segment.duration >= deviationConfig.minOffRouteDuration);
+
+  const missedWaypoints = arrivals
+    .map((arrival, index) => ({ index, closestApproach: arrival.closestApproach, reached: arrival.reached }))
+    .filter(arrival => !arrival.reached)
+    .map(({ index, closestApproach }) => ({ index, waypoint: planned[index]._id, closestApproach }));
+
+  return {
+    tolerance,
+    samples: track.length,
+    meanCrossTrackError: track.length > 0 ? round(total / track.length) : null,
+    maxDeviation: maxDeviation ? { ...maxDeviation, distance: round(maxDeviation.distance) } : null,
+    coverage: checked > 0 ? round((covered / checked) * 100) : null,
+    waypoints: {
+      planned: planned.length,
+      reached: arrivals.filter(arrival => arrival.reached).length
+    },
+    missedWaypoints,
+    legs,
+    coverageGaps,
+    offRouteSegments
+  };
+};
+
+module.exports = {
+  analyzeTrack
+};
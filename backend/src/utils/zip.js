@@ -0,0 +1,148 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP archive support for KMZ files
+ * Writes single-file archives and reads the stored and deflated entries of an archive.
+ */
+
+// CRC-32 lookup table for ZIP entries
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// Helper to compute the CRC-32 of a buffer
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Pack a single file into a ZIP archive
+ * @param {string} name - File name inside the archive
+ * @param {Buffer} content - File contents
+ * @returns {Buffer} ZIP archive
+ */
+const zipSingleFile = (name, content) => {
+  const fileName = Buffer.from(name);
+  const compressed = zlib.deflateRawSync(content);
+  const crc = crc32(content);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0); // local file header signature
+  local.writeUInt16LE(20, 4); // version needed to extract
+  local.writeUInt16LE(0, 6); // flags
+  local.writeUInt16LE(8, 8); // deflate
+  local.writeUInt32LE(0, 10); // modification time and date
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(compressed.length, 18);
+  local.writeUInt32LE(content.length, 22);
+  local.writeUInt16LE(fileName.length, 26);
+  local.writeUInt16LE(0, 28); // extra field length
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0); // central directory header signature
+  central.writeUInt16LE(20, 4); // version made by
+  central.writeUInt16LE(20, 6); // version needed to extract
+  central.writeUInt16LE(0, 8);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(0, 12);
+  central.writeUInt32LE(crc, 16);
+  central.writeUInt32LE(compressed.length, 20);
+  central.writeUInt32LE(content.length, 24);
+  central.writeUInt16LE(fileName.length, 28);
+  central.writeUInt32LE(0, 42); // offset of the local header
+
+  const centralOffset = local.length + fileName.length + compressed.length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+  end.writeUInt16LE(1, 8); // entries on this disk
+  end.writeUInt16LE(1, 10); // entries in total
+  end.writeUInt32LE(central.length + fileName.length, 12);
+  end.writeUInt32LE(centralOffset, 16);
+
+  return Buffer.concat([local, fileName, compressed, central, fileName, end]);
+};
+
+
+/**
+ * Read the files of a ZIP archive
+ * Only stored and deflated entries are supported, directories are skipped. Only the entries the filter
+ * accepts are inflated, and never past the size the central directory gives them.
+ * @param {Buffer} buffer - ZIP archive
+ * @param {Object} options - Read options
+ * @param {Function} options.filter - Called with each entry name, entries it rejects are skipped
+ * @param {number} options.maxSize - Largest uncompressed size of an entry in bytes
+ * @returns {Array} Entries { name, content } in archive order
+ */
+const unzip = (buffer, { filter = () => true, maxSize = Infinity } = {}) => {
+  // The end of central directory record is the last 22 bytes, before an optional comment
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xFFFF); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || !filter(name)) continue;
+    if (method !== 0 && method !== 8) {
+      throw new Error(`Unsupported compression in ZIP entry ${name}`);
+    }
+    if (size > maxSize) {
+      throw new Error(`ZIP entry ${name} is too large`);
+    }
+
+    // Sizes come from the central directory, local headers may defer them to a data descriptor
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    let content = data;
+    if (method === 8) {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, size) });
+      } catch (error) {
+        if (error.code !== 'ERR_BUFFER_TOO_LARGE') throw error;
+        throw new Error(`ZIP entry ${name} is larger than its recorded size`);
+      }
+    }
+    if (content.length !== size) {
+      throw new Error(`Corrupt ZIP entry ${name}`);
+    }
+    entries.push({ name, content });
+  }
+
+  return entries;
+};
+
+module.exports = {
+  zipSingleFile,
+  unzip
+};
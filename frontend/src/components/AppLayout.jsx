@@ -13,6 +13,7 @@ import RegisterPage from '../pages/RegisterPage';
 import DashboardPage from '../pages/DashboardPage';
 import DronesPage from '../pages/DronesPage';
 import DroneDetailsPage from '../pages/DroneDetailsPage';
+import BatteriesPage from '../pages/BatteriesPage';
 import AddDronePage from '../pages/AddDronePage';
 import MissionsPage from '../pages/MissionsPage';
 import MissionDetailsPage from '../pages/MissionDetailsPage';
@@ -124,6 +125,11 @@ const AppLayout = () => {
                     <DronesPage />
                   </ProtectedRoute>
                 } />
+                <Route path="/batteries" element={
+                  <ProtectedRoute>
+                    <BatteriesPage />
+                  </ProtectedRoute>
+                } />
 
                 {/* User Routes */}
                 <Route path="/profile" element={
@@ -0,0 +1,120 @@
+import React, { useEffect, useRef } from 'react';
+import Chart from 'chart.js/auto';
+
+/**
+ * ElevationProfile component for charting the terrain and flight altitude along a route
+ *
+ * @param {Object} props
+ * @param {Array} props.profile - Samples { distance, ground, altitude } in meters above sea level
+ * @param {number} props.minClearance - Required height above terrain, drawn as a dashed line
+ * @param {number} props.height - Chart height in pixels
+ */
+const ElevationProfile = ({ profile, minClearance, height = 160 }) => {
+  const chartRef = useRef(null);
+  const chartInstance = useRef(null);
+
+  useEffect(() => {
+    if (!profile || profile.length === 0) return;
+
+    // Destroy previous chart instance if it exists
+    if (chartInstance.current) {
+      chartInstance.current.destroy();
+    }
+
+    const datasets = [
+      {
+        label: 'Flight altitude',
+        data: profile.map(sample => sample.altitude),
+        borderColor: '#6366F1',
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false
+      },
+      {
+        label: 'Terrain',
+        data: profile.map(sample => sample.ground),
+        borderColor: '#92400E',
+        backgroundColor: '#D9770666',
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: 'start',
+        spanGaps: false
+      }
+    ];
+
+    if (minClearance) {
+      datasets.push({
+        label: 'Minimum clearance',
+        data: profile.map(sample => (sample.ground === null ? null : sample.ground + minClearance)),
+        borderColor: '#EF4444',
+        borderWidth: 1,
+        borderDash: [4, 4],
+        pointRadius: 0,
+        fill: false
+      });
+    }
+
+    chartInstance.current = new Chart(chartRef.current.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: profile.map(sample => (sample.distance >= 1000
+          ? `${(sample.distance / 1000).toFixed(1)} km`
+          : `${sample.distance} m`)),
+        datasets
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+          legend: {
+            display: true,
+            position: 'bottom',
+            labels: { boxWidth: 12 }
+          },
+          tooltip: {
+            mode: 'index',
+            intersect: false,
+            backgroundColor: 'rgba(0, 0, 0, 0.7)',
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${context.parsed.y} m`
+            }
+          }
+        },
+        scales: {
+          x: {
+            ticks: { maxTicksLimit: 8 },
+            grid: { display: false }
+          },
+          y: {
+            title: {
+              display: true,
+              text: 'Elevation (m)'
+            },
+            grid: {
+              color: 'rgba(0, 0, 0, 0.05)'
+            }
+          }
+        }
+      }
+    });
+
+    return () => {
+      if (chartInstance.current) {
+        chartInstance.current.destroy();
+      }
+    };
+  }, [profile, minClearance]);
+
+  if (!profile || profile.length === 0) {
+    return null;
+  }
+
+  return (
+    <div style={{ height: `${height}px` }}>
+      <canvas ref={chartRef} />
+    </div>
+  );
+};
+
+export default ElevationProfile;
@@ -0,0 +1,264 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { FiPlay, FiPause, FiSkipBack } from 'react-icons/fi';
+import MapView from './MapView';
+import LineChart from './LineChart';
+
+// Playback rates offered, as multiples of real time
+const SPEEDS = [1, 2, 5, 10, 30];
+
+// Milliseconds between replay frames
+const FRAME_INTERVAL = 100;
+
+// Helper to find the last sample at or before a time, samples are in time order
+const indexAt = (samples, time) => {
+  let low = 0;
+  let high = samples.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (samples[middle].time <= time) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+};
+
+// Helper to place the drone between the two samples around a time
+const positionAt = (track, time) => {
+  const index = indexAt(track, time);
+  const from = track[index];
+  const to = track[index + 1];
+  if (!to || time <= from.time) {
+    return { index, lat: from.latitude, lng: from.longitude, alt: from.altitude, heading: from.heading };
+  }
+
+  const ratio = Math.min((time - from.time) / (to.time - from.time), 1);
+  return {
+    index,
+    lat: from.latitude + (to.latitude - from.latitude) * ratio,
+    lng: from.longitude + (to.longitude - from.longitude) * ratio,
+    alt: from.altitude,
+    heading: from.heading
+  };
+};
+
+// Helper to format milliseconds of flight as m:ss or h:mm:ss
+const formatElapsed = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+/**
+ * FlightReplay component for playing back a recorded flight over its planned route
+ *
+ * @param {Object} props
+ * @param {Array} props.samples - Recorded telemetry in time order { timestamp, latitude, longitude, altitude,
+ *   heading, speed, batteryLevel }
+ * @param {Array} props.plannedPath - Planned waypoints [{ lat, lng, alt }]
+ * @param {Array} props.events - Events to mark on the map and timeline [{ time, type, label, lat, lng }],
+ *   type is waypoint or error, events without a position are placed where the drone was at the time
+ * @param {Array} props.highlights - Off-route stretches and coverage gaps to draw over the map, as for MapView
+ * @param {string} props.droneStatus - Status the drone marker is drawn with
+ */
+const FlightReplay = ({ samples = [], plannedPath = [], events = [], highlights = [], droneStatus = 'active' }) => {
+  const [elapsed, setElapsed] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(5);
+
+  const points = useMemo(
+    () => samples.map(sample => ({ ...sample, time: new Date(sample.timestamp).getTime() })),
+    [samples]
+  );
+  const track = useMemo(
+    () => points.filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude)),
+    [points]
+  );
+  const trackPath = useMemo(() => track.map(point => [point.latitude, point.longitude]), [track]);
+
+  const start = points.length > 0 ? points[0].time : 0;
+  const duration = points.length > 0 ? points[points.length - 1].time - start : 0;
+  const currentTime = start + elapsed;
+
+  // Events inside the recording, placed on the track when they have no position of their own
+  const timeline = useMemo(() => events
+    .map(event => ({ ...event, time: new Date(event.time).getTime() }))
+    .filter(event => event.time >= start && event.time <= start + duration)
+    .map(event => {
+      if (Number.isFinite(event.lat) && Number.isFinite(event.lng)) return event;
+      if (track.length === 0) return event;
+      const { lat, lng } = positionAt(track, event.time);
+      return { ...event, lat, lng };
+    }), [events, track, start, duration]);
+  const markers = useMemo(
+    () => timeline.filter(event => Number.isFinite(event.lat) && Number.isFinite(event.lng)),
+    [timeline]
+  );
+
+  const center = useMemo(() => {
+    if (plannedPath.length > 0) return [plannedPath[0].lat, plannedPath[0].lng];
+    return trackPath.length > 0 ? trackPath[0] : null;
+  }, [plannedPath, trackPath]);
+
+  // Advance the replay while playing
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setInterval(() => {
+      setElapsed(previous => Math.min(previous + FRAME_INTERVAL * speed, duration));
+    }, FRAME_INTERVAL);
+    return () => clearInterval(timer);
+  }, [playing, speed, duration]);
+
+  useEffect(() => {
+    if (playing && elapsed >= duration) {
+      setPlaying(false);
+    }
+  }, [playing, elapsed, duration]);
+
+  const handleSelectSample = useCallback((index) => {
+    setElapsed(points[index].time - start);
+  }, [points, start]);
+
+  if (points.length === 0) {
+    return (
+      <div className="p-5 text-sm text-gray-500">No telemetry was recorded for this flight.</div>
+    );
+  }
+
+  const handlePlay = () => {
+    if (!playing && elapsed >= duration) {
+      setElapsed(0);
+    }
+    setPlaying(!playing);
+  };
+
+  const sampleIndex = indexAt(points, currentTime);
+  const sample = points[sampleIndex];
+  const position = track.length > 0 ? positionAt(track, currentTime) : null;
+  const flightPath = position
+    ? [...trackPath.slice(0, position.index + 1), [position.lat, position.lng]]
+    : [];
+
+  return (
+    <div>
+      <div className="h-96">
+        <MapView
+          dronePosition={position}
+          missionPath={plannedPath}
+          flightPath={flightPath}
+          trackPath={trackPath}
+          markers={markers}
+          highlights={highlights}
+          center={center}
+          droneStatus={droneStatus}
+        />
+      </div>
+
+      <div className="px-5 py-4 border-t border-gray-200">
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            onClick={handlePlay}
+            className="inline-flex items-center justify-center bg-blue-600 hover:bg-blue-700 text-white py-1.5 px-3 rounded-md text-sm"
+          >
+            {playing ? <FiPause className="mr-1" /> : <FiPlay className="mr-1" />}
+            {playing ? 'Pause' : 'Play'}
+          </button>
+          <button
+            onClick={() => setElapsed(0)}
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-md"
+            title="Back to the start"
+          >
+            <FiSkipBack />
+          </button>
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="border border-gray-300 rounded-md py-1 px-2 text-sm bg-white text-gray-700"
+            aria-label="Replay speed"
+          >
+            {SPEEDS.map(rate => (
+              <option key={rate} value={rate}>{rate}×</option>
+            ))}
+          </select>
+          <span className="text-sm text-gray-600 tabular-nums">
+            {formatElapsed(elapsed)} / {formatElapsed(duration)}
+          </span>
+          <span className="ml-auto text-sm text-gray-600">
+            {new Date(currentTime).toLocaleTimeString()} &middot; {sample.altitude ?? 'N/A'} m &middot;{' '}
+            {sample.speed ?? 'N/A'} m/s &middot; {sample.batteryLevel ?? 'N/A'}% battery
+          </span>
+        </div>
+
+        {/* Timeline with the events marked above it */}
+        <div className="relative mt-3 h-3">
+          {timeline.map((event, index) => (
+            <button
+              key={index}
+              onClick={() => setElapsed(event.time - start)}
+              title={event.label}
+              className={`absolute top-0 w-1.5 h-3 -ml-0.5 rounded-sm ${event.type === 'error' ? 'bg-red-500' : 'bg-green-500'}`}
+              style={{ left: `${duration > 0 ? ((event.time - start) / duration) * 100 : 0}%` }}
+            />
+          ))}
+        </div>
+        <input
+          type="range"
+          min={0}
+          max={duration}
+          step={FRAME_INTERVAL}
+          value={elapsed}
+          onChange={(e) => setElapsed(Number(e.target.value))}
+          className="w-full"
+          aria-label="Replay position"
+        />
+        <div className="flex gap-4 text-xs text-gray-500">
+          <span className="flex items-center"><span className="w-2 h-2 rounded-full bg-green-500 mr-1" /> Waypoint reached</span>
+          <span className="flex items-center"><span className="w-2 h-2 rounded-full bg-red-500 mr-1" /> Error</span>
+          {highlights.length > 0 && (
+            <>
+              <span className="flex items-center"><span className="w-3 h-1 bg-red-500 mr-1" /> Off route</span>
+              <span className="flex items-center"><span className="w-3 h-1 bg-amber-500 mr-1" /> Not flown</span>
+            </>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+          <div>
+            <p className="text-sm font-medium text-gray-600 mb-1">Altitude</p>
+            <div className="h-40">
+              <LineChart
+                data={points}
+                xKey="timestamp"
+                yKey="altitude"
+                yLabel="m"
+                xFormat="time"
+                highlightIndex={sampleIndex}
+                onSelectIndex={handleSelectSample}
+              />
+            </div>
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-600 mb-1">Battery</p>
+            <div className="h-40">
+              <LineChart
+                data={points}
+                xKey="timestamp"
+                yKey="batteryLevel"
+                yLabel="%"
+                color="#f59e0b"
+                xFormat="time"
+                highlightIndex={sampleIndex}
+                onSelectIndex={handleSelectSample}
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FlightReplay;
@@ -1,9 +1,54 @@
 import React, { useEffect, useRef } from 'react';
 import Chart from 'chart.js/auto';
 
-const LineChart = ({ data, xKey, yKey, xLabel, yLabel, color = '#3b82f6' }) => {
+// Draws a vertical line at the highlighted point, such as the current time of a replay
+const cursorPlugin = (highlightRef) => ({
+  id: 'cursor',
+  afterDatasetsDraw: (chart) => {
+    const index = highlightRef.current;
+    if (index === null || index === undefined) return;
+
+    const x = chart.scales.x.getPixelForValue(index);
+    const { top, bottom } = chart.chartArea;
+    chart.ctx.save();
+    chart.ctx.strokeStyle = 'rgba(17, 24, 39, 0.6)';
+    chart.ctx.lineWidth = 1;
+    chart.ctx.beginPath();
+    chart.ctx.moveTo(x, top);
+    chart.ctx.lineTo(x, bottom);
+    chart.ctx.stroke();
+    chart.ctx.restore();
+  }
+});
+
+const LineChart = ({
+  data,
+  xKey,
+  yKey,
+  xLabel,
+  yLabel,
+  color = '#3b82f6',
+  xFormat = 'date',
+  beginAtZero = true,
+  highlightIndex = null,
+  onSelectIndex = null
+}) => {
   const chartRef = useRef(null);
   const chartInstance = useRef(null);
+  const highlightRef = useRef(highlightIndex);
+  const selectRef = useRef(onSelectIndex);
+
+  // Move the cursor without rebuilding the chart
+  useEffect(() => {
+    highlightRef.current = highlightIndex;
+    if (chartInstance.current) {
+      chartInstance.current.update('none');
+    }
+  }, [highlightIndex]);
+
+  useEffect(() => {
+    selectRef.current = onSelectIndex;
+  }, [onSelectIndex]);
 
   useEffect(() => {
     if (!data || data.length === 0) return;
@@ -19,6 +64,11 @@ const LineChart = ({ data, xKey, yKey, xLabel, yLabel, color = '#3b82f6' }) => {
       type: 'line',
       data: {
         labels: data.map(item => {
+          // Time series such as telemetry history show the time of day
+          if (xFormat === 'time') {
+            return new Date(item[xKey]).toLocaleTimeString();
+          }
+          
           // Format date if it looks like a date string
           if (typeof item[xKey] === 'string' && item[xKey].includes('-')) {
             const date = new Date(item[xKey]);
@@ -29,19 +79,28 @@ const LineChart = ({ data, xKey, yKey, xLabel, yLabel, color = '#3b82f6' }) => {
         datasets: [
           {
             label: yLabel || '',
-            data: data.map(item => item[yKey]),
+            data: data.map(item => item[yKey] ?? null),
             borderColor: color,
             backgroundColor: `${color}33`, // Add transparency
             fill: true,
             tension: 0.3,
-            pointRadius: 3,
+            spanGaps: true,
+            // Long series read better as a plain line
+            pointRadius: data.length > 50 ? 0 : 3,
             pointHoverRadius: 5
           }
         ]
       },
+      plugins: [cursorPlugin(highlightRef)],
       options: {
         responsive: true,
         maintainAspectRatio: false,
+        // Clicking the chart picks the point under the pointer
+        onClick: (event, elements, chart) => {
+          if (!selectRef.current) return;
+          const index = Math.round(chart.scales.x.getValueForPixel(event.x));
+          selectRef.current(Math.min(Math.max(index, 0), data.length - 1));
+        },
         plugins: {
           legend: {
             display: false
@@ -67,7 +126,7 @@ const LineChart = ({ data, xKey, yKey, xLabel, yLabel, color = '#3b82f6' }) => {
               display: Boolean(yLabel),
               text: yLabel || ''
             },
-            beginAtZero: true,
+            beginAtZero,
             grid: {
               color: 'rgba(0, 0, 0, 0.05)'
             }
@@ -81,7 +140,7 @@ const LineChart = ({ data, xKey, yKey, xLabel, yLabel, color = '#3b82f6' }) => {
         chartInstance.current.destroy();
       }
     };
-  }, [data, xKey, yKey, xLabel, yLabel, color]);
+  }, [data, xKey, yKey, xLabel, yLabel, color, xFormat, beginAtZero]);
 
   if (!data || data.length === 0) {
     return (
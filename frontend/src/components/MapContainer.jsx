@@ -1,5 +1,15 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { MapContainer as LeafletMapContainer, TileLayer, Marker, Popup, Polygon, Polyline, useMap } from 'react-leaflet';
+import {
+  MapContainer as LeafletMapContainer,
+  TileLayer,
+  Marker,
+  Popup,
+  Polygon,
+  Polyline,
+  LayersControl,
+  LayerGroup,
+  useMap
+} from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import 'leaflet-draw/dist/leaflet.draw.css';
@@ -102,6 +112,38 @@ const LayerSelector = ({ activeLayer, onLayerChange }) => {
   );
 };
 
+// Geofence layer styles by zone type
+const GEOFENCE_STYLES = {
+  exclusion: { color: '#DC2626', fillColor: '#DC2626', fillOpacity: 0.2, weight: 2 },
+  inclusion: { color: '#16A34A', fillColor: '#16A34A', fillOpacity: 0.05, weight: 2, dashArray: '6, 4' }
+};
+
+// Geofence polygons with their details in a popup
+const GeofencePolygons = ({ geofences }) => geofences.map(geofence => (
+  <Polygon
+    key={geofence._id}
+    positions={(geofence.geometry?.coordinates?.[0] || []).map(([lng, lat]) => [lat, lng])}
+    pathOptions={{
+      ...GEOFENCE_STYLES[geofence.type],
+      ...(geofence.enabled === false && { opacity: 0.4, fillOpacity: 0.02 })
+    }}
+  >
+    <Popup>
+      <div className="text-sm">
+        <div className="font-medium">{geofence.name}</div>
+        <div>{geofence.type === 'exclusion' ? 'No-fly zone' : 'Operating area'}</div>
+        {geofence.airspace?.class && <div>Class {geofence.airspace.class}</div>}
+        {geofence.floor > 0 && <div>From: {geofence.floor}m</div>}
+        {geofence.ceiling !== undefined && geofence.ceiling !== null && (
+          <div>{geofence.type === 'exclusion' ? 'Up to' : 'Ceiling'}: {geofence.ceiling}m</div>
+        )}
+        {geofence.timeWindows?.length > 0 && <div>Active during scheduled windows</div>}
+        {geofence.enabled === false && <div className="text-gray-500">Disabled</div>}
+      </div>
+    </Popup>
+  </Polygon>
+));
+
 // Map recenter component
 const RecenterMap = ({ position }) => {
   const map = useMap();
@@ -129,6 +171,7 @@ const RecenterMap = ({ position }) => {
  * @param {Array} props.drones - Array of drone objects with real-time positions
  * @param {string} props.mapStyle - Map style to use (osm, satellite, terrain)
  * @param {boolean} props.showControls - Whether to show map controls
+ * @param {Array} props.geofences - Geofences shown as toggleable no-fly zone and operating area layers
  */
 const MapContainer = ({
   markers = [],
@@ -141,6 +184,7 @@ const MapContainer = ({
   drones = [],
   mapStyle = 'osm',
   showControls = true,
+  geofences = [],
 }) => {
   const mapRef = useRef(null);
   const [activeBaseLayer, setActiveBaseLayer] = useState(mapStyle);
@@ -327,6 +371,22 @@ const MapContainer = ({
           </Polyline>
         ))}
         
+        {/* Geofence layers */}
+        {geofences.length > 0 && (
+          <LayersControl position="topleft">
+            <LayersControl.Overlay checked name="No-fly zones">
+              <LayerGroup>
+                <GeofencePolygons geofences={geofences.filter(geofence => geofence.type === 'exclusion')} />
+              </LayerGroup>
+            </LayersControl.Overlay>
+            <LayersControl.Overlay checked name="Operating areas">
+              <LayerGroup>
+                <GeofencePolygons geofences={geofences.filter(geofence => geofence.type === 'inclusion')} />
+              </LayerGroup>
+            </LayersControl.Overlay>
+          </LayersControl>
+        )}
+        
         {/* Render drones with special icon */}
         {drones.map((drone, index) => (
           <Marker
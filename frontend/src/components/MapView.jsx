@@ -3,6 +3,7 @@ import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { FiRefreshCw, FiLayers } from 'react-icons/fi';
+import ElevationProfile from './ElevationProfile';
 
 // Fix Leaflet's icon loading issues
 delete L.Icon.Default.prototype._getIconUrl;
@@ -36,6 +37,13 @@ const createDroneIcon = (status = 'active', heading = 0) => {
   });
 };
 
+// Colors of the event markers by type
+const MARKER_COLORS = {
+  waypoint: '#10B981', // green
+  error: '#EF4444', // red
+  info: '#6B7280' // gray
+};
+
 // Component to handle map view updates
 const MapControls = ({ onRecenter, onChangeLayer }) => {
   const [layerMenuOpen, setLayerMenuOpen] = useState(false);
@@ -113,21 +121,31 @@ const ChangeView = ({ center, zoom }) => {
  * @param {Object} props.dronePosition - Current drone position {lat, lng, alt, heading}
  * @param {Array} props.missionPath - Array of waypoints for the mission
  * @param {Array} props.flightPath - Array of points showing the actual flight path
+ * @param {Array} props.trackPath - Array of points of the whole recorded flight, drawn faintly under the flight path
+ * @param {Array} props.markers - Events to mark on the map [{ lat, lng, type, label }], type is waypoint, error or info
+ * @param {Array} props.highlights - Stretches to draw attention to [{ positions, type, label }], type is
+ *   off-route for where the drone strayed or gap for planned path it never flew
  * @param {boolean} props.showControls - Whether to show map controls
  * @param {Object} props.center - Center coordinates for the map
  * @param {number} props.zoom - Zoom level for the map
  * @param {string} props.droneStatus - Status of the drone (active, warning, error, offline)
  * @param {Object} props.mapStyle - Style object for the map container
+ * @param {Object} props.elevationProfile - Terrain profile of the route { profile, minClearance, clearance },
+ *   charted under the map
  */
 const MapView = ({
   dronePosition,
   missionPath = [],
   flightPath = [],
+  trackPath = [],
+  markers = [],
+  highlights = [],
   showControls = true,
   center = null,
   zoom = 15,
   droneStatus = 'active',
-  mapStyle = { height: '100%', width: '100%' }
+  mapStyle = { height: '100%', width: '100%' },
+  elevationProfile = null
 }) => {
   const mapRef = useRef(null);
   const [mapCenter, setMapCenter] = useState(center);
@@ -157,7 +175,7 @@ const MapView = ({
     }
   };
 
-  return (
+  const mapElement = (
     <div className="relative" style={{ height: '100%', width: '100%' }}>
       <MapContainer 
         center={defaultCenter()} 
@@ -199,6 +217,14 @@ const MapView = ({
           />
         )}
         
+        {/* Whole recorded flight */}
+        {trackPath.length > 1 && (
+          <Polyline
+            positions={trackPath}
+            pathOptions={{ color: '#93C5FD', weight: 3, opacity: 0.6 }}
+          />
+        )}
+        
         {/* Actual flight path */}
         {flightPath.length > 1 && (
           <Polyline
@@ -207,6 +233,23 @@ const MapView = ({
           />
         )}
         
+        {/* Off-route stretches and coverage gaps */}
+        {highlights.map((highlight, index) => (
+          <Polyline
+            key={`highlight-${index}`}
+            positions={highlight.positions}
+            pathOptions={highlight.type === 'gap'
+              ? { color: '#F59E0B', dashArray: '2, 6', weight: 6 }
+              : { color: '#EF4444', weight: 5 }}
+          >
+            {highlight.label && (
+              <Popup>
+                <div className="text-sm">{highlight.label}</div>
+              </Popup>
+            )}
+          </Polyline>
+        ))}
+        
         {/* Waypoint markers */}
         {missionPath.map((waypoint, index) => (
           <Marker
@@ -230,6 +273,24 @@ const MapView = ({
           </Marker>
         ))}
         
+        {/* Event markers */}
+        {markers.map((marker, index) => (
+          <Marker
+            key={`marker-${index}`}
+            position={[marker.lat, marker.lng]}
+            icon={L.divIcon({
+              className: 'custom-event-icon',
+              html: `<div style="background:${MARKER_COLORS[marker.type] || MARKER_COLORS.info}" class="w-3 h-3 rounded-full border-2 border-white shadow"></div>`,
+              iconSize: [12, 12],
+              iconAnchor: [6, 6]
+            })}
+          >
+            <Popup>
+              <div className="text-sm">{marker.label}</div>
+            </Popup>
+          </Marker>
+        ))}
+        
         {/* Drone marker */}
         {dronePosition && (
           <Marker
@@ -258,6 +319,32 @@ const MapView = ({
       )}
     </div>
   );
+
+  if (!elevationProfile || !elevationProfile.profile || elevationProfile.profile.length === 0) {
+    return mapElement;
+  }
+
+  const { clearance } = elevationProfile;
+
+  return (
+    <div className="flex flex-col" style={{ height: '100%', width: '100%' }}>
+      <div className="flex-1 min-h-0">{mapElement}</div>
+      <div className="bg-white border-t border-gray-200 px-3 pt-2">
+        <div className="flex justify-between text-xs text-gray-500">
+          <span className="font-medium text-gray-700">Elevation profile</span>
+          {clearance && clearance.lowestClearance !== null && (
+            <span className={clearance.status === 'fail' ? 'text-red-600' : undefined}>
+              Lowest clearance {clearance.lowestClearance} m (minimum {clearance.minClearance} m)
+            </span>
+          )}
+        </div>
+        <ElevationProfile
+          profile={elevationProfile.profile}
+          minClearance={elevationProfile.minClearance}
+        />
+      </div>
+    </div>
+  );
 };
 
 export default MapView;
\ No newline at end of file
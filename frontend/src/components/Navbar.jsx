@@ -60,6 +60,7 @@ const Navbar = () => {
       if (path.includes('/edit')) return 'Edit Mission';
       return 'Mission Details';
     }
+    if (path === '/batteries') return 'Battery Packs';
     if (path === '/monitor') return 'Mission Monitor';
     if (path.startsWith('/surveys')) {
       if (path === '/surveys') return 'Surveys';
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { FiUsers } from 'react-icons/fi';
+import Modal from './Modal';
+import MapDrawingTool from './MapDrawingTool';
+import FormInput from './FormInput';
+import FormSelect from './FormSelect';
+import LoadingSpinner from './LoadingSpinner';
+import { useDrones } from '../context/DronesContext';
+import { useSurveys } from '../context/SurveysContext';
+
+/**
+ * PartitionSurveyModal component for dividing a survey area between several drones
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Function to call when modal is closed
+ * @param {string} props.surveyId - Survey to create the missions in
+ * @param {Object} props.center - Initial map center {lat, lng}
+ * @param {Function} props.onPartitioned - Called with the partitions once the missions are created
+ */
+const PartitionSurveyModal = ({
+  isOpen,
+  onClose,
+  surveyId,
+  center,
+  onPartitioned
+}) => {
+  const { fetchDrones, drones: dronesData } = useDrones();
+  const { partitionSurveyArea } = useSurveys();
+
+  const [boundary, setBoundary] = useState([]);
+  const [selectedDrones, setSelectedDrones] = useState([]);
+  const [settings, setSettings] = useState({ pattern: 'grid', altitude: 60, speed: 8, overlap: 70 });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const drones = (Array.isArray(dronesData) ? dronesData : [])
+    .filter(drone => drone.status === 'available' || drone.status === 'idle');
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchDrones();
+    }
+  }, [isOpen, fetchDrones]);
+
+  const handleToggleDrone = (droneId) => {
+    setSelectedDrones(prev => (prev.includes(droneId)
+      ? prev.filter(selected => selected !== droneId)
+      : [...prev, droneId]));
+  };
+
+  const handleSettingChange = (e) => {
+    const { name, value } = e.target;
+    setSettings(prev => ({ ...prev, [name]: name === 'pattern' ? value : parseFloat(value) }));
+  };
+
+  const handleSubmit = async () => {
+    if (boundary.length < 3) {
+      setError('Draw the area to divide on the map');
+      return;
+    }
+    if (selectedDrones.length === 0) {
+      setError('Select at least one drone');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+
+    const result = await partitionSurveyArea(surveyId, {
+      boundary: boundary.map(([lat, lng]) => ({ latitude: lat, longitude: lng })),
+      drones: selectedDrones,
+      ...settings
+    });
+
+    setSubmitting(false);
+
+    if (result.success) {
+      setSelectedDrones([]);
+      if (onPartitioned) onPartitioned(result.partitions);
+      onClose();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Divide Area Among Drones" size="xl">
+      <div className="space-y-4">
+        <p className="text-sm text-gray-500">
+          Draw the area to cover and pick the drones to fly it. Each drone gets one mission over a share of the area
+          sized by its speed and flight time.
+        </p>
+
+        <MapDrawingTool
+          center={center}
+          zoom={14}
+          onChange={(shape) => setBoundary(shape ? shape.coordinates : [])}
+          mapStyle={{ height: '320px' }}
+        />
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+            <FiUsers className="mr-1" /> Drones ({selectedDrones.length} selected)
+          </h4>
+          {drones.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">No drones are available</p>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {drones.map(drone => (
+                <label key={drone._id} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={selectedDrones.includes(drone._id)}
+                    onChange={() => handleToggleDrone(drone._id)}
+                    className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                  />
+                  {drone.name}
+                  {drone.specifications?.maxFlightTime && (
+                    <span className="ml-1 text-gray-400">({drone.specifications.maxFlightTime} min)</span>
+                  )}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <FormSelect
+            id="partition-pattern"
+            name="pattern"
+            label="Pattern"
+            value={settings.pattern}
+            onChange={handleSettingChange}
+            options={[
+              { value: 'grid', label: 'Grid' },
+              { value: 'crosshatch', label: 'Crosshatch' }
+            ]}
+          />
+          <FormInput
+            id="partition-altitude"
+            name="altitude"
+            type="number"
+            label="Altitude (m)"
+            value={settings.altitude}
+            onChange={handleSettingChange}
+          />
+          <FormInput
+            id="partition-speed"
+            name="speed"
+            type="number"
+            label="Speed (m/s)"
+            value={settings.speed}
+            onChange={handleSettingChange}
+          />
+          <FormInput
+            id="partition-overlap"
+            name="overlap"
+            type="number"
+            label="Overlap (%)"
+            value={settings.overlap}
+            onChange={handleSettingChange}
+          />
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={submitting}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            {submitting && <LoadingSpinner size="xs" color="white" className="mr-2" />}
+            Create Missions
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default PartitionSurveyModal;
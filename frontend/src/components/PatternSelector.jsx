@@ -5,6 +5,7 @@ import {
   FiCrosshair,
   FiSquare,
   FiCornerDownRight,
+  FiMaximize,
   FiMap,
   FiCheckCircle
 } from 'react-icons/fi';
@@ -46,9 +47,16 @@ const PatternSelector = ({ value = 'grid', onChange }) => {
       id: 'spiral',
       name: 'Spiral',
       icon: <FiCornerDownRight className="h-5 w-5" />,
-      description: 'Starts from the center and moves outward in a spiral pattern. Good for focused surveys of specific structures.',
+      description: 'Spirals outward from the center, or inward from the edge, with turns spaced by the camera footprint. Good for focused surveys of specific structures.',
       image: 'spiral-pattern.svg'
     },
+    {
+      id: 'expanding-square',
+      name: 'Expanding Square',
+      icon: <FiMaximize className="h-5 w-5" />,
+      description: 'Search pattern that starts at the center and grows in square legs one track spacing apart. Ideal for locating a target near a last known position.',
+      image: 'expanding-square-pattern.svg'
+    },
     {
       id: 'custom',
       name: 'Custom',
@@ -87,7 +95,7 @@ const PatternSelector = ({ value = 'grid', onChange }) => {
       </div>
       
       <div className="p-4">
-        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3">
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
           {patterns.map((pattern) => (
             <button
               key={pattern.id}
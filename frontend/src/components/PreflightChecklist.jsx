@@ -0,0 +1,111 @@
+import React from 'react';
+import { FiCheckCircle, FiAlertTriangle, FiXCircle, FiRefreshCw, FiPlay } from 'react-icons/fi';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * PreflightChecklist component for showing the pre-flight check of a mission
+ *
+ * @param {Object} props
+ * @param {Object} props.result - Pre-flight check result { status, checks, summary }
+ * @param {boolean} props.loading - Whether the check is running
+ * @param {Function} props.onRun - Handler to run the check again
+ * @param {Function} props.onStart - Handler to start the mission, only enabled when no check fails
+ * @param {boolean} props.starting - Whether the mission is being started
+ * @param {string} props.className - Additional CSS classes
+ */
+const PreflightChecklist = ({
+  result,
+  loading = false,
+  onRun,
+  onStart,
+  starting = false,
+  className = ''
+}) => {
+  // Icon and colors for each check status
+  const statusStyles = {
+    pass: { icon: <FiCheckCircle className="h-5 w-5 text-green-500" />, text: 'text-green-700', label: 'Ready to fly' },
+    warn: { icon: <FiAlertTriangle className="h-5 w-5 text-yellow-500" />, text: 'text-yellow-700', label: 'Ready with warnings' },
+    fail: { icon: <FiXCircle className="h-5 w-5 text-red-500" />, text: 'text-red-700', label: 'Not safe to fly' }
+  };
+
+  const canStart = result && result.status !== 'fail';
+
+  return (
+    <div className={`bg-white rounded-lg shadow p-4 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Pre-flight Check</h3>
+          {result && (
+            <p className={`text-sm font-medium ${statusStyles[result.status].text}`}>
+              {statusStyles[result.status].label}
+            </p>
+          )}
+        </div>
+        <div className="flex space-x-2">
+          {onRun && (
+            <button
+              type="button"
+              onClick={onRun}
+              disabled={loading}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              {loading ? <LoadingSpinner size="xs" className="mr-2" /> : <FiRefreshCw className="mr-1" />}
+              {result ? 'Re-run Check' : 'Run Check'}
+            </button>
+          )}
+          {onStart && (
+            <button
+              type="button"
+              onClick={onStart}
+              disabled={!canStart || loading || starting}
+              title={canStart ? 'Start mission' : 'Resolve failed checks before starting'}
+              className="inline-flex items-center px-3 py-1.5 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+            >
+              {starting ? <LoadingSpinner size="xs" color="white" className="mr-2" /> : <FiPlay className="mr-1" />}
+              Start Mission
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!result ? (
+        <p className="text-sm text-gray-500">
+          Run the check to compare the flight path with the drone's limits, battery and wind before starting.
+        </p>
+      ) : (
+        <>
+          <ul className="divide-y divide-gray-200">
+            {result.checks.map(check => (
+              <li key={check.id} className="flex items-start py-2">
+                <div className="flex-shrink-0">{statusStyles[check.status].icon}</div>
+                <div className="ml-3">
+                  <p className="text-sm font-medium text-gray-900">{check.label}</p>
+                  <p className="text-sm text-gray-500">{check.message}</p>
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {result.summary && result.summary.flightTime !== undefined && (
+            <div className="mt-4 grid grid-cols-3 gap-4 text-center text-sm">
+              <div>
+                <div className="text-gray-500">Distance</div>
+                <div className="font-medium">{(result.summary.distance / 1000).toFixed(2)} km</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Flight Time</div>
+                <div className="font-medium">{result.summary.flightTime ?? '-'} min</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Battery Needed</div>
+                <div className="font-medium">{result.summary.batteryRequired ?? '-'}%</div>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PreflightChecklist;
@@ -4,7 +4,7 @@ import {
   FiHome, FiPieChart, FiAirplay, FiMap, 
   FiCpu, FiFilePlus, FiEye, FiGrid, 
   FiChevronRight, FiChevronDown, FiX,
-  FiUser, FiLogOut, FiSettings 
+  FiUser, FiLogOut, FiSettings, FiBatteryCharging 
 } from 'react-icons/fi';
 import { useAuth } from '../context/AuthContext';
 
@@ -41,6 +41,12 @@ const Sidebar = ({ isMobile = false, onCloseMobile }) => {
           icon: <FiFilePlus className="w-5 h-5" />,
           path: '/drones/add',
           access: ['admin']
+        },
+        {
+          name: 'Battery Packs',
+          icon: <FiBatteryCharging className="w-5 h-5" />,
+          path: '/batteries',
+          access: ['admin', 'operator', 'viewer']
         }
       ]
     },
@@ -1,8 +1,18 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import { 
   FiWifi, FiBattery, FiNavigation, FiClock, 
   FiAirplay, FiThermometer, FiFlag, FiCompass 
 } from 'react-icons/fi';
+import LineChart from './LineChart';
+
+// Values of the recorded telemetry that can be charted
+const HISTORY_METRICS = [
+  { key: 'altitude', label: 'Altitude', unit: 'm', color: '#3b82f6' },
+  { key: 'speed', label: 'Speed', unit: 'm/s', color: '#10b981' },
+  { key: 'batteryLevel', label: 'Battery', unit: '%', color: '#f59e0b' },
+  { key: 'signalStrength', label: 'Signal', unit: '%', color: '#8b5cf6' },
+  { key: 'temperature', label: 'Temp', unit: '°C', color: '#ef4444' }
+];
 
 /**
  * TelemetryPanel component for displaying drone telemetry data
@@ -11,12 +21,23 @@ import {
  * @param {Object} props.telemetry - Telemetry data object
  * @param {boolean} props.isConnected - Whether drone is connected
  * @param {string} props.className - Additional CSS classes
+ * @param {Array} props.history - Recorded telemetry samples to chart, the chart is hidden without them
  */
 const TelemetryPanel = ({
   telemetry = {},
   isConnected = false,
-  className = ''
+  className = '',
+  history = null
 }) => {
+  const [historyMetric, setHistoryMetric] = useState('altitude');
+  const metric = HISTORY_METRICS.find(item => item.key === historyMetric);
+  
+  // Built once per history update, so live telemetry does not redraw the chart
+  const historyData = useMemo(
+    () => (history || []).filter(sample => sample[historyMetric] !== undefined && sample[historyMetric] !== null),
+    [history, historyMetric]
+  );
+
   // Default values for telemetry data
   const {
     altitude = 0,
@@ -186,6 +207,40 @@ const TelemetryPanel = ({
         </div>
       </div>
 
+      {/* Recorded history */}
+      {history && (
+        <div className="mt-4 bg-gray-50 p-3 rounded-lg">
+          <div className="flex justify-between items-center mb-2">
+            <span className="text-xs text-gray-500">HISTORY</span>
+            <div className="flex space-x-1">
+              {HISTORY_METRICS.map(item => (
+                <button
+                  key={item.key}
+                  type="button"
+                  onClick={() => setHistoryMetric(item.key)}
+                  className={`px-2 py-0.5 text-xs rounded ${
+                    item.key === historyMetric ? 'bg-blue-100 text-blue-700' : 'text-gray-500 hover:bg-gray-100'
+                  }`}
+                >
+                  {item.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="h-40">
+            <LineChart
+              data={historyData}
+              xKey="timestamp"
+              yKey={metric.key}
+              yLabel={`${metric.label} (${metric.unit})`}
+              color={metric.color}
+              xFormat="time"
+              beginAtZero={metric.key !== 'temperature'}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Last updated */}
       <div className="mt-4 text-xs text-gray-500 text-right">
         Last updated: {new Date(timestamp).toLocaleTimeString()}
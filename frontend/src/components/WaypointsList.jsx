@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { FiMapPin, FiArrowUp, FiArrowDown, FiTrash2, FiPlus, FiEye, FiEyeOff, FiMenu } from 'react-icons/fi';
+import { FiMapPin, FiArrowUp, FiArrowDown, FiTrash2, FiPlus, FiEye, FiEyeOff, FiMenu, FiShuffle } from 'react-icons/fi';
 
 /**
  * WaypointsList component for displaying and editing mission waypoints
@@ -11,6 +11,7 @@ import { FiMapPin, FiArrowUp, FiArrowDown, FiTrash2, FiPlus, FiEye, FiEyeOff, Fi
  * @param {number} props.focusedIndex - Index of the currently focused waypoint
  * @param {boolean} props.editable - Whether waypoints can be edited
  * @param {boolean} props.showAdd - Whether to show add waypoint button
+ * @param {Function} props.onOptimize - Async handler that optimizes the route and resolves with the distance saved
  * @param {string} props.className - Additional CSS classes
  */
 const WaypointsList = ({
@@ -20,10 +21,13 @@ const WaypointsList = ({
   focusedIndex = -1,
   editable = false,
   showAdd = true,
+  onOptimize,
   className = ''
 }) => {
   const [hoverIndex, setHoverIndex] = useState(-1);
   const [allExpanded, setAllExpanded] = useState(false);
+  const [isOptimizing, setIsOptimizing] = useState(false);
+  const [optimizeResult, setOptimizeResult] = useState(null);
   
   // Move waypoint up in the list
   const moveWaypointUp = (index) => {
@@ -94,6 +98,19 @@ const WaypointsList = ({
     if (onFocus) onFocus(index === focusedIndex ? -1 : index);
   };
   
+  // Optimize the route order and report the distance saved
+  const optimizeRoute = async () => {
+    if (!editable || !onOptimize) return;
+    
+    setIsOptimizing(true);
+    setOptimizeResult(null);
+    try {
+      setOptimizeResult(await onOptimize());
+    } finally {
+      setIsOptimizing(false);
+    }
+  };
+  
   // Toggle expand/collapse all waypoints
   const toggleAllExpanded = () => {
     setAllExpanded(!allExpanded);
@@ -112,6 +129,17 @@ const WaypointsList = ({
           >
             {allExpanded ? <FiEyeOff size={18} /> : <FiEye size={18} />}
           </button>
+          {editable && onOptimize && waypoints.length > 2 && (
+            <button
+              type="button"
+              onClick={optimizeRoute}
+              disabled={isOptimizing}
+              className="p-1.5 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-md disabled:opacity-50"
+              title="Optimize route order"
+            >
+              <FiShuffle size={18} />
+            </button>
+          )}
           {editable && showAdd && (
             <button
               type="button"
@@ -125,6 +153,17 @@ const WaypointsList = ({
         </div>
       </div>
       
+      {optimizeResult && (
+        <div className={`mb-4 px-3 py-2 rounded-md text-sm ${
+          optimizeResult.success ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+        }`}>
+          {!optimizeResult.success && (optimizeResult.error || 'Failed to optimize route')}
+          {optimizeResult.success && (optimizeResult.distanceSaved > 0
+            ? `Route shortened by ${optimizeResult.distanceSaved} m (${Math.round(optimizeResult.distanceSaved / optimizeResult.originalDistance * 100)}%), now ${optimizeResult.optimizedDistance} m`
+            : 'Route order is already the shortest found')}
+        </div>
+      )}
+      
       {waypoints.length === 0 ? (
         <div className="text-center py-8 text-gray-500">
           <FiMapPin className="mx-auto h-8 w-8 mb-2" />
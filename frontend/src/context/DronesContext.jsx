@@ -176,6 +176,7 @@ export const DronesProvider = ({ children }) => {
         name: droneData.name,
         model: droneData.model,
         serialNumber: droneData.serial, // Map 'serial' to 'serialNumber'
+        mavlinkSystemId: droneData.mavlinkSystemId || undefined,
         status: backendStatus, // Use the mapped status
         batteryLevel: droneData.batteryLevel || 100,
         // Add required organization field with a default value
@@ -334,7 +335,7 @@ export const DronesProvider = ({ children }) => {
     }
   };
 
-  const getDroneHealth = async (id) => {
+  const getDroneHealth = useCallback(async (id) => {
     if (!isAuthenticated()) {
       return { success: false, error: 'User not authenticated' };
     }
@@ -346,6 +347,63 @@ export const DronesProvider = ({ children }) => {
       console.error('Error fetching drone health:', err);
       return { success: false, error: err.response?.data?.message || 'Failed to fetch drone health' };
     }
+  }, [isAuthenticated]);
+
+  const getDroneMaintenance = useCallback(async (id, filters = {}) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+
+    try {
+      const response = await api.get(`/drones/${id}/maintenance`, { params: filters });
+      return { success: true, ...response.data };
+    } catch (err) {
+      console.error('Error fetching drone maintenance:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to fetch maintenance history' };
+    }
+  }, [isAuthenticated]);
+
+  // Records dated in the future are scheduled, others are recorded as done
+  const addMaintenanceRecord = async (id, recordData) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+
+    try {
+      const response = await api.post(`/drones/${id}/maintenance`, recordData);
+      return { success: true, ...response.data };
+    } catch (err) {
+      console.error('Error adding maintenance record:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to add maintenance record' };
+    }
+  };
+
+  const updateMaintenanceRecord = async (recordId, recordData) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+
+    try {
+      const response = await api.put(`/maintenance/${recordId}`, recordData);
+      return { success: true, ...response.data };
+    } catch (err) {
+      console.error('Error updating maintenance record:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to update maintenance record' };
+    }
+  };
+
+  const completeMaintenanceRecord = async (recordId, recordData = {}) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+
+    try {
+      const response = await api.post(`/maintenance/${recordId}/complete`, recordData);
+      return { success: true, ...response.data };
+    } catch (err) {
+      console.error('Error completing maintenance record:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to complete maintenance record' };
+    }
   };
 
   return (
@@ -361,7 +419,11 @@ export const DronesProvider = ({ children }) => {
         updateDrone,
         updateDroneStatus, 
         deleteDrone,
-        getDroneHealth
+        getDroneHealth,
+        getDroneMaintenance,
+        addMaintenanceRecord,
+        updateMaintenanceRecord,
+        completeMaintenanceRecord
       }}
     >
       {children}
@@ -6,6 +6,19 @@ const MissionsContext = createContext();
 
 export const useMissions = () => useContext(MissionsContext);
 
+// Map a stored waypoint to the lat/lng/alt shape used by the map components
+const toMapWaypoint = (wp) => ({
+  _id: wp._id,
+  lat: wp.location.coordinates[1],
+  lng: wp.location.coordinates[0],
+  alt: wp.altitude,
+  speed: wp.speed,
+  action: wp.action,
+  actionParams: wp.actionParams,
+  heading: wp.heading,
+  gimbalPitch: wp.gimbalPitch
+});
+
 export const MissionsProvider = ({ children }) => {
   const [missions, setMissions] = useState([]);
   const [activeMission, setActiveMission] = useState(null);
@@ -129,7 +142,7 @@ export const MissionsProvider = ({ children }) => {
     };
   }, [socket]);
 
-  const getMissionDetails = async (id) => {
+  const getMissionDetails = useCallback(async (id) => {
     if (!isAuthenticated()) {
       return { success: false, error: 'User not authenticated' };
     }
@@ -156,7 +169,7 @@ export const MissionsProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [isAuthenticated]);
 
   const createMission = async (missionData) => {
     if (!isAuthenticated()) {
@@ -245,7 +258,7 @@ export const MissionsProvider = ({ children }) => {
       setLoading(true);
       setError(null);
       
-      const response = await api.put(`/missions/${id}/start`);
+      const response = await api.post(`/missions/${id}/start`);
       
       setMissions(prevMissions => 
         prevMissions.map(mission => mission._id === id ? response.data : mission)
@@ -259,12 +272,31 @@ export const MissionsProvider = ({ children }) => {
     } catch (err) {
       console.error('Error starting mission:', err);
       setError(err.response?.data?.message || 'Failed to start mission');
-      return { success: false, error: err.response?.data?.message || 'Failed to start mission' };
+      return {
+        success: false,
+        error: err.response?.data?.message || 'Failed to start mission',
+        // Present when the pre-flight check blocked the start
+        preflight: err.response?.data?.preflight
+      };
     } finally {
       setLoading(false);
     }
   };
 
+  const runPreflightCheck = async (id) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+    
+    try {
+      const response = await api.post(`/missions/${id}/preflight`);
+      return { success: true, preflight: response.data };
+    } catch (err) {
+      console.error('Error running pre-flight check:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to run pre-flight check' };
+    }
+  };
+
   const pauseMission = async (id) => {
     if (!isAuthenticated()) {
       return { success: false, error: 'User not authenticated' };
@@ -366,6 +398,36 @@ export const MissionsProvider = ({ children }) => {
     }
   };
 
+  // Recorded telemetry of a mission, params are optional { from, to, resolution }
+  const getMissionTelemetryHistory = useCallback(async (id, params = {}) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+    
+    try {
+      const response = await api.get(`/missions/${id}/telemetry/history`, { params });
+      return { success: true, ...response.data };
+    } catch (err) {
+      console.error('Error fetching mission telemetry history:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to fetch mission telemetry history' };
+    }
+  }, [isAuthenticated]);
+
+  // Planned versus flown track of a mission, refresh analyzes the flight again
+  const getMissionDeviation = useCallback(async (id, refresh = false) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+    
+    try {
+      const response = await api.get(`/missions/${id}/deviation`, { params: refresh ? { refresh: true } : {} });
+      return { success: true, deviation: response.data };
+    } catch (err) {
+      console.error('Error fetching mission deviation:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to fetch mission deviation' };
+    }
+  }, [isAuthenticated]);
+
   const getMissionWaypoints = async (id) => {
     if (!isAuthenticated()) {
       return { success: false, error: 'User not authenticated' };
@@ -373,29 +435,39 @@ export const MissionsProvider = ({ children }) => {
     
     try {
       const response = await api.get(`/missions/${id}/waypoints`);
-      return { success: true, waypoints: response.data };
+      return { success: true, waypoints: response.data.waypoints.map(toMapWaypoint), version: response.data.version };
     } catch (err) {
       console.error('Error fetching mission waypoints:', err);
       return { success: false, error: err.response?.data?.message || 'Failed to fetch mission waypoints' };
     }
   };
 
-  const updateMissionWaypoints = async (id, waypoints) => {
+  const updateMissionWaypoints = async (id, waypoints, version) => {
     if (!isAuthenticated()) {
       return { success: false, error: 'User not authenticated' };
     }
     
     try {
-      const response = await api.put(`/missions/${id}/waypoints`, { waypoints });
+      const response = await api.put(`/missions/${id}/waypoints`, { waypoints, version });
       
       if (activeMission && activeMission._id === id) {
-        setActiveMission(prev => ({ ...prev, waypoints: response.data }));
+        setActiveMission(prev => ({
+          ...prev,
+          waypoints: response.data.waypoints,
+          waypointsVersion: response.data.version
+        }));
       }
       
-      return { success: true, waypoints: response.data };
+      return { success: true, waypoints: response.data.waypoints, version: response.data.version };
     } catch (err) {
       console.error('Error updating mission waypoints:', err);
-      return { success: false, error: err.response?.data?.message || 'Failed to update mission waypoints' };
+      return {
+        success: false,
+        error: err.response?.data?.message || 'Failed to update mission waypoints',
+        // Someone else changed the waypoints, the current version is returned
+        conflict: err.response?.status === 409,
+        version: err.response?.data?.version
+      };
     }
   };
 
@@ -419,14 +491,133 @@ export const MissionsProvider = ({ children }) => {
     }
     
     try {
-      const response = await api.post('/missions/generate-pattern', patternData);
-      return { success: true, waypoints: response.data.waypoints };
+      const response = await api.post('/missions/flight-plan', patternData);
+      const { waypoints, ...plan } = response.data;
+      return {
+        success: true,
+        // Map planner waypoints to the lat/lng/alt shape used by the map components
+        waypoints: waypoints.map(wp => ({
+          lat: wp.latitude,
+          lng: wp.longitude,
+          alt: wp.altitude,
+          action: wp.action,
+          actionParams: wp.actionParams,
+          heading: wp.heading,
+          gimbalPitch: wp.gimbalPitch
+        })),
+        plan
+      };
     } catch (err) {
       console.error('Error generating mission from pattern:', err);
       return { success: false, error: err.response?.data?.message || 'Failed to generate mission pattern' };
     }
   };
 
+  const optimizeMissionRoute = async (id, options = {}) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+    
+    try {
+      const response = await api.post(`/missions/${id}/optimize`, options);
+      const { waypoints, ...result } = response.data;
+      return {
+        success: true,
+        waypoints: waypoints.map(toMapWaypoint),
+        ...result
+      };
+    } catch (err) {
+      console.error('Error optimizing mission route:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to optimize mission route' };
+    }
+  };
+
+  const splitMissionIntoSorties = async (id) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+    
+    try {
+      const response = await api.post(`/missions/${id}/sorties`);
+      const { mission, sorties } = response.data;
+      
+      // Add the new sorties to the list and refresh the parent mission
+      setMissions(prev => [
+        ...prev.map(existing => (existing._id === mission._id ? mission : existing)),
+        ...sorties
+      ]);
+      
+      return { success: true, mission, sorties };
+    } catch (err) {
+      console.error('Error splitting mission into sorties:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to split mission into sorties' };
+    }
+  };
+
+  const getTerrainProfile = useCallback(async (id) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+    
+    try {
+      const response = await api.get(`/missions/${id}/terrain-profile`);
+      return { success: true, ...response.data };
+    } catch (err) {
+      console.error('Error fetching terrain profile:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to fetch terrain profile' };
+    }
+  }, [isAuthenticated]);
+
+  // Download a mission's flight plan in a ground station format
+  const downloadMission = async (id, format) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+    
+    try {
+      const response = await api.get(`/missions/${id}/download`, {
+        params: { format },
+        responseType: 'blob'
+      });
+      return { success: true, blob: response.data };
+    } catch (err) {
+      console.error('Error exporting mission:', err);
+      return { success: false, error: 'Failed to export mission' };
+    }
+  };
+
+  const importMissionFile = async (file, options = {}) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+    
+    try {
+      // The file is sent as the raw request body, the server detects its format
+      const response = await api.post('/missions/import', file, {
+        params: options,
+        headers: { 'Content-Type': 'application/octet-stream' }
+      });
+      const { waypoints, ...preview } = response.data;
+      return {
+        success: true,
+        waypoints: waypoints.map(wp => ({
+          lat: wp.latitude,
+          lng: wp.longitude,
+          alt: wp.altitude,
+          speed: wp.speed,
+          action: wp.action,
+          actionParams: wp.actionParams,
+          heading: wp.heading,
+          gimbalPitch: wp.gimbalPitch
+        })),
+        preview
+      };
+    } catch (err) {
+      console.error('Error importing mission file:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to import mission file' };
+    }
+  };
+
   return (
     <MissionsContext.Provider 
       value={{ 
@@ -444,10 +635,18 @@ export const MissionsProvider = ({ children }) => {
         resumeMission,
         abortMission,
         getMissionTelemetry,
+        getMissionTelemetryHistory,
+        getMissionDeviation,
         getMissionWaypoints,
         updateMissionWaypoints,
         getMissionStatistics,
-        generateMissionFromPattern
+        generateMissionFromPattern,
+        optimizeMissionRoute,
+        runPreflightCheck,
+        splitMissionIntoSorties,
+        getTerrainProfile,
+        downloadMission,
+        importMissionFile
       }}
     >
       {children}
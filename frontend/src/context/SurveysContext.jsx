@@ -169,6 +169,59 @@ export const SurveysProvider = ({ children }) => {
     }
   };
 
+  const partitionSurveyArea = async (surveyId, partitionData) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+    
+    try {
+      const response = await api.post(`/surveys/${surveyId}/partition`, partitionData);
+      
+      return { success: true, partitions: response.data.partitions };
+    } catch (err) {
+      console.error('Error partitioning survey area:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to divide survey area' };
+    }
+  };
+
+  const uploadTerrainModel = async (surveyId, file) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+    
+    try {
+      // The DEM file is sent as the raw request body
+      const response = await api.post(`/surveys/${surveyId}/terrain`, file, {
+        params: { name: file.name },
+        headers: { 'Content-Type': 'application/octet-stream' }
+      });
+      
+      return { success: true, terrainModel: response.data };
+    } catch (err) {
+      console.error('Error uploading terrain model:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to upload terrain model' };
+    }
+  };
+
+  const getTerrainModel = useCallback(async (surveyId) => {
+    if (!isAuthenticated()) {
+      return { success: false, error: 'User not authenticated' };
+    }
+    
+    try {
+      const response = await api.get(`/surveys/${surveyId}/terrain`);
+      
+      return { success: true, terrainModel: response.data };
+    } catch (err) {
+      // A site without a terrain model is not an error
+      if (err.response?.status === 404) {
+        return { success: true, terrainModel: null };
+      }
+      console.error('Error fetching terrain model:', err);
+      return { success: false, error: err.response?.data?.message || 'Failed to fetch terrain model' };
+    }
+  }, [isAuthenticated]);
+
   return (
     <SurveysContext.Provider 
       value={{ 
@@ -182,7 +235,10 @@ export const SurveysProvider = ({ children }) => {
         updateSurvey,
         deleteSurvey,
         addMissionToSurvey,
-        getSurveyStatistics
+        getSurveyStatistics,
+        partitionSurveyArea,
+        uploadTerrainModel,
+        getTerrainModel
       }}
     >
       {children}
@@ -37,6 +37,7 @@ const AddDronePage = () => {
     name: '',
     model: '',
     serial: '',
+    mavlinkSystemId: '',
     manufacturer: '',
     organization: 'FlytBase', // Default organization - ADDED THIS FIELD
     description: '',
@@ -112,6 +113,7 @@ const AddDronePage = () => {
               name: droneData.name || '',
               model: droneData.model || '',
               serial: droneData.serialNumber || '', // Map to match backend field
+              mavlinkSystemId: droneData.mavlinkSystemId || '',
               manufacturer: droneData.manufacturer || '',
               organization: droneData.organization || 'FlytBase', // ADDED THIS FIELD
               description: droneData.description || '',
@@ -171,6 +173,13 @@ const AddDronePage = () => {
       errors.organization = 'Organization is required';
     }
     
+    if (formData.mavlinkSystemId !== '') {
+      const systemId = Number(formData.mavlinkSystemId);
+      if (!Number.isInteger(systemId) || systemId < 1 || systemId > 255) {
+        errors.mavlinkSystemId = 'MAVLink system ID must be a whole number between 1 and 255';
+      }
+    }
+    
     if (formData.batteryLevel < 0 || formData.batteryLevel > 100) {
       errors.batteryLevel = 'Battery level must be between 0 and 100';
     }
@@ -368,6 +377,19 @@ const handleLocationChange = (location) => {
               placeholder="Enter serial number"
             />
             
+            <FormInput 
+              label="MAVLink System ID"
+              name="mavlinkSystemId"
+              type="number"
+              value={formData.mavlinkSystemId}
+              onChange={handleInputChange}
+              error={formErrors.mavlinkSystemId}
+              placeholder="1-255"
+              min="1"
+              max="255"
+              helpText="System ID the autopilot sends MAVLink telemetry with, leave empty if the drone has no live link"
+            />
+            
             {/* ADDED: Organization field */}
             <FormInput 
               label="Organization"
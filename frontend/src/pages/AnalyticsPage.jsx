@@ -35,6 +35,13 @@ import MapOverview from '../components/MapOverview';
 import DateRangePicker from '../components/DateRangePicker';
 import MiniTable from '../components/MiniTable';
 import analyticsService from '../services/analyticsService';
+import droneService from '../services/droneService';
+import { getRelativeTime } from '../utils/dateFormatter';
+
+const ALERT_STYLES = {
+  warning: 'bg-yellow-50 border-yellow-500 text-yellow-800',
+  critical: 'bg-red-50 border-red-500 text-red-800'
+};
 
 const AnalyticsPage = () => {
   const { user } = useAuth();
@@ -52,6 +59,8 @@ const AnalyticsPage = () => {
   const [isDownloading, setIsDownloading] = useState(false);
   const [downloadFormat, setDownloadFormat] = useState('csv');
   const [showDownloadOptions, setShowDownloadOptions] = useState(false);
+  const [fleetHealth, setFleetHealth] = useState(null);
+  const [fleetHealthLoading, setFleetHealthLoading] = useState(true);
   
   // Calculate date range based on selection
   const getDateRange = useCallback(() => {
@@ -125,6 +134,21 @@ const AnalyticsPage = () => {
     fetchData();
   }, [timeRange, filter, customDateRange, fetchMissions, fetchSurveys, getDateRange]);
 
+  // Fetch the health of the fleet and the predictive maintenance alerts raised on it
+  useEffect(() => {
+    const fetchFleetHealth = async () => {
+      try {
+        setFleetHealth(await droneService.getFleetHealth());
+      } catch (err) {
+        console.error('Error fetching fleet health:', err);
+      } finally {
+        setFleetHealthLoading(false);
+      }
+    };
+
+    fetchFleetHealth();
+  }, []);
+
   // Fetch analytics data
   useEffect(() => {
     const fetchAnalytics = async () => {
@@ -212,28 +236,6 @@ const AnalyticsPage = () => {
             { name: "John Doe", missionsCompleted: 8 },
             { name: "Jane Smith", missionsCompleted: 5 },
             { name: "Alex Johnson", missionsCompleted: 4 }
-          ],
-          
-          // Drone health status
-          droneHealth: {
-            healthy: Math.floor(analyticsResult?.counts?.drones * 0.6) || 6,
-            needsAttention: Math.floor(analyticsResult?.counts?.drones * 0.3) || 3,
-            critical: Math.floor(analyticsResult?.counts?.drones * 0.1) || 1,
-            offline: analyticsResult?.counts?.drones - analyticsResult?.counts?.activeDrones || 0
-          },
-          
-          // Recent alerts (mock data)
-          recentAlerts: analyticsResult?.recentAlerts || [
-            {
-              severity: "yellow",
-              message: "Battery Low on DJI Phantom #103",
-              time: "Today, 2:45 PM"
-            },
-            {
-              severity: "red",
-              message: "Signal Lost on Mavic Air #208",
-              time: "Yesterday, 9:12 AM"
-            }
           ]
         };
         
@@ -766,7 +768,7 @@ const AnalyticsPage = () => {
           <h2 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
             <FiCpu className="mr-2 text-blue-600" /> Drone Health Status
           </h2>
-          {dronesLoading ? (
+          {fleetHealthLoading ? (
             <div className="flex items-center justify-center h-40">
               <LoadingSpinner size="sm" text="Loading drone health..." />
             </div>
@@ -775,37 +777,25 @@ const AnalyticsPage = () => {
               <div className="flex items-center">
                 <div className="w-3 h-3 bg-green-500 rounded-full mr-2"></div>
                 <span className="text-sm text-gray-700 flex-1">Healthy</span>
-                <span className="font-medium">
-                    {analyticsData?.droneHealth?.healthy || 
-                        (Array.isArray(drones) ? drones.filter(d => d.healthStatus === 'healthy').length : 0)}
-                </span>
+                <span className="font-medium">{fleetHealth?.summary.healthy ?? 0}</span>
               </div>
               
               <div className="flex items-center">
                 <div className="w-3 h-3 bg-yellow-500 rounded-full mr-2"></div>
                 <span className="text-sm text-gray-700 flex-1">Needs Attention</span>
-                <span className="font-medium">
-                {analyticsData?.droneHealth?.needsAttention || 
-                    (Array.isArray(drones) ? drones.filter(d => d.healthStatus === 'warning').length : 0)}
-                </span>
+                <span className="font-medium">{fleetHealth?.summary.warning ?? 0}</span>
               </div>
               
               <div className="flex items-center">
                 <div className="w-3 h-3 bg-red-500 rounded-full mr-2"></div>
                 <span className="text-sm text-gray-700 flex-1">Critical</span>
-                <span className="font-medium">
-                {analyticsData?.droneHealth?.critical || 
-                    (Array.isArray(drones) ? drones.filter(d => d.healthStatus === 'critical').length : 0)}
-                </span>
+                <span className="font-medium">{fleetHealth?.summary.critical ?? 0}</span>
               </div>
               
               <div className="flex items-center">
                 <div className="w-3 h-3 bg-gray-300 rounded-full mr-2"></div>
                 <span className="text-sm text-gray-700 flex-1">Offline</span>
-                <span className="font-medium">
-                {analyticsData?.droneHealth?.offline || 
-                    (Array.isArray(drones) ? drones.filter(d => d.status === 'offline').length : 0)}
-                </span>
+                <span className="font-medium">{fleetHealth?.summary.offline ?? 0}</span>
               </div>
             </div>
           )}
@@ -824,29 +814,18 @@ const AnalyticsPage = () => {
             <FiAlertTriangle className="mr-2 text-blue-600" /> Recent Alerts
           </h2>
           <div className="space-y-3">
-            {(analyticsData?.recentAlerts || []).map((alert, index) => (
-              <div 
-                key={index}
-                className={`p-3 bg-${alert.severity}-50 border-l-4 border-${alert.severity}-500 rounded-r-md`}
+            {(fleetHealth?.alerts || []).slice(0, 5).map(alert => (
+              <div
+                key={`${alert.drone._id}-${alert.rule}`}
+                className={`p-3 border-l-4 rounded-r-md ${ALERT_STYLES[alert.severity]}`}
               >
-                <p className={`text-sm font-medium text-${alert.severity}-800`}>{alert.message}</p>
-                <p className="text-xs text-gray-500">{alert.time}</p>
+                <p className="text-sm font-medium">{alert.drone.name}: {alert.message}</p>
+                <p className="text-xs text-gray-500">{getRelativeTime(alert.raisedAt)}</p>
               </div>
             ))}
 
-            {/* Fallback alerts if none from the API */}
-            {!analyticsData?.recentAlerts && (
-              <>
-                <div className="p-3 bg-yellow-50 border-l-4 border-yellow-500 rounded-r-md">
-                  <p className="text-sm font-medium text-yellow-800">Battery Low on DJI Phantom #103</p>
-                  <p className="text-xs text-gray-500">Today, 2:45 PM</p>
-                </div>
-                
-                <div className="p-3 bg-red-50 border-l-4 border-red-500 rounded-r-md">
-                  <p className="text-sm font-medium text-red-800">Signal Lost on Mavic Air #208</p>
-                  <p className="text-xs text-gray-500">Yesterday, 9:12 AM</p>
-                </div>
-              </>
+            {!fleetHealthLoading && !fleetHealth?.alerts.length && (
+              <p className="text-sm text-gray-500">No maintenance alerts</p>
             )}
           </div>
           <div className="mt-4">
@@ -0,0 +1,448 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FiBatteryCharging, FiPlus, FiRefreshCw } from 'react-icons/fi';
+import { useAuth } from '../context/AuthContext';
+import batteryService from '../services/batteryService';
+import droneService from '../services/droneService';
+import LoadingSpinner from '../components/LoadingSpinner';
+import Modal from '../components/Modal';
+import { getRelativeTime } from '../utils/dateFormatter';
+
+// Groups of the charge rotation, in the order crews work through them
+const ROTATION_GROUPS = [
+  { key: 'ready', title: 'Ready to Fly', hint: 'Fly the top pack first', style: 'border-green-500' },
+  { key: 'needsCharge', title: 'Charge Next', hint: 'Charge the top pack first', style: 'border-yellow-500' },
+  { key: 'charging', title: 'Charging', hint: 'On the charger', style: 'border-blue-500' },
+  { key: 'storage', title: 'In Storage', hint: 'Kept at storage charge', style: 'border-gray-400' },
+  { key: 'fitted', title: 'Fitted', hint: 'On a drone', style: 'border-indigo-500' },
+  { key: 'dueForRetirement', title: 'Due for Retirement', hint: 'Past the cycle or health limit', style: 'border-red-500' }
+];
+
+const RETIREMENT_STYLES = {
+  ok: 'bg-green-100 text-green-800',
+  'near-retirement': 'bg-yellow-100 text-yellow-800',
+  due: 'bg-red-100 text-red-800',
+  retired: 'bg-gray-100 text-gray-800'
+};
+
+const EMPTY_BATTERY_FORM = {
+  serialNumber: '',
+  model: '',
+  capacity: '',
+  cycleCount: '',
+  health: '',
+  chargeLevel: '',
+  notes: ''
+};
+
+const BatteriesPage = () => {
+  const { user } = useAuth();
+  const [rotation, setRotation] = useState(null);
+  const [batteries, setBatteries] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [drones, setDrones] = useState([]);
+  const [addOpen, setAddOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_BATTERY_FORM);
+  // Pack being fitted to a drone, null when the fit dialog is closed
+  const [fitBattery, setFitBattery] = useState(null);
+  const [fitDrone, setFitDrone] = useState('');
+  const [saving, setSaving] = useState(false);
+  const canManage = ['admin', 'manager', 'technician'].includes(user?.role);
+
+  const loadInventory = useCallback(async () => {
+    try {
+      const [rotationData, inventory] = await Promise.all([
+        batteryService.getChargeRotation(),
+        batteryService.getBatteries({ status: statusFilter, limit: 100 })
+      ]);
+      setRotation(rotationData);
+      setBatteries(inventory.batteries);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load battery packs');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    loadInventory();
+  }, [loadInventory]);
+
+  useEffect(() => {
+    droneService.getDrones({ limit: 100 })
+      .then(data => setDrones(data.drones || []))
+      .catch(err => console.error('Error fetching drones:', err));
+  }, []);
+
+  // Run a change to a pack, then reload the rotation and inventory
+  const runAction = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      await loadInventory();
+      return true;
+    } catch (err) {
+      setError(err.message || 'Failed to update battery pack');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddSubmit = async (e) => {
+    e.preventDefault();
+    const batteryData = { serialNumber: form.serialNumber, model: form.model || undefined, notes: form.notes || undefined };
+    ['capacity', 'cycleCount', 'health', 'chargeLevel'].forEach(field => {
+      if (form[field] !== '') batteryData[field] = Number(form[field]);
+    });
+
+    if (await runAction(() => batteryService.createBattery(batteryData))) {
+      setAddOpen(false);
+      setForm(EMPTY_BATTERY_FORM);
+    }
+  };
+
+  const handleFitSubmit = async (e) => {
+    e.preventDefault();
+    if (await runAction(() => batteryService.assignBattery(fitBattery._id, fitDrone))) {
+      setFitBattery(null);
+    }
+  };
+
+  const openFit = (battery) => {
+    setFitDrone('');
+    setFitBattery(battery);
+  };
+
+  const handleRetire = (battery) => {
+    const reason = window.prompt(`Retire battery pack ${battery.serialNumber}? Give a reason, or leave empty to use the retirement thresholds.`);
+    if (reason === null) return;
+    runAction(() => batteryService.retireBattery(battery._id, reason || undefined));
+  };
+
+  // Actions offered for a pack in each group of the rotation
+  const renderActions = (group, battery) => {
+    const buttonClass = 'text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50';
+    switch (group) {
+      case 'ready':
+        return <button className={buttonClass} disabled={saving} onClick={() => openFit(battery)}>Fit to drone</button>;
+      case 'needsCharge':
+      case 'storage':
+        return (
+          <button
+            className={buttonClass}
+            disabled={saving}
+            onClick={() => runAction(() => batteryService.updateBattery(battery._id, { storageState: 'charging' }))}
+          >
+            Start charging
+          </button>
+        );
+      case 'charging':
+        return (
+          <button
+            className={buttonClass}
+            disabled={saving}
+            onClick={() => runAction(() => batteryService.updateBattery(battery._id, { storageState: 'charged', chargeLevel: 100 }))}
+          >
+            Charged
+          </button>
+        );
+      case 'fitted':
+        return (
+          <button
+            className={buttonClass}
+            disabled={saving}
+            onClick={() => runAction(() => batteryService.unassignBattery(battery._id))}
+          >
+            Take off
+          </button>
+        );
+      case 'dueForRetirement':
+        return canManage && (
+          <button className="text-sm font-medium text-red-600 hover:text-red-800" disabled={saving} onClick={() => handleRetire(battery)}>
+            Retire
+          </button>
+        );
+      default:
+        return null;
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner text="Loading battery packs..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold flex items-center">
+            <FiBatteryCharging className="mr-2 text-blue-600" /> Battery Packs
+          </h1>
+          <p className="text-gray-500 text-sm">Fly and charge the healthiest packs first to spread wear over the inventory</p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            className="px-3 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-100 flex items-center"
+            onClick={loadInventory}
+          >
+            <FiRefreshCw className="mr-2" /> Refresh
+          </button>
+          {canManage && (
+            <button
+              className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 flex items-center"
+              onClick={() => setAddOpen(true)}
+            >
+              <FiPlus className="mr-2" /> Add Pack
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 mb-6">{error}</div>
+      )}
+
+      {/* Charge Rotation */}
+      <h2 className="text-xl font-semibold mb-4">Charge Rotation</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6 mb-8">
+        {ROTATION_GROUPS.map(group => {
+          const packs = rotation?.[group.key] || [];
+          return (
+            <div key={group.key} className={`bg-white rounded-lg shadow border-t-4 ${group.style}`}>
+              <div className="p-4">
+                <div className="flex justify-between items-baseline mb-1">
+                  <h3 className="font-medium">{group.title}</h3>
+                  <span className="text-sm text-gray-500">{packs.length}</span>
+                </div>
+                <p className="text-xs text-gray-500 mb-3">{group.hint}</p>
+                {packs.length === 0 ? (
+                  <p className="text-sm text-gray-400">No packs</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {packs.map((battery, index) => (
+                      <li key={battery._id} className="py-2 flex items-center justify-between">
+                        <div>
+                          <p className="text-sm font-medium">
+                            {index === 0 && group.key === 'ready' && (
+                              <span className="mr-2 px-2 py-0.5 bg-green-100 text-green-800 rounded-full text-xs">Next</span>
+                            )}
+                            {battery.serialNumber}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {battery.health}% health, {Math.round(battery.cycleCount)} cycles, {battery.chargeLevel}% charge
+                            {battery.drone && ` on ${battery.drone.name}`}
+                          </p>
+                          {battery.retirement.reasons.length > 0 && (
+                            <p className={`text-xs ${battery.retirement.status === 'due' ? 'text-red-600' : 'text-yellow-700'}`}>
+                              {battery.retirement.reasons.join(', ')}
+                            </p>
+                          )}
+                        </div>
+                        {renderActions(group.key, battery)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Inventory */}
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Inventory</h2>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="border-gray-300 rounded-md shadow-sm text-sm"
+        >
+          <option value="active">In service</option>
+          <option value="retired">Retired</option>
+        </select>
+      </div>
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Serial', 'Model', 'Capacity', 'Cycles', 'Health', 'Charge', 'Storage', 'Drone', 'Flights', 'Last Used', 'Retirement', ''].map(label => (
+                <th key={label} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {batteries.length === 0 ? (
+              <tr>
+                <td colSpan="12" className="px-4 py-6 text-center text-gray-500">No battery packs</td>
+              </tr>
+            ) : batteries.map(battery => (
+              <tr key={battery._id}>
+                <td className="px-4 py-3 text-sm font-medium">{battery.serialNumber}</td>
+                <td className="px-4 py-3 text-sm">{battery.model || '-'}</td>
+                <td className="px-4 py-3 text-sm">{battery.capacity ? `${battery.capacity} mAh` : '-'}</td>
+                <td className="px-4 py-3 text-sm">{Math.round(battery.cycleCount)}</td>
+                <td className="px-4 py-3 text-sm">{battery.health}%</td>
+                <td className="px-4 py-3 text-sm">{battery.chargeLevel}%</td>
+                <td className="px-4 py-3 text-sm capitalize">{battery.storageState.replace('-', ' ')}</td>
+                <td className="px-4 py-3 text-sm">
+                  {battery.drone ? (
+                    <Link to={`/drones/${battery.drone._id}`} className="text-blue-600 hover:text-blue-800">
+                      {battery.drone.name}
+                    </Link>
+                  ) : '-'}
+                </td>
+                <td className="px-4 py-3 text-sm">{battery.totalFlights}</td>
+                <td className="px-4 py-3 text-sm">{battery.lastUsedAt ? getRelativeTime(battery.lastUsedAt) : 'Never'}</td>
+                <td className="px-4 py-3 text-sm">
+                  <span
+                    className={`px-2 py-1 rounded-full text-xs capitalize ${RETIREMENT_STYLES[battery.retirement.status]}`}
+                    title={battery.retirement.reasons.join(', ')}
+                  >
+                    {battery.retirement.status.replace('-', ' ')}
+                  </span>
+                </td>
+                <td className="px-4 py-3 text-sm text-right space-x-3 whitespace-nowrap">
+                  {battery.status === 'active' && battery.drone && renderActions('fitted', battery)}
+                  {battery.status === 'active' && canManage && (
+                    <button className="text-sm font-medium text-red-600 hover:text-red-800" disabled={saving} onClick={() => handleRetire(battery)}>
+                      Retire
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Add Pack Modal */}
+      <Modal isOpen={addOpen} onClose={() => setAddOpen(false)} title="Add Battery Pack">
+        <form onSubmit={handleAddSubmit} className="p-6 space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Serial number</label>
+              <input
+                type="text"
+                name="serialNumber"
+                value={form.serialNumber}
+                onChange={handleFormChange}
+                className="w-full border-gray-300 rounded-md shadow-sm"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Model</label>
+              <input
+                type="text"
+                name="model"
+                value={form.model}
+                onChange={handleFormChange}
+                className="w-full border-gray-300 rounded-md shadow-sm"
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            {[
+              { name: 'capacity', label: 'Capacity (mAh)' },
+              { name: 'cycleCount', label: 'Charge cycles', placeholder: '0' },
+              { name: 'health', label: 'Health (%)', placeholder: '100', max: 100 },
+              { name: 'chargeLevel', label: 'Charge level (%)', placeholder: '100', max: 100 }
+            ].map(field => (
+              <div key={field.name}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  max={field.max}
+                  name={field.name}
+                  value={form[field.name]}
+                  onChange={handleFormChange}
+                  placeholder={field.placeholder}
+                  className="w-full border-gray-300 rounded-md shadow-sm"
+                />
+              </div>
+            ))}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea
+              name="notes"
+              rows="2"
+              value={form.notes}
+              onChange={handleFormChange}
+              className="w-full border-gray-300 rounded-md shadow-sm"
+            />
+          </div>
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              className="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-100"
+              onClick={() => setAddOpen(false)}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              Add
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Fit Pack Modal */}
+      <Modal isOpen={Boolean(fitBattery)} onClose={() => setFitBattery(null)} title={`Fit Battery Pack ${fitBattery?.serialNumber || ''}`}>
+        <form onSubmit={handleFitSubmit} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Drone</label>
+            <select
+              value={fitDrone}
+              onChange={(e) => setFitDrone(e.target.value)}
+              className="w-full border-gray-300 rounded-md shadow-sm"
+              required
+            >
+              <option value="">Select a drone</option>
+              {drones.map(drone => (
+                <option key={drone._id} value={drone._id}>{drone.name} ({drone.status})</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">The pack fitted to the drone now goes back on the shelf</p>
+          </div>
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              className="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-100"
+              onClick={() => setFitBattery(null)}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              Fit
+            </button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default BatteriesPage;
@@ -11,7 +11,12 @@ import {
   FiInfo,
   FiGrid,
   FiCircle,
-  FiEdit
+  FiMaximize,
+  FiEdit,
+  FiBattery,
+  FiTrendingUp,
+  FiShield,
+  FiUpload
 } from 'react-icons/fi';
 import { useMissions } from '../context/MissionsContext';
 import { useDrones } from '../context/DronesContext';
@@ -19,6 +24,8 @@ import { useSurveys } from '../context/SurveysContext';
 import { useAuth } from '../context/AuthContext';
 import MapContainer from '../components/MapContainer';
 import WaypointsList from '../components/WaypointsList';
+import PreflightChecklist from '../components/PreflightChecklist';
+import ElevationProfile from '../components/ElevationProfile';
 import PageHeader from '../components/PageHeader';
 import LoadingSpinner from '../components/LoadingSpinner';
 import FormInput from '../components/FormInput';
@@ -26,6 +33,7 @@ import FormTextArea from '../components/FormTextArea';
 import FormSelect from '../components/FormSelect';
 import TagInput from '../components/TagInput';
 import AlertMessage from '../components/AlertMessage';
+import geofenceService from '../services/geofenceService';
 
 const CreateMissionPage = () => {
   const navigate = useNavigate();
@@ -35,7 +43,18 @@ const CreateMissionPage = () => {
   const surveyIdParam = queryParams.get('surveyId');
   
   const { isAuthenticated } = useAuth();
-  const { createMission, getMissionDetails, updateMission, generateMissionFromPattern } = useMissions();
+  const {
+    createMission,
+    getMissionDetails,
+    updateMission,
+    generateMissionFromPattern,
+    optimizeMissionRoute,
+    runPreflightCheck,
+    startMission,
+    splitMissionIntoSorties,
+    importMissionFile,
+    getMissionWaypoints
+  } = useMissions();
   const { fetchDrones, drones: dronesData, loading: dronesLoading } = useDrones();
   const { getSurveyDetails, activeSurvey } = useSurveys();
 
@@ -51,6 +70,30 @@ const CreateMissionPage = () => {
   const [isSuccess, setIsSuccess] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
   const [formErrors, setFormErrors] = useState({});
+  
+  // Pre-flight check state
+  const [preflight, setPreflight] = useState(null);
+  const [isCheckingPreflight, setIsCheckingPreflight] = useState(false);
+  const [isStarting, setIsStarting] = useState(false);
+  
+  // Battery sorties needed by the generated flight path
+  const [sortiePlan, setSortiePlan] = useState(null);
+  const [isSplitting, setIsSplitting] = useState(false);
+  
+  // Terrain following result of the generated flight path
+  const [terrainPlan, setTerrainPlan] = useState(null);
+  
+  // No-fly zones and operating areas, and how the generated path was rerouted around them
+  const [geofences, setGeofences] = useState([]);
+  const [geofenceReroute, setGeofenceReroute] = useState(null);
+  
+  // Waypoints version the edit is based on, a save fails when someone else changed them since
+  const [waypointsVersion, setWaypointsVersion] = useState(0);
+  
+  // Mission file import
+  const [importSummary, setImportSummary] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
 
   // Form data
   const [formData, setFormData] = useState({
@@ -61,6 +104,14 @@ const CreateMissionPage = () => {
     altitude: 50,
     speed: 5,
     overlapPercentage: 60,
+    sweepAngle: '',
+    crossAngle: 90,
+    spiralDirection: 'outward',
+    standoff: 0,
+    laps: 1,
+    altitudeStep: '',
+    followTerrain: false,
+    minClearance: 10,
     activeSensors: ['rgb'],
     drone: '',
     surveyId: surveyIdParam || '',
@@ -95,9 +146,23 @@ const CreateMissionPage = () => {
     { value: 'crosshatch', label: 'Crosshatch Pattern' },
     { value: 'perimeter', label: 'Perimeter Patrol' },
     { value: 'spiral', label: 'Spiral Pattern' },
+    { value: 'expanding-square', label: 'Expanding Square Search' },
     { value: 'custom', label: 'Custom Waypoints' }
   ];
 
+  // Spiral direction options
+  const spiralDirectionOptions = [
+    { value: 'outward', label: 'Outward (center first)' },
+    { value: 'inward', label: 'Inward (edge first)' }
+  ];
+
+  // Load the organization's geofences to show on the map
+  useEffect(() => {
+    geofenceService.getGeofences()
+      .then(setGeofences)
+      .catch(error => console.error('Error loading geofences:', error));
+  }, []);
+
   // Load data on component mount
   useEffect(() => {
     if (!isAuthenticated()) {
@@ -139,31 +204,38 @@ const CreateMissionPage = () => {
         
         // If in edit mode, load mission details
         if (isEditMode) {
-          const mission = await getMissionDetails(id);
+          const { success, mission } = await getMissionDetails(id);
+          const stored = await getMissionWaypoints(id);
+          const waypoints = stored.success ? stored.waypoints : [];
           
-          if (mission) {
+          if (success && mission) {
             setFormData({
               name: mission.name || '',
               description: mission.description || '',
               missionType: mission.missionType || 'survey',
-              surveyPattern: mission.surveyPattern || 'grid',
+              surveyPattern: mission.pattern || 'grid',
               altitude: mission.altitude || 50,
               speed: mission.speed || 5,
               overlapPercentage: mission.overlapPercentage || 60,
+              sweepAngle: '',
+              crossAngle: 90,
+              spiralDirection: 'outward',
+              standoff: 0,
+              laps: 1,
+              altitudeStep: '',
+              followTerrain: Boolean(mission.terrain?.model),
+              minClearance: mission.terrain?.minClearance || 10,
               activeSensors: mission.activeSensors || ['rgb'],
-              drone: mission.drone || '',
-              surveyId: mission.surveyId || surveyIdParam || '',
+              drone: mission.drone?._id || mission.drone || '',
+              surveyId: mission.survey?._id || surveyIdParam || '',
               estimatedDuration: mission.estimatedDuration || 15,
-              waypoints: mission.waypoints || []
+              waypoints
             });
+            setWaypointsVersion(stored.version ?? mission.waypointsVersion ?? 0);
             
-            if (mission.waypoints && mission.waypoints.length > 0) {
+            if (waypoints.length > 0) {
               // Center map on first waypoint
-              const firstWaypoint = mission.waypoints[0];
-              setMapCenter({ 
-                lat: firstWaypoint.location.coordinates[1], 
-                lng: firstWaypoint.location.coordinates[0] 
-              });
+              setMapCenter({ lat: waypoints[0].lat, lng: waypoints[0].lng });
               setMapZoom(14);
             }
           }
@@ -179,15 +251,15 @@ const CreateMissionPage = () => {
     loadData();
   }, [
     isAuthenticated, navigate, location.pathname, isEditMode, id,
-    surveyIdParam, fetchDrones, getSurveyDetails, getMissionDetails, drones.length
+    surveyIdParam, fetchDrones, getSurveyDetails, getMissionDetails, getMissionWaypoints, drones.length
   ]);
 
   // Form handlers
   const handleInputChange = (e) => {
-    const { name, value, type } = e.target;
+    const { name, value, type, checked } = e.target;
     
-    // Handle number inputs
-    const processedValue = type === 'number' ? parseFloat(value) : value;
+    // Handle number inputs and checkboxes
+    const processedValue = type === 'number' ? parseFloat(value) : type === 'checkbox' ? checked : value;
     
     setFormData(prev => ({
       ...prev,
@@ -226,6 +298,57 @@ const CreateMissionPage = () => {
     }
   };
   
+  // Reorder the saved waypoints of a custom mission into a shorter route
+  const handleOptimizeRoute = async () => {
+    const result = await optimizeMissionRoute(id, { waypointsVersion });
+    if (result.success) {
+      handleWaypointsChange(result.waypoints);
+      setWaypointsVersion(result.waypointsVersion);
+    }
+    return result;
+  };
+  
+  // Check the saved mission against the drone's limits, battery and wind
+  const handleRunPreflight = async () => {
+    setIsCheckingPreflight(true);
+    const result = await runPreflightCheck(id);
+    if (result.success) {
+      setPreflight(result.preflight);
+    } else {
+      setSaveError(result.error);
+    }
+    setIsCheckingPreflight(false);
+  };
+  
+  // Start the mission once the pre-flight check has no failures
+  const handleStartMission = async () => {
+    setIsStarting(true);
+    const result = await startMission(id);
+    setIsStarting(false);
+    
+    if (result.success) {
+      navigate(`/missions/${id}`);
+    } else {
+      setSaveError(result.error);
+      if (result.preflight) {
+        setPreflight(result.preflight);
+      }
+    }
+  };
+  
+  // Store the saved mission as battery-sized sorties flown one after another
+  const handleSplitMission = async () => {
+    setIsSplitting(true);
+    const result = await splitMissionIntoSorties(id);
+    setIsSplitting(false);
+    
+    if (result.success) {
+      navigate(formData.surveyId ? `/surveys/${formData.surveyId}` : '/missions');
+    } else {
+      setSaveError(result.error);
+    }
+  };
+  
   const handleSurveyPatternChange = (e) => {
     setFormData(prev => ({
       ...prev,
@@ -260,7 +383,23 @@ const CreateMissionPage = () => {
         },
         altitude: formData.altitude,
         speed: formData.speed,
-        overlap: formData.overlapPercentage
+        overlap: formData.overlapPercentage,
+        // Camera footprint comes from the selected drone
+        drone: formData.drone || undefined,
+        angle: Number.isFinite(formData.sweepAngle) ? formData.sweepAngle : undefined,
+        crossAngle: formData.surveyPattern === 'crosshatch' ? formData.crossAngle : undefined,
+        direction: formData.surveyPattern === 'spiral' ? formData.spiralDirection : undefined,
+        ...(formData.surveyPattern === 'perimeter' && {
+          standoff: formData.standoff,
+          laps: formData.laps,
+          altitudeStep: Number.isFinite(formData.altitudeStep) ? formData.altitudeStep : undefined
+        }),
+        // Hold the altitude above the survey site's terrain model
+        ...(formData.followTerrain && {
+          followTerrain: true,
+          survey: formData.surveyId,
+          minClearance: formData.minClearance
+        })
       };
       
       const result = await generateMissionFromPattern(patternData);
@@ -270,6 +409,9 @@ const CreateMissionPage = () => {
           ...prev,
           waypoints: result.waypoints
         }));
+        setSortiePlan(result.plan.sorties || null);
+        setTerrainPlan(result.plan.terrain || null);
+        setGeofenceReroute(result.plan.geofences || null);
       } else {
         setSaveError(result.error || 'Failed to generate waypoints');
       }
@@ -280,6 +422,62 @@ const CreateMissionPage = () => {
     }
   };
 
+  // Load the flight path of a KML, KMZ, GPX, GeoJSON, .plan or .waypoints file
+  const handleImportFile = async (file) => {
+    if (!file) return;
+    
+    setSaveError('');
+    setIsImporting(true);
+    
+    try {
+      const result = await importMissionFile(file, { altitude: formData.altitude });
+      
+      if (!result.success) {
+        setSaveError(result.error);
+        return;
+      }
+      
+      const { preview } = result;
+      const boundary = preview.boundingBox ? preview.boundingBox.coordinates[0] : [];
+      
+      setFormData(prev => ({
+        ...prev,
+        name: prev.name || preview.name || '',
+        speed: preview.speed || prev.speed,
+        estimatedDuration: preview.estimatedDuration || prev.estimatedDuration,
+        surveyPattern: 'custom',
+        waypoints: result.waypoints
+      }));
+      setSurveyBoundary(boundary);
+      setSortiePlan(null);
+      setTerrainPlan(null);
+      setGeofenceReroute(null);
+      setImportSummary({ ...preview, fileName: file.name, waypointCount: result.waypoints.length });
+      
+      // Center the map on the imported route
+      const points = result.waypoints.length > 0
+        ? result.waypoints.map(wp => [wp.lng, wp.lat])
+        : boundary;
+      if (points.length > 0) {
+        const lats = points.map(coord => coord[1]);
+        const lngs = points.map(coord => coord[0]);
+        setMapCenter({
+          lat: (Math.max(...lats) + Math.min(...lats)) / 2,
+          lng: (Math.max(...lngs) + Math.min(...lngs)) / 2
+        });
+        setMapZoom(15);
+      }
+    } finally {
+      setIsImporting(false);
+    }
+  };
+  
+  const handleFileDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    handleImportFile(e.dataTransfer.files[0]);
+  };
+
   // Validate form
   const validateForm = () => {
     const errors = {};
@@ -329,16 +527,29 @@ const CreateMissionPage = () => {
       // Prepare mission data
       const missionData = {
         ...formData,
-        // Format waypoints properly if needed
-        waypoints: formData.waypoints.map((wp, index) => ({
-          order: index + 1,
-          location: {
-            type: 'Point',
-            coordinates: [wp.lng, wp.lat]
-          },
-          altitude: wp.altitude || formData.altitude,
-          action: wp.action || 'takePhoto'
-        }))
+        pattern: formData.surveyPattern,
+        // Waypoints in flight order, stored ones keep their ID
+        waypoints: formData.waypoints.map(wp => ({
+          _id: wp._id,
+          latitude: wp.lat,
+          longitude: wp.lng,
+          altitude: wp.alt ?? wp.altitude ?? formData.altitude,
+          speed: wp.speed,
+          heading: wp.heading,
+          gimbalPitch: wp.gimbalPitch,
+          // Waypoints added in the list navigate to their position
+          action: wp.action === 'navigate' ? 'flyTo' : wp.action || 'takePhoto',
+          actionParams: wp.actionParams
+        })),
+        waypointsVersion,
+        // Keep the terrain model the flight path was planned with
+        terrain: terrainPlan
+          ? { model: terrainPlan.model, takeoffElevation: terrainPlan.takeoffElevation, minClearance: terrainPlan.minClearance }
+          : undefined,
+        // Survey boundary is used for the area covered statistics
+        boundingBox: (formData.surveyPattern !== 'custom' || importSummary) && surveyBoundary.length >= 3
+          ? { type: 'Polygon', coordinates: [surveyBoundary] }
+          : undefined
       };
       
       let result;
@@ -533,6 +744,114 @@ const CreateMissionPage = () => {
               value={formData.overlapPercentage}
               onChange={handleInputChange}
             />
+            
+            {(formData.surveyPattern === 'grid' || formData.surveyPattern === 'crosshatch') && (
+              <FormInput
+                label="Sweep Angle (degrees)"
+                type="number"
+                name="sweepAngle"
+                min="0"
+                max="179"
+                placeholder="Auto"
+                value={formData.sweepAngle}
+                onChange={handleInputChange}
+              />
+            )}
+            
+            {formData.surveyPattern === 'crosshatch' && (
+              <FormInput
+                label="Crosshatch Angle (degrees)"
+                type="number"
+                name="crossAngle"
+                min="1"
+                max="179"
+                value={formData.crossAngle}
+                onChange={handleInputChange}
+              />
+            )}
+            
+            {formData.surveyPattern === 'expanding-square' && (
+              <FormInput
+                label="First Leg Heading (degrees)"
+                type="number"
+                name="sweepAngle"
+                min="0"
+                max="359"
+                placeholder="0"
+                value={formData.sweepAngle}
+                onChange={handleInputChange}
+              />
+            )}
+            
+            {formData.surveyPattern === 'perimeter' && (
+              <>
+                <FormInput
+                  label="Standoff (meters)"
+                  type="number"
+                  name="standoff"
+                  value={formData.standoff}
+                  onChange={handleInputChange}
+                  helpText="Positive flies outside the boundary, negative inside"
+                />
+                <FormInput
+                  label="Laps"
+                  type="number"
+                  name="laps"
+                  min="1"
+                  max="20"
+                  value={formData.laps}
+                  onChange={handleInputChange}
+                />
+                <FormInput
+                  label="Altitude Step (meters)"
+                  type="number"
+                  name="altitudeStep"
+                  min="0"
+                  placeholder="Auto"
+                  value={formData.altitudeStep}
+                  onChange={handleInputChange}
+                />
+              </>
+            )}
+            
+            {formData.surveyPattern === 'spiral' && (
+              <FormSelect
+                label="Spiral Direction"
+                name="spiralDirection"
+                value={formData.spiralDirection}
+                onChange={handleInputChange}
+                options={spiralDirectionOptions}
+              />
+            )}
+            
+            {formData.surveyId && formData.surveyPattern !== 'custom' && (
+              <div>
+                <div className="flex items-center mb-2">
+                  <input
+                    type="checkbox"
+                    id="followTerrain"
+                    name="followTerrain"
+                    checked={formData.followTerrain}
+                    onChange={handleInputChange}
+                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="followTerrain" className="ml-2 text-sm text-gray-700">
+                    Follow terrain
+                  </label>
+                </div>
+                {formData.followTerrain && (
+                  <FormInput
+                    label="Minimum Clearance (meters)"
+                    type="number"
+                    name="minClearance"
+                    min="0"
+                    value={formData.minClearance}
+                    onChange={handleInputChange}
+                    helpText="Uses the survey site's terrain model"
+                  />
+                )}
+              </div>
+            )}
           </div>
           
           <div className="mt-6">
@@ -584,6 +903,7 @@ const CreateMissionPage = () => {
                     {formData.surveyPattern === 'grid' && <FiGrid className="mr-1" />}
                     {formData.surveyPattern === 'crosshatch' && <FiGrid className="mr-1" />}
                     {formData.surveyPattern === 'spiral' && <FiCircle className="mr-1" />}
+                    {formData.surveyPattern === 'expanding-square' && <FiMaximize className="mr-1" />}
                     {formData.surveyPattern === 'perimeter' && <FiTarget className="mr-1" />}
                     Generate {formData.surveyPattern.charAt(0).toUpperCase() + formData.surveyPattern.slice(1)} Path
                   </>
@@ -592,12 +912,102 @@ const CreateMissionPage = () => {
             )}
           </div>
           
+          {sortiePlan && sortiePlan.length > 1 && (
+            <div className="flex items-center justify-between bg-yellow-50 border border-yellow-200 rounded-md p-3 mb-4">
+              <p className="text-sm text-yellow-800 flex items-center">
+                <FiBattery className="mr-2" />
+                This flight path needs {sortiePlan.length} battery sorties of up to{' '}
+                {Math.max(...sortiePlan.map(sortie => sortie.estimatedDuration))} min, each returning home to swap batteries.
+              </p>
+              {isEditMode && (
+                <button
+                  type="button"
+                  onClick={handleSplitMission}
+                  disabled={isSplitting}
+                  className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                >
+                  {isSplitting && <LoadingSpinner size="xs" className="mr-2" />}
+                  Split into Sorties
+                </button>
+              )}
+            </div>
+          )}
+          
+          {geofenceReroute && (
+            <div className="flex items-center bg-blue-50 border border-blue-200 rounded-md p-3 mb-4">
+              <p className="text-sm text-blue-800 flex items-center">
+                <FiShield className="mr-2" />
+                The flight path was rerouted around no-fly zones
+                {geofenceReroute.detours > 0 && ` on ${geofenceReroute.detours} leg${geofenceReroute.detours === 1 ? '' : 's'}`}
+                {geofenceReroute.removedWaypoints > 0 &&
+                  `, dropping ${geofenceReroute.removedWaypoints} waypoint${geofenceReroute.removedWaypoints === 1 ? '' : 's'} inside them`}.
+              </p>
+            </div>
+          )}
+          
           {formData.surveyPattern === 'custom' && (
             <p className="text-sm text-gray-500 mb-4">
               Click on the map to add waypoints. Drag waypoints to adjust their position.
             </p>
           )}
           
+          <div
+            onDragOver={(e) => { e.preventDefault(); setIsDraggingFile(true); }}
+            onDragLeave={() => setIsDraggingFile(false)}
+            onDrop={handleFileDrop}
+            className={`flex items-center justify-center border-2 border-dashed rounded-lg p-4 mb-4 text-sm ${
+              isDraggingFile ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-gray-300 text-gray-500'
+            }`}
+          >
+            {isImporting ? (
+              <>
+                <LoadingSpinner size="xs" className="mr-2" />
+                Reading flight path...
+              </>
+            ) : (
+              <>
+                <FiUpload className="mr-2" />
+                Drop a KML, KMZ, GPX, GeoJSON, QGroundControl .plan or .waypoints file here, or
+                <label className="ml-1 text-primary-600 hover:text-primary-800 cursor-pointer">
+                  browse
+                  <input
+                    type="file"
+                    accept=".kml,.kmz,.gpx,.geojson,.json,.plan,.waypoints,.txt"
+                    className="hidden"
+                    onChange={(e) => { handleImportFile(e.target.files[0]); e.target.value = ''; }}
+                  />
+                </label>
+              </>
+            )}
+          </div>
+          
+          {importSummary && (
+            <div className="bg-gray-50 border border-gray-200 rounded-md p-3 mb-4 text-sm">
+              <p className="text-gray-700">
+                Imported {importSummary.waypointCount} waypoint{importSummary.waypointCount === 1 ? '' : 's'} from{' '}
+                {importSummary.fileName} ({importSummary.format.toUpperCase()}), {(importSummary.distance / 1000).toFixed(2)} km
+                {importSummary.estimatedDuration !== undefined && `, about ${importSummary.estimatedDuration} min`}.
+              </p>
+              {importSummary.warnings.length > 0 && (
+                <ul className="mt-2 list-disc list-inside text-yellow-700">
+                  {importSummary.warnings.map((warning, index) => (
+                    <li key={index}>{warning}</li>
+                  ))}
+                </ul>
+              )}
+              {importSummary.violations.length > 0 && (
+                <ul className="mt-2 list-disc list-inside text-red-700">
+                  {importSummary.violations.map((violation, index) => (
+                    <li key={index}>
+                      {violation.waypoint ? `Waypoint ${violation.waypoint}` : `Leg ${violation.leg[0]} to ${violation.leg[1]}`}
+                      {violation.name ? ` breaks geofence ${violation.name}` : ' leaves the permitted operating area'} ({violation.reason})
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+          
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
             <div className="lg:col-span-2">
               <div className="h-96 border border-gray-300 rounded-lg">
@@ -609,8 +1019,21 @@ const CreateMissionPage = () => {
                   boundary={surveyBoundary}
                   pattern={formData.surveyPattern !== 'custom' ? formData.surveyPattern : null}
                   editable={formData.surveyPattern === 'custom'}
+                  geofences={geofences}
                 />
               </div>
+              
+              {terrainPlan && (
+                <div className="mt-4">
+                  <h3 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                    <FiTrendingUp className="mr-1" /> Elevation Profile
+                    <span className="ml-auto font-normal text-gray-500">
+                      Lowest clearance {terrainPlan.clearance.lowestClearance} m
+                    </span>
+                  </h3>
+                  <ElevationProfile profile={terrainPlan.profile} minClearance={terrainPlan.minClearance} />
+                </div>
+              )}
             </div>
             
             <div>
@@ -624,6 +1047,7 @@ const CreateMissionPage = () => {
                     waypoints={formData.waypoints}
                     onChange={handleWaypointsChange}
                     editable={formData.surveyPattern === 'custom'}
+                    onOptimize={isEditMode ? handleOptimizeRoute : undefined}
                   />
                 ) : (
                   <div className="text-center py-6 text-gray-500 italic">
@@ -643,6 +1067,17 @@ const CreateMissionPage = () => {
           </div>
         </div>
         
+        {/* Pre-flight check for saved missions */}
+        {isEditMode && (
+          <PreflightChecklist
+            result={preflight}
+            loading={isCheckingPreflight}
+            onRun={handleRunPreflight}
+            onStart={handleStartMission}
+            starting={isStarting}
+          />
+        )}
+        
         {/* Actions */}
         <div className="flex justify-end space-x-4">
           <button
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { 
   FiArrowLeft, 
@@ -14,7 +14,8 @@ import {
   FiWifi,
   FiGrid,
   FiClock,
-  FiCalendar
+  FiCalendar,
+  FiTool
 } from 'react-icons/fi';
 import { useDrones } from '../context/DronesContext';
 import { useMissions } from '../context/MissionsContext';
@@ -26,9 +27,54 @@ import Modal from '../components/Modal';
 import StatusBadge from '../components/StatusBadge';
 import { formatDate, formatDateTime, getRelativeTime } from '../utils/dateFormatter';
 
+const MAINTENANCE_TYPES = ['routine', 'inspection', 'repair', 'calibration', 'upgrade'];
+
+const MAINTENANCE_STATUS_STYLES = {
+  ok: 'bg-green-50 border-green-200 text-green-800',
+  'due-soon': 'bg-yellow-50 border-yellow-200 text-yellow-800',
+  overdue: 'bg-red-50 border-red-200 text-red-800'
+};
+
+const RECORD_STATUS_COLORS = {
+  scheduled: 'bg-blue-100 text-blue-800',
+  'in-progress': 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const HEALTH_STATUS_CONFIG = {
+  healthy: { color: 'green', label: 'Healthy' },
+  warning: { color: 'yellow', label: 'Needs Attention' }
+};
+
+const HEALTH_ALERT_STYLES = {
+  warning: 'bg-yellow-50 border-yellow-500 text-yellow-800',
+  critical: 'bg-red-50 border-red-500 text-red-800'
+};
+
+const EMPTY_MAINTENANCE_FORM = {
+  type: 'routine',
+  description: '',
+  date: '',
+  notes: '',
+  parts: '',
+  costAmount: '',
+  capacityPercentage: '',
+  cycleCount: ''
+};
+
 const DroneDetailsPage = () => {
   const { id } = useParams();
-  const { getDroneDetails, deleteDrone, updateDroneStatus } = useDrones();
+  const {
+    getDroneDetails,
+    deleteDrone,
+    updateDroneStatus,
+    getDroneHealth,
+    getDroneMaintenance,
+    addMaintenanceRecord,
+    updateMaintenanceRecord,
+    completeMaintenanceRecord
+  } = useDrones();
   const { fetchMissions } = useMissions();
   const { user } = useAuth();
   const navigate = useNavigate();
@@ -42,6 +88,16 @@ const DroneDetailsPage = () => {
   const [controlModalOpen, setControlModalOpen] = useState(false);
   const [tab, setTab] = useState('overview'); // 'overview', 'missions', 'telemetry', 'maintenance'
   const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
+  const [maintenance, setMaintenance] = useState(null);
+  const [maintenanceRecords, setMaintenanceRecords] = useState([]);
+  const [maintenanceError, setMaintenanceError] = useState(null);
+  const [maintenanceForm, setMaintenanceForm] = useState(EMPTY_MAINTENANCE_FORM);
+  // null when closed, 'schedule' for a new record or the record being completed
+  const [maintenanceModal, setMaintenanceModal] = useState(null);
+  const [savingMaintenance, setSavingMaintenance] = useState(false);
+  const [health, setHealth] = useState(null);
+  const [healthError, setHealthError] = useState(null);
+  const canMaintain = ['admin', 'manager', 'technician'].includes(user?.role);
 
   useEffect(() => {
     const loadDroneData = async () => {
@@ -75,6 +131,99 @@ const DroneDetailsPage = () => {
     loadDroneData();
   }, [id, getDroneDetails, fetchMissions]);
   
+  // Predictive maintenance alerts, checked again on every load
+  useEffect(() => {
+    const loadHealth = async () => {
+      const result = await getDroneHealth(id);
+      if (result.success) {
+        setHealth(result.health);
+        setHealthError(null);
+      } else {
+        setHealthError(result.error);
+      }
+    };
+
+    loadHealth();
+  }, [id, getDroneHealth]);
+
+  const loadMaintenance = useCallback(async () => {
+    const result = await getDroneMaintenance(id, { limit: 50 });
+    if (result.success) {
+      setMaintenance(result.maintenance);
+      setMaintenanceRecords(result.records);
+      setMaintenanceError(null);
+    } else {
+      setMaintenanceError(result.error);
+    }
+  }, [id, getDroneMaintenance]);
+
+  useEffect(() => {
+    if (tab === 'maintenance') {
+      loadMaintenance();
+    }
+  }, [tab, loadMaintenance]);
+
+  // Apply a maintenance change and refresh the schedule and drone status
+  const handleMaintenanceResult = async (result) => {
+    if (!result.success) {
+      setMaintenanceError(result.error);
+      return false;
+    }
+    setDrone(prev => ({ ...prev, status: result.droneStatus }));
+    if (result.health) setHealth(result.health);
+    await loadMaintenance();
+    return true;
+  };
+
+  const openMaintenanceModal = (mode) => {
+    setMaintenanceForm(mode === 'schedule' ? EMPTY_MAINTENANCE_FORM : {
+      ...EMPTY_MAINTENANCE_FORM,
+      type: mode.type,
+      description: mode.description,
+      notes: mode.notes || ''
+    });
+    setMaintenanceModal(mode);
+  };
+
+  const handleMaintenanceChange = (e) => {
+    const { name, value } = e.target;
+    setMaintenanceForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleMaintenanceSubmit = async (e) => {
+    e.preventDefault();
+    const form = maintenanceForm;
+    const recordData = {
+      type: form.type,
+      description: form.description,
+      notes: form.notes || undefined,
+      parts: form.parts
+        ? form.parts.split(',').map(name => name.trim()).filter(Boolean).map(name => ({ name, replaced: true }))
+        : undefined,
+      cost: form.costAmount !== '' ? { amount: Number(form.costAmount) } : undefined,
+      batteryHealth: form.capacityPercentage !== '' || form.cycleCount !== ''
+        ? {
+          capacityPercentage: form.capacityPercentage !== '' ? Number(form.capacityPercentage) : undefined,
+          cycleCount: form.cycleCount !== '' ? Number(form.cycleCount) : undefined
+        }
+        : undefined
+    };
+
+    setSavingMaintenance(true);
+    const result = maintenanceModal === 'schedule'
+      ? await addMaintenanceRecord(id, { ...recordData, date: form.date || undefined })
+      : await completeMaintenanceRecord(maintenanceModal._id, recordData);
+    setSavingMaintenance(false);
+
+    if (await handleMaintenanceResult(result)) {
+      setMaintenanceModal(null);
+    }
+  };
+
+  const handleMaintenanceStatus = async (record, status) => {
+    handleMaintenanceResult(await updateMaintenanceRecord(record._id, { status }));
+  };
+
   // Handle drone deletion
   const handleDelete = async () => {
     try {
@@ -344,6 +493,36 @@ const DroneDetailsPage = () => {
               </div>
             </div>
             
+            {/* Maintenance Alerts */}
+            <div className="bg-white rounded-lg shadow overflow-hidden mb-6">
+              <div className="p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-xl font-semibold">Maintenance Alerts</h2>
+                  {health && <StatusBadge status={health.status} statusConfig={HEALTH_STATUS_CONFIG} size="sm" />}
+                </div>
+                {healthError && <p className="text-red-600 text-sm">{healthError}</p>}
+                {!health && !healthError && <p className="text-gray-500 text-sm">Checking drone health...</p>}
+                {health && (health.alerts.length > 0 ? (
+                  <div className="space-y-3">
+                    {health.alerts.map(alert => (
+                      <div key={alert.rule} className={`p-3 border-l-4 rounded-r-md ${HEALTH_ALERT_STYLES[alert.severity]}`}>
+                        <p className="text-sm font-medium">{alert.message}</p>
+                        <p className="text-xs text-gray-500">Raised {getRelativeTime(alert.raisedAt)}</p>
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => setTab('maintenance')}
+                      className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                    >
+                      Plan maintenance
+                    </button>
+                  </div>
+                ) : (
+                  <p className="text-gray-500 text-sm">No alerts, the drone is within its service limits</p>
+                ))}
+              </div>
+            </div>
+
             {/* Recent Activity */}
             <div className="bg-white rounded-lg shadow overflow-hidden">
               <div className="p-6">
@@ -465,71 +644,251 @@ const DroneDetailsPage = () => {
       {tab === 'maintenance' && (
         <div className="bg-white rounded-lg shadow overflow-hidden">
           <div className="p-6">
-            <h2 className="text-xl font-semibold mb-6">Maintenance History</h2>
-            
-            {/* Sample maintenance history - replace with actual data */}
-            <div className="overflow-x-auto">
-              <table className="min-w-full divide-y divide-gray-200">
-                <thead className="bg-gray-50">
-                  <tr>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Technician</th>
-                  </tr>
-                </thead>
-                <tbody className="bg-white divide-y divide-gray-200">
-                  <tr>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">2023-04-15</td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
-                        Routine
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">Battery replacement</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">John Smith</td>
-                  </tr>
-                  <tr>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">2023-02-10</td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
-                        Repair
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">Propeller replacement</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">Jane Doe</td>
-                  </tr>
-                  <tr>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">2023-01-05</td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-blue-100 text-blue-800">
-                        Inspection
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">Annual inspection</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">Mike Johnson</td>
-                  </tr>
-                </tbody>
-              </table>
-            </div>
-            
-            <div className="mt-6">
-              <h3 className="text-lg font-medium mb-4">Schedule Maintenance</h3>
-              {user?.role === 'admin' || user?.role === 'operator' ? (
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="text-xl font-semibold">Maintenance</h2>
+              {canMaintain && (
                 <button
-                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
-                  onClick={() => {/* Implement maintenance scheduling */}}
+                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 flex items-center"
+                  onClick={() => openMaintenanceModal('schedule')}
                 >
+                  <FiCalendar className="mr-2" />
                   Schedule Maintenance
                 </button>
-              ) : (
-                <p className="text-gray-500">You don't have permission to schedule maintenance</p>
               )}
             </div>
+
+            {maintenanceError && (
+              <p className="text-sm text-red-600 mb-4">{maintenanceError}</p>
+            )}
+
+            {maintenance && (
+              <div className={`border rounded-md p-4 mb-6 ${MAINTENANCE_STATUS_STYLES[maintenance.status]}`}>
+                <div className="flex items-center font-medium">
+                  {maintenance.status === 'ok' ? <FiCheckCircle className="mr-2" /> : <FiAlertTriangle className="mr-2" />}
+                  {maintenance.status === 'overdue'
+                    ? 'Overdue for maintenance, missions cannot start until it is done'
+                    : maintenance.status === 'due-soon' ? 'Maintenance due soon' : 'Maintenance up to date'}
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-3 text-sm">
+                  <div>
+                    <p className="opacity-75">Next due</p>
+                    <p className="font-semibold">{formatDate(maintenance.nextMaintenanceDue?.date)}</p>
+                  </div>
+                  <div>
+                    <p className="opacity-75">Flight hours left</p>
+                    <p className="font-semibold">{maintenance.flightHoursRemaining}</p>
+                  </div>
+                  <div>
+                    <p className="opacity-75">Last maintenance</p>
+                    <p className="font-semibold">{formatDate(maintenance.lastMaintenanceDate)}</p>
+                  </div>
+                  <div>
+                    <p className="opacity-75">Scheduled</p>
+                    <p className="font-semibold">
+                      {maintenance.scheduled
+                        ? `${formatDate(maintenance.scheduled.date)} (${maintenance.scheduled.type})`
+                        : 'Nothing scheduled'}
+                    </p>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {maintenanceRecords.length === 0 ? (
+              <div className="text-center p-6 bg-gray-50 rounded-lg">
+                <FiTool className="mx-auto h-8 w-8 text-gray-400" />
+                <p className="mt-2 text-gray-500">No maintenance records yet</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Technician</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Cost</th>
+                      {canMaintain && <th className="px-6 py-3" />}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {maintenanceRecords.map(record => (
+                      <tr key={record._id}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(record.date)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm capitalize">{record.type}</td>
+                        <td className="px-6 py-4 text-sm text-gray-500">
+                          {record.description}
+                          {record.parts?.length > 0 && (
+                            <span className="block text-xs text-gray-400">
+                              Parts: {record.parts.map(part => part.name).join(', ')}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{record.technician?.name || 'N/A'}</td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${RECORD_STATUS_COLORS[record.status]}`}>
+                            {record.status}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">
+                          {record.cost?.amount !== undefined ? `${record.cost.amount} ${record.cost.currency || ''}` : ''}
+                        </td>
+                        {canMaintain && (
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-right space-x-3">
+                            {record.status === 'scheduled' && (
+                              <button className="text-blue-600 hover:text-blue-800" onClick={() => handleMaintenanceStatus(record, 'in-progress')}>
+                                Start
+                              </button>
+                            )}
+                            {(record.status === 'scheduled' || record.status === 'in-progress') && (
+                              <>
+                                <button className="text-green-600 hover:text-green-800" onClick={() => openMaintenanceModal(record)}>
+                                  Complete
+                                </button>
+                                <button className="text-gray-500 hover:text-gray-700" onClick={() => handleMaintenanceStatus(record, 'cancelled')}>
+                                  Cancel
+                                </button>
+                              </>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
           </div>
         </div>
       )}
 
+      {/* Maintenance Modal */}
+      <Modal
+        isOpen={Boolean(maintenanceModal)}
+        onClose={() => setMaintenanceModal(null)}
+        title={maintenanceModal === 'schedule' ? 'Schedule Maintenance' : 'Complete Maintenance'}
+      >
+        <form onSubmit={handleMaintenanceSubmit} className="p-6 space-y-4">
+          {maintenanceModal === 'schedule' && (
+            <>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <select
+                    name="type"
+                    value={maintenanceForm.type}
+                    onChange={handleMaintenanceChange}
+                    className="w-full border-gray-300 rounded-md shadow-sm capitalize"
+                  >
+                    {MAINTENANCE_TYPES.map(type => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                  <input
+                    type="date"
+                    name="date"
+                    value={maintenanceForm.date}
+                    onChange={handleMaintenanceChange}
+                    className="w-full border-gray-300 rounded-md shadow-sm"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Leave empty to record work done today</p>
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input
+                  type="text"
+                  name="description"
+                  value={maintenanceForm.description}
+                  onChange={handleMaintenanceChange}
+                  className="w-full border-gray-300 rounded-md shadow-sm"
+                  required
+                />
+              </div>
+            </>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Parts replaced</label>
+            <input
+              type="text"
+              name="parts"
+              value={maintenanceForm.parts}
+              onChange={handleMaintenanceChange}
+              placeholder="Comma separated, e.g. Propellers, Motor 2"
+              className="w-full border-gray-300 rounded-md shadow-sm"
+            />
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Cost</label>
+              <input
+                type="number"
+                name="costAmount"
+                min="0"
+                step="0.01"
+                value={maintenanceForm.costAmount}
+                onChange={handleMaintenanceChange}
+                className="w-full border-gray-300 rounded-md shadow-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Battery capacity %</label>
+              <input
+                type="number"
+                name="capacityPercentage"
+                min="0"
+                max="100"
+                value={maintenanceForm.capacityPercentage}
+                onChange={handleMaintenanceChange}
+                className="w-full border-gray-300 rounded-md shadow-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Battery cycles</label>
+              <input
+                type="number"
+                name="cycleCount"
+                min="0"
+                value={maintenanceForm.cycleCount}
+                onChange={handleMaintenanceChange}
+                className="w-full border-gray-300 rounded-md shadow-sm"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea
+              name="notes"
+              rows="3"
+              value={maintenanceForm.notes}
+              onChange={handleMaintenanceChange}
+              className="w-full border-gray-300 rounded-md shadow-sm"
+            />
+          </div>
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              className="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-100"
+              onClick={() => setMaintenanceModal(null)}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={savingMaintenance}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {maintenanceModal === 'schedule' ? 'Save' : 'Complete'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={deleteModalOpen}
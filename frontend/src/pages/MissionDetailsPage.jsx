@@ -1,10 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { 
   FiMapPin, FiClock, FiCalendar, FiAirplay, FiFlag, FiCheckCircle,
   FiXCircle, FiAlertTriangle, FiPause, FiPlay, FiArrowLeft,
   FiEdit2, FiTrash2, FiMap, FiActivity, FiDroplet, FiWind,
-  FiThermometer, FiSun, FiGrid, FiCircle
+  FiThermometer, FiSun, FiGrid, FiCircle, FiMaximize, FiShield, FiDownload, FiFilm,
+  FiCrosshair, FiRefreshCw
 } from 'react-icons/fi';
 import { useMissions } from '../context/MissionsContext';
 import { useDrones } from '../context/DronesContext';
@@ -12,11 +13,15 @@ import LoadingSpinner from '../components/LoadingSpinner';
 import Modal from '../components/Modal';
 import MapContainer from '../components/MapContainer';
 import WaypointsList from '../components/WaypointsList';
+import FlightReplay from '../components/FlightReplay';
+import geofenceService from '../services/geofenceService';
 
 const MissionDetailsPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { getMission, deleteMission, updateMissionStatus, loading } = useMissions();
+  const {
+    getMissionDetails, getMissionTelemetryHistory, getMissionDeviation, deleteMission, updateMissionStatus, downloadMission, loading
+  } = useMissions();
   const { drones } = useDrones();
   
   const [mission, setMission] = useState(null);
@@ -27,21 +32,120 @@ const MissionDetailsPage = () => {
   const [showControlModal, setShowControlModal] = useState(false);
   const [missionActionLoading, setMissionActionLoading] = useState(false);
   const [actionError, setActionError] = useState('');
+  const [geofences, setGeofences] = useState([]);
+  const [exportFormat, setExportFormat] = useState('plan');
+  const [exportError, setExportError] = useState('');
+  const [flightHistory, setFlightHistory] = useState(null);
+  const [deviation, setDeviation] = useState(null);
+  const [deviationLoading, setDeviationLoading] = useState(false);
+  const [deviationError, setDeviationError] = useState('');
+  
+  const flightEnded = ['completed', 'aborted', 'failed'].includes(mission?.status) && Boolean(mission?.startTime);
   
   // Fetch mission details
   useEffect(() => {
     const fetchMission = async () => {
-      try {
-        // Changed from getMissionById to getMission to match the context function name
-        const missionData = await getMission(id);
-        setMission(missionData);
-      } catch (error) {
-        console.error('Error fetching mission:', error);
+      const result = await getMissionDetails(id);
+      if (result.success) {
+        setMission(result.mission);
+      } else {
+        console.error('Error fetching mission:', result.error);
       }
     };
     
     fetchMission();
-  }, [id, getMission]);
+  }, [id, getMissionDetails]);
+  
+  // Compare the flown track with the planned route, refresh analyzes the flight again
+  const loadDeviation = useCallback(async (refresh) => {
+    setDeviationLoading(true);
+    setDeviationError('');
+    
+    const result = await getMissionDeviation(id, refresh);
+    if (result.success) {
+      setDeviation(result.deviation);
+    } else {
+      setDeviationError(result.error);
+    }
+    setDeviationLoading(false);
+  }, [id, getMissionDeviation]);
+  
+  // Load the recorded flight once the mission is over, for the replay
+  useEffect(() => {
+    if (!flightEnded) return;
+    
+    getMissionTelemetryHistory(id).then(result => {
+      if (result.success) {
+        setFlightHistory(result.samples);
+      } else {
+        console.error('Error loading flight history:', result.error);
+      }
+    });
+    loadDeviation(false);
+  }, [id, flightEnded, getMissionTelemetryHistory, loadDeviation]);
+  
+  // Load the organization's geofences to show on the map
+  useEffect(() => {
+    geofenceService.getGeofences()
+      .then(setGeofences)
+      .catch(error => console.error('Error loading geofences:', error));
+  }, []);
+  
+  // Planned route and flight events for the replay
+  const replayPath = useMemo(() => (mission?.waypoints || [])
+    .filter(wp => wp.location?.coordinates)
+    .map(wp => ({ lat: wp.location.coordinates[1], lng: wp.location.coordinates[0], alt: wp.altitude })), [mission]);
+  
+  const replayEvents = useMemo(() => {
+    if (!mission) return [];
+    
+    const events = [];
+    (mission.waypoints || []).forEach((wp, index) => {
+      if (wp.timeReached && wp.location?.coordinates) {
+        events.push({
+          time: wp.timeReached,
+          type: 'waypoint',
+          label: `Reached waypoint ${index + 1}`,
+          lat: wp.location.coordinates[1],
+          lng: wp.location.coordinates[0]
+        });
+      }
+    });
+    (mission.geofenceBreaches || []).forEach(breach => {
+      events.push({
+        time: breach.detectedAt,
+        type: 'error',
+        label: breach.reason === 'no-fly' ? `Entered no-fly zone ${breach.name}` :
+          breach.reason === 'ceiling' ? `Climbed above the ceiling of ${breach.name}` :
+          'Left the permitted operating area',
+        lat: breach.location?.coordinates?.[1],
+        lng: breach.location?.coordinates?.[0]
+      });
+    });
+    if ((mission.status === 'aborted' || mission.status === 'failed') && mission.endTime) {
+      events.push({ time: mission.endTime, type: 'error', label: `Mission ${mission.status}` });
+    }
+    return events.sort((a, b) => new Date(a.time) - new Date(b.time));
+  }, [mission]);
+  
+  // Off-route stretches and unflown parts of the route, drawn over the replay
+  const deviationHighlights = useMemo(() => {
+    if (!deviation) return [];
+    
+    const toPositions = (path) => path.map(([lng, lat]) => [lat, lng]);
+    return [
+      ...(deviation.offRouteSegments || []).map(segment => ({
+        type: 'off-route',
+        positions: toPositions(segment.path),
+        label: `Off route for ${segment.duration} s, up to ${segment.maxDeviation} m`
+      })),
+      ...(deviation.coverageGaps || []).map(gap => ({
+        type: 'gap',
+        positions: toPositions(gap.path),
+        label: `${gap.length} m of leg ${gap.leg + 1} not flown`
+      }))
+    ];
+  }, [deviation]);
   
   // Find associated drone
   useEffect(() => {
@@ -66,6 +170,27 @@ const MissionDetailsPage = () => {
     }
   };
   
+  // Download the flight plan for a ground station
+  const handleExport = async () => {
+    setExportError('');
+    
+    const result = await downloadMission(id, exportFormat);
+    if (!result.success) {
+      setExportError(result.error);
+      return;
+    }
+    
+    const url = window.URL.createObjectURL(result.blob);
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = url;
+    a.download = `${mission.name.replace(/[^\w-]+/g, '_')}.${exportFormat}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+  };
+  
   // Handle mission control actions
   const handleMissionControl = async (action) => {
     setMissionActionLoading(true);
@@ -280,6 +405,28 @@ const MissionDetailsPage = () => {
             </Link>
           )}
           
+          <div className="inline-flex">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="border border-gray-300 rounded-l-md py-2 px-2 text-sm bg-white text-gray-700"
+              aria-label="Export format"
+            >
+              <option value="plan">QGroundControl (.plan)</option>
+              <option value="waypoints">MAVLink (.waypoints)</option>
+              <option value="kml">KML</option>
+              <option value="kmz">KMZ</option>
+              <option value="gpx">GPX</option>
+              <option value="csv">CSV</option>
+            </select>
+            <button
+              onClick={handleExport}
+              className="inline-flex items-center justify-center bg-white hover:bg-gray-50 text-gray-700 border border-l-0 border-gray-300 py-2 px-4 rounded-r-md"
+            >
+              <FiDownload className="mr-1" /> Export
+            </button>
+          </div>
+          
           <button 
             onClick={() => setShowDeleteModal(true)}
             className="inline-flex items-center justify-center bg-white hover:bg-red-50 text-red-600 border border-red-300 py-2 px-4 rounded-md"
@@ -289,6 +436,12 @@ const MissionDetailsPage = () => {
         </div>
       </div>
       
+      {exportError && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6 text-sm text-red-700">
+          {exportError}
+        </div>
+      )}
+      
       {/* Mission info cards */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
         <div className="bg-white shadow-md hover:shadow-lg transition-shadow duration-300 rounded-lg p-4">
@@ -361,6 +514,7 @@ const MissionDetailsPage = () => {
               {mission.pattern === 'crosshatch' && <FiGrid className="w-8 h-8 text-blue-600" />}
               {mission.pattern === 'perimeter' && <FiMapPin className="w-8 h-8 text-blue-600" />}
               {mission.pattern === 'spiral' && <FiCircle className="w-8 h-8 text-blue-600" />}
+              {mission.pattern === 'expanding-square' && <FiMaximize className="w-8 h-8 text-blue-600" />}
               {mission.pattern === 'custom' && (
                 <div className="w-8 h-8 flex items-center justify-center bg-blue-600 text-white font-bold rounded-full">
                   C
@@ -374,6 +528,7 @@ const MissionDetailsPage = () => {
                 {mission.pattern === 'crosshatch' && 'Double grid pattern for enhanced detail and accuracy'}
                 {mission.pattern === 'perimeter' && 'Follows the boundary of an area'}
                 {mission.pattern === 'spiral' && 'Inward or outward spiral pattern'}
+                {mission.pattern === 'expanding-square' && 'Square search pattern expanding from the center'}
                 {mission.pattern === 'custom' && 'Custom waypoint path for specialized needs'}
                 {!mission.pattern && 'Custom waypoint configuration'}
               </p>
@@ -463,8 +618,28 @@ const MissionDetailsPage = () => {
               pattern={mission.pattern}
               readonly={true}
               zoom={14}
+              geofences={geofences}
             />
           </div>
+          
+          {mission.geofenceBreaches?.length > 0 && (
+            <div className="px-5 py-3 border-t border-gray-200 bg-red-50">
+              <h3 className="text-sm font-semibold text-red-800 flex items-center mb-1">
+                <FiShield className="mr-1" /> Geofence breaches
+              </h3>
+              <ul className="text-sm text-red-700 space-y-1">
+                {mission.geofenceBreaches.map((breach, index) => (
+                  <li key={index}>
+                    {new Date(breach.detectedAt).toLocaleTimeString()} &ndash;{' '}
+                    {breach.reason === 'no-fly' && `Entered no-fly zone ${breach.name}`}
+                    {breach.reason === 'outside' && 'Left the permitted operating area'}
+                    {breach.reason === 'ceiling' && `Climbed above the ceiling of ${breach.name}`}
+                    {breach.action === 'return-to-home' && ' (returned home)'}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
         
         {/* Waypoints list */}
@@ -483,6 +658,137 @@ const MissionDetailsPage = () => {
         </div>
       </div>
       
+      {/* Flight replay */}
+      {flightEnded && (
+        <div className="bg-white shadow-md hover:shadow-lg transition-shadow duration-300 rounded-lg overflow-hidden mb-6">
+          <div className="px-5 py-4 border-b border-gray-200 bg-gray-50">
+            <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+              <FiFilm className="mr-2 text-blue-600" /> Flight Replay
+            </h2>
+          </div>
+          {flightHistory ? (
+            <FlightReplay
+              samples={flightHistory}
+              plannedPath={replayPath}
+              events={replayEvents}
+              highlights={deviationHighlights}
+              droneStatus={mission.status === 'completed' ? 'active' : 'error'}
+            />
+          ) : (
+            <div className="p-5">
+              <LoadingSpinner size="sm" text="Loading flight recording..." />
+            </div>
+          )}
+        </div>
+      )}
+      
+      {/* Planned versus flown track */}
+      {flightEnded && (
+        <div className="bg-white shadow-md hover:shadow-lg transition-shadow duration-300 rounded-lg p-5 mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+              <FiCrosshair className="mr-2 text-blue-600" /> Track Deviation
+            </h2>
+            <button
+              onClick={() => loadDeviation(true)}
+              disabled={deviationLoading}
+              className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+            >
+              <FiRefreshCw className="mr-1" /> Analyze again
+            </button>
+          </div>
+          
+          {deviationError && (
+            <p className="text-sm text-red-600 mb-3">{deviationError}</p>
+          )}
+          
+          {deviationLoading && !deviation ? (
+            <LoadingSpinner size="sm" text="Comparing the flight with the plan..." />
+          ) : deviation && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Coverage</p>
+                  <p className="text-lg font-semibold">{deviation.coverage ?? 'N/A'}%</p>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Mean Cross-Track Error</p>
+                  <p className="text-lg font-semibold">{deviation.meanCrossTrackError ?? 'N/A'} m</p>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Max Deviation</p>
+                  <p className="text-lg font-semibold">{deviation.maxDeviation?.distance ?? 'N/A'} m</p>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Waypoints Reached</p>
+                  <p className="text-lg font-semibold">
+                    {deviation.waypoints?.reached ?? 0} / {deviation.waypoints?.planned ?? 0}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Off Route</p>
+                  <p className="text-lg font-semibold">
+                    {deviation.offRouteSegments?.length || 0} time{deviation.offRouteSegments?.length === 1 ? '' : 's'}
+                  </p>
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Off route means more than {deviation.tolerance} m from the planned path. Analyzed{' '}
+                {formatDateTime(deviation.analyzedAt)} from {deviation.samples} telemetry samples.
+              </p>
+              
+              {(deviation.missedWaypoints?.length > 0 || deviation.coverageGaps?.length > 0) && (
+                <ul className="mt-4 text-sm text-red-700 space-y-1">
+                  {deviation.missedWaypoints.map(missed => (
+                    <li key={`missed-${missed.index}`}>
+                      Missed waypoint {missed.index + 1}
+                      {missed.closestApproach !== null && missed.closestApproach !== undefined &&
+                        ` (closest approach ${missed.closestApproach} m)`}
+                    </li>
+                  ))}
+                  {deviation.coverageGaps.map((gap, index) => (
+                    <li key={`gap-${index}`}>
+                      Leg {gap.leg + 1} not flown from {gap.start} m to {gap.end} m
+                    </li>
+                  ))}
+                </ul>
+              )}
+              
+              {deviation.legs?.length > 0 && (
+                <div className="mt-4 max-h-64 overflow-y-auto">
+                  <table className="min-w-full text-sm">
+                    <thead className="bg-gray-50 text-gray-600">
+                      <tr>
+                        <th className="px-3 py-2 text-left font-medium">Leg</th>
+                        <th className="px-3 py-2 text-right font-medium">Length</th>
+                        <th className="px-3 py-2 text-right font-medium">Planned Time</th>
+                        <th className="px-3 py-2 text-right font-medium">Actual Time</th>
+                        <th className="px-3 py-2 text-right font-medium">Mean Error</th>
+                        <th className="px-3 py-2 text-right font-medium">Max Error</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {deviation.legs.map(leg => (
+                        <tr key={leg.index}>
+                          <td className="px-3 py-1.5">{leg.index + 1} &rarr; {leg.index + 2}</td>
+                          <td className="px-3 py-1.5 text-right">{leg.length} m</td>
+                          <td className="px-3 py-1.5 text-right">{leg.plannedDuration ?? 'N/A'} s</td>
+                          <td className="px-3 py-1.5 text-right">{leg.actualDuration ?? 'N/A'} s</td>
+                          <td className="px-3 py-1.5 text-right">{leg.meanCrossTrackError ?? 'N/A'} m</td>
+                          <td className={`px-3 py-1.5 text-right ${leg.maxCrossTrackError > deviation.tolerance ? 'text-red-600' : ''}`}>
+                            {leg.maxCrossTrackError ?? 'N/A'} m
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+      
       {/* Mission progress and telemetry */}
       {(mission.status === 'in-progress' || mission.status === 'paused') && (
         <div className="bg-white shadow-md hover:shadow-lg transition-shadow duration-300 rounded-lg p-5 mb-6">
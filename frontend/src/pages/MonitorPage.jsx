@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState, useRef, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import {
   FiArrowLeft,
@@ -50,7 +50,9 @@ const MonitorPage = () => {
       pauseMission, 
       resumeMission, 
       abortMission, 
-      getMissionTelemetry 
+      getMissionTelemetry,
+      getMissionTelemetryHistory,
+      getTerrainProfile
     } = useMissions();
   
     const { getDroneDetails, activeDrone } = useDrones();
@@ -59,6 +61,7 @@ const MonitorPage = () => {
   
   // State
   const [telemetry, setTelemetry] = useState(null);
+  const [telemetryHistory, setTelemetryHistory] = useState(null);
   const [logs, setLogs] = useState([]);
   const [confirmAction, setConfirmAction] = useState(null);
   const [currentLayout, setCurrentLayout] = useState('default'); // 'default', 'map', 'video', 'split'
@@ -67,11 +70,20 @@ const MonitorPage = () => {
   const [showSettings, setShowSettings] = useState(false);
   const [controlMode, setControlMode] = useState('auto'); // 'auto' or 'manual'
   const [streamQuality, setStreamQuality] = useState('medium'); // 'low', 'medium', 'high'
+  const [elevationProfile, setElevationProfile] = useState(null);
   
   // Socket and interval references
   const missionSocketRef = useRef(null);
   const telemetryIntervalRef = useRef(null);
   
+  // Recorded telemetry for the history charts
+  const loadTelemetryHistory = useCallback(async (missionId) => {
+    const historyResult = await getMissionTelemetryHistory(missionId);
+    if (historyResult.success) {
+      setTelemetryHistory(historyResult.samples);
+    }
+  }, [getMissionTelemetryHistory]);
+  
   // Component mount - fetch mission data and set up streams
   useEffect(() => {
     const initializePage = async () => {
@@ -111,9 +123,14 @@ const MonitorPage = () => {
             });
           }
           
+          // Terrain profile under the route, when the site has a terrain model
+          const profileResult = await getTerrainProfile(id);
+          setElevationProfile(profileResult.success ? profileResult : null);
+          
           // Get initial telemetry
           const telemetryData = await getMissionTelemetry(id);
           setTelemetry(telemetryData);
+          await loadTelemetryHistory(id);
           
           // Connect to mission socket
           connectToMissionSocket(id);
@@ -145,7 +162,7 @@ const MonitorPage = () => {
     return () => {
       cleanupConnections();
     };
-  }, [id, isAuthenticated, getMissionDetails, getDroneDetails, getMissionTelemetry, navigate]);
+  }, [id, isAuthenticated, getMissionDetails, getDroneDetails, getMissionTelemetry, getTerrainProfile, loadTelemetryHistory, navigate]);
   
   // Connect to mission socket
   const connectToMissionSocket = (missionId) => {
@@ -224,9 +241,15 @@ const MonitorPage = () => {
       clearInterval(telemetryIntervalRef.current);
     }
     
-    // Set up polling (every 3 seconds)
+    // Set up polling (every 3 seconds), refreshing the history every 30 seconds
+    let polls = 0;
     telemetryIntervalRef.current = setInterval(async () => {
       try {
+        polls++;
+        if (polls % 10 === 0) {
+          await loadTelemetryHistory(missionId);
+        }
+        
         if (!socketManager.isConnected(`missions/${missionId}`)) {
           const telemetryResult = await getMissionTelemetry(missionId);
           if (telemetryResult?.success) {
@@ -538,6 +561,7 @@ const MonitorPage = () => {
                   height="100%"
                   showPath={true}
                   showMarkers={true}
+                  elevationProfile={elevationProfile}
                 />
                 <button
                   onClick={() => toggleFullscreen('map')}
@@ -582,6 +606,7 @@ const MonitorPage = () => {
                       height="100%"
                       showPath={true}
                       showMarkers={true}
+                      elevationProfile={elevationProfile}
                     />
                     <button
                       onClick={() => toggleFullscreen('map')}
@@ -618,7 +643,7 @@ const MonitorPage = () => {
                 {/* Telemetry container */}
                 {currentLayout === 'default' && (
                   <div className="bg-white rounded shadow-sm overflow-hidden col-span-1 row-span-1">
-                    <TelemetryPanel telemetry={telemetry} status={activeMission.status} />
+                    <TelemetryPanel telemetry={telemetry} status={activeMission.status} history={telemetryHistory} />
                   </div>
                 )}
               </div>
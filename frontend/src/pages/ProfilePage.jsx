@@ -1,6 +1,22 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { FiUser, FiMail, FiPhone, FiBriefcase, FiSave, FiAlertCircle } from 'react-icons/fi';
+import userService from '../services/userService';
+import LoadingSpinner from '../components/LoadingSpinner';
+import {
+  FiUser,
+  FiMail,
+  FiPhone,
+  FiBriefcase,
+  FiSave,
+  FiAlertCircle,
+  FiBookOpen,
+  FiDownload,
+  FiActivity
+} from 'react-icons/fi';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'N/A');
+const formatHours = (minutes) => ((minutes || 0) / 60).toFixed(1);
 
 const ProfilePage = () => {
   const { user, getToken } = useAuth();
@@ -14,6 +30,44 @@ const ProfilePage = () => {
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState('');
   const [error, setError] = useState('');
+  const [logbook, setLogbook] = useState(null);
+  const [logbookLoading, setLogbookLoading] = useState(false);
+  const [logbookError, setLogbookError] = useState('');
+  const [period, setPeriod] = useState({ from: '', to: '' });
+  const [exporting, setExporting] = useState(false);
+  const [activities, setActivities] = useState([]);
+  const userId = user?._id || user?.id;
+
+  // Load the logbook of the flights the user flew as pilot in command
+  useEffect(() => {
+    if (!userId) return;
+
+    const loadLogbook = async () => {
+      setLogbookLoading(true);
+      setLogbookError('');
+      try {
+        const data = await userService.getPilotLogbook(userId, {
+          from: period.from,
+          to: period.to ? `${period.to}T23:59:59` : ''
+        });
+        setLogbook(data);
+      } catch (err) {
+        setLogbookError(err.message || 'Failed to load logbook');
+      } finally {
+        setLogbookLoading(false);
+      }
+    };
+
+    loadLogbook();
+  }, [userId, period]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    userService.getUserActivity(userId, 10)
+      .then(data => setActivities(data.activities || []))
+      .catch(err => console.error('Error fetching activity:', err));
+  }, [userId]);
 
   useEffect(() => {
     if (user) {
@@ -63,6 +117,39 @@ const ProfilePage = () => {
     }
   };
 
+  const handlePeriodChange = (e) => {
+    const { name, value } = e.target;
+    setPeriod(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleExport = async (format) => {
+    if (exporting) return;
+
+    setExporting(true);
+    setLogbookError('');
+    try {
+      const blob = await userService.exportPilotLogbook(userId, {
+        from: period.from,
+        to: period.to ? `${period.to}T23:59:59` : ''
+      }, format);
+
+      // Create a download link
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.style.display = 'none';
+      a.href = url;
+      a.download = `${(user.name || 'pilot').replace(/[^\w-]+/g, '_')}-logbook.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setLogbookError(err.message || 'Failed to export logbook');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   return (
     <div className="container mx-auto px-4 py-8">
       <h1 className="text-2xl font-bold text-gray-800 mb-6">Profile Settings</h1>
@@ -178,6 +265,155 @@ const ProfilePage = () => {
           </div>
         </form>
       </div>
+
+      <div className="bg-white shadow-md rounded-lg p-6 mt-6">
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+          <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+            <FiBookOpen className="mr-2 text-primary-600" /> Pilot Logbook
+          </h2>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <input
+              type="date"
+              name="from"
+              value={period.from}
+              onChange={handlePeriodChange}
+              className="border-gray-300 rounded-md shadow-sm text-sm"
+              aria-label="From"
+            />
+            <span className="text-gray-500">to</span>
+            <input
+              type="date"
+              name="to"
+              value={period.to}
+              onChange={handlePeriodChange}
+              className="border-gray-300 rounded-md shadow-sm text-sm"
+              aria-label="To"
+            />
+            {['csv', 'pdf'].map(format => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                disabled={exporting || !logbook}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:text-gray-400"
+              >
+                <FiDownload className="mr-1" /> {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {logbookError && (
+          <p className="text-sm text-red-600 mb-3">{logbookError}</p>
+        )}
+
+        {logbookLoading && !logbook ? (
+          <LoadingSpinner size="sm" text="Loading logbook..." />
+        ) : logbook && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Flights</p>
+                <p className="text-lg font-semibold">{logbook.totals.flights}</p>
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-600">Flight Hours</p>
+                <p className="text-lg font-semibold">{logbook.totals.hours}</p>
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-600">Day / Night</p>
+                <p className="text-lg font-semibold">{logbook.totals.dayHours} / {logbook.totals.nightHours}</p>
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-600">Max Altitude</p>
+                <p className="text-lg font-semibold">{logbook.totals.maxAltitude ?? 'N/A'} m</p>
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-600">Distance</p>
+                <p className="text-lg font-semibold">{(logbook.totals.distanceTraveled / 1000).toFixed(1)} km</p>
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-600">Incidents</p>
+                <p className={`text-lg font-semibold ${logbook.totals.incidents > 0 ? 'text-red-600' : ''}`}>
+                  {logbook.totals.incidents}
+                </p>
+              </div>
+            </div>
+
+            {logbook.drones.length > 0 && (
+              <p className="text-xs text-gray-500 mt-2">
+                {logbook.drones.map(({ drone, flights, hours }) => `${drone.name}: ${flights} flight${flights === 1 ? '' : 's'}, ${hours} h`).join(' · ')}
+              </p>
+            )}
+
+            {logbook.entries.length === 0 ? (
+              <p className="text-sm text-gray-500 mt-4">No flights logged as pilot in command for this period.</p>
+            ) : (
+              <div className="mt-4 max-h-96 overflow-y-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50 text-gray-600">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium">Takeoff</th>
+                      <th className="px-3 py-2 text-left font-medium">Drone</th>
+                      <th className="px-3 py-2 text-left font-medium">Mission</th>
+                      <th className="px-3 py-2 text-left font-medium">Status</th>
+                      <th className="px-3 py-2 text-right font-medium">Hours</th>
+                      <th className="px-3 py-2 text-right font-medium">Night</th>
+                      <th className="px-3 py-2 text-right font-medium">Max Alt</th>
+                      <th className="px-3 py-2 text-left font-medium">Incidents</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {logbook.entries.map(entry => (
+                      <tr key={entry.flightLog}>
+                        <td className="px-3 py-2 whitespace-nowrap">{formatDateTime(entry.startTime)}</td>
+                        <td className="px-3 py-2">{entry.drone?.name || 'N/A'}</td>
+                        <td className="px-3 py-2">
+                          {entry.mission ? (
+                            <Link to={`/missions/${entry.mission._id}`} className="text-primary-600 hover:text-primary-800">
+                              {entry.mission.name}
+                            </Link>
+                          ) : 'N/A'}
+                        </td>
+                        <td className="px-3 py-2 capitalize">{entry.status}</td>
+                        <td className="px-3 py-2 text-right">{formatHours(entry.duration)}</td>
+                        <td className="px-3 py-2 text-right">{formatHours(entry.nightDuration)}</td>
+                        <td className="px-3 py-2 text-right">{entry.maxAltitude ?? 'N/A'}</td>
+                        <td className="px-3 py-2 text-red-700">
+                          {entry.incidents.map(incident => incident.message).join('; ')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="bg-white shadow-md rounded-lg p-6 mt-6">
+        <h2 className="text-lg font-semibold text-gray-800 flex items-center mb-4">
+          <FiActivity className="mr-2 text-primary-600" /> Recent Activity
+        </h2>
+        {activities.length === 0 ? (
+          <p className="text-sm text-gray-500">No activity yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {activities.map((activity, index) => (
+              <li key={`${activity.type}-${index}`} className="py-2 flex justify-between gap-4">
+                <span>
+                  {activity.mission ? (
+                    <Link to={`/missions/${activity.mission}`} className="text-gray-800 hover:text-primary-600">
+                      {activity.details}
+                    </Link>
+                  ) : activity.details}
+                </span>
+                <span className="text-gray-500 whitespace-nowrap">{formatDateTime(activity.timestamp)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
     </div>
   );
 };
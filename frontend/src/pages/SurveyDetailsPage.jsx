@@ -16,7 +16,9 @@ import {
   FiUser,
   FiPackage,
   FiAlertTriangle,
-  FiMap
+  FiMap,
+  FiUsers,
+  FiUpload
 } from 'react-icons/fi';
 import { useSurveys } from '../context/SurveysContext';
 import { useMissions } from '../context/MissionsContext';
@@ -25,12 +27,13 @@ import LoadingSpinner from '../components/LoadingSpinner';
 import MapContainer from '../components/MapContainer';
 import MissionCard from '../components/MissionCard';
 import Modal from '../components/Modal';
+import PartitionSurveyModal from '../components/PartitionSurveyModal';
 import { formatDate, formatDateTime, getRelativeTime } from '../utils/dateFormatter';
 import { getSurveyStatusColors } from '../utils/statusColorHelper';
 
 const SurveyDetailsPage = () => {
   const { id } = useParams();
-  const { getSurveyById, deleteSurvey } = useSurveys();
+  const { getSurveyById, deleteSurvey, getTerrainModel, uploadTerrainModel } = useSurveys();
   const { fetchMissions } = useMissions();
   const { user } = useAuth();
   const navigate = useNavigate();
@@ -41,6 +44,10 @@ const SurveyDetailsPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [deleteModalOpen, setDeleteModalOpen] = useState(false);
+  const [partitionModalOpen, setPartitionModalOpen] = useState(false);
+  const [terrainModel, setTerrainModel] = useState(null);
+  const [terrainUploading, setTerrainUploading] = useState(false);
+  const [terrainError, setTerrainError] = useState('');
   const [mapData, setMapData] = useState({
     markers: [],
     polygons: [],
@@ -153,6 +160,44 @@ const SurveyDetailsPage = () => {
     }
   };
 
+  // Load the site's terrain model used for terrain following
+  useEffect(() => {
+    const loadTerrainModel = async () => {
+      const result = await getTerrainModel(id);
+      if (result.success) {
+        setTerrainModel(result.terrainModel);
+      }
+    };
+    
+    loadTerrainModel();
+  }, [id, getTerrainModel]);
+
+  // Upload a GeoTIFF or ASCII grid DEM as the site's terrain model
+  const handleTerrainUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    setTerrainUploading(true);
+    setTerrainError('');
+    const result = await uploadTerrainModel(id, file);
+    setTerrainUploading(false);
+    
+    if (result.success) {
+      setTerrainModel(result.terrainModel);
+    } else {
+      setTerrainError(result.error);
+    }
+  };
+
+  // Reload the survey missions once the area has been divided between drones
+  const handlePartitioned = async () => {
+    const { success, missions: missionsData } = await fetchMissions({ surveyId: id });
+    if (success) {
+      setMissions(missionsData);
+    }
+  };
+
   // Handler for deleting survey
   const handleDeleteSurvey = async () => {
     try {
@@ -499,6 +544,26 @@ const SurveyDetailsPage = () => {
                 showControls={true}
               />
             </div>
+            
+            <div className="flex justify-between items-center mt-3 text-sm">
+              <span className="text-gray-500">
+                {terrainModel
+                  ? `Terrain model: ${terrainModel.name || terrainModel.format} (${Math.round(terrainModel.minElevation)}–${Math.round(terrainModel.maxElevation)} m)`
+                  : 'No terrain model uploaded'}
+              </span>
+              <label className="inline-flex items-center text-primary-600 hover:text-primary-700 cursor-pointer">
+                {terrainUploading ? <LoadingSpinner size="xs" className="mr-1" /> : <FiUpload className="mr-1" />}
+                {terrainModel ? 'Replace DEM' : 'Upload DEM'}
+                <input
+                  type="file"
+                  accept=".tif,.tiff,.asc,.txt"
+                  onChange={handleTerrainUpload}
+                  disabled={terrainUploading}
+                  className="hidden"
+                />
+              </label>
+            </div>
+            {terrainError && <p className="mt-1 text-sm text-red-600">{terrainError}</p>}
           </div>
         </div>
       </div>
@@ -508,13 +573,23 @@ const SurveyDetailsPage = () => {
         <div className="flex justify-between items-center mb-4">
           <h2 className="text-lg font-medium text-gray-900">Survey Missions</h2>
           
-          <Link
-            to={`/missions/create?surveyId=${id}`}
-            className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700"
-          >
-            <FiPlusCircle className="mr-2 h-4 w-4" />
-            Add Mission
-          </Link>
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={() => setPartitionModalOpen(true)}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <FiUsers className="mr-2 h-4 w-4" />
+              Divide Among Drones
+            </button>
+            <Link
+              to={`/missions/create?surveyId=${id}`}
+              className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700"
+            >
+              <FiPlusCircle className="mr-2 h-4 w-4" />
+              Add Mission
+            </Link>
+          </div>
         </div>
         
         {loading && missions.length === 0 ? (
@@ -581,6 +656,15 @@ const SurveyDetailsPage = () => {
         </div>
       )}
       
+      {/* Multi-drone partition */}
+      <PartitionSurveyModal
+        isOpen={partitionModalOpen}
+        onClose={() => setPartitionModalOpen(false)}
+        surveyId={id}
+        center={mapData.center}
+        onPartitioned={handlePartitioned}
+      />
+      
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={deleteModalOpen}
@@ -0,0 +1,122 @@
+import api from '../utils/api';
+
+/**
+ * Service for the battery pack inventory
+ */
+const batteryService = {
+  /**
+   * Get the battery packs of the organization
+   *
+   * @param {Object} filters - Optional status, storageState, drone, page and limit
+   * @returns {Promise<Object>} { batteries, pagination } with each pack's retirement status
+   */
+  getBatteries: async (filters = {}) => {
+    try {
+      const queryParams = new URLSearchParams();
+
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') queryParams.append(key, value);
+      });
+
+      const queryString = queryParams.toString();
+      const response = await api.get(`/batteries${queryString ? `?${queryString}` : ''}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch battery packs' };
+    }
+  },
+
+  /**
+   * Get the charge rotation, the packs in service healthiest first by where they are
+   *
+   * @returns {Promise<Object>} { ready, needsCharge, charging, storage, fitted, dueForRetirement }
+   */
+  getChargeRotation: async () => {
+    try {
+      const response = await api.get('/batteries/rotation');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch charge rotation' };
+    }
+  },
+
+  /**
+   * Add a battery pack to the inventory
+   *
+   * @param {Object} batteryData - serialNumber, model, capacity, cycleCount, health, chargeLevel, storageState, notes
+   * @returns {Promise<Object>} Created battery pack
+   */
+  createBattery: async (batteryData) => {
+    try {
+      const response = await api.post('/batteries', batteryData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to add battery pack' };
+    }
+  },
+
+  /**
+   * Update a battery pack
+   *
+   * @param {string} id - Battery ID
+   * @param {Object} batteryData - Fields to change, as for createBattery
+   * @returns {Promise<Object>} Updated battery pack
+   */
+  updateBattery: async (id, batteryData) => {
+    try {
+      const response = await api.put(`/batteries/${id}`, batteryData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update battery pack' };
+    }
+  },
+
+  /**
+   * Fit a battery pack to a drone
+   *
+   * @param {string} id - Battery ID
+   * @param {string} droneId - Drone to fit it to
+   * @returns {Promise<Object>} { battery, replaced, droneBatteryLevel } with replaced the pack taken off
+   */
+  assignBattery: async (id, droneId) => {
+    try {
+      const response = await api.post(`/batteries/${id}/assign`, { drone: droneId });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fit battery pack' };
+    }
+  },
+
+  /**
+   * Take a battery pack off its drone
+   *
+   * @param {string} id - Battery ID
+   * @returns {Promise<Object>} Updated battery pack
+   */
+  unassignBattery: async (id) => {
+    try {
+      const response = await api.post(`/batteries/${id}/unassign`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to take off battery pack' };
+    }
+  },
+
+  /**
+   * Retire a battery pack
+   *
+   * @param {string} id - Battery ID
+   * @param {string} reason - Optional reason it is taken out of service
+   * @returns {Promise<Object>} Retired battery pack
+   */
+  retireBattery: async (id, reason) => {
+    try {
+      const response = await api.post(`/batteries/${id}/retire`, { reason });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to retire battery pack' };
+    }
+  }
+};
+
+export default batteryService;
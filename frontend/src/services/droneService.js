@@ -106,6 +106,22 @@ const droneService = {
     }
   },
 
+  /**
+   * Get the recorded telemetry of a drone
+   *
+   * @param {string} id - Drone ID
+   * @param {Object} params - Optional { from, to, resolution } with resolution in seconds per sample
+   * @returns {Promise<Object>} { from, to, resolution, samples } over the last hour by default
+   */
+  getDroneTelemetryHistory: async (id, params = {}) => {
+    try {
+      const response = await api.get(`/drones/${id}/telemetry/history`, { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch drone telemetry history' };
+    }
+  },
+
   /**
    * Connect to a drone
    *
@@ -233,7 +249,13 @@ const droneService = {
    *
    * @param {string} id - Drone ID
    * @param {Object} filters - Optional filter parameters
-   * @returns {Promise<Array>} Array of flight log objects
+   * @param {string} filters.mission - Mission ID
+   * @param {string} filters.status - 'in-progress', 'completed', 'aborted' or 'failed'
+   * @param {string} filters.from - Earliest start time
+   * @param {string} filters.to - Latest start time
+   * @param {number} filters.page - Page number
+   * @param {number} filters.limit - Flight logs per page
+   * @returns {Promise<Object>} { flightLogs, pagination }
    */
   getDroneFlightLogs: async (id, filters = {}) => {
     try {
@@ -299,15 +321,49 @@ const droneService = {
   },
 
   /**
-   * Schedule maintenance for a drone
+   * Get the health of all drones, with the predictive maintenance alerts raised on them
+   *
+   * @returns {Promise<Object>} { summary, drones, alerts } with summary counting healthy, warning,
+   * critical and offline drones
+   */
+  getFleetHealth: async () => {
+    try {
+      const response = await api.get('/drones/health');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch fleet health' };
+    }
+  },
+
+  /**
+   * Get the maintenance history of a drone
+   *
+   * @param {string} id - Drone ID
+   * @param {Object} filters - Optional status, type, page and limit
+   * @returns {Promise<Object>} { maintenance, records, pagination } with maintenance telling when it is next due
+   */
+  getDroneMaintenance: async (id, filters = {}) => {
+    try {
+      const response = await api.get(`/drones/${id}/maintenance`, { params: filters });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch maintenance history' };
+    }
+  },
+
+  /**
+   * Schedule maintenance for a drone, or record maintenance already done
    *
    * @param {string} id - Drone ID
    * @param {Object} maintenanceData - Maintenance details
-   * @returns {Promise<Object>} Updated drone object
+   * @param {string} maintenanceData.type - 'routine', 'repair', 'upgrade', 'inspection' or 'calibration'
+   * @param {string} maintenanceData.description - Work to do
+   * @param {string} maintenanceData.date - When it is planned, records dated in the future are scheduled
+   * @returns {Promise<Object>} { record, maintenance, droneStatus }
    */
   scheduleMaintenance: async (id, maintenanceData) => {
     try {
-      const response = await api.put(`/drones/${id}/maintenance`, maintenanceData);
+      const response = await api.post(`/drones/${id}/maintenance`, maintenanceData);
       return response.data;
     } catch (error) {
       throw error.response?.data || { message: 'Failed to schedule maintenance' };
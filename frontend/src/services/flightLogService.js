@@ -0,0 +1,78 @@
+import api from '../utils/api';
+
+// Helper to turn filters into a query string
+const toQueryString = (filters) => {
+  const queryParams = new URLSearchParams();
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') queryParams.append(key, value);
+  });
+
+  return queryParams.toString();
+};
+
+/**
+ * Service for the flight logs written as missions are flown
+ */
+const flightLogService = {
+  /**
+   * Get the flight logs of the user's organization, newest first
+   *
+   * @param {Object} filters - Optional filter parameters
+   * @param {string} filters.drone - Drone ID
+   * @param {string} filters.mission - Mission ID
+   * @param {string} filters.status - 'in-progress', 'completed', 'aborted' or 'failed'
+   * @param {string} filters.from - Earliest start time
+   * @param {string} filters.to - Latest start time
+   * @param {number} filters.page - Page number
+   * @param {number} filters.limit - Flight logs per page
+   * @returns {Promise<Object>} { flightLogs, pagination }
+   */
+  getFlightLogs: async (filters = {}) => {
+    try {
+      const queryString = toQueryString(filters);
+
+      const response = await api.get(`/flight-logs${queryString ? `?${queryString}` : ''}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch flight logs' };
+    }
+  },
+
+  /**
+   * Get a single flight log
+   *
+   * @param {string} id - Flight log ID
+   * @returns {Promise<Object>} Flight log with its drone, mission and survey
+   */
+  getFlightLog: async (id) => {
+    try {
+      const response = await api.get(`/flight-logs/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch flight log' };
+    }
+  },
+
+  /**
+   * Download flight logs
+   *
+   * @param {Object} filters - Same filters as getFlightLogs, without paging
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<Blob>} File blob for download
+   */
+  exportFlightLogs: async (filters = {}, format = 'csv') => {
+    try {
+      const queryString = toQueryString({ ...filters, format });
+
+      const response = await api.get(`/flight-logs/export?${queryString}`, {
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to export flight logs' };
+    }
+  }
+};
+
+export default flightLogService;
@@ -0,0 +1,107 @@
+import api from '../utils/api';
+
+/**
+ * Service for managing geofences (no-fly zones and operating areas)
+ */
+const geofenceService = {
+  /**
+   * Get the geofences of the user's organization
+   *
+   * @param {Object} filters - Optional filter parameters
+   * @param {string} filters.type - 'inclusion' or 'exclusion'
+   * @param {boolean} filters.active - Only zones in force right now
+   * @returns {Promise<Array>} Array of geofence objects
+   */
+  getGeofences: async (filters = {}) => {
+    try {
+      const queryParams = new URLSearchParams();
+
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') queryParams.append(key, value);
+      });
+
+      const queryString = queryParams.toString();
+
+      const response = await api.get(`/geofences${queryString ? `?${queryString}` : ''}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch geofences' };
+    }
+  },
+
+  /**
+   * Create a geofence
+   *
+   * @param {Object} geofenceData - Geofence data
+   * @param {string} geofenceData.name - Zone name
+   * @param {string} geofenceData.type - 'inclusion' or 'exclusion'
+   * @param {Object|Array} geofenceData.geometry - GeoJSON Polygon or list of { latitude, longitude } points
+   * @param {number} geofenceData.ceiling - Altitude ceiling in meters
+   * @param {Array} geofenceData.timeWindows - Times the zone is in force
+   * @returns {Promise<Object>} Created geofence
+   */
+  createGeofence: async (geofenceData) => {
+    try {
+      const response = await api.post('/geofences', geofenceData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to create geofence' };
+    }
+  },
+
+  /**
+   * Update a geofence
+   *
+   * @param {string} id - Geofence ID
+   * @param {Object} geofenceData - Fields to update
+   * @returns {Promise<Object>} Updated geofence
+   */
+  updateGeofence: async (id, geofenceData) => {
+    try {
+      const response = await api.put(`/geofences/${id}`, geofenceData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update geofence' };
+    }
+  },
+
+  /**
+   * Import the zones of a GeoJSON or OpenAir airspace file
+   * Zones imported before are updated by their external ID
+   *
+   * @param {File} file - Airspace file
+   * @param {Object} options - Import options
+   * @param {string} options.format - 'geojson' or 'openair', detected from the file when missing
+   * @param {number} options.elevation - Site elevation in meters above sea level, for limits above sea level
+   * @returns {Promise<Object>} Import summary with created and updated zones, and errors and warnings per feature
+   */
+  importGeofences: async (file, options = {}) => {
+    try {
+      // The file is sent as the raw request body
+      const response = await api.post('/geofences/import', file, {
+        params: options,
+        headers: { 'Content-Type': 'text/plain' }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to import airspace' };
+    }
+  },
+
+  /**
+   * Delete a geofence
+   *
+   * @param {string} id - Geofence ID
+   * @returns {Promise<Object>} Confirmation message
+   */
+  deleteGeofence: async (id) => {
+    try {
+      const response = await api.delete(`/geofences/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to delete geofence' };
+    }
+  }
+};
+
+export default geofenceService;
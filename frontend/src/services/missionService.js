@@ -107,6 +107,21 @@ const missionService = {
     }
   },
 
+  /**
+   * Check a mission against its drone's limits, battery and wind
+   *
+   * @param {string} id - Mission ID
+   * @returns {Promise<Object>} Pre-flight result { status, checks, summary }
+   */
+  runPreflightCheck: async (id) => {
+    try {
+      const response = await api.post(`/missions/${id}/preflight`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to run pre-flight check' };
+    }
+  },
+
   /**
    * Pause a mission
    *
@@ -168,10 +183,42 @@ const missionService = {
   },
 
   /**
-   * Get waypoints for a mission
+   * Get the recorded telemetry of a mission
+   *
+   * @param {string} id - Mission ID
+   * @param {Object} params - Optional { from, to, resolution } with resolution in seconds per sample
+   * @returns {Promise<Object>} { from, to, resolution, samples } over the whole flight by default
+   */
+  getMissionTelemetryHistory: async (id, params = {}) => {
+    try {
+      const response = await api.get(`/missions/${id}/telemetry/history`, { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch mission telemetry history' };
+    }
+  },
+
+  /**
+   * Get how far the flown track strayed from the planned path
+   *
+   * @param {string} id - Mission ID
+   * @param {boolean} refresh - Analyze the flight again instead of returning the stored result
+   * @returns {Promise<Object>} Cross-track error, missed waypoints, legs, coverage gaps and off-route segments
+   */
+  getMissionDeviation: async (id, refresh = false) => {
+    try {
+      const response = await api.get(`/missions/${id}/deviation`, { params: refresh ? { refresh: true } : {} });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch mission deviation' };
+    }
+  },
+
+  /**
+   * Get waypoints for a mission in flight order
    *
    * @param {string} id - Mission ID
-   * @returns {Promise<Array>} Array of waypoint objects
+   * @returns {Promise<Object>} { version, waypoints }, send the version back with every edit
    */
   getMissionWaypoints: async (id) => {
     try {
@@ -183,21 +230,143 @@ const missionService = {
   },
 
   /**
-   * Update waypoints for a mission
+   * Replace all the waypoints of a mission
+   * Edits fail with a 409 response carrying the current version when someone else changed
+   * the waypoints since the given version
    *
    * @param {string} id - Mission ID
-   * @param {Array} waypoints - Array of waypoint objects
-   * @returns {Promise<Array>} Updated array of waypoint objects
+   * @param {Array} waypoints - Waypoints in flight order, with the _id of waypoints that are kept
+   * @param {number} version - Waypoints version the edit is based on
+   * @returns {Promise<Object>} { version, waypoints } after the edit
    */
-  updateMissionWaypoints: async (id, waypoints) => {
+  updateMissionWaypoints: async (id, waypoints, version) => {
     try {
-      const response = await api.put(`/missions/${id}/waypoints`, { waypoints });
+      const response = await api.put(`/missions/${id}/waypoints`, { waypoints, version });
       return response.data;
     } catch (error) {
       throw error.response?.data || { message: 'Failed to update mission waypoints' };
     }
   },
 
+  /**
+   * Insert a waypoint into a mission
+   *
+   * @param {string} id - Mission ID
+   * @param {Object} waypoint - Waypoint with latitude, longitude, altitude, action and actionParams
+   * @param {number} order - Position of the new waypoint from 1, the end when missing
+   * @param {number} version - Waypoints version the edit is based on
+   * @returns {Promise<Object>} { version, waypoints } after the edit
+   */
+  insertWaypoint: async (id, waypoint, order, version) => {
+    try {
+      const response = await api.post(`/missions/${id}/waypoints`, { waypoint, order, version });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to add waypoint' };
+    }
+  },
+
+  /**
+   * Change a waypoint, or move it with a new position or order
+   *
+   * @param {string} id - Mission ID
+   * @param {string} waypointId - Waypoint ID
+   * @param {Object} changes - Fields to change, with the new position from 1 as order
+   * @param {number} version - Waypoints version the edit is based on
+   * @returns {Promise<Object>} { version, waypoints } after the edit
+   */
+  updateWaypoint: async (id, waypointId, changes, version) => {
+    try {
+      const response = await api.patch(`/missions/${id}/waypoints/${waypointId}`, { ...changes, version });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update waypoint' };
+    }
+  },
+
+  /**
+   * Remove a waypoint from a mission
+   *
+   * @param {string} id - Mission ID
+   * @param {string} waypointId - Waypoint ID
+   * @param {number} version - Waypoints version the edit is based on
+   * @returns {Promise<Object>} { version, waypoints } after the edit
+   */
+  deleteWaypoint: async (id, waypointId, version) => {
+    try {
+      const response = await api.delete(`/missions/${id}/waypoints/${waypointId}`, { params: { version } });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to delete waypoint' };
+    }
+  },
+
+  /**
+   * Put a mission's waypoints in a new order
+   *
+   * @param {string} id - Mission ID
+   * @param {Array} waypointIds - Every waypoint ID of the mission in the new order
+   * @param {number} version - Waypoints version the edit is based on
+   * @returns {Promise<Object>} { version, waypoints } after the edit
+   */
+  reorderWaypoints: async (id, waypointIds, version) => {
+    try {
+      const response = await api.post(`/missions/${id}/waypoints/reorder`, { waypoints: waypointIds, version });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to reorder waypoints' };
+    }
+  },
+
+  /**
+   * Reorder the waypoints of a custom mission into a shorter route
+   *
+   * @param {string} id - Mission ID
+   * @param {Object} options - Route constraints
+   * @param {boolean} options.pinFirst - Keep the first waypoint first
+   * @param {boolean} options.pinLast - Keep the last waypoint last
+   * @param {number} options.waypointsVersion - Waypoints version the reorder is based on
+   * @returns {Promise<Object>} Reordered waypoints, their new version and the distance saved
+   */
+  optimizeMissionRoute: async (id, options = {}) => {
+    try {
+      const response = await api.post(`/missions/${id}/optimize`, options);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to optimize mission route' };
+    }
+  },
+
+  /**
+   * Split a mission into sorties that each fit in one battery
+   *
+   * @param {string} id - Mission ID
+   * @returns {Promise<Object>} The parent mission and its sortie missions
+   */
+  splitMissionIntoSorties: async (id) => {
+    try {
+      const response = await api.post(`/missions/${id}/sorties`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to split mission into sorties' };
+    }
+  },
+
+  /**
+   * Get the ground and flight elevation along a mission's route
+   *
+   * @param {string} id - Mission ID
+   * @returns {Promise<Object>} Takeoff elevation, clearance check and elevation profile
+   */
+  getTerrainProfile: async (id) => {
+    try {
+      const response = await api.get(`/missions/${id}/terrain-profile`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch terrain profile' };
+    }
+  },
+
   /**
    * Get mission statistics
    *
@@ -224,7 +393,7 @@ const missionService = {
    */
   generateMissionFromPattern: async (patternData) => {
     try {
-      const response = await api.post('/missions/generate-pattern', patternData);
+      const response = await api.post('/missions/flight-plan', patternData);
       return response.data;
     } catch (error) {
       throw error.response?.data || { message: 'Failed to generate mission pattern' };
@@ -250,7 +419,7 @@ const missionService = {
    * Download mission data in the specified format
    *
    * @param {string} id - Mission ID
-   * @param {string} format - Data format (e.g., 'csv', 'json', 'kml')
+   * @param {string} format - Data format: 'plan', 'waypoints', 'kml', 'kmz', 'gpx' or 'csv'
    * @returns {Promise<Blob>} Data blob for download
    */
   downloadMissionData: async (id, format = 'csv') => {
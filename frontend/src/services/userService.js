@@ -0,0 +1,78 @@
+import api from '../utils/api';
+
+// Helper to turn a logbook period into a query string
+const toQueryString = (params) => {
+  const queryParams = new URLSearchParams();
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') queryParams.append(key, value);
+  });
+
+  return queryParams.toString();
+};
+
+/**
+ * Service for the activity and pilot logbook of users
+ */
+const userService = {
+  /**
+   * Get the recent activity of a user, the missions they created and flights they flew
+   *
+   * @param {string} id - User ID
+   * @param {number} limit - Most activities to return
+   * @returns {Promise<Object>} { userId, userName, activities }
+   */
+  getUserActivity: async (id, limit) => {
+    try {
+      const queryString = toQueryString({ limit });
+
+      const response = await api.get(`/users/${id}/activity${queryString ? `?${queryString}` : ''}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch user activity' };
+    }
+  },
+
+  /**
+   * Get the pilot logbook of a user
+   *
+   * @param {string} id - User ID
+   * @param {Object} period - Optional period
+   * @param {string} period.from - Earliest takeoff
+   * @param {string} period.to - Latest takeoff
+   * @returns {Promise<Object>} { pilot, totals, drones, entries }
+   */
+  getPilotLogbook: async (id, period = {}) => {
+    try {
+      const queryString = toQueryString(period);
+
+      const response = await api.get(`/users/${id}/logbook${queryString ? `?${queryString}` : ''}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch pilot logbook' };
+    }
+  },
+
+  /**
+   * Download the pilot logbook of a user
+   *
+   * @param {string} id - User ID
+   * @param {Object} period - Same period as getPilotLogbook
+   * @param {string} format - 'csv' or 'pdf'
+   * @returns {Promise<Blob>} File blob for download
+   */
+  exportPilotLogbook: async (id, period = {}, format = 'csv') => {
+    try {
+      const queryString = toQueryString({ ...period, format });
+
+      const response = await api.get(`/users/${id}/logbook/export?${queryString}`, {
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to export pilot logbook' };
+    }
+  }
+};
+
+export default userService;